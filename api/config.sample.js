@@ -101,11 +101,34 @@ var countlyConfig = {
     encryption: {},
 
     /**
-    * Specifies where to store files. Value "fs" means file system or basically storing files on hard drive. Another currently supported option is "gridfs" storing files in MongoDB database using GridFS. By default fallback to "fs";
+    * Specifies where to store files. Value "fs" means file system or basically storing files on hard drive. Other currently supported options are "gridfs" storing files in MongoDB database using GridFS and "s3" storing files in S3 compatible object storage configured in s3 property. By default fallback to "fs";
+    * Task results and app user exports are kept in GridFS unless "s3" is used. Files are not moved when this value is changed: after switching, previously
+    * stored app and user images, crash symbols and source maps, and when switching to or from "s3" also existing task results and app user exports,
+    * are not reachable until they are copied with "countly fs migrate <from> <to>", e.g. "countly fs migrate gridfs s3"
     * @type {string} [default=fs]
     */
     fileStorage: "fs",
     /**
+    * S3 compatible object storage (AWS S3, MinIO, etc) configuration, used when fileStorage is "s3"
+    * @type {object}
+    * @property {string} endpoint - storage endpoint url, like "http://localhost:9000" for MinIO, by default AWS S3 endpoint of region is used
+    * @property {string} region - region of bucket, default us-east-1
+    * @property {string} bucket - name of bucket to store files in
+    * @property {string} accessKeyId - access key id
+    * @property {string} secretAccessKey - secret access key
+    * @property {boolean} forcePathStyle - use path style urls (endpoint/bucket/key) instead of virtual hosted style (bucket.endpoint/key), by default enabled when custom endpoint is provided
+    * @property {string} prefix - optional prefix of all object keys, like "countly/"
+    */
+    s3: {
+        endpoint: "",
+        region: "us-east-1",
+        bucket: "",
+        accessKeyId: "",
+        secretAccessKey: "",
+        forcePathStyle: null,
+        prefix: ""
+    },
+    /**
     * Specifies after how long time configurations are reloded from data base. Default value is 10000 (10 seconds)
     * @type {integer} [default=10000]
     **/
@@ -592,7 +592,7 @@ var deleteMyExport = function(exportID) { //tries to delete packed file, exporte
             }
         }
 
-        countlyFs.gridfs.deleteFile("appUsers", path.resolve(__dirname, './../../../export/AppUser/' + exportID + '.tar.gz'), {id: exportID + '.tar.gz'}, function(error) {
+        countlyFs.shared.deleteFile("appUsers", path.resolve(__dirname, './../../../export/AppUser/' + exportID + '.tar.gz'), {id: exportID + '.tar.gz'}, function(error) {
             if (error && error.message && error.message.substring(0, 12) !== "FileNotFound") {
                 errors.push(error.message);
             }
@@ -915,7 +915,7 @@ usersApi.export = function(app_id, query, params, callback) {
                                         log.d("packed");
                                         return new Promise(function(resolve, reject) { /*save export in gridFS*/
                                             var my_filename = path.resolve(__dirname, './../../../export/AppUser/' + export_filename + '.tar.gz');
-                                            countlyFs.gridfs.saveFile("appUsers", my_filename, my_filename, {
+                                            countlyFs.shared.saveFile("appUsers", my_filename, my_filename, {
                                                 id: export_filename + ".tar.gz",
                                                 writeMode: "overwrite"
                                             }, function(err5) {
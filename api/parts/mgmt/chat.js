@@ -0,0 +1,188 @@
+/**
+* This module is meant for sending messages to chat incoming webhooks (Slack, Microsoft Teams or any service accepting JSON)
+* @module api/parts/mgmt/chat
+*/
+
+/** @lends module:api/parts/mgmt/chat */
+var chat = {},
+    request = require('request'),
+    log = require('../../utils/log.js')('core:chat');
+
+/**
+* Supported payload formats
+* @type {Array<string>}
+*/
+chat.FORMATS = ["slack", "teams", "generic"];
+
+var SLACK_HEADER_LIMIT = 150,
+    SLACK_TEXT_LIMIT = 3000,
+    SLACK_FIELDS_LIMIT = 10;
+
+/**
+* Truncate string to length
+* @param {string} str - string to truncate
+* @param {number} length - max length
+* @returns {string} truncated string
+**/
+function truncate(str, length) {
+    str = str + "";
+    return str.length > length ? str.substr(0, length - 3) + "..." : str;
+}
+
+/**
+* Replace {{path}} placeholders in template with values from data, unknown placeholders are kept as is
+* @param {string} template - template string
+* @param {object} data - data object
+* @returns {string} rendered string
+**/
+chat.render = function(template, data) {
+    return (template + "").replace(/\{\{(.*?)\}\}/g, function(sub, path) {
+        var props = path.trim().replace(/\[(\w+)\]/g, '.$1').split('.');
+        var obj = data;
+        for (var i = 0; i < props.length; i++) {
+            if (obj === null || obj === undefined) {
+                return sub;
+            }
+            obj = obj[props[i]];
+        }
+        if (obj === null || obj === undefined) {
+            return sub;
+        }
+        return typeof obj === "object" ? JSON.stringify(obj) : obj + "";
+    });
+};
+
+/**
+* Convert simple html used in email templates to plain text
+* @param {string} html - html string
+* @returns {string} text
+**/
+chat.htmlToText = function(html) {
+    return (html + "")
+        .replace(/<br\s*\/?>/gi, "\n")
+        .replace(/<a[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, "$2 ($1)")
+        .replace(/<[^>]+>/g, "")
+        .trim();
+};
+
+/**
+* Build Slack incoming webhook payload with blocks
+* @param {object} message - message object, see chat.buildPayload
+* @returns {object} payload
+**/
+function buildSlackPayload(message) {
+    var blocks = [{type: "header", text: {type: "plain_text", text: truncate(message.title, SLACK_HEADER_LIMIT)}}];
+    if (message.text) {
+        blocks.push({type: "section", text: {type: "mrkdwn", text: truncate(message.text, SLACK_TEXT_LIMIT)}});
+    }
+    (message.sections || []).forEach(function(section) {
+        var fields = (section.fields || []).map(function(field) {
+            var text = field.value !== undefined && field.value !== null ? "*" + field.key + "*\n" + field.value : field.key + "";
+            return {type: "mrkdwn", text: truncate(text, 2000)};
+        });
+        if (section.title) {
+            blocks.push({type: "section", text: {type: "mrkdwn", text: "*" + truncate(section.title, SLACK_TEXT_LIMIT - 2) + "*"}});
+        }
+        for (var i = 0; i < fields.length; i += SLACK_FIELDS_LIMIT) {
+            blocks.push({type: "section", fields: fields.slice(i, i + SLACK_FIELDS_LIMIT)});
+        }
+    });
+    if (message.url) {
+        blocks.push({
+            type: "actions",
+            elements: [{type: "button", text: {type: "plain_text", text: message.urlTitle || "View in Countly"}, url: message.url}]
+        });
+    }
+    return {text: message.title, blocks: blocks};
+}
+
+/**
+* Build Microsoft Teams incoming webhook MessageCard payload
+* @param {object} message - message object, see chat.buildPayload
+* @returns {object} payload
+**/
+function buildTeamsPayload(message) {
+    var payload = {
+        "@type": "MessageCard",
+        "@context": "https://schema.org/extensions",
+        summary: message.title,
+        themeColor: message.color || "0166D6",
+        title: message.title,
+        sections: (message.sections || []).map(function(section) {
+            return {
+                activityTitle: section.title,
+                facts: (section.fields || []).map(function(field) {
+                    return {name: field.key + "", value: field.value !== undefined && field.value !== null ? field.value + "" : ""};
+                })
+            };
+        })
+    };
+    if (message.text) {
+        payload.text = message.text;
+    }
+    if (message.url) {
+        payload.potentialAction = [{
+            "@type": "OpenUri",
+            name: message.urlTitle || "View in Countly",
+            targets: [{os: "default", uri: message.url}]
+        }];
+    }
+    return payload;
+}
+
+/**
+* Build incoming webhook payload for chat service
+* @param {string} format - one of chat.FORMATS
+* @param {object} message - message object
+* @param {string} message.title - message title
+* @param {string=} message.text - message text, markdown is supported by Slack and Teams
+* @param {Array=} message.sections - array of {title, fields: [{key, value}]} objects
+* @param {string=} message.url - link to open details
+* @param {string=} message.urlTitle - title of link
+* @param {string=} message.color - hex color of Teams card
+* @returns {object} payload to post as JSON
+**/
+chat.buildPayload = function(format, message) {
+    switch (format) {
+    case "slack":
+        return buildSlackPayload(message);
+    case "teams":
+        return buildTeamsPayload(message);
+    default:
+        return {
+            title: message.title,
+            text: message.text || "",
+            sections: message.sections || [],
+            url: message.url
+        };
+    }
+};
+
+/**
+* Post message to chat incoming webhook
+* @param {string} url - incoming webhook url
+* @param {string} format - one of chat.FORMATS
+* @param {object} message - message object, see chat.buildPayload
+* @param {function} callback - function called with error and response status code
+**/
+chat.sendMessage = function(url, format, message, callback) {
+    request({
+        method: "POST",
+        uri: url,
+        json: chat.buildPayload(format, message),
+        timeout: 15000
+    }, function(err, res, body) {
+        var statusCode = res && res.statusCode;
+        if (!err && (statusCode < 200 || statusCode >= 300)) {
+            err = new Error("Chat webhook responded with status " + statusCode + ": " + (typeof body === "object" ? JSON.stringify(body) : body));
+        }
+        if (err) {
+            log.e("Failed to send chat message", url, err);
+        }
+        if (callback) {
+            callback(err, statusCode);
+        }
+    });
+};
+
+module.exports = chat;
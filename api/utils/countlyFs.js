@@ -1,5 +1,5 @@
 /**
-* Module to abstract storing files on hard drive or in a shared system between multiple countly instances, currently based on GridFS
+* Module to abstract storing files on hard drive or in a shared system between multiple countly instances, based on GridFS or S3 compatible object storage
 * @module api/utils/countlyFs
 */
 
@@ -9,8 +9,11 @@ var countlyFs = {};
 var GridFSBucket = require("mongodb").GridFSBucket;
 var Readable = require('stream').Readable;
 var fs = require("fs");
+var tmpdir = require("os").tmpdir;
 var path = require("path");
+var crypto = require("crypto");
 var config = require("../config.js");
+var s3 = require("./s3.js");
 var db;
 var log = require('./log.js')('core:fs');
 
@@ -632,6 +635,46 @@ countlyFs.gridfs = {};
         });
     };
 
+    /**
+    * List categories which have files stored
+    * @param {function} callback - function called with error object as first param and array of category names as second
+    * @example
+    * countlyFs.gridfs.listCategories(function(err, categories){
+    *   console.log(categories);
+    * });
+    */
+    ob.listCategories = function(callback) {
+        db.listCollections({}, {nameOnly: true}).toArray(function(err, collections) {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, (collections || []).map(function(c) {
+                return c.name;
+            }).filter(function(name) {
+                return /\.files$/.test(name);
+            }).map(function(name) {
+                return name.replace(/\.files$/, "");
+            }));
+        });
+    };
+
+    /**
+    * List files of category
+    * @param {string} category - collection of files
+    * @param {function} callback - function called with error object as first param and array of {id, filename, size} as second
+    * @example
+    * countlyFs.gridfs.list("appimages", function(err, files){
+    *   console.log(files);
+    * });
+    */
+    ob.list = function(category, callback) {
+        db.collection(category + ".files").find({}, {projection: {_id: 1, filename: 1, length: 1}}).toArray(function(err, files) {
+            callback(err, (files || []).map(function(file) {
+                return {id: file._id, filename: file.filename, size: file.length};
+            }));
+        });
+    };
+
     /**
     * Get handler for filesystem, which in case of GridFS is database connection
     * @returns {object} databse connection
@@ -962,6 +1005,533 @@ countlyFs.fs = {};
 
 }(countlyFs.fs));
 
+/**
+* S3 compatible object storage methods, configured by s3 object in config. Files are stored as objects
+* with "<prefix><category>/<id>" keys, where id is options.id or file name from destination if no id is provided
+*/
+countlyFs.s3 = {};
+(function(ob) {
+    var storage = null;
+
+    /**
+    * Get normalized storage config
+    * @returns {object} storage config
+    **/
+    function getStorage() {
+        if (!storage) {
+            storage = s3.getConfig(config.s3);
+            storage.prefix = (config.s3 && config.s3.prefix) || "";
+        }
+        return storage;
+    }
+
+    /**
+    * Get object key of file
+    * @param {string} category - category of file
+    * @param {string} dest - file's destination
+    * @param {object=} options - options with optional id
+    * @returns {string} object key
+    **/
+    function getKey(category, dest, options) {
+        var name = (options && options.id) ? options.id + "" : (dest + "").split(path.sep).pop();
+        return getStorage().prefix + category + "/" + name;
+    }
+
+    /**
+    * Normalize optional options argument
+    * @param {object|function} options - options or callback
+    * @param {function} callback - callback
+    * @returns {Array} options and callback
+    **/
+    function getArgs(options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+        return [options || {}, callback];
+    }
+
+    /**
+    * Upload content, respecting write mode
+    * @param {string} key - object key
+    * @param {function} getBody - function providing body and size to callback, called only when upload should happen
+    * @param {object} options - save options
+    * @param {function} callback - function called when saving was completed or errored, providing error object as first param
+    **/
+    function save(key, getBody, options, callback) {
+        /**
+        * Upload content
+        **/
+        function upload() {
+            getBody(function(err, body, size, cleanup) {
+                if (err) {
+                    if (callback) {
+                        callback(err);
+                    }
+                    return;
+                }
+                log.d("saving object", key);
+                s3.putObject(getStorage(), key, body, {size: size, contentType: options.contentType, metadata: options.metadata}, function(err2) {
+                    if (cleanup) {
+                        cleanup();
+                    }
+                    if (callback) {
+                        callback(err2);
+                    }
+                });
+            });
+        }
+        if (options.writeMode === "overwrite" || options.writeMode === "version" || options.forceClean) {
+            upload();
+            return;
+        }
+        s3.headObject(getStorage(), key, function(err) {
+            if (!err) {
+                if (callback) {
+                    callback(new Error("File already exists"), key);
+                }
+            }
+            else if (s3.isNotFound(err)) {
+                upload();
+            }
+            else if (callback) {
+                callback(err);
+            }
+        });
+    }
+
+    /**
+    * Check if file exists
+    * @param {string} category - category where file is stored
+    * @param {string} dest - file's destination
+    * @param {object=} options - additional options for saving file
+    * @param {string} options.id - custom id for the file
+    * @param {function} callback - function called when we have result, providing error object as first param and boolean as second to indicate if file exists
+    * @example
+    * countlyFs.s3.exists("test", "./CHANGELOG.md", function(err, exists){
+    *   if(exists)
+    *       console.log("File exists");
+    * });
+    */
+    ob.exists = function(category, dest, options, callback) {
+        [options, callback] = getArgs(options, callback);
+        s3.headObject(getStorage(), getKey(category, dest, options), function(err) {
+            if (callback) {
+                callback(s3.isNotFound(err) ? null : err, !err);
+            }
+        });
+    };
+
+    /**
+    * Get file's id, which for object storage is object key
+    * @param {string} category - category where file is stored
+    * @param {string} filename - filename
+    * @param {function} callback - function called when we have result, providing error object as first param and key or false as second
+    */
+    ob.getId = function(category, filename, callback) {
+        var key = getKey(category, filename);
+        s3.headObject(getStorage(), key, function(err) {
+            if (callback) {
+                callback(s3.isNotFound(err) ? null : err, err ? false : key);
+            }
+        });
+    };
+
+    /**
+    * Save file in object storage
+    * @param {string} category - category where to store data
+    * @param {string} dest - file's destination
+    * @param {string} source - source file
+    * @param {object=} options - additional options for saving file
+    * @param {string} options.id - custom id for the file
+    * @param {string} options.writeMode - write mode, by default errors on existing file, possible values "overwrite" or "version", which both replace previous file
+    * @param {object} options.metadata - Optional object to store as object metadata
+    * @param {string} options.contentType - Optional content type of object
+    * @param {function} callback - function called when saving was completed or errored, providing error object as first param
+    * @example
+    * countlyFs.s3.saveFile("test", "./CHANGELOG.md", "./CHANGELOG.md", function(err){
+    *   console.log("Storing file finished", err);
+    * });
+    */
+    ob.saveFile = function(category, dest, source, options, callback) {
+        [options, callback] = getArgs(options, callback);
+        save(getKey(category, dest, options), function(done) {
+            fs.stat(source, function(err, stats) {
+                done(err, !err && fs.createReadStream(source), stats && stats.size);
+            });
+        }, options, callback);
+    };
+
+    /**
+    * Save string data in object storage
+    * @param {string} category - category where to store data
+    * @param {string} dest - file's destination
+    * @param {string|Buffer} data - data to save
+    * @param {object=} options - additional options for saving file, see saveFile
+    * @param {function} callback - function called when saving was completed or errored, providing error object as first param
+    * @example
+    * countlyFs.s3.saveData("test", "test.text", "some\nmultiline\ntest", function(err){
+    *   console.log("Storing data finished", err);
+    * });
+    */
+    ob.saveData = function(category, dest, data, options, callback) {
+        [options, callback] = getArgs(options, callback);
+        save(getKey(category, dest, options), function(done) {
+            var body = Buffer.isBuffer(data) ? data : Buffer.from(data + "");
+            done(null, body, body.length);
+        }, options, callback);
+    };
+
+    /**
+    * Save file from stream in object storage. Object storage needs to know size before upload, so stream is buffered to temporary file
+    * @param {string} category - category where to store data
+    * @param {string} dest - file's destination
+    * @param {stream} readStream - stream where to get file content
+    * @param {object=} options - additional options for saving file, see saveFile
+    * @param {function} callback - function called when saving was completed or errored, providing error object as first param
+    * @example
+    * countlyFs.s3.saveStream("test", "AGPLv3", fs.createReadStream("AGPLv3"), function(err){
+    *   console.log("Storing stream finished", err);
+    * });
+    */
+    ob.saveStream = function(category, dest, readStream, options, callback) {
+        [options, callback] = getArgs(options, callback);
+        save(getKey(category, dest, options), function(done) {
+            var tmp = path.join(tmpdir(), "countly-s3-" + crypto.randomBytes(8).toString("hex"));
+            var tmpStream = fs.createWriteStream(tmp);
+            /**
+            * Remove temporary file
+            **/
+            var cleanup = function() {
+                fs.unlink(tmp, function() {});
+            };
+            readStream.on("error", function(err) {
+                cleanup();
+                done(err);
+            });
+            tmpStream.on("error", function(err) {
+                cleanup();
+                done(err);
+            });
+            tmpStream.on("finish", function() {
+                fs.stat(tmp, function(err, stats) {
+                    done(err, !err && fs.createReadStream(tmp), stats && stats.size, cleanup);
+                });
+            });
+            readStream.pipe(tmpStream);
+        }, options, callback);
+    };
+
+    /**
+    * Rename existing file. Files saved with custom id keep their id, so there is nothing to rename
+    * @param {string} category - category where file is stored
+    * @param {string} dest - file's new destination
+    * @param {string} source - file's current destination
+    * @param {object=} options - additional options
+    * @param {string} options.id - custom id for the file
+    * @param {function} callback - function called when renaming was completed or errored, providing error object as first param
+    * @example
+    * countlyFs.s3.rename("test", "AGPLv3", "LICENSE.md", function(err){
+    *   console.log("Finished", err);
+    * });
+    */
+    ob.rename = function(category, dest, source, options, callback) {
+        [options, callback] = getArgs(options, callback);
+        if (options.id) {
+            ob.exists(category, dest, options, function(err, exists) {
+                if (callback) {
+                    callback(err || (exists ? null : new Error("File does not exist")));
+                }
+            });
+            return;
+        }
+        var oldKey = getKey(category, source);
+        var newKey = getKey(category, dest);
+        s3.copyObject(getStorage(), newKey, oldKey, function(err) {
+            if (err) {
+                if (callback) {
+                    callback(s3.isNotFound(err) ? new Error("File does not exist") : err);
+                }
+                return;
+            }
+            s3.deleteObject(getStorage(), oldKey, function(err2) {
+                if (callback) {
+                    callback(err2);
+                }
+            });
+        });
+    };
+
+    /**
+    * Delete file from object storage
+    * @param {string} category - category where file is stored
+    * @param {string} dest - file's destination
+    * @param {object=} options - additional options
+    * @param {string} options.id - custom id for the file
+    * @param {function} callback - function called when deleting was completed or errored, providing error object as first param
+    * @example
+    * countlyFs.s3.deleteFile("test", "AGPLv3", function(err){
+    *   console.log("Finished", err);
+    * });
+    */
+    ob.deleteFile = function(category, dest, options, callback) {
+        [options, callback] = getArgs(options, callback);
+        var key = getKey(category, dest, options);
+        s3.headObject(getStorage(), key, function(err) {
+            if (err) {
+                if (callback) {
+                    callback(s3.isNotFound(err) ? new Error("File does not exist") : err);
+                }
+                return;
+            }
+            s3.deleteObject(getStorage(), key, function(err2) {
+                if (callback) {
+                    callback(err2);
+                }
+            });
+        });
+    };
+
+    /**
+    * Delete all files of category
+    * @param {string} category - category of files to delete
+    * @param {string} dest - directory destination, not used
+    * @param {function} callback - function called when deleting was completed or errored, providing error object as first param
+    * @example
+    * countlyFs.s3.deleteAll("test", null, function(err){
+    *   console.log("Finished", err);
+    * });
+    */
+    ob.deleteAll = function(category, dest, callback) {
+        s3.listObjects(getStorage(), getStorage().prefix + category + "/", null, function(err, res) {
+            if (err) {
+                if (callback) {
+                    callback(err);
+                }
+                return;
+            }
+            var objects = res.objects;
+            /**
+            * Delete objects one by one
+            * @param {number} i - index of object to delete
+            **/
+            function next(i) {
+                if (i >= objects.length) {
+                    if (callback) {
+                        callback(null);
+                    }
+                    return;
+                }
+                s3.deleteObject(getStorage(), objects[i].key, function(err2) {
+                    if (err2) {
+                        if (callback) {
+                            callback(err2);
+                        }
+                        return;
+                    }
+                    next(i + 1);
+                });
+            }
+            next(0);
+        });
+    };
+
+    /**
+    * Get stream for file
+    * @param {string} category - category from where to read data
+    * @param {string} dest - file's destination
+    * @param {object=} options - additional options
+    * @param {string} options.id - custom id for the file
+    * @param {function} callback - function called when establishing stream was completed or errored, providing error object as first param and stream as second
+    * @example
+    * countlyFs.s3.getStream("test", "CHANGELOG.md", function(err, stream){
+    *   var writeStream = fs.createWriteStream('./CHANGELOG.md');
+    *   stream.pipe(writeStream);
+    * });
+    */
+    ob.getStream = function(category, dest, options, callback) {
+        [options, callback] = getArgs(options, callback);
+        if (callback) {
+            s3.getObjectStream(getStorage(), getKey(category, dest, options), callback);
+        }
+    };
+
+    /**
+    * Get file data
+    * @param {string} category - category from where to read data
+    * @param {string} dest - file's destination
+    * @param {object=} options - additional options
+    * @param {string} options.id - custom id for the file
+    * @param {function} callback - function called when retrieving file was completed or errored, providing error object as first param and filedata as second
+    * @example
+    * countlyFs.s3.getData("test", "AGPLv3", function(err, data){
+    *   console.log("Retrieved", err, data);
+    * });
+    */
+    ob.getData = function(category, dest, options, callback) {
+        [options, callback] = getArgs(options, callback);
+        s3.request(getStorage(), {method: "GET", key: getKey(category, dest, options)}, function(err, res) {
+            if (callback) {
+                callback(err, err ? null : res.body.toString("utf8"));
+            }
+        });
+    };
+
+    /**
+    * Get file size
+    * @param {string} category - category from where to read data
+    * @param {string} dest - file's destination
+    * @param {object=} options - additional options
+    * @param {string} options.id - custom id for the file
+    * @param {function} callback - function called when retrieving file size was completed or errored, providing error object as first param and file size as second, 0 if file does not exist
+    * @example
+    * countlyFs.s3.getSize("test", "AGPLv3", function(err, size){
+    *   console.log("Retrieved", err, size);
+    * });
+    */
+    ob.getSize = function(category, dest, options, callback) {
+        [options, callback] = getArgs(options, callback);
+        s3.headObject(getStorage(), getKey(category, dest, options), function(err, head) {
+            if (callback) {
+                callback(s3.isNotFound(err) ? null : err, head ? head.size : 0);
+            }
+        });
+    };
+
+    /**
+    * Get file stats, similar to fs.stat object, size is 0 if file does not exist
+    * @param {string} category - category from where to read data
+    * @param {string} dest - file's destination
+    * @param {object=} options - additional options
+    * @param {string} options.id - custom id for the file
+    * @param {function} callback - function called when retrieving file stats was completed or errored, providing error object as first param and stats as second
+    * @example
+    * countlyFs.s3.getStats("test", "AGPLv3", function(err, stats){
+    *   console.log("Retrieved", err, stats);
+    * });
+    */
+    ob.getStats = function(category, dest, options, callback) {
+        [options, callback] = getArgs(options, callback);
+        s3.headObject(getStorage(), getKey(category, dest, options), function(err, head) {
+            if (callback) {
+                var time = head ? head.lastModified : new Date();
+                callback(s3.isNotFound(err) ? null : err, {
+                    size: head ? head.size : 0,
+                    blksize: 0,
+                    atimeMs: head ? time.getTime() : 0,
+                    mtimeMs: head ? time.getTime() : 0,
+                    ctimeMs: head ? time.getTime() : 0,
+                    birthtimeMs: head ? time.getTime() : 0,
+                    atime: time,
+                    mtime: time,
+                    ctime: time,
+                    birthtime: time
+                });
+            }
+        });
+    };
+
+    /**
+    * Get file data by file id
+    * @param {string} category - category from where to read data
+    * @param {string} id - file id provided upon creation
+    * @param {function} callback - function called when retrieving file was completed or errored, providing error object as first param and filedata as second
+    */
+    ob.getDataById = function(category, id, callback) {
+        ob.getData(category, "", {id: id}, callback);
+    };
+
+    /**
+    * Get file stream by file id
+    * @param {string} category - category from where to read data
+    * @param {string} id - file id provided upon creation
+    * @param {function} callback - function called when establishing stream was completed or errored, providing error object as first param and stream as second
+    */
+    ob.getStreamById = function(category, id, callback) {
+        ob.getStream(category, "", {id: id}, callback);
+    };
+
+    /**
+    * Delete file by id
+    * @param {string} category - category where file is stored
+    * @param {string} id - file id provided upon creation
+    * @param {function} callback - function called when deleting was completed or errored, providing error object as first param
+    */
+    ob.deleteFileById = function(category, id, callback) {
+        s3.deleteObject(getStorage(), getKey(category, "", {id: id}), function(err) {
+            if (callback) {
+                callback(err);
+            }
+        });
+    };
+
+    /**
+    * Force clean file, object storage has no partial uploads, so it is same as deleting file
+    * @param {string} category - category where file is stored
+    * @param {string} filename - filename
+    * @param {function} callback - function called when deleting was completed or errored, providing error object as first param
+    */
+    ob.clearFile = function(category, filename, callback) {
+        s3.deleteObject(getStorage(), getKey(category, filename), function(err) {
+            if (callback) {
+                callback(err);
+            }
+        });
+    };
+
+    /**
+    * List categories which have files stored
+    * @param {function} callback - function called with error object as first param and array of category names as second
+    */
+    ob.listCategories = function(callback) {
+        var prefix = getStorage().prefix;
+        s3.listObjects(getStorage(), prefix, "/", function(err, res) {
+            callback(err, err ? [] : res.prefixes.map(function(p) {
+                return p.substr(prefix.length).replace(/\/$/, "");
+            }));
+        });
+    };
+
+    /**
+    * List files of category
+    * @param {string} category - category of files
+    * @param {function} callback - function called with error object as first param and array of {id, filename, size} as second
+    */
+    ob.list = function(category, callback) {
+        var prefix = getStorage().prefix + category + "/";
+        s3.listObjects(getStorage(), prefix, null, function(err, res) {
+            callback(err, err ? [] : res.objects.map(function(o) {
+                var id = o.key.substr(prefix.length);
+                return {id: id, filename: id.split("/").pop(), size: o.size};
+            }));
+        });
+    };
+
+    /**
+    * Get handler for connection, object storage has no persistent connection, so database connection is returned to allow closing it in scripts
+    * @returns {object} databse connection
+    */
+    ob.getHandler = function() {
+        return db;
+    };
+
+    /**
+    * Set handler for connection
+    * @param {object} dbCon - database connection
+    */
+    ob.setHandler = function(dbCon) {
+        db = dbCon;
+    };
+
+    /**
+    * Reset cached storage configuration, used when configuration is changed at runtime
+    */
+    ob.reset = function() {
+        storage = null;
+    };
+
+}(countlyFs.s3));
+
 /**
 * Check if file exists
 * @param {string} category - collection where to store data for gridfs
@@ -1180,4 +1750,10 @@ countlyFs.setHandler = function(dbCon) {
 **/
 countlyFs.type = config.fileStorage || "fs";
 
+/**
+* Storage shared between all countly instances for files which are not stored on hard drive even when fileStorage is "fs",
+* like exports and task results. Configured object storage if fileStorage is "s3", otherwise GridFS
+**/
+countlyFs.shared = config.fileStorage === "s3" ? countlyFs.s3 : countlyFs.gridfs;
+
 module.exports = countlyFs;
\ No newline at end of file
@@ -1453,7 +1453,7 @@ const processRequest = (params) => {
                                 }
                             }).then(function() {
                                 var myfile = '../../export/AppUser/' + filename[0];
-                                countlyFs.gridfs.getSize("appUsers", myfile, {id: filename[0]}, function(error, size) {
+                                countlyFs.shared.getSize("appUsers", myfile, {id: filename[0]}, function(error, size) {
                                     if (error) {
                                         common.returnMessage(params, 400, error);
                                     }
@@ -1461,7 +1461,7 @@ const processRequest = (params) => {
                                         common.returnMessage(params, 400, "Export doesn't exist");
                                     }
                                     else {
-                                        countlyFs.gridfs.getStream("appUsers", myfile, {id: filename[0]}, function(err, stream) {
+                                        countlyFs.shared.getStream("appUsers", myfile, {id: filename[0]}, function(err, stream) {
                                             if (err) {
                                                 common.returnMessage(params, 400, "Export doesn't exist");
                                             }
@@ -1928,7 +1928,7 @@ const processRequest = (params) => {
                             type = type[type.length - 1];
                             var myfile = paths[4];
 
-                            countlyFs.gridfs.getSize("task_results", myfile, {id: paths[4]}, function(error, size) {
+                            countlyFs.shared.getSize("task_results", myfile, {id: paths[4]}, function(error, size) {
                                 if (error) {
                                     common.returnMessage(params, 400, error);
                                 }
@@ -1936,7 +1936,7 @@ const processRequest = (params) => {
                                     common.returnMessage(params, 400, "Export size is 0");
                                 }
                                 else {
-                                    countlyFs.gridfs.getStream("task_results", myfile, {id: paths[4]}, function(err5, stream) {
+                                    countlyFs.shared.getStream("task_results", myfile, {id: paths[4]}, function(err5, stream) {
                                         if (err5) {
                                             common.returnMessage(params, 400, "Export strem does not exist");
                                         }
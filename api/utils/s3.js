@@ -0,0 +1,373 @@
+/**
+* Minimal client for S3 compatible object storages (AWS S3, MinIO, Ceph and others) using AWS Signature Version 4
+* @module api/utils/s3
+*/
+
+/** @lends module:api/utils/s3 */
+var s3 = {};
+
+var crypto = require("crypto");
+var http = require("http");
+var https = require("https");
+var log = require('./log.js')('core:s3');
+
+var UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+var EMPTY_HASH = crypto.createHash("sha256").update("").digest("hex");
+var DEFAULT_TIMEOUT = 60000;
+
+/**
+* Get sha256 hex digest
+* @param {string|Buffer} data - data to hash
+* @returns {string} hex digest
+**/
+function sha256(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+* Get hmac sha256 digest
+* @param {string|Buffer} key - key
+* @param {string} data - data to sign
+* @returns {Buffer} digest
+**/
+function hmac(key, data) {
+    return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/**
+* Encode string as required by S3 canonical request, slashes are kept when encoding object keys
+* @param {string} str - string to encode
+* @param {boolean} keepSlash - true to keep slashes
+* @returns {string} encoded string
+**/
+function encode(str, keepSlash) {
+    var encoded = encodeURIComponent(str).replace(/[!'()*]/g, function(c) {
+        return "%" + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+    return keepSlash ? encoded.replace(/%2F/g, "/") : encoded;
+}
+
+/**
+* Decode xml entities
+* @param {string} str - xml text
+* @returns {string} decoded text
+**/
+function decodeXml(str) {
+    return str.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+}
+
+/**
+* Get values of xml tag
+* @param {string} xml - xml text
+* @param {string} tag - tag name
+* @returns {Array<string>} inner texts of tags
+**/
+function getTags(xml, tag) {
+    var re = new RegExp("<" + tag + ">([\\s\\S]*?)</" + tag + ">", "g");
+    var result = [];
+    var match;
+    while ((match = re.exec(xml)) !== null) {
+        result.push(match[1]);
+    }
+    return result;
+}
+
+/**
+* Normalize storage configuration
+* @param {object} config - s3 config object
+* @param {string} config.bucket - bucket name
+* @param {string=} config.endpoint - endpoint url, by default AWS endpoint of region
+* @param {string=} config.region - region, by default us-east-1
+* @param {string} config.accessKeyId - access key id
+* @param {string} config.secretAccessKey - secret access key
+* @param {boolean=} config.forcePathStyle - use http://endpoint/bucket/key urls instead of http://bucket.endpoint/key, by default true if custom endpoint is used
+* @returns {object} normalized config
+**/
+s3.getConfig = function(config) {
+    config = config || {};
+    var region = config.region || "us-east-1";
+    var endpoint = new URL(config.endpoint || "https://s3." + region + ".amazonaws.com");
+    var pathStyle = typeof config.forcePathStyle === "boolean" ? config.forcePathStyle : !!config.endpoint;
+    return {
+        bucket: config.bucket,
+        region: region,
+        accessKeyId: config.accessKeyId,
+        secretAccessKey: config.secretAccessKey,
+        protocol: endpoint.protocol,
+        host: pathStyle ? endpoint.host : config.bucket + "." + endpoint.host,
+        basePath: (endpoint.pathname.replace(/\/$/, "")) + (pathStyle ? "/" + config.bucket : ""),
+        timeout: config.timeout || DEFAULT_TIMEOUT
+    };
+};
+
+/**
+* Sign request options with AWS Signature Version 4
+* @param {object} config - normalized config
+* @param {object} req - request, {method, path, query, headers, payloadHash}
+* @param {Date=} date - signing date
+* @returns {object} headers including authorization
+**/
+s3.sign = function(config, req, date) {
+    var amzDate = (date || new Date()).toISOString().replace(/[:-]|\.\d{3}/g, "");
+    var day = amzDate.substr(0, 8);
+    var headers = Object.assign({}, req.headers, {
+        "host": config.host,
+        "x-amz-date": amzDate,
+        "x-amz-content-sha256": req.payloadHash
+    });
+    var signedHeaders = Object.keys(headers).map(function(h) {
+        return h.toLowerCase();
+    }).filter(function(h) {
+        return h === "host" || h.indexOf("x-amz-") === 0 || h === "content-type" || h === "content-md5";
+    }).sort();
+    var lowerHeaders = {};
+    Object.keys(headers).forEach(function(h) {
+        lowerHeaders[h.toLowerCase()] = (headers[h] + "").trim().replace(/\s+/g, " ");
+    });
+    var query = req.query || {};
+    var canonicalQuery = Object.keys(query).sort().map(function(k) {
+        return encode(k) + "=" + encode(query[k] + "");
+    }).join("&");
+    var canonicalRequest = [
+        req.method,
+        encode(req.path, true),
+        canonicalQuery,
+        signedHeaders.map(function(h) {
+            return h + ":" + lowerHeaders[h] + "\n";
+        }).join(""),
+        signedHeaders.join(";"),
+        req.payloadHash
+    ].join("\n");
+    var scope = day + "/" + config.region + "/s3/aws4_request";
+    var stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+    var key = hmac(hmac(hmac(hmac("AWS4" + config.secretAccessKey, day), config.region), "s3"), "aws4_request");
+    headers.authorization = "AWS4-HMAC-SHA256 Credential=" + config.accessKeyId + "/" + scope + ", SignedHeaders=" + signedHeaders.join(";") + ", Signature=" + hmac(key, stringToSign).toString("hex");
+    return headers;
+};
+
+/**
+* Make request to storage
+* @param {object} config - normalized config
+* @param {object} options - request options
+* @param {string} options.method - http method
+* @param {string=} options.key - object key, empty for bucket requests
+* @param {object=} options.query - query parameters
+* @param {object=} options.headers - additional headers
+* @param {string|Buffer|stream=} options.body - request body, streams require content-length header
+* @param {boolean=} options.stream - true to provide response as stream instead of buffered body
+* @param {function} callback - called with error and response, response has statusCode, headers and body or is readable stream
+**/
+s3.request = function(config, options, callback) {
+    var body = options.body;
+    var isStream = body && typeof body.pipe === "function";
+    var headers = Object.assign({}, options.headers);
+    if (body && !isStream) {
+        body = Buffer.isBuffer(body) ? body : Buffer.from(body + "");
+        headers["content-length"] = body.length;
+    }
+    var path = config.basePath + "/" + (options.key || "");
+    var signed = s3.sign(config, {
+        method: options.method,
+        path: path,
+        query: options.query,
+        headers: headers,
+        payloadHash: isStream ? UNSIGNED_PAYLOAD : (body ? sha256(body) : EMPTY_HASH)
+    });
+    var query = Object.keys(options.query || {}).map(function(k) {
+        return encode(k) + "=" + encode(options.query[k] + "");
+    }).join("&");
+    var done = false;
+    /**
+    * Call callback once
+    * @param {Error} err - error
+    * @param {object} res - response
+    **/
+    function finish(err, res) {
+        if (!done) {
+            done = true;
+            callback(err, res);
+        }
+    }
+    var req = (config.protocol === "http:" ? http : https).request({
+        method: options.method,
+        protocol: config.protocol,
+        host: config.host.split(":")[0],
+        port: config.host.split(":")[1],
+        path: encode(path, true) + (query ? "?" + query : ""),
+        headers: signed,
+        timeout: config.timeout
+    }, function(res) {
+        if (options.stream && res.statusCode >= 200 && res.statusCode < 300) {
+            return finish(null, res);
+        }
+        var chunks = [];
+        res.on("data", function(chunk) {
+            chunks.push(chunk);
+        });
+        res.on("end", function() {
+            var resBody = Buffer.concat(chunks);
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                var text = resBody.toString("utf8");
+                var code = getTags(text, "Code")[0] || (res.statusCode === 404 ? "NotFound" : "HTTP" + res.statusCode);
+                var err = new Error("S3 " + options.method + " " + (options.key || config.bucket) + " failed: " + code + " " + (getTags(text, "Message")[0] || ""));
+                err.code = code;
+                err.statusCode = res.statusCode;
+                log.d(err.message);
+                return finish(err);
+            }
+            finish(null, {statusCode: res.statusCode, headers: res.headers, body: resBody});
+        });
+        res.on("error", finish);
+    });
+    req.on("timeout", function() {
+        req.destroy(new Error("S3 request timed out"));
+    });
+    req.on("error", finish);
+    if (isStream) {
+        body.on("error", function(err) {
+            req.destroy(err);
+        });
+        body.pipe(req);
+    }
+    else {
+        req.end(body);
+    }
+};
+
+/**
+* Check if error means that object does not exist
+* @param {Error} err - error from s3.request
+* @returns {boolean} true if object was not found
+**/
+s3.isNotFound = function(err) {
+    return !!err && (err.statusCode === 404 || err.code === "NoSuchKey" || err.code === "NotFound");
+};
+
+/**
+* Upload object
+* @param {object} config - normalized config
+* @param {string} key - object key
+* @param {string|Buffer|stream} body - content, streams require size
+* @param {object} options - {size, contentType, metadata}
+* @param {function} callback - called with error
+**/
+s3.putObject = function(config, key, body, options, callback) {
+    var headers = {"content-type": options.contentType || "application/octet-stream"};
+    if (typeof options.size === "number") {
+        headers["content-length"] = options.size;
+    }
+    Object.keys(options.metadata || {}).forEach(function(k) {
+        headers["x-amz-meta-" + k.toLowerCase()] = encodeURIComponent(typeof options.metadata[k] === "object" ? JSON.stringify(options.metadata[k]) : options.metadata[k] + "");
+    });
+    s3.request(config, {method: "PUT", key: key, headers: headers, body: body}, function(err) {
+        callback(err);
+    });
+};
+
+/**
+* Get object as stream
+* @param {object} config - normalized config
+* @param {string} key - object key
+* @param {function} callback - called with error and readable stream
+**/
+s3.getObjectStream = function(config, key, callback) {
+    s3.request(config, {method: "GET", key: key, stream: true}, callback);
+};
+
+/**
+* Get object metadata
+* @param {object} config - normalized config
+* @param {string} key - object key
+* @param {function} callback - called with error and {size, lastModified, contentType}
+**/
+s3.headObject = function(config, key, callback) {
+    s3.request(config, {method: "HEAD", key: key}, function(err, res) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, {
+            size: parseInt(res.headers["content-length"], 10) || 0,
+            lastModified: res.headers["last-modified"] ? new Date(res.headers["last-modified"]) : new Date(),
+            contentType: res.headers["content-type"]
+        });
+    });
+};
+
+/**
+* Delete object, deleting not existing object is not an error
+* @param {object} config - normalized config
+* @param {string} key - object key
+* @param {function} callback - called with error
+**/
+s3.deleteObject = function(config, key, callback) {
+    s3.request(config, {method: "DELETE", key: key}, function(err) {
+        callback(err);
+    });
+};
+
+/**
+* Copy object inside bucket
+* @param {object} config - normalized config
+* @param {string} key - destination key
+* @param {string} sourceKey - source key
+* @param {function} callback - called with error
+**/
+s3.copyObject = function(config, key, sourceKey, callback) {
+    s3.request(config, {method: "PUT", key: key, headers: {"x-amz-copy-source": encode("/" + config.bucket + "/" + sourceKey, true)}}, function(err, res) {
+        // copy can fail after 200 response was started
+        if (!err && res.body && res.body.toString("utf8").indexOf("<Error>") !== -1) {
+            err = new Error("S3 copy " + sourceKey + " failed: " + getTags(res.body.toString("utf8"), "Code")[0]);
+        }
+        callback(err);
+    });
+};
+
+/**
+* List all objects with prefix, following continuation tokens
+* @param {object} config - normalized config
+* @param {string} prefix - key prefix
+* @param {string=} delimiter - delimiter to group keys by, to list "directories"
+* @param {function} callback - called with error and {objects: [{key, size, lastModified}], prefixes: [string]}
+**/
+s3.listObjects = function(config, prefix, delimiter, callback) {
+    var result = {objects: [], prefixes: []};
+    /**
+    * Load one page of results
+    * @param {string=} token - continuation token
+    **/
+    function page(token) {
+        var query = {"list-type": 2, "prefix": prefix};
+        if (delimiter) {
+            query.delimiter = delimiter;
+        }
+        if (token) {
+            query["continuation-token"] = token;
+        }
+        s3.request(config, {method: "GET", query: query}, function(err, res) {
+            if (err) {
+                return callback(err);
+            }
+            var xml = res.body.toString("utf8");
+            getTags(xml, "Contents").forEach(function(item) {
+                result.objects.push({
+                    key: decodeXml(getTags(item, "Key")[0] || ""),
+                    size: parseInt(getTags(item, "Size")[0], 10) || 0,
+                    lastModified: new Date(getTags(item, "LastModified")[0])
+                });
+            });
+            getTags(xml, "CommonPrefixes").forEach(function(item) {
+                result.prefixes.push(decodeXml(getTags(item, "Prefix")[0] || ""));
+            });
+            var next = getTags(xml, "NextContinuationToken")[0];
+            if (getTags(xml, "IsTruncated")[0] === "true" && next) {
+                page(decodeXml(next));
+            }
+            else {
+                callback(null, result);
+            }
+        });
+    }
+    page();
+};
+
+module.exports = s3;
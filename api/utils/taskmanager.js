@@ -405,7 +405,7 @@ taskmanager.saveResult = function(options, data, callback) {
                         options.db.collection("long_tasks").update({_id: options.subtask}, updateObj, {'upsert': false}, function() {});
                     }
                     data = JSON.stringify(data || {});
-                    countlyFs.gridfs.saveData("task_results", options.id, data, {id: options.id}, function(err2, res2) {
+                    countlyFs.shared.saveData("task_results", options.id, data, {id: options.id}, function(err2, res2) {
                         if (callback) {
                             callback(err2, res2);
                         }
@@ -416,7 +416,7 @@ taskmanager.saveResult = function(options, data, callback) {
             else {
                 if (!options.binary) {
                     data = JSON.stringify(data || {});
-                    countlyFs.gridfs.saveData("task_results", options.id, data, {id: options.id}, function(err2, res2) {
+                    countlyFs.shared.saveData("task_results", options.id, data, {id: options.id}, function(err2, res2) {
                         options.db.collection("long_tasks").update({_id: options.id}, {$set: update}, function(err) {
                             if (options.subtask && !err) {
                                 updateSubtasks();
@@ -428,7 +428,7 @@ taskmanager.saveResult = function(options, data, callback) {
                     });
                 }
                 else {
-                    countlyFs.gridfs.saveStream("task_results", options.id, data, {id: options.id}, function(err2, res2) {
+                    countlyFs.shared.saveStream("task_results", options.id, data, {id: options.id}, function(err2, res2) {
                         options.db.collection("long_tasks").update({_id: options.id}, {$set: update}, function(err) {
                             if (options.subtask && !err) {
                                 updateSubtasks();
@@ -759,7 +759,7 @@ taskmanager.deleteResult = function(options, callback) {
             return callback(err);
         }
         if (task.gridfs) {
-            countlyFs.gridfs.deleteFile("task_results", options.id, {id: options.id}, function() {});
+            countlyFs.shared.deleteFile("task_results", options.id, {id: options.id}, function() {});
         }
         options.db.collection("long_tasks").remove({_id: options.id}, function() {
             callback(null, task);
@@ -1037,7 +1037,7 @@ function getResult(callback, options) {
                 }));
             }
             else if (data && data.gridfs) {
-                countlyFs.gridfs.getData("task_results", data._id + "", {id: data._id}, function(err2, largeData) {
+                countlyFs.shared.getData("task_results", data._id + "", {id: data._id}, function(err2, largeData) {
                     if (!err2) {
                         data.data = largeData;
                         callback(null, data);
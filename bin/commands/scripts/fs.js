@@ -4,25 +4,36 @@ var fs = require("fs");
 var path = require("path");
 var async = require("async");
 
-function importFiles(pathToFolder, name, callback, prefix) {
+//folders where files are stored when fileStorage is "fs"
+var folders = {
+    "appimages": "../../../frontend/express/public/appimages",
+    "userimages": "../../../frontend/express/public/userimages",
+    "crash_symbols": "../../../plugins/crash_symbolication/crashsymbols",
+    "crash_sourcemaps": "../../../plugins/crashes/sourcemaps"
+};
+
+//categories which are always stored in shared storage (gridfs or s3), even if fileStorage is "fs"
+var sharedCategories = ["appUsers", "task_results"];
+
+function importFiles(storage, pathToFolder, name, callback, prefix) {
     prefix = prefix || "";
     console.log("Procesing", name);
     var dir = path.resolve(__dirname, pathToFolder);
 
     fs.readdir(dir, function(err, files) {
         var exclude = [".", "..", ".gitignore"];
-        async.each(files, function(file, done) {
+        async.each(files || [], function(file, done) {
             if (exclude.indexOf(file) === -1) {
                 var cur_path = path.join(dir, file);
                 fs.lstat(cur_path, function(err, stats) {
                     if (stats.isDirectory()) {
                         console.log("Found directory", file);
-                        importFiles(cur_path, name, function() {
+                        importFiles(storage, cur_path, name, function() {
                             done();
                         }, file + "/");
                     }
                     else {
-                        countlyFs.gridfs.saveFile(name, file, cur_path, {id: prefix + file, writeMode: "overwrite"}, function(err) {
+                        countlyFs[storage].saveFile(name, file, cur_path, {id: prefix + file, writeMode: "overwrite"}, function(err) {
                             console.log("Storing file finished", prefix + file, err);
                             done();
                         });
@@ -38,18 +49,22 @@ function importFiles(pathToFolder, name, callback, prefix) {
     });
 }
 
-function exportFiles(pathToFolder, name, callback) {
+function exportFiles(storage, pathToFolder, name, callback) {
     console.log("Procesing", name);
     var dir = path.resolve(__dirname, pathToFolder);
-    countlyFs.getHandler().collection(name + ".files").find({}, {_id: 1, filename: 1}).toArray(function(err, files) {
+    countlyFs[storage].list(name, function(err, files) {
         if (!err && files) {
             async.each(files, function(file, done) {
-                countlyFs.gridfs.getStreamById(name, file._id, function(err, stream) {
+                countlyFs[storage].getStreamById(name, file.id, function(err, stream) {
+                    if (err || !stream) {
+                        console.log("Reading file failed", file.id, err);
+                        return done();
+                    }
                     var dest = path.join(dir, file.filename);
-                    if (file._id.indexOf("/") !== -1) {
+                    if ((file.id + "").indexOf("/") !== -1) {
                         //we found directory
                         console.log("Found directory", file);
-                        var id = file._id.split("/").shift();
+                        var id = (file.id + "").split("/").shift();
                         dest = path.join(dir, id, file.filename);
                         //create that directory
                         try {
@@ -74,46 +89,91 @@ function exportFiles(pathToFolder, name, callback) {
     });
 }
 
-var myArgs = process.argv.slice(2);
-
-function fs2gridfs() {
-    importFiles("../../../frontend/express/public/appimages", "appimages", function() {
-        importFiles("../../../frontend/express/public/userimages", "userimages", function() {
-            importFiles("../../../plugins/crash_symbolication/crashsymbols", "crash_symbols", function() {
-                countlyFs.getHandler().close();
+function copyFiles(from, to, name, callback) {
+    console.log("Procesing", name);
+    countlyFs[from].list(name, function(err, files) {
+        if (err || !files) {
+            console.log("Listing files failed", name, err);
+            return callback();
+        }
+        //copy one by one, as each file is streamed from one storage to another
+        async.eachSeries(files, function(file, done) {
+            countlyFs[from].getStreamById(name, file.id, function(err, stream) {
+                if (err || !stream) {
+                    console.log("Reading file failed", file.id, err);
+                    return done();
+                }
+                //files without custom id are identified by their name
+                var id = typeof file.id === "string" ? file.id : file.filename;
+                countlyFs[to].saveStream(name, file.filename, stream, {id: id, writeMode: "overwrite"}, function(err) {
+                    console.log("Storing file finished", name, id, err);
+                    done();
+                });
             });
+        }, function() {
+            callback();
         });
     });
 }
 
-function gridfs2fs() {
-    exportFiles("../../../frontend/express/public/appimages", "appimages", function() {
-        exportFiles("../../../frontend/express/public/userimages", "userimages", function() {
-            exportFiles("../../../plugins/crash_symbolication/crashsymbols", "crash_symbols", function() {
-                countlyFs.getHandler().close();
-            });
-        });
+function fromFs(to, callback) {
+    async.eachSeries(Object.keys(folders), function(name, done) {
+        importFiles(to, folders[name], name, done);
+    }, callback);
+}
+
+function toFs(from, callback) {
+    async.eachSeries(Object.keys(folders), function(name, done) {
+        exportFiles(from, folders[name], name, done);
+    }, callback);
+}
+
+function betweenStorages(from, to, callback) {
+    countlyFs[from].listCategories(function(err, categories) {
+        if (err) {
+            console.log("Listing categories failed", err);
+            return callback();
+        }
+        async.eachSeries(categories, function(name, done) {
+            copyFiles(from, to, name, done);
+        }, callback);
     });
 }
 
-var conversions = {
-    "fs": {"gridfs": fs2gridfs},
-    "gridfs": {"fs": gridfs2fs}
-};
+function migrate(from, to, callback) {
+    if (from === "fs") {
+        fromFs(to, callback);
+    }
+    else if (to === "fs") {
+        //shared categories stay in shared storage, so only move what fs storage can hold
+        toFs(from, callback);
+    }
+    else {
+        betweenStorages(from, to, callback);
+    }
+}
+
+var myArgs = process.argv.slice(2);
+var storages = ["fs", "gridfs", "s3"];
 
 pluginManager.dbConnection("countly_fs").then((db) => {
-    countlyFs.setHandler(db);
+    countlyFs.gridfs.setHandler(db);
     if (myArgs[0] == "migrate") {
-        if (myArgs[1] && myArgs[2] && conversions[myArgs[1]] && conversions[myArgs[1]][myArgs[2]]) {
-            conversions[myArgs[1]][myArgs[2]]();
+        if (myArgs[1] && myArgs[2] && myArgs[1] !== myArgs[2] && storages.indexOf(myArgs[1]) !== -1 && storages.indexOf(myArgs[2]) !== -1) {
+            migrate(myArgs[1], myArgs[2], function() {
+                if (myArgs[1] === "fs" || myArgs[2] === "fs") {
+                    console.log("Files of", sharedCategories.join(", "), "are kept in shared storage, use migrate between gridfs and s3 to move them");
+                }
+                db.close();
+            });
         }
         else {
             console.log("Storage from", myArgs[1], "to", myArgs[2], "not supported");
-            countlyFs.getHandler().close();
+            db.close();
         }
     }
     else {
         console.log("Command", myArgs[0], "not supported");
-        countlyFs.getHandler().close();
+        db.close();
     }
-});
\ No newline at end of file
+});
@@ -4,7 +4,7 @@ DIR="$( cd "$( dirname "${BASH_SOURCE[0]}" )" && pwd )"
 usage (){
     echo "";
     echo "countly fs usage:";
-    echo "    countly fs migrate <from> <to> # from fs to gridfs or vice versa";
+    echo "    countly fs migrate <from> <to> # between fs, gridfs and s3 storages, e.g. fs s3";
 } 
 if [ -z "$1" ]
 then
@@ -0,0 +1,170 @@
+'use strict';
+const utils = require('../parts/utils');
+const incidents = require('../parts/incidents');
+const anomaly = require('../parts/anomaly');
+const crypto = require('crypto');
+const bluebird = require("bluebird");
+const log = require('../../../../api/utils/log.js')('alert:anomaly');
+
+const METRICS = {
+    'Total sessions': 't',
+    'Total users': 'u',
+    'New users': 'n',
+};
+
+const anomalyAlert = {
+
+    /**
+	 * function for sending alert email
+	 * @param {object} alertConfigs  - alertConfig record from db
+	 * @param {object} result - alert data for email template
+	 * @param {function} callback - callback after calling email
+     * @return {object} promise object
+	 */
+    alert(alertConfigs, result, callback) {
+        return bluebird.coroutine(function *() {
+            try {
+                log.i('trigger alert:', alertConfigs);
+                utils.addAlertCount();
+                if (alertConfigs.alertBy === 'email' || alertConfigs.alertBy === 'chat') {
+                    const host = yield utils.getHost();
+
+                    let appsListTitle = 'several apps';
+                    if (result.length <= 3) {
+                        appsListTitle = result.map((data) => data.app.name).join(', ');
+                    }
+                    const period = alertConfigs.anomalyGranularity === 'daily' ? 'day' : 'hour';
+                    const subject = `${getTarget(alertConfigs).name} for ${appsListTitle} is outside of its usual range for this ${period}`;
+
+                    const templateData = {
+                        title: `Countly Alert`,
+                        subTitle: `Countly Alert: ` + alertConfigs.alertName,
+                        host,
+                        compareDescribe: alertConfigs.compareDescribe,
+                        apps: result.map((data) => {
+                            return {
+                                id: data.app._id,
+                                name: data.app.name,
+                                data: [
+                                    {key: 'Current Value', value: data.value},
+                                    {key: 'Baseline', value: round(data.baseline)},
+                                    {key: 'Expected Range', value: `${round(data.lower)} - ${round(data.upper)}`},
+                                    {key: 'Score', value: isFinite(data.score) ? round(data.score) : 'flat baseline'},
+                                    {key: 'Weeks Compared', value: data.samples},
+                                ]
+                            };
+                        })
+                    };
+                    yield utils.sendAlert(alertConfigs, subject, templateData);
+                    callback && callback();
+                }
+            }
+            catch (e) {
+                log.e(e, e.stack);
+            }
+        })();
+    },
+
+
+    /**
+	 * function for checking alert
+	 * @param {object} alertConfigs  - alertConfig record from db
+	 * @param {function} done - callback after checking
+     * @return {object} promise object
+	 */
+    check({db, alertConfigs, done}) {
+        var self = this;
+        return bluebird.coroutine(function *() {
+            try {
+                log.i("checking alert:", alertConfigs);
+                const options = {
+                    weeks: parseInt(alertConfigs.anomalyWeeks, 10) || anomaly.DEFAULT_WEEKS,
+                    granularity: alertConfigs.anomalyGranularity === 'daily' ? 'daily' : 'hourly',
+                    method: alertConfigs.anomalyMethod,
+                    threshold: parseFloat(alertConfigs.compareValue),
+                    direction: anomaly.DIRECTIONS[alertConfigs.compareType] || 'both',
+                };
+                const alertList = [];
+                let evaluated = false;
+                for (let i = 0; i < alertConfigs.selectedApps.length; i++) {
+                    if (options.granularity === 'daily') {
+                        // compare whole days, so check only at the end of app's day
+                        const rightHour = yield utils.checkAppLocalTimeHour(alertConfigs.selectedApps[i], 23);
+                        if (!rightHour) {
+                            continue;
+                        }
+                    }
+                    const app = yield utils.getAppInfo(alertConfigs.selectedApps[i]);
+                    if (!app) {
+                        continue;
+                    }
+                    const series = yield anomaly.getSeries(db, app, getCollection(alertConfigs, app._id + ''), options);
+                    const result = anomaly.detect(series.value, series.history, options);
+                    evaluated = true;
+                    log.d(`For app ${app._id}`, series, result);
+                    if (result.matched) {
+                        result.app = app;
+                        alertList.push(result);
+                    }
+                }
+                if (alertList.length > 0) {
+                    const notify = yield incidents.trigger(alertConfigs);
+                    if (notify) {
+                        self.alert(alertConfigs, alertList);
+                    }
+                }
+                else if (evaluated) {
+                    yield incidents.recover(alertConfigs);
+                }
+                done();
+            }
+            catch (e) {
+                log.e(e, e.stack);
+                done();
+            }
+        })();
+    }
+};
+
+/**
+ * Get target metric of alert, alertDataSubType is either a session metric name or an event in "app_id***key" form
+ * @param {object} alertConfigs - alertConfig record from db
+ * @returns {object} - {name, event, metric}
+ */
+function getTarget(alertConfigs) {
+    const subType = alertConfigs.alertDataSubType || '';
+    if (METRICS[subType]) {
+        return {name: subType, metric: METRICS[subType]};
+    }
+    const event = subType.split('***').pop();
+    return {name: `${event} count`, event, metric: 'c'};
+}
+
+/**
+ * Get aggregated collection and document prefix of alert target for app
+ * @param {object} alertConfigs - alertConfig record from db
+ * @param {string} appId - id of app
+ * @returns {object} - {collection, idPrefix, metric}
+ */
+function getCollection(alertConfigs, appId) {
+    const target = getTarget(alertConfigs);
+    if (target.event) {
+        return {
+            collection: "events" + crypto.createHash('sha1').update(target.event + appId).digest('hex'),
+            idPrefix: "no-segment",
+            metric: target.metric,
+        };
+    }
+    return {collection: "users", idPrefix: appId, metric: target.metric};
+}
+
+/**
+ * Round number for display
+ * @param {number} value - number
+ * @returns {number} number rounded to 2 decimals
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = anomalyAlert;
@@ -1,12 +1,14 @@
 'use strict';
 const Promise = require("bluebird");
 const utils = require('../parts/utils');
+const incidents = require('../parts/incidents');
 const fetch = require('../../../../api/parts/data/fetch.js');
 const countlyModel = require('../../../../api/lib/countly.model.js');
 const countlySession = countlyModel.load("users");
 const bluebird = require("bluebird");
 const moment = require('moment');
 const common = require('../../../../api/utils/common.js');
+const crashfree = require('../../../crashes/api/parts/crashfree.js');
 const log = require('../../../../api/utils/log.js')('alert:crash');
 
 const crashAlert = {
@@ -22,9 +24,7 @@ const crashAlert = {
             try {
                 log.i('trigger alert:', result);
                 utils.addAlertCount();
-                if (alertConfigs.alertBy === 'email') {
-                    const emails = yield utils.getDashboardUserEmail(alertConfigs.alertValues);
-                    let html = '';
+                if (alertConfigs.alertBy === 'email' || alertConfigs.alertBy === 'chat') {
                     const host = yield utils.getHost();
 
                     let appsListTitle = 'several apps';
@@ -42,15 +42,21 @@ const crashAlert = {
                     else if (alertConfigs.alertDataSubType === 'New crash occurence') {
                         title = `Received new crashes for ${appsListTitle}`;
                     }
+                    else if (alertConfigs.alertDataSubType === 'Regressed crash') {
+                        title = `Resolved crashes occurred again in newer versions of ${appsListTitle}`;
+                    }
                     else if (alertConfigs.alertDataSubType === 'None fatal crash per session') {
                         title = `Noe fatal crash per session for ${appsListTitle} has changed compare to yesterday`;
                     }
                     else if (alertConfigs.alertDataSubType === 'Fatal crash per session') {
                         title = `Fatal crash per session for ${appsListTitle} has changed compare to yesterday`;
                     }
+                    else if (alertConfigs.alertDataSubType === 'Crash-free users' || alertConfigs.alertDataSubType === 'Crash-free sessions') {
+                        title = `${alertConfigs.alertDataSubType} rate for ${appsListTitle} has changed compared to yesterday`;
+                    }
                     const subject = title;
 
-                    html = yield utils.getEmailTemplate({
+                    const templateData = {
                         title: `Countly Alert`,
                         subTitle: `Countly Alert: ` + alertConfigs.alertName,
                         host,
@@ -80,15 +86,8 @@ const crashAlert = {
                             }
                             return item;
                         })
-                    });
-                    emails.forEach((to) => {
-                        utils.addAlertCount(to);
-                        log.i('will send email=>>>>>>>>>>');
-                        log.i('to:', to);
-                        log.d('subject:', subject);
-                        log.d('message:', html);
-                        utils.sendEmail(to, subject, html);
-                    });
+                    };
+                    yield utils.sendAlert(alertConfigs, subject, templateData);
                     callback && callback();
                 }
             }
@@ -112,11 +111,14 @@ const crashAlert = {
             try {
                 log.i("checking alert:", alertConfigs);
                 const alertList = [];
+                // condition is evaluated only at the end of app's day for daily totals
+                let evaluated = false;
                 for (let i = 0; i < alertConfigs.selectedApps.length; i++) {
                     const currentApp = alertConfigs.selectedApps[i];
                     if (alertConfigs.alertDataSubType === 'Total crashes') {
                         const rightHour = yield utils.checkAppLocalTimeHour(currentApp, 23);
                         if (rightHour) {
+                            evaluated = true;
                             const result = yield getCrashInfo(currentApp, alertConfigs);
                             log.d('app:' + currentApp + ' result:', result);
                             if (result.matched) {
@@ -127,15 +129,25 @@ const crashAlert = {
                         }
                     }
                     else if (alertConfigs.alertDataSubType === 'New crash occurence') {
+                        evaluated = true;
                         const result = yield getNewCrashList(currentApp, alertConfigs);
                         log.d("getNewCrashList: ", result);
                         if (result) {
                             alertList.push(result);
                         }
                     }
+                    else if (alertConfigs.alertDataSubType === 'Regressed crash') {
+                        evaluated = true;
+                        const result = yield getRegressedCrashList(currentApp);
+                        log.d("getRegressedCrashList: ", result);
+                        if (result) {
+                            alertList.push(result);
+                        }
+                    }
                     else if (alertConfigs.alertDataSubType === 'None fatal crash per session') {
                         const rightHour = yield utils.checkAppLocalTimeHour(currentApp, 23);
                         if (rightHour) {
+                            evaluated = true;
                             const result = yield getCrashPerSession(currentApp, alertConfigs, 'crnf');
                             log.d('app:' + currentApp + ' result:', result);
                             if (result.matched) {
@@ -148,6 +160,7 @@ const crashAlert = {
                     else if (alertConfigs.alertDataSubType === 'Fatal crash per session') {
                         const rightHour = yield utils.checkAppLocalTimeHour(currentApp, 23);
                         if (rightHour) {
+                            evaluated = true;
                             const result = yield getCrashPerSession(currentApp, alertConfigs, 'crf');
                             log.d('app:' + currentApp + ' result:', result);
                             if (result.matched) {
@@ -157,10 +170,29 @@ const crashAlert = {
                             }
                         }
                     }
+                    else if (alertConfigs.alertDataSubType === 'Crash-free users' || alertConfigs.alertDataSubType === 'Crash-free sessions') {
+                        const rightHour = yield utils.checkAppLocalTimeHour(currentApp, 23);
+                        if (rightHour) {
+                            evaluated = true;
+                            const app = yield utils.getAppInfo(currentApp);
+                            const result = app ? yield getCrashFreeRate(app, alertConfigs) : {matched: false};
+                            log.d('app:' + currentApp + ' result:', result);
+                            if (result.matched) {
+                                result.app = app;
+                                alertList.push(result);
+                            }
+                        }
+                    }
                 }
                 log.d("alert list:", alertList);
                 if (alertList.length > 0) {
-                    self.alert(alertConfigs, alertList);
+                    const notify = yield incidents.trigger(alertConfigs);
+                    if (notify) {
+                        self.alert(alertConfigs, alertList);
+                    }
+                }
+                else if (evaluated) {
+                    yield incidents.recover(alertConfigs);
                 }
                 done();
             }
@@ -179,6 +211,36 @@ const crashAlert = {
  * @return {object} Promise
  */
 function getNewCrashList(currentApp, alertConfigs) {
+    log.d(alertConfigs.period, "!!!");
+    // let unit = 1;
+    // switch(alertConfigs.checkPeriod){
+    // 	case 'secs': unit = 1; break;
+    // 	case 'mins': unit = 60; break;
+    // 	case 'hours': unit = 3600; break;
+    // }
+    // const lastJobTime =  parseInt(new Date().getTime() - 1000 * unit * parseFloat(alertConfigs.checkPeriodValue))/1000;
+
+    const lastJobTime = parseInt(new Date().getTime() - 1000 * 60 * 60) / 1000; //check every 60 minutes;
+    return getCrashGroupList(currentApp, {is_new: true, startTs: {$gt: lastJobTime}});
+}
+
+/**
+ * function for check resolved crashes which occurred again in newer app version in period (60min)
+ * @param {string} currentApp - app id
+ * @return {object} Promise
+ */
+function getRegressedCrashList(currentApp) {
+    const lastJobTime = parseInt(new Date().getTime() - 1000 * 60 * 60) / 1000; //check every 60 minutes;
+    return getCrashGroupList(currentApp, {is_renewed: true, regressed_ts: {$gt: lastJobTime}});
+}
+
+/**
+ * function for fetching crash groups matching query together with app info
+ * @param {string} currentApp - app id
+ * @param {object} query - crash groups query
+ * @return {object} Promise
+ */
+function getCrashGroupList(currentApp, query) {
     return new Promise(function(resolve, reject) {
         common.db.collection('app_crashgroups' + currentApp).estimatedDocumentCount(function(err, total) {
             if (err) {
@@ -187,18 +249,8 @@ function getNewCrashList(currentApp, alertConfigs) {
             if (total <= 0) {
                 return resolve(null);
             }
-            log.d(alertConfigs.period, "!!!");
-            // let unit = 1;
-            // switch(alertConfigs.checkPeriod){
-            // 	case 'secs': unit = 1; break;
-            // 	case 'mins': unit = 60; break;
-            // 	case 'hours': unit = 3600; break;
-            // }
-            // const lastJobTime =  parseInt(new Date().getTime() - 1000 * unit * parseFloat(alertConfigs.checkPeriodValue))/1000;
-
-            const lastJobTime = parseInt(new Date().getTime() - 1000 * 60 * 60) / 1000; //check every 60 minutes;
 
-            var cursor = common.db.collection('app_crashgroups' + currentApp).find({is_new: true, startTs: {$gt: lastJobTime}}, {uid: 1, is_new: 1, name: 1, error: 1, users: 1, startTs: 1, lastTs: 1});
+            var cursor = common.db.collection('app_crashgroups' + currentApp).find(query, {uid: 1, is_new: 1, name: 1, error: 1, users: 1, startTs: 1, lastTs: 1});
             cursor.count(function(err2, count) {
                 if (err2) {
                     reject(err2);
@@ -329,6 +381,43 @@ function getCrashPerSession(currentApp, alertConfigs, crashType) {
     });
 }
 
+/**
+ * fetch crash free users or sessions rate of app version for today and yesterday
+ * @param {object} app - app document
+ * @param {object} alertConfigs  - alertConfig record from db, alertDataSubType2 may contain app version
+ * @return {object} Promise
+ */
+function getCrashFreeRate(app, alertConfigs) {
+    const version = alertConfigs.alertDataSubType2 || "any";
+    const params = {
+        app_id: app._id + "",
+        appTimezone: app.timezone,
+        qstring: {period: '7days', app_version: version === "any" ? undefined : version}
+    };
+    return new Promise(function(resolve, reject) {
+        crashfree.get(params, function(err, res) {
+            if (err) {
+                return reject(err);
+            }
+            const rateName = alertConfigs.alertDataSubType === 'Crash-free sessions' ? 'sessions_rate' : 'users_rate';
+            const daily = res.data[version] || {};
+            const today = res.dates[res.dates.length - 1];
+            const lastDay = res.dates[res.dates.length - 2];
+            const todayValue = daily[today] ? daily[today][rateName] : 100;
+            const lastDateValue = daily[lastDay] ? daily[lastDay][rateName] : 100;
+            //rates are percents already, so change is compared in percentage points
+            const change = todayValue - lastDateValue;
+            const compareValue = parseFloat(alertConfigs.compareValue);
+            const matched = alertConfigs.compareType && alertConfigs.compareType.indexOf('increased') >= 0
+                ? change >= compareValue : -change >= compareValue;
+            return resolve({currentApp: app._id + "", todayValue, lastDateValue, matched});
+        });
+    }).catch((e) => {
+        log.e(e);
+        return {matched: false};
+    });
+}
+
 // log.i = console.log
 // log.d = console.log
 // utils.checkAppLocalTimeHour = function(){
@@ -1,6 +1,7 @@
 'use strict';
 const Promise = require("bluebird");
 const utils = require('../parts/utils');
+const incidents = require('../parts/incidents');
 const bluebird = require("bluebird");
 const moment = require('moment');
 const common = require('../../../../api/utils/common.js');
@@ -20,9 +21,7 @@ const dataPointAlert = {
                 log.i('trigger alert:', result);
 
                 utils.addAlertCount();
-                if (alertConfigs.alertBy === 'email') {
-                    const emails = yield utils.getDashboardUserEmail(alertConfigs.alertValues);
-                    let html = '';
+                if (alertConfigs.alertBy === 'email' || alertConfigs.alertBy === 'chat') {
                     const host = yield utils.getHost();
 
                     let appsListTitle = 'several apps';
@@ -47,7 +46,7 @@ const dataPointAlert = {
 
                     const subject = title;
 
-                    html = yield utils.getEmailTemplate({
+                    const templateData = {
                         title: `Countly Alert`,
                         subTitle: `Countly Alert: ` + alertConfigs.alertName,
                         host,
@@ -66,15 +65,8 @@ const dataPointAlert = {
                             }
                             return item;
                         })
-                    });
-                    emails.forEach((to) => {
-                        utils.addAlertCount(to);
-                        log.i('will send email=>>>>>>>>>>');
-                        log.i('to:', to);
-                        log.d('subject:', subject);
-                        log.d('message:', html);
-                        utils.sendEmail(to, subject, html);
-                    });
+                    };
+                    yield utils.sendAlert(alertConfigs, subject, templateData);
                     callback && callback();
                 }
             }
@@ -129,7 +121,13 @@ const dataPointAlert = {
                 }
                 log.d("alert list:", alertList);
                 if (alertList.length > 0) {
-                    self.alert(alertConfigs, alertList);
+                    const notify = yield incidents.trigger(alertConfigs);
+                    if (notify) {
+                        self.alert(alertConfigs, alertList);
+                    }
+                }
+                else {
+                    yield incidents.recover(alertConfigs);
                 }
                 done();
             }
@@ -1,6 +1,7 @@
 'use strict';
 const Promise = require("bluebird");
 const utils = require('../parts/utils');
+const incidents = require('../parts/incidents');
 const fetch = require('../../../../api/parts/data/fetch.js');
 const bluebird = require("bluebird");
 const common = require('../../../../api/utils/common.js');
@@ -20,9 +21,7 @@ const eventAlert = {
             try {
                 log.i('trigger alert:', alertConfigs);
                 utils.addAlertCount();
-                if (alertConfigs.alertBy === 'email') {
-                    const emails = yield utils.getDashboardUserEmail(alertConfigs.alertValues); //alertConfigs.alertValues.split(',');
-                    let html = '';
+                if (alertConfigs.alertBy === 'email' || alertConfigs.alertBy === 'chat') {
                     const host = yield utils.getHost();
 
                     let appsListTitle = 'several apps';
@@ -37,7 +36,7 @@ const eventAlert = {
                     title = `Event count for ${appsListTitle} has changed compared to yesterday`;
                     const subject = title;
 
-                    html = yield utils.getEmailTemplate({
+                    const templateData = {
                         title: `Countly Alert`,
                         subTitle: `Countly Alert: ` + alertConfigs.alertName,
                         host,
@@ -56,16 +55,8 @@ const eventAlert = {
                             }
                             return item;
                         })
-                    });
-                    emails.forEach((to) => {
-                        utils.addAlertCount(to);
-                        log.i('will send email=>>>>>>>>>>');
-                        log.i('to:', to);
-                        log.d('subject:', subject);
-                        log.d('message:', html);
-
-                        utils.sendEmail(to, subject, html);
-                    });
+                    };
+                    yield utils.sendAlert(alertConfigs, subject, templateData);
                     callback && callback();
                 }
 
@@ -97,10 +88,16 @@ const eventAlert = {
                     const result = utils.compareValues(alertConfigs, data, 'c', 0);
                     log.d('app:', alertConfigs.selectedApps[0], ' result:', result, "getEventData:", JSON.stringify(data));
                     if (result.matched) {
-                        common.db.collection('apps').findOne({ _id: common.db.ObjectID(result.currentApp)}, function(err, app) {
-                            result.app = app;
-                            self.alert(alertConfigs, [result]);
-                        });
+                        const notify = yield incidents.trigger(alertConfigs);
+                        if (notify) {
+                            common.db.collection('apps').findOne({ _id: common.db.ObjectID(result.currentApp)}, function(err, app) {
+                                result.app = app;
+                                self.alert(alertConfigs, [result]);
+                            });
+                        }
+                    }
+                    else {
+                        yield incidents.recover(alertConfigs);
                     }
                 }
                 done();
@@ -1,5 +1,6 @@
 'use strict';
 const utils = require('../parts/utils');
+const incidents = require('../parts/incidents');
 const countlyCommon = require('../../../../api/lib/countly.common.js');
 const fetch = require('../../../../api/parts/data/fetch.js');
 const crypto = require('crypto');
@@ -22,9 +23,7 @@ const RatingAlert = {
             try {
                 log.i('trigger alert:', alertConfigs);
                 utils.addAlertCount();
-                if (alertConfigs.alertBy === 'email') {
-                    const emails = yield utils.getDashboardUserEmail(alertConfigs.alertValues); //alertConfigs.alertValues.split(',');
-                    let html = '';
+                if (alertConfigs.alertBy === 'email' || alertConfigs.alertBy === 'chat') {
                     const host = yield utils.getHost();
 
                     let appsListTitle = 'several apps';
@@ -41,7 +40,7 @@ const RatingAlert = {
                     title = `${keyName} count for ${appsListTitle} has changed compared to yesterday`;
                     const subject = title;
 
-                    html = yield utils.getEmailTemplate({
+                    const templateData = {
                         title: `Countly Alert`,
                         subTitle: `Countly Alert: ` + alertConfigs.alertName,
                         host,
@@ -60,15 +59,8 @@ const RatingAlert = {
                             }
                             return item;
                         })
-                    });
-                    emails.forEach((to) => {
-                        utils.addAlertCount(to);
-                        log.i('will send email=>>>>>>>>>>');
-                        log.i('to:', to);
-                        log.d('subject:', subject);
-                        log.d('message:', html);
-                        utils.sendEmail(to, subject, html);
-                    });
+                    };
+                    yield utils.sendAlert(alertConfigs, subject, templateData);
                     callback && callback();
                 }
             }
@@ -111,7 +103,13 @@ const RatingAlert = {
                     }
                 }
                 if (alertList.length > 0) {
-                    self.alert(alertConfigs, alertList);
+                    const notify = yield incidents.trigger(alertConfigs);
+                    if (notify) {
+                        self.alert(alertConfigs, alertList);
+                    }
+                }
+                else {
+                    yield incidents.recover(alertConfigs);
                 }
                 done();
             }
@@ -4,6 +4,9 @@ const log = require('../../../api/utils/log.js')('alert:api');
 var Promise = require("bluebird");
 const JOB = require('../../../api/parts/jobs');
 const utils = require('./parts/utils');
+const chat = require('../../../api/parts/mgmt/chat.js');
+const anomaly = require('./parts/anomaly');
+const incidents = require('./parts/incidents');
 const _ = require('lodash');
 const { validateCreate, validateRead, validateUpdate } = require('../../../api/utils/rights.js');
 const FEATURE_NAME = 'alerts';
@@ -140,6 +143,42 @@ const FEATURE_NAME = 'alerts';
                     common.returnMessage(params, 200, 'Not enough args');
                     return true;
                 }
+                if (alertConfig.alertBy === 'chat') {
+                    if (!Array.isArray(alertConfig.alertValues) || !alertConfig.alertValues.length || !alertConfig.alertValues.every(url => /^https?:\/\/\S+$/i.test(url))) {
+                        common.returnMessage(params, 400, 'Invalid chat webhook url');
+                        return true;
+                    }
+                    alertConfig.chatFormat = alertConfig.chatFormat || 'slack';
+                    if (chat.FORMATS.indexOf(alertConfig.chatFormat) === -1) {
+                        common.returnMessage(params, 400, 'Invalid chat format');
+                        return true;
+                    }
+                }
+                if (alertConfig.alertDataType === 'anomaly') {
+                    alertConfig.anomalyMethod = alertConfig.anomalyMethod || 'mad';
+                    alertConfig.anomalyGranularity = alertConfig.anomalyGranularity || 'hourly';
+                    alertConfig.anomalyWeeks = parseInt(alertConfig.anomalyWeeks, 10) || anomaly.DEFAULT_WEEKS;
+                    if (anomaly.METHODS.indexOf(alertConfig.anomalyMethod) === -1) {
+                        common.returnMessage(params, 400, 'Invalid anomaly detection method');
+                        return true;
+                    }
+                    if (anomaly.GRANULARITIES.indexOf(alertConfig.anomalyGranularity) === -1) {
+                        common.returnMessage(params, 400, 'Invalid anomaly granularity');
+                        return true;
+                    }
+                    if (alertConfig.anomalyWeeks < 2 || alertConfig.anomalyWeeks > anomaly.MAX_WEEKS) {
+                        common.returnMessage(params, 400, 'Number of weeks for baseline should be between 2 and ' + anomaly.MAX_WEEKS);
+                        return true;
+                    }
+                    if (alertConfig.compareType && !anomaly.DIRECTIONS[alertConfig.compareType]) {
+                        common.returnMessage(params, 400, 'Invalid anomaly condition');
+                        return true;
+                    }
+                    if (alertConfig.compareValue !== undefined && alertConfig.compareValue !== null && !(parseFloat(alertConfig.compareValue) > 0)) {
+                        common.returnMessage(params, 400, 'Anomaly threshold should be a positive number');
+                        return true;
+                    }
+                }
                 if (alertConfig._id) {
                     const id = alertConfig._id;
                     delete alertConfig._id;
@@ -213,6 +252,7 @@ const FEATURE_NAME = 'alerts';
                         log.d(err, result, "delete an alert");
                         if (!err) {
                             deleteJob(alertID);
+                            incidents.removeForAlerts([alertID]);
                             common.returnMessage(params, 200, "Deleted an alert");
                         }
                     }
@@ -334,13 +374,20 @@ const FEATURE_NAME = 'alerts';
                             return log.e('got error in finding members: %j', err2);
                         }
                         utils.getAlertCount(count_query, (count) => {
-                            count.r = 0;
-                            alertsList.forEach((a) => {
-                                const member = _.find(members, {_id: a.createdBy});
-                                a.createdByUser = member && member.full_name;
-                                a.enabled ? count.r++ : null;
+                            const alertIds = alertsList.map((a) => a._id + "");
+                            common.db.collection(incidents.COLLECTION).find({alertId: {$in: alertIds}, status: {$ne: "resolved"}}, {projection: {history: 0}}).toArray(function(err3, activeIncidents) {
+                                if (err3) {
+                                    log.e('got error in finding alert incidents: %j', err3);
+                                }
+                                count.r = 0;
+                                alertsList.forEach((a) => {
+                                    const member = _.find(members, {_id: a.createdBy});
+                                    a.createdByUser = member && member.full_name;
+                                    a.incident = _.find(activeIncidents || [], {alertId: a._id + ""}) || null;
+                                    a.enabled ? count.r++ : null;
+                                });
+                                common.returnOutput(params, { alertsList, count } || []);
                             });
-                            common.returnOutput(params, { alertsList, count } || []);
                         });
                     });
                 });
@@ -353,6 +400,198 @@ const FEATURE_NAME = 'alerts';
         return true;
     });
 
+    /**
+     * Get query to limit incidents to alerts visible for member
+     * @param {object} member - member object
+     * @returns {Promise<object>} query on incidents collection
+     */
+    function getIncidentVisibilityQuery(member) {
+        if (member.global_admin === true) {
+            return Promise.resolve({});
+        }
+        return common.db.collection("alerts").find({createdBy: member._id}, {projection: {_id: 1}}).toArray().then((alertsList) => {
+            return {alertId: {$in: alertsList.map((a) => a._id + "")}};
+        });
+    }
+
+    /**
+     * @api {get} /o/alert/incidents get alert incidents
+     * @apiName getAlertIncidents
+     * @apiGroup alerts
+     *
+     * @apiDescription Get history of alert incidents, newest first.
+     * @apiQuery {String} app_id target app id of the alert.
+     * @apiQuery {String} [alertID] return incidents of this alert only
+     * @apiQuery {String} [status] comma separated statuses: open, acknowledged, snoozed, resolved
+     * @apiQuery {Number} [from] return incidents opened after this timestamp in ms
+     * @apiQuery {Number} [to] return incidents opened before this timestamp in ms
+     * @apiQuery {Number} [limit] max number of incidents, default 50, max 1000
+     * @apiQuery {Number} [skip] number of incidents to skip
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * HTTP/1.1 200 OK
+     *
+     * {
+          "incidents": [
+            {
+              "_id": "6262...",
+              "alertId": "626270afbf7392a8bfd8c1f3",
+              "alertName": "test",
+              "status": "acknowledged",
+              "opened_at": 1650618000000,
+              "last_triggered_at": 1650621600000,
+              "trigger_count": 2,
+              "acknowledged_by_name": "abc",
+              "history": [{"status": "open", "ts": 1650618000000}, {"status": "acknowledged", "ts": 1650619000000, "by": "60afbaa84723f369db477fee", "by_name": "abc"}]
+            }
+          ],
+          "total": 1
+        }
+    */
+    plugins.register("/o/alert/incidents", function(ob) {
+        const params = ob.params;
+        validateRead(params, FEATURE_NAME, function() {
+            const query = {};
+            if (params.qstring.alertID) {
+                query.alertId = params.qstring.alertID + "";
+            }
+            if (params.qstring.status) {
+                const statuses = (params.qstring.status + "").split(",").filter((st) => incidents.STATUSES.indexOf(st) > -1);
+                query.status = {$in: statuses};
+            }
+            const from = parseInt(params.qstring.from, 10);
+            const to = parseInt(params.qstring.to, 10);
+            if (from || to) {
+                query.opened_at = {};
+                if (from) {
+                    query.opened_at.$gte = from;
+                }
+                if (to) {
+                    query.opened_at.$lte = to;
+                }
+            }
+            const limit = Math.min(parseInt(params.qstring.limit, 10) || 50, 1000);
+            const skip = parseInt(params.qstring.skip, 10) || 0;
+            getIncidentVisibilityQuery(params.member).then((visibilityQuery) => {
+                const fullQuery = visibilityQuery.alertId ? {$and: [query, visibilityQuery]} : query;
+                const cursor = common.db.collection(incidents.COLLECTION).find(fullQuery);
+                return Promise.all([
+                    cursor.sort({opened_at: -1}).skip(skip).limit(limit).toArray(),
+                    common.db.collection(incidents.COLLECTION).countDocuments(fullQuery),
+                ]);
+            }).then(([incidentsList, total]) => {
+                common.returnOutput(params, {incidents: incidentsList, total});
+            }).catch((err) => {
+                log.e('get alert incidents failed', err);
+                common.returnMessage(params, 500, "Failed to get alert incidents");
+            });
+        });
+        return true;
+    });
+
+    /**
+     * Change status of active incident from request params
+     * @param {object} params - request params with incidentID
+     * @param {string} status - new status
+     * @param {number=} snoozedUntil - timestamp in ms for snoozed status
+     */
+    function updateIncidentStatus(params, status, snoozedUntil) {
+        if (!params.qstring.incidentID) {
+            common.returnMessage(params, 400, 'Missing parameter "incidentID"');
+            return;
+        }
+        getIncidentVisibilityQuery(params.member).then((visibilityQuery) => {
+            return common.db.collection(incidents.COLLECTION).findOne(Object.assign({_id: common.db.ObjectID(params.qstring.incidentID)}, visibilityQuery));
+        }).then((incident) => {
+            if (!incident) {
+                common.returnMessage(params, 404, "Incident not found");
+                return;
+            }
+            return incidents.setStatus(incident._id, status, params.member, snoozedUntil).then((updated) => {
+                if (!updated) {
+                    common.returnMessage(params, 400, "Incident is already resolved");
+                    return;
+                }
+                common.returnOutput(params, updated);
+            });
+        }).catch((err) => {
+            log.e('update alert incident failed', err);
+            common.returnMessage(params, 500, "Failed to update incident");
+        });
+    }
+
+    /**
+     * @api {get} /i/alert/acknowledge acknowledge alert incident
+     * @apiName acknowledgeAlertIncident
+     * @apiGroup alerts
+     *
+     * @apiDescription Acknowledge active incident, no more notifications are sent until it is resolved.
+     * @apiQuery {String} incidentID id of incident
+     * @apiQuery {String} app_id target app id of the alert.
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * HTTP/1.1 200 OK
+     *
+     * {"_id": "6262...", "status": "acknowledged", ...}
+    */
+    plugins.register("/i/alert/acknowledge", function(ob) {
+        const params = ob.params;
+        validateUpdate(params, FEATURE_NAME, function() {
+            updateIncidentStatus(params, "acknowledged");
+        });
+        return true;
+    });
+
+    /**
+     * @api {get} /i/alert/snooze snooze alert incident
+     * @apiName snoozeAlertIncident
+     * @apiGroup alerts
+     *
+     * @apiDescription Snooze active incident, notifications resume if condition is still met after snooze ends.
+     * @apiQuery {String} incidentID id of incident
+     * @apiQuery {Number} until timestamp in ms until which incident is snoozed
+     * @apiQuery {String} app_id target app id of the alert.
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * HTTP/1.1 200 OK
+     *
+     * {"_id": "6262...", "status": "snoozed", "snoozed_until": 1650622000000, ...}
+    */
+    plugins.register("/i/alert/snooze", function(ob) {
+        const params = ob.params;
+        validateUpdate(params, FEATURE_NAME, function() {
+            const until = parseInt(params.qstring.until, 10);
+            if (!until || until <= Date.now()) {
+                common.returnMessage(params, 400, 'Parameter "until" should be a timestamp in future');
+                return;
+            }
+            updateIncidentStatus(params, "snoozed", until);
+        });
+        return true;
+    });
+
+    /**
+     * @api {get} /i/alert/resolve resolve alert incident
+     * @apiName resolveAlertIncident
+     * @apiGroup alerts
+     *
+     * @apiDescription Resolve active incident manually, new incident is opened next time condition is met.
+     * @apiQuery {String} incidentID id of incident
+     * @apiQuery {String} app_id target app id of the alert.
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * HTTP/1.1 200 OK
+     *
+     * {"_id": "6262...", "status": "resolved", ...}
+    */
+    plugins.register("/i/alert/resolve", function(ob) {
+        const params = ob.params;
+        validateUpdate(params, FEATURE_NAME, function() {
+            updateIncidentStatus(params, "resolved");
+        });
+        return true;
+    });
+
     /**
 	 * remove app related alerts record and  alert job records;
 	 * @param {string} appId  - app id
@@ -364,6 +603,7 @@ const FEATURE_NAME = 'alerts';
                     return record._id;
                 }) || [];
                 common.db.collection('alerts').remove({selectedApps: {$all: [appId]}}, function() {});
+                incidents.removeForAlerts(ids);
                 common.db.collection('jobs').remove({'data.alertID': {$in: ids}}, function() {});
             }
         });
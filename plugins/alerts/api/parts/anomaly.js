@@ -0,0 +1,174 @@
+/**
+ * Anomaly detection for alerts. Current value is compared against a seasonal baseline built from
+ * the same hour or the same day of week in previous weeks, read from aggregated collections.
+ */
+const common = require('../../../../api/utils/common.js');
+const moment = require('moment-timezone');
+
+const anomaly = {};
+
+anomaly.METHODS = ["zscore", "mad"];
+anomaly.GRANULARITIES = ["hourly", "daily"];
+anomaly.DIRECTIONS = {
+    "is above baseline by": "up",
+    "is below baseline by": "down",
+    "deviates from baseline by": "both",
+};
+anomaly.DEFAULT_WEEKS = 4;
+anomaly.MAX_WEEKS = 12;
+anomaly.DEFAULT_THRESHOLD = 3;
+
+// scale factor making MAD a consistent estimator of standard deviation for normal data
+const MAD_SCALE = 1.4826;
+
+/**
+ * Get arithmetic mean
+ * @param {Array<number>} values - values
+ * @returns {number} mean
+ */
+anomaly.mean = function(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+};
+
+/**
+ * Get sample standard deviation
+ * @param {Array<number>} values - values
+ * @returns {number} standard deviation
+ */
+anomaly.stdDev = function(values) {
+    if (values.length < 2) {
+        return 0;
+    }
+    const mean = anomaly.mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length - 1));
+};
+
+/**
+ * Get median
+ * @param {Array<number>} values - values
+ * @returns {number} median
+ */
+anomaly.median = function(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Get median absolute deviation scaled to be comparable with standard deviation
+ * @param {Array<number>} values - values
+ * @returns {number} scaled MAD
+ */
+anomaly.mad = function(values) {
+    const median = anomaly.median(values);
+    return anomaly.median(values.map(v => Math.abs(v - median))) * MAD_SCALE;
+};
+
+/**
+ * Check if value is outside of band around baseline
+ * @param {number} value - current value
+ * @param {Array<number>} history - values of same period in previous weeks
+ * @param {object} options - detection options
+ * @param {string} options.method - zscore uses mean and standard deviation, mad uses median and median absolute deviation
+ * @param {number} options.threshold - band width in deviations
+ * @param {string} options.direction - up, down or both
+ * @returns {object} detection result with baseline, band and score, matched is false if history is too short
+ */
+anomaly.detect = function(value, history, options) {
+    const method = options.method === "mad" ? "mad" : "zscore";
+    const threshold = options.threshold > 0 ? options.threshold : anomaly.DEFAULT_THRESHOLD;
+    const result = {value, samples: history.length, method, threshold, matched: false};
+    if (history.length < 2) {
+        return result;
+    }
+    result.baseline = method === "mad" ? anomaly.median(history) : anomaly.mean(history);
+    result.spread = method === "mad" ? anomaly.mad(history) : anomaly.stdDev(history);
+    result.lower = Math.max(result.baseline - threshold * result.spread, 0);
+    result.upper = result.baseline + threshold * result.spread;
+    if (result.spread === 0) {
+        // flat history, any change leaves the band
+        result.score = value === result.baseline ? 0 : (value > result.baseline ? Infinity : -Infinity);
+    }
+    else {
+        result.score = (value - result.baseline) / result.spread;
+    }
+    if (options.direction === "up") {
+        result.matched = result.score > threshold;
+    }
+    else if (options.direction === "down") {
+        result.matched = result.score < -threshold;
+    }
+    else {
+        result.matched = Math.abs(result.score) > threshold;
+    }
+    return result;
+};
+
+/**
+ * Get dates of current period and same period in previous weeks
+ * @param {object} now - moment in app timezone
+ * @param {number} weeks - number of previous weeks
+ * @returns {Array<object>} moments, current period first
+ */
+anomaly.getSeasonalDates = function(now, weeks) {
+    const dates = [];
+    for (let i = 0; i <= weeks; i++) {
+        dates.push(now.clone().subtract(i * 7, "days"));
+    }
+    return dates;
+};
+
+/**
+ * Read metric values from monthly documents of aggregated collection, summing splitted documents
+ * @param {object} db - db object
+ * @param {string} collection - aggregated collection name, users or events collection
+ * @param {string} idPrefix - document id prefix, app id for users and no-segment for events
+ * @param {string} metric - metric key like t, n, u or c
+ * @param {Array<object>} dates - moments in app timezone
+ * @param {string} granularity - hourly or daily
+ * @returns {Promise<Array<number>>} values in the same order as dates
+ */
+anomaly.fetchValues = async function(db, collection, idPrefix, metric, dates, granularity) {
+    const ids = [];
+    const projection = {};
+    dates.forEach((date) => {
+        const id = idPrefix + "_" + date.year() + ":" + (date.month() + 1);
+        if (ids.indexOf(id) === -1) {
+            ids.push(id);
+            common.base64.forEach(b => ids.push(id + "_" + b));
+        }
+        projection["d." + date.date()] = 1;
+    });
+    projection.m = 1;
+    const docs = await db.collection(collection).find({_id: {$in: ids}}, {projection}).toArray();
+    return dates.map((date) => {
+        const month = date.year() + ":" + (date.month() + 1);
+        let value = 0;
+        docs.forEach((doc) => {
+            if (doc.m !== month || !doc.d || !doc.d[date.date()]) {
+                return;
+            }
+            const day = doc.d[date.date()];
+            const level = granularity === "hourly" ? day[date.hours()] : day;
+            value += level && level[metric] || 0;
+        });
+        return value;
+    });
+};
+
+/**
+ * Get current value and seasonal history for app
+ * @param {object} db - db object
+ * @param {object} app - app document
+ * @param {object} target - {collection, idPrefix, metric}
+ * @param {object} options - {weeks, granularity}
+ * @returns {Promise<object>} - {value, history}
+ */
+anomaly.getSeries = async function(db, app, target, options) {
+    const now = moment().tz(app.timezone || "UTC");
+    const dates = anomaly.getSeasonalDates(now, options.weeks);
+    const values = await anomaly.fetchValues(db, target.collection, target.idPrefix, target.metric, dates, options.granularity);
+    return {value: values[0], history: values.slice(1)};
+};
+
+module.exports = anomaly;
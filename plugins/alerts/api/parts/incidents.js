@@ -0,0 +1,135 @@
+/**
+ * Alert incidents. An incident is opened when alert condition is met and stays active until the
+ * condition is evaluated as not met again, or until it is resolved manually. Active incident can be
+ * acknowledged to stop repeated notifications or snoozed until some time.
+ */
+const common = require('../../../../api/utils/common.js');
+const utils = require('./utils');
+const log = require('../../../../api/utils/log.js')('alert:incidents');
+
+const COLLECTION = "alert_incidents";
+
+const incidents = {};
+
+incidents.COLLECTION = COLLECTION;
+incidents.STATUSES = ["open", "acknowledged", "snoozed", "resolved"];
+
+/**
+ * Get active incident of alert
+ * @param {string} alertId - alert id
+ * @returns {Promise<object>} incident or null
+ */
+incidents.getActive = function(alertId) {
+    return common.db.collection(COLLECTION).findOne({alertId: alertId + "", status: {$ne: "resolved"}});
+};
+
+/**
+ * Record that alert condition is met, opening new incident if there is no active one
+ * @param {object} alertConfigs - alertConfig record from db
+ * @returns {Promise<boolean>} true if notification should be sent, false if incident is acknowledged or snoozed
+ */
+incidents.trigger = async function(alertConfigs) {
+    const now = Date.now();
+    const active = await incidents.getActive(alertConfigs._id);
+    if (!active) {
+        await common.db.collection(COLLECTION).insertOne({
+            alertId: alertConfigs._id + "",
+            alertName: alertConfigs.alertName,
+            alertDataType: alertConfigs.alertDataType,
+            compareDescribe: alertConfigs.compareDescribe,
+            selectedApps: alertConfigs.selectedApps,
+            status: "open",
+            opened_at: now,
+            last_triggered_at: now,
+            trigger_count: 1,
+            history: [{status: "open", ts: now}],
+        });
+        return true;
+    }
+    const update = {$set: {last_triggered_at: now}, $inc: {trigger_count: 1}};
+    let notify = active.status === "open";
+    if (active.status === "snoozed" && active.snoozed_until <= now) {
+        update.$set.status = "open";
+        update.$unset = {snoozed_until: ""};
+        update.$push = {history: {status: "open", ts: now, reason: "snooze expired"}};
+        notify = true;
+    }
+    await common.db.collection(COLLECTION).updateOne({_id: active._id}, update);
+    log.d("alert", alertConfigs._id, "incident", active._id, active.status, "notify:", notify);
+    return notify;
+};
+
+/**
+ * Record that alert condition is not met, resolving active incident and sending recovery notification
+ * @param {object} alertConfigs - alertConfig record from db
+ * @returns {Promise<object>} resolved incident or null if there was no active incident
+ */
+incidents.recover = async function(alertConfigs) {
+    const now = Date.now();
+    const result = await common.db.collection(COLLECTION).findOneAndUpdate(
+        {alertId: alertConfigs._id + "", status: {$ne: "resolved"}},
+        {
+            $set: {status: "resolved", resolved_at: now},
+            $unset: {snoozed_until: ""},
+            $push: {history: {status: "resolved", ts: now, reason: "recovered"}}
+        },
+        {returnDocument: "after"}
+    );
+    const incident = result && result.value;
+    if (incident) {
+        log.d("alert", alertConfigs._id, "recovered, incident", incident._id);
+        try {
+            await utils.sendRecovery(alertConfigs, incident);
+        }
+        catch (e) {
+            log.e("failed to send recovery notification", e);
+        }
+    }
+    return incident || null;
+};
+
+/**
+ * Change status of active incident by dashboard user
+ * @param {string} incidentId - incident id
+ * @param {string} status - acknowledged, snoozed or resolved
+ * @param {object} member - member changing status
+ * @param {number=} snoozedUntil - timestamp in ms until which notifications are snoozed
+ * @returns {Promise<object>} updated incident or null if there is no active incident with such id
+ */
+incidents.setStatus = async function(incidentId, status, member, snoozedUntil) {
+    const now = Date.now();
+    const update = {
+        $set: {status: status},
+        $push: {history: {status: status, ts: now, by: member._id + "", by_name: member.full_name}}
+    };
+    if (status === "acknowledged") {
+        update.$set.acknowledged_at = now;
+        update.$set.acknowledged_by = member._id + "";
+        update.$set.acknowledged_by_name = member.full_name;
+    }
+    else if (status === "snoozed") {
+        update.$set.snoozed_until = snoozedUntil;
+        update.$push.history.snoozed_until = snoozedUntil;
+    }
+    else if (status === "resolved") {
+        update.$set.resolved_at = now;
+        update.$unset = {snoozed_until: ""};
+    }
+    const result = await common.db.collection(COLLECTION).findOneAndUpdate(
+        {_id: common.db.ObjectID(incidentId), status: {$ne: "resolved"}},
+        update,
+        {returnDocument: "after"}
+    );
+    return result && result.value || null;
+};
+
+/**
+ * Remove incidents of alerts
+ * @param {Array<string>} alertIds - alert ids
+ * @returns {Promise} delete promise
+ */
+incidents.removeForAlerts = function(alertIds) {
+    return common.db.collection(COLLECTION).deleteMany({alertId: {$in: alertIds.map(id => id + "")}});
+};
+
+module.exports = incidents;
@@ -1,4 +1,5 @@
 const mail = require("../../../../api/parts/mgmt/mail");
+const chat = require("../../../../api/parts/mgmt/chat");
 const request = require('request');
 const moment = require('moment-timezone');
 
@@ -16,6 +17,100 @@ utils.sendEmail = function(to, subject, message, callback) {
     return mail.sendMessage(to, subject, message, callback);
 };
 
+/**
+ * Send alert message through channel selected in alert config
+ * @param {object} alertConfigs - alert config record from db
+ * @param {string} subject - message subject
+ * @param {object} templateData - data for email template, {title, subTitle, host, compareDescribe, apps: [{id, name, data: [{key, value}]}]}
+ * @returns {Promise} promise resolved when messages are sent
+ */
+utils.sendAlert = function(alertConfigs, subject, templateData) {
+    if (alertConfigs.alertBy === 'chat') {
+        return utils.sendChatMessage(alertConfigs, subject, templateData);
+    }
+    return utils.getDashboardUserEmail(alertConfigs.alertValues).then((emails) => {
+        return utils.getEmailTemplate(templateData).then((html) => {
+            emails.forEach((to) => {
+                utils.addAlertCount(to);
+                log.i('will send email=>>>>>>>>>>');
+                log.i('to:', to);
+                log.d('subject:', subject);
+                log.d('message:', html);
+                utils.sendEmail(to, subject, html);
+            });
+        });
+    });
+};
+
+/**
+ * Send alert message to chat incoming webhooks from alertValues
+ * @param {object} alertConfigs - alert config record from db, alertValues holds webhook urls and chatFormat holds payload format
+ * @param {string} subject - message subject
+ * @param {object} templateData - data for email template, see utils.sendAlert
+ * @returns {Promise} promise resolved when messages are sent
+ */
+utils.sendChatMessage = function(alertConfigs, subject, templateData) {
+    const data = {
+        alertName: alertConfigs.alertName,
+        compareDescribe: alertConfigs.compareDescribe,
+        subject,
+        apps: templateData.apps,
+    };
+    const message = {
+        title: subject,
+        text: alertConfigs.chatTemplate ? chat.render(alertConfigs.chatTemplate, data) : `*${alertConfigs.alertName}*: ${alertConfigs.compareDescribe || ''}`,
+        sections: (templateData.apps || []).map((app) => {
+            return {
+                title: app.name,
+                fields: app.data.map((item) => ({key: chat.htmlToText(item.key), value: item.value}))
+            };
+        }),
+        url: templateData.host ? templateData.host + '/dashboard#/manage/alerts' : undefined,
+        color: templateData.color || 'D23F00',
+    };
+    const urls = Array.isArray(alertConfigs.alertValues) ? alertConfigs.alertValues : [alertConfigs.alertValues];
+    return Promise.all(urls.map((url) => {
+        return new Promise((resolve) => {
+            log.i('will send chat message to:', url);
+            chat.sendMessage(url, alertConfigs.chatFormat || 'slack', message, () => resolve());
+        });
+    }));
+};
+
+/**
+ * Send notification that alert condition is not met anymore
+ * @param {object} alertConfigs - alert config record from db
+ * @param {object} incident - resolved incident record
+ * @returns {Promise} promise resolved when messages are sent
+ */
+utils.sendRecovery = function(alertConfigs, incident) {
+    if (alertConfigs.alertBy !== 'email' && alertConfigs.alertBy !== 'chat') {
+        return Promise.resolve();
+    }
+    return Promise.all([utils.getHost()].concat((alertConfigs.selectedApps || []).map((appId) => utils.getAppInfo(appId)))).then(([host, ...apps]) => {
+        const subject = `Resolved: ${alertConfigs.alertName} is back to normal`;
+        const templateData = {
+            title: `Countly Alert Resolved`,
+            subTitle: `Countly Alert Resolved: ` + alertConfigs.alertName,
+            host,
+            compareDescribe: alertConfigs.compareDescribe,
+            color: '12AF51',
+            apps: apps.filter((app) => app).map((app) => {
+                return {
+                    id: app._id,
+                    name: app.name,
+                    data: [
+                        {key: 'Triggered At', value: moment(incident.opened_at).tz(app.timezone || 'UTC').format('YYYY-MM-DD HH:mm z')},
+                        {key: 'Resolved At', value: moment(incident.resolved_at).tz(app.timezone || 'UTC').format('YYYY-MM-DD HH:mm z')},
+                        {key: 'Times Triggered', value: incident.trigger_count},
+                    ]
+                };
+            })
+        };
+        return utils.sendAlert(alertConfigs, subject, templateData);
+    });
+};
+
 utils.sendRequest = function(url, callback) {
     return request(url, function(error, response, body) {
         log.d('will send Alert request', error, response, body);
@@ -131,6 +131,34 @@
         });
     };
 
+    countlyAlerts.getCrashFreeVersions = function(appId, callback) {
+        var versions = [{value: "any", name: jQuery.i18n.map["crashes.crash-free.all-versions"] || "All versions"}];
+        if (!appId) {
+            callback(versions);
+            return;
+        }
+        $.ajax({
+            type: "GET",
+            url: countlyCommon.API_PARTS.data.r,
+            data: {
+                "app_id": appId,
+                "method": "crashes",
+                "crashfree": true,
+                "period": "30days"
+            },
+            dataType: "json",
+            success: function(res) {
+                ((res && res.versions) || []).forEach(function(version) {
+                    versions.push({value: version, name: version});
+                });
+                callback(versions);
+            },
+            error: function() {
+                callback(versions);
+            }
+        });
+    };
+
     countlyAlerts.getVuexModule = function() {
         var getEmptyState = function() {
             return {
@@ -189,6 +217,27 @@
                     },
                 });
             },
+            updateIncident: function(context, options) {
+                var data = {
+                    "incidentID": options.incidentID,
+                    "app_id": options.appid === "all" ? countlyCommon.ACTIVE_APP_ID : options.appid,
+                };
+                if (options.until) {
+                    data.until = options.until;
+                }
+                return CV.$.ajax({
+                    type: "GET",
+                    url: countlyCommon.API_PARTS.data.w + "/alert/" + options.action,
+                    data: data,
+                    dataType: "json",
+                    success: function() {
+                        context.dispatch("countlyAlerts/table/fetchAll", null, {root: true});
+                    },
+                    error: function(e) {
+                        CountlyHelpers.notify({message: (e.responseJSON && e.responseJSON.result) || e.statusText, type: "error"});
+                    }
+                });
+            },
             deleteOnlineUsersAlert: function(context, options) {
                 return CV.$.ajax({
                     type: "GET",
@@ -415,6 +464,10 @@
 
             period: "every 1 hour on the 59th min",
             alertBy: "email",
+            chatFormat: "slack",
+            anomalyMethod: "mad",
+            anomalyGranularity: "hourly",
+            anomalyWeeks: 4,
             enabled: true,
             compareDescribe: '',
             alertValues: [],
@@ -34,6 +34,19 @@
                 showCondition: true,
                 showConditionValue: true,
                 alertDataSubType2Options: [],
+                chatFormatOptions: [
+                    {label: jQuery.i18n.map["alert.chat-format-slack"], value: "slack"},
+                    {label: jQuery.i18n.map["alert.chat-format-teams"], value: "teams"},
+                    {label: jQuery.i18n.map["alert.chat-format-generic"], value: "generic"},
+                ],
+                anomalyMethodOptions: [
+                    {label: jQuery.i18n.map["alert.anomaly-method-mad"], value: "mad"},
+                    {label: jQuery.i18n.map["alert.anomaly-method-zscore"], value: "zscore"},
+                ],
+                anomalyGranularityOptions: [
+                    {label: jQuery.i18n.map["alert.anomaly-granularity-hourly"], value: "hourly"},
+                    {label: jQuery.i18n.map["alert.anomaly-granularity-daily"], value: "daily"},
+                ],
                 eventTargets: [],
                 metricTargets: [],
                 defaultAlertDefine: {
@@ -61,8 +74,11 @@
                         target: [
                             { value: 'Total crashes', label: 'Total crashes' },
                             { value: 'New crash occurence', label: 'New crash occurence' },
+                            { value: 'Regressed crash', label: 'Regressed crash' },
                             { value: 'None fatal crash per session', label: 'None fatal crash per session' },
                             { value: 'Fatal crash per session', label: 'Fatal crash per session' },
+                            { value: 'Crash-free users', label: 'Crash-free users' },
+                            { value: 'Crash-free sessions', label: 'Crash-free sessions' },
                         ],
                         condition: [
                             { value: 'increased by at least', label: 'increased by at least' },
@@ -89,6 +105,18 @@
                             { value: 'decreased by at least', label: 'decreased by at least' },
                         ]
                     },
+                    anomaly: {
+                        target: [
+                            { value: 'Total sessions', label: 'Total sessions' },
+                            { value: 'Total users', label: 'Total users' },
+                            { value: 'New users', label: 'New users' },
+                        ],
+                        condition: [
+                            { value: 'is above baseline by', label: 'is above baseline by' },
+                            { value: 'is below baseline by', label: 'is below baseline by' },
+                            { value: 'deviates from baseline by', label: 'deviates from baseline by' },
+                        ]
+                    },
                 }
             };
         },
@@ -100,6 +128,7 @@
                     {label: jQuery.i18n.map["alert.Crash"], value: 'crash'},
                     {label: jQuery.i18n.map["alert.rating"], value: 'rating'},
                     {label: jQuery.i18n.map["alert.data-point"], value: 'dataPoint'},
+                    {label: jQuery.i18n.map["alert.anomaly"], value: 'anomaly'},
                 ];
                 if (this.externalDataTypeOptions) {
                     alertDataTypeOptions = alertDataTypeOptions.concat(this.externalDataTypeOptions);
@@ -117,6 +146,7 @@
 
                 if (eventTargets && eventTargets.length) {
                     allOptions.event.target = eventTargets;
+                    allOptions.anomaly.target = allOptions.anomaly.target.concat(eventTargets);
                 }
 
                 if (metricTargets && metricTargets.length) {
@@ -200,9 +230,11 @@
                 this.showConditionValue = true;
             },
             alertDataSubTypeSelected: function(alertDataSubType, notReset) {
+                var self = this;
                 this.resetAlertConditionShow();
                 switch (alertDataSubType) {
                 case 'New crash occurence':
+                case 'Regressed crash':
                     this.showSubType2 = false;
                     this.showCondition = false;
                     this.showConditionValue = false;
@@ -218,13 +250,22 @@
                 case 'Bounce rate':
                     this.resetAlertConditionShow();
                     this.showSubType2 = true;
-                    var self = this;
                     countlyAlerts.getViewForApp(this.apps[0], function(viewList) {
                         self.alertDataSubType2Options = viewList.map(function(v) {
                             return {value: v.value, label: v.name};
                         });
                     });
                     break;
+                case 'Crash-free users':
+                case 'Crash-free sessions':
+                    this.resetAlertConditionShow();
+                    this.showSubType2 = true;
+                    countlyAlerts.getCrashFreeVersions(this.apps[0], function(versions) {
+                        self.alertDataSubType2Options = versions.map(function(v) {
+                            return {value: v.value, label: v.name};
+                        });
+                    });
+                    break;
                 case 't':
                     this.showUserCount = true;
                     this.showSubType2 = false;
@@ -279,6 +320,16 @@
                         });
                     }
                     break;
+                case "anomaly":
+                    target = target.split("***").pop();
+                    break;
+                case 'crash':
+                    this.alertDataSubType2Options.forEach(function(item) {
+                        if (item.value === settings.alertDataSubType2) {
+                            subTarget = item.label;
+                        }
+                    });
+                    break;
                 case 'metric':
                     if (target === 'Bounce rate' || target === 'Number of page views') {
                         this.alertDataSubType2Options.forEach(function(item) {
@@ -298,8 +349,14 @@
 
                 switch (settings.alertDataSubType) {
                 case 'New crash occurence':
+                case 'Regressed crash':
                     break;
                 default:
+                    if (settings.alertDataType === 'anomaly') {
+                        settings.compareDescribe += ' ' + settings.compareType + ' ' + settings.compareValue + ' ' +
+                            jQuery.i18n.prop("alert.anomaly-describe", settings.anomalyMethod === 'zscore' ? 'σ' : 'MAD', settings.anomalyWeeks);
+                        break;
+                    }
                     settings.compareDescribe += ' ' + settings.compareType +
                         ' ' + settings.compareValue + "%";
                     break;
@@ -422,6 +479,20 @@
                     /* eslint-enable */
                     this.$parent.$parent.openDrawer("home", data);
                 }
+                else if (command === "acknowledge-incident" || command === "snooze-incident-hour" || command === "snooze-incident-day" || command === "resolve-incident") {
+                    var options = {
+                        incidentID: scope.row.incident._id,
+                        appid: scope.row.selectedApps[0],
+                        action: command.split("-")[0],
+                    };
+                    if (command === "snooze-incident-hour") {
+                        options.until = Date.now() + 60 * 60 * 1000;
+                    }
+                    else if (command === "snooze-incident-day") {
+                        options.until = Date.now() + 24 * 60 * 60 * 1000;
+                    }
+                    this.$store.dispatch("countlyAlerts/updateIncident", options);
+                }
                 else if (command === "delete-comment") {
                     var self = this;
                     this.deleteElement = scope.row;
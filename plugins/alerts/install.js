@@ -8,7 +8,11 @@ pluginManager.dbConnection().then((db) => {
         {$set: {"period": "every 59 mins starting on the 59 min"} },
         {upsert: false, multi: true},
         function() {
-            console.log("Alerts plugin installation finished");
-            db.close();
+            db.collection('alert_incidents').ensureIndex({"alertId": 1, "status": 1}, function() {
+                db.collection('alert_incidents').ensureIndex({"opened_at": -1}, function() {
+                    console.log("Alerts plugin installation finished");
+                    db.close();
+                });
+            });
         });
 });
\ No newline at end of file
@@ -5,6 +5,11 @@ var moment = require('moment-timezone');
 var testUtils = require("../../test/testUtils");
 var pluginManager = require("../../plugins/pluginManager.js");
 var Promise = require("bluebird");
+var http = require("http");
+var alertUtils = require("./api/parts/utils.js");
+var incidents = require("./api/parts/incidents.js");
+var anomaly = require("./api/parts/anomaly.js");
+var common = require("../../api/utils/common.js");
 request = request(testUtils.url);
 
 
@@ -125,7 +130,539 @@ describe('Testing Alert', function() {
         });
     });
 
+    describe('Testing chat alerts', function() {
+        const chatAlert = Object.assign({}, newAlert, {alertName: "chat test", alertBy: "chat", chatFormat: "slack"});
+        const templateData = {host: "http://countly.test", apps: [{id: "1", name: "Test app", data: [{key: "<b>Total users</b>", value: 12}]}]};
+        const received = [];
+        let chatAlertID = null;
+        let savedChatAlert = null;
+        let mockServer = null;
 
-});
+        /**
+         * Get url of mock chat webhook
+         * @param {string} path - webhook path
+         * @returns {string} url
+         */
+        function getWebhookURL(path) {
+            return "http://localhost:" + mockServer.address().port + path;
+        }
+
+        before(function(done) {
+            mockServer = http.createServer(function(req, res) {
+                let body = "";
+                req.on("data", function(chunk) {
+                    body += chunk;
+                });
+                req.on("end", function() {
+                    received.push({method: req.method, url: req.url, headers: req.headers, body: body});
+                    res.writeHead(200);
+                    res.end("ok");
+                });
+            }).listen(0, function() {
+                chatAlert.alertValues = [getWebhookURL("/slack")];
+                done();
+            });
+        });
+
+        after(function(done) {
+            mockServer.close(done);
+        });
+
+        it('should reject chat alert with invalid webhook url', function(done) {
+            const APP_ID = testUtils.get("APP_ID");
+            const alertConfig = Object.assign({}, chatAlert, {selectedApps: [APP_ID], alertValues: ["a@a.com"]});
+            request.get(getRequestURL('/i/alert/save') + "&alert_config=" + encodeURIComponent(JSON.stringify(alertConfig)))
+                .expect(400)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("result", "Invalid chat webhook url");
+                    done();
+                });
+        });
+
+        it('should reject chat alert with unknown format', function(done) {
+            const APP_ID = testUtils.get("APP_ID");
+            const alertConfig = Object.assign({}, chatAlert, {selectedApps: [APP_ID], chatFormat: "irc"});
+            request.get(getRequestURL('/i/alert/save') + "&alert_config=" + encodeURIComponent(JSON.stringify(alertConfig)))
+                .expect(400)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("result", "Invalid chat format");
+                    done();
+                });
+        });
+
+        it('should create chat alert', function(done) {
+            const APP_ID = testUtils.get("APP_ID");
+            const alertConfig = Object.assign({}, chatAlert, {selectedApps: [APP_ID]});
+            request.get(getRequestURL('/i/alert/save') + "&alert_config=" + encodeURIComponent(JSON.stringify(alertConfig)))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    chatAlertID = res.body;
+                    request.get(getRequestURL('/o/alert/list'))
+                        .expect(200)
+                        .end(function(err, res) {
+                            if (err) {
+                                return done(err);
+                            }
+                            const saved = res.body.alertsList.filter(r => r._id === chatAlertID)[0];
+                            should.exist(saved);
+                            saved.should.have.property("alertBy", "chat");
+                            saved.should.have.property("chatFormat", "slack");
+                            savedChatAlert = saved;
+                            done();
+                        });
+                });
+        });
+
+        it('should post Slack message of saved chat alert to webhook', function(done) {
+            received.length = 0;
+            alertUtils.sendAlert(savedChatAlert, "Countly Alert: chat test", templateData).then(function() {
+                received.should.have.lengthOf(1);
+                received[0].should.have.property('method', 'POST');
+                received[0].should.have.property('url', '/slack');
+                received[0].headers.should.have.property('content-type', 'application/json');
+                const payload = JSON.parse(received[0].body);
+                payload.should.have.property('text', 'Countly Alert: chat test');
+                payload.blocks[0].should.eql({type: "header", text: {type: "plain_text", text: "Countly Alert: chat test"}});
+                payload.blocks[1].should.eql({type: "section", text: {type: "mrkdwn", text: "*chat test*: Total users increased by at least 1%"}});
+                payload.blocks[2].should.eql({type: "section", text: {type: "mrkdwn", text: "*Test app*"}});
+                payload.blocks[3].should.eql({type: "section", fields: [{type: "mrkdwn", text: "*Total users*\n12"}]});
+                payload.blocks[4].elements[0].should.have.property('url', 'http://countly.test/dashboard#/manage/alerts');
+                done();
+            }).catch(done);
+        });
+
+        it('should post Teams message card to webhook', function(done) {
+            received.length = 0;
+            const alertConfig = Object.assign({}, chatAlert, {chatFormat: "teams", alertValues: [getWebhookURL("/teams")]});
+            alertUtils.sendAlert(alertConfig, "Countly Alert: chat test", templateData).then(function() {
+                received.should.have.lengthOf(1);
+                received[0].should.have.property('url', '/teams');
+                const payload = JSON.parse(received[0].body);
+                payload.should.have.property('@type', 'MessageCard');
+                payload.should.have.property('title', 'Countly Alert: chat test');
+                payload.should.have.property('text', '*chat test*: Total users increased by at least 1%');
+                payload.should.have.property('themeColor', 'D23F00');
+                payload.sections.should.eql([{activityTitle: "Test app", facts: [{name: "Total users", value: "12"}]}]);
+                payload.potentialAction[0].targets[0].should.have.property('uri', 'http://countly.test/dashboard#/manage/alerts');
+                done();
+            }).catch(done);
+        });
+
+        it('should post generic JSON message to every webhook', function(done) {
+            received.length = 0;
+            const alertConfig = Object.assign({}, chatAlert, {chatFormat: "generic", chatTemplate: "{{alertName}} fired", alertValues: [getWebhookURL("/generic1"), getWebhookURL("/generic2")]});
+            alertUtils.sendAlert(alertConfig, "Countly Alert: chat test", templateData).then(function() {
+                received.should.have.lengthOf(2);
+                received.map(r => r.url).sort().should.eql(['/generic1', '/generic2']);
+                JSON.parse(received[0].body).should.eql({
+                    title: "Countly Alert: chat test",
+                    text: "chat test fired",
+                    sections: [{title: "Test app", fields: [{key: "Total users", value: 12}]}],
+                    url: "http://countly.test/dashboard#/manage/alerts"
+                });
+                done();
+            }).catch(done);
+        });
+
+        it('should delete chat alert', function(done) {
+            request.get(getRequestURL('/i/alert/delete') + "&alertID=" + chatAlertID)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    done();
+                });
+        });
+    });
+
+    describe('Testing anomaly alerts', function() {
+        const anomalyAlert = Object.assign({}, newAlert, {alertName: "anomaly test", alertDataType: "anomaly", alertDataSubType: "Total sessions", compareType: "deviates from baseline by", compareValue: "3", anomalyMethod: "mad", anomalyGranularity: "hourly", anomalyWeeks: 4});
+        let anomalyAlertID = null;
+
+        it('should reject anomaly alert with unknown method', function(done) {
+            const APP_ID = testUtils.get("APP_ID");
+            const alertConfig = Object.assign({}, anomalyAlert, {selectedApps: [APP_ID], anomalyMethod: "iqr"});
+            request.get(getRequestURL('/i/alert/save') + "&alert_config=" + encodeURIComponent(JSON.stringify(alertConfig)))
+                .expect(400)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("result", "Invalid anomaly detection method");
+                    done();
+                });
+        });
+
+        it('should reject anomaly alert with too short history', function(done) {
+            const APP_ID = testUtils.get("APP_ID");
+            const alertConfig = Object.assign({}, anomalyAlert, {selectedApps: [APP_ID], anomalyWeeks: 1});
+            request.get(getRequestURL('/i/alert/save') + "&alert_config=" + encodeURIComponent(JSON.stringify(alertConfig)))
+                .expect(400)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("result", "Number of weeks for baseline should be between 2 and 12");
+                    done();
+                });
+        });
+
+        it('should create anomaly alert', function(done) {
+            const APP_ID = testUtils.get("APP_ID");
+            const alertConfig = Object.assign({}, anomalyAlert, {selectedApps: [APP_ID]});
+            request.get(getRequestURL('/i/alert/save') + "&alert_config=" + encodeURIComponent(JSON.stringify(alertConfig)))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    anomalyAlertID = res.body;
+                    request.get(getRequestURL('/o/alert/list'))
+                        .expect(200)
+                        .end(function(err, res) {
+                            if (err) {
+                                return done(err);
+                            }
+                            const saved = res.body.alertsList.filter(r => r._id === anomalyAlertID)[0];
+                            should.exist(saved);
+                            saved.should.have.property("alertDataType", "anomaly");
+                            saved.should.have.property("anomalyMethod", "mad");
+                            saved.should.have.property("anomalyWeeks", 4);
+                            done();
+                        });
+                });
+        });
+
+        it('should delete anomaly alert', function(done) {
+            request.get(getRequestURL('/i/alert/delete') + "&alertID=" + anomalyAlertID)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    done();
+                });
+        });
+    });
+
+    describe('Testing anomaly detection', function() {
+        const history = [100, 110, 90, 105, 95];
+        const withOutlier = [100, 102, 98, 101, 99, 500];
+
+        it('should flag values outside of mean and standard deviation band', function() {
+            let result = anomaly.detect(125, history, {method: "zscore", threshold: 3, direction: "both"});
+            result.should.have.properties({value: 125, samples: 5, method: "zscore", threshold: 3, baseline: 100, matched: true});
+            result.spread.should.be.approximately(7.905694, 1e-6);
+            result.lower.should.be.approximately(76.282918, 1e-6);
+            result.upper.should.be.approximately(123.717082, 1e-6);
+            result.score.should.be.approximately(3.162278, 1e-6);
+
+            anomaly.detect(120, history, {method: "zscore", threshold: 3, direction: "both"}).should.have.property("matched", false);
+            anomaly.detect(70, history, {method: "zscore", threshold: 3, direction: "both"}).should.have.property("matched", true);
+        });
+
+        it('should flag values outside of median and scaled MAD band', function() {
+            // median 100.5, MAD 1.5 * 1.4826
+            const result = anomaly.detect(110, withOutlier, {method: "mad", threshold: 3, direction: "both"});
+            result.should.have.properties({method: "mad", baseline: 100.5, matched: true});
+            result.spread.should.be.approximately(2.2239, 1e-9);
+            result.lower.should.be.approximately(93.8283, 1e-9);
+            result.upper.should.be.approximately(107.1717, 1e-9);
+            result.score.should.be.approximately(4.271775, 1e-6);
+
+            anomaly.detect(105, withOutlier, {method: "mad", threshold: 3, direction: "both"}).should.have.property("matched", false);
+            // outlier in history widens standard deviation band so much that the same value is not flagged
+            anomaly.detect(110, withOutlier, {method: "zscore", threshold: 3, direction: "both"}).should.have.property("matched", false);
+        });
+
+        it('should flag only deviations in alert direction', function() {
+            anomaly.detect(125, history, {method: "zscore", threshold: 3, direction: "up"}).should.have.property("matched", true);
+            anomaly.detect(125, history, {method: "zscore", threshold: 3, direction: "down"}).should.have.property("matched", false);
+            anomaly.detect(70, history, {method: "zscore", threshold: 3, direction: "up"}).should.have.property("matched", false);
+            anomaly.detect(70, history, {method: "zscore", threshold: 3, direction: "down"}).should.have.property("matched", true);
+        });
+
+        it('should use default threshold and keep band above zero', function() {
+            const result = anomaly.detect(9, [1, 2, 3], {method: "zscore", direction: "both"});
+            result.should.have.properties({threshold: anomaly.DEFAULT_THRESHOLD, baseline: 2, spread: 1, lower: 0, upper: 5, score: 7, matched: true});
+        });
+
+        it('should flag any change of flat history', function() {
+            anomaly.detect(50, [50, 50, 50], {method: "mad", threshold: 3, direction: "both"}).should.have.properties({spread: 0, score: 0, matched: false});
+            anomaly.detect(51, [50, 50, 50], {method: "mad", threshold: 3, direction: "both"}).should.have.properties({score: Infinity, matched: true});
+            anomaly.detect(49, [50, 50, 50], {method: "mad", threshold: 3, direction: "up"}).should.have.properties({score: -Infinity, matched: false});
+        });
+
+        it('should not flag value with too short history', function() {
+            const result = anomaly.detect(1000, [100], {method: "zscore", threshold: 3, direction: "both"});
+            result.should.have.properties({samples: 1, matched: false});
+            result.should.not.have.property("baseline");
+            anomaly.detect(1000, [], {method: "mad", threshold: 3, direction: "both"}).should.have.property("matched", false);
+        });
+
+        describe('fetching seasonal values', function() {
+            const prefix = "anomaly_test_" + Date.now();
+            // Tuesday, previous weeks are 2024-03-05 and 2024-02-27 in another monthly document
+            const dates = anomaly.getSeasonalDates(moment.tz("2024-03-12 10:30", "UTC"), 2);
+
+            before(function() {
+                return testUtils.db.collection("users").insertMany([
+                    {_id: prefix + "_2024:3", m: "2024:3", d: {12: {10: {t: 5}, 11: {t: 100}, t: 50}, 5: {10: {t: 3}, t: 30}}},
+                    // documents splitted by device id hash are summed
+                    {_id: prefix + "_2024:3_A", m: "2024:3", d: {12: {10: {t: 2}, t: 20}}},
+                    {_id: prefix + "_2024:2_b", m: "2024:2", d: {27: {10: {t: 4}, t: 40}, 20: {10: {t: 1000}, t: 1000}}},
+                    {_id: prefix + "_2024:0_A", m: "2024:0", d: {12: {t: 1000}}}
+                ]);
+            });
+
+            after(function() {
+                return testUtils.db.collection("users").deleteMany({_id: {$regex: "^" + prefix}});
+            });
 
+            it('should get dates of the same period in previous weeks', function() {
+                dates.map(d => d.format("YYYY-MM-DD HH")).should.eql(["2024-03-12 10", "2024-03-05 10", "2024-02-27 10"]);
+            });
+
+            it('should fetch hourly values from monthly documents', async function() {
+                (await anomaly.fetchValues(testUtils.db, "users", prefix, "t", dates, "hourly")).should.eql([7, 3, 4]);
+            });
+
+            it('should fetch daily values from monthly documents', async function() {
+                (await anomaly.fetchValues(testUtils.db, "users", prefix, "t", dates, "daily")).should.eql([70, 30, 40]);
+            });
+
+            it('should return zero for periods without data', async function() {
+                const empty = anomaly.getSeasonalDates(moment.tz("2024-05-14 10:00", "UTC"), 2);
+                (await anomaly.fetchValues(testUtils.db, "users", prefix, "t", empty, "hourly")).should.eql([0, 0, 0]);
+            });
+        });
+    });
+
+    describe('Testing alert incidents', function() {
+        it('should list incidents of alert', function(done) {
+            request.get(getRequestURL('/o/alert/incidents') + "&alertID=000000000000000000000000&status=open,acknowledged")
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("incidents").which.is.an.Array();
+                    res.body.incidents.should.have.lengthOf(0);
+                    res.body.should.have.property("total", 0);
+                    done();
+                });
+        });
 
+        it('should fail to acknowledge without incident id', function(done) {
+            request.get(getRequestURL('/i/alert/acknowledge'))
+                .expect(400)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("result", 'Missing parameter "incidentID"');
+                    done();
+                });
+        });
+
+        it('should fail to acknowledge unknown incident', function(done) {
+            request.get(getRequestURL('/i/alert/acknowledge') + "&incidentID=000000000000000000000000")
+                .expect(404)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("result", "Incident not found");
+                    done();
+                });
+        });
+
+        it('should fail to snooze until past time', function(done) {
+            request.get(getRequestURL('/i/alert/snooze') + "&incidentID=000000000000000000000000&until=" + (Date.now() - 1000))
+                .expect(400)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("result", 'Parameter "until" should be a timestamp in future');
+                    done();
+                });
+        });
+
+        describe('Incident lifecycle', function() {
+            const received = [];
+            const alertConfig = {alertName: "incident test", alertDataType: "metric", alertDataSubType: "Total users", compareDescribe: "Total users increased by at least 1%", alertBy: "chat", chatFormat: "generic"};
+            let incidentID = null;
+            let mockServer = null;
+            let db = null;
+            let getHost = null;
+
+            /**
+             * Get active incident of test alert through API
+             * @returns {Promise<object>} incident or undefined
+             */
+            function getIncident() {
+                return new Promise(function(resolve, reject) {
+                    request.get(getRequestURL('/o/alert/incidents') + "&alertID=" + alertConfig._id + "&status=open,acknowledged,snoozed")
+                        .expect(200)
+                        .end(function(err, res) {
+                            if (err) {
+                                return reject(err);
+                            }
+                            resolve(res.body.incidents[0]);
+                        });
+                });
+            }
+
+            /**
+             * Change status of test incident through API
+             * @param {string} path - endpoint path
+             * @param {string} query - additional query string
+             * @param {number} status - expected status code
+             * @returns {Promise<object>} response body
+             */
+            function setStatus(path, query, status) {
+                return new Promise(function(resolve, reject) {
+                    request.get(getRequestURL(path) + "&incidentID=" + incidentID + query)
+                        .expect(status)
+                        .end(function(err, res) {
+                            return err ? reject(err) : resolve(res.body);
+                        });
+                });
+            }
+
+            before(function(done) {
+                // incidents are triggered by alert jobs, here they are triggered directly with test db connection
+                db = common.db;
+                common.db = testUtils.db;
+                getHost = alertUtils.getHost;
+                alertUtils.getHost = function() {
+                    return Promise.resolve("http://countly.test");
+                };
+                alertConfig._id = testUtils.db.ObjectID() + "";
+                alertConfig.selectedApps = [testUtils.get("APP_ID")];
+                mockServer = http.createServer(function(req, res) {
+                    let body = "";
+                    req.on("data", function(chunk) {
+                        body += chunk;
+                    });
+                    req.on("end", function() {
+                        received.push({url: req.url, body: body});
+                        res.writeHead(200);
+                        res.end("ok");
+                    });
+                }).listen(0, function() {
+                    alertConfig.alertValues = ["http://localhost:" + mockServer.address().port + "/recovery"];
+                    done();
+                });
+            });
+
+            after(function(done) {
+                common.db = db;
+                alertUtils.getHost = getHost;
+                incidents.removeForAlerts([alertConfig._id]).then(function() {
+                    mockServer.close(done);
+                }).catch(done);
+            });
+
+            it('should open incident when alert is triggered', async function() {
+                (await incidents.trigger(alertConfig)).should.be.true();
+                const incident = await getIncident();
+                should.exist(incident);
+                incident.should.have.property("status", "open");
+                incident.should.have.property("alertName", "incident test");
+                incident.should.have.property("trigger_count", 1);
+                incidentID = incident._id;
+            });
+
+            it('should notify about open incident on every trigger', async function() {
+                (await incidents.trigger(alertConfig)).should.be.true();
+                const incident = await getIncident();
+                incident.should.have.property("_id", incidentID);
+                incident.should.have.property("trigger_count", 2);
+            });
+
+            it('should acknowledge incident', async function() {
+                const incident = await setStatus('/i/alert/acknowledge', '', 200);
+                incident.should.have.property("status", "acknowledged");
+                incident.should.have.property("acknowledged_at");
+                incident.history[incident.history.length - 1].should.have.property("status", "acknowledged");
+            });
+
+            it('should not notify about acknowledged incident', async function() {
+                (await incidents.trigger(alertConfig)).should.be.false();
+                const incident = await getIncident();
+                incident.should.have.property("status", "acknowledged");
+                incident.should.have.property("trigger_count", 3);
+            });
+
+            it('should snooze incident', async function() {
+                const until = Date.now() + 60 * 60 * 1000;
+                const incident = await setStatus('/i/alert/snooze', '&until=' + until, 200);
+                incident.should.have.property("status", "snoozed");
+                incident.should.have.property("snoozed_until", until);
+            });
+
+            it('should not notify about snoozed incident', async function() {
+                (await incidents.trigger(alertConfig)).should.be.false();
+                const incident = await getIncident();
+                incident.should.have.property("status", "snoozed");
+                incident.should.have.property("trigger_count", 4);
+            });
+
+            it('should reopen incident and notify once snooze is over', async function() {
+                await testUtils.db.collection(incidents.COLLECTION).updateOne({_id: testUtils.db.ObjectID(incidentID)}, {$set: {snoozed_until: Date.now() - 1000}});
+                (await incidents.trigger(alertConfig)).should.be.true();
+                const incident = await getIncident();
+                incident.should.have.property("status", "open");
+                incident.should.not.have.property("snoozed_until");
+                incident.should.have.property("trigger_count", 5);
+            });
+
+            it('should resolve incident and send recovery notification when alert recovers', async function() {
+                received.length = 0;
+                const incident = await incidents.recover(alertConfig);
+                should.exist(incident);
+                (incident._id + "").should.eql(incidentID);
+                incident.should.have.property("status", "resolved");
+                incident.should.have.property("resolved_at");
+                incident.history[incident.history.length - 1].should.have.properties({status: "resolved", reason: "recovered"});
+                should.not.exist(await getIncident());
+
+                received.should.have.lengthOf(1);
+                received[0].should.have.property("url", "/recovery");
+                const payload = JSON.parse(received[0].body);
+                payload.should.have.property("title", "Resolved: incident test is back to normal");
+                payload.sections[0].fields.should.containEql({key: "Times Triggered", value: 5});
+            });
+
+            it('should not notify again when there is no active incident', async function() {
+                received.length = 0;
+                should.not.exist(await incidents.recover(alertConfig));
+                received.should.have.lengthOf(0);
+            });
+
+            it('should fail to acknowledge resolved incident', async function() {
+                const body = await setStatus('/i/alert/acknowledge', '', 400);
+                body.should.have.property("result", "Incident is already resolved");
+            });
+
+            it('should open new incident when alert is triggered after recovery', async function() {
+                (await incidents.trigger(alertConfig)).should.be.true();
+                const incident = await getIncident();
+                incident._id.should.not.eql(incidentID);
+                incident.should.have.property("trigger_count", 1);
+            });
+        });
+    });
+});
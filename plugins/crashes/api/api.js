@@ -8,6 +8,10 @@ var plugin = {},
     Duplex = require('stream').Duplex,
     Promise = require("bluebird"),
     trace = require("./parts/stacktrace.js"),
+    sourcemaps = require("./parts/sourcemaps.js"),
+    merge = require("./parts/merge.js"),
+    crashfree = require("./parts/crashfree.js"),
+    issues = require("./parts/issues.js"),
     plugins = require('../../pluginManager.js'),
     { validateCreate, validateRead, validateUpdate, validateDelete } = require('../../../api/utils/rights.js');
 
@@ -15,7 +19,17 @@ const FEATURE_NAME = 'crashes';
 
 plugins.setConfigs("crashes", {
     report_limit: 100,
-    grouping_strategy: "error_and_file"
+    grouping_strategy: "error_and_file",
+    grouping_ignore_frames: "",
+    grouping_in_app_frames: "",
+    grouping_top_frames: 0,
+    grouping_normalize_numbers: false,
+    grouping_normalize_addresses: false,
+    issue_tracker_type: "none",
+    issue_tracker_url: "",
+    issue_tracker_project: "",
+    issue_tracker_token: "",
+    issue_tracker_webhook_secret: ""
 });
 
 /**
@@ -51,6 +65,21 @@ plugins.setConfigs("crashes", {
                 console.log(err);
             }
         });
+        setTimeout(function() {
+            require('../../../api/parts/jobs').job('crashes:crashfree').replace().schedule("every 1 hour");
+        }, 10000);
+    });
+    plugins.register("/configs/validate", function(ob) {
+        var config = ob.configs && ob.configs.crashes;
+        if (config) {
+            ["grouping_ignore_frames", "grouping_in_app_frames"].forEach(function(key) {
+                if (typeof config[key] !== "undefined") {
+                    trace.validatePatterns(config[key]).forEach(function(error) {
+                        ob.errors.push("Invalid crash grouping pattern in " + key + ": " + error);
+                    });
+                }
+            });
+        }
     });
     var ranges = ["ram", "bat", "disk", "run", "session"];
     var segments = ["os_version", "os_name", "manufacture", "device", "resolution", "app_version", "cpu", "opengl", "orientation", "view", "browser"];
@@ -330,6 +359,7 @@ plugins.setConfigs("crashes", {
                 "name", //optional if provided by OS/Platform, else will use first line of stack
                 "type", //optional type of the error
                 "error", //error stack
+                "minified_error", //original stack of javascript crash de-minified with source maps
                 "nonfatal", //true if handled exception, false or not provided if crash
                 "logs", //some additional logs provided, if any
                 "run", //running time since app start in seconds
@@ -350,7 +380,11 @@ plugins.setConfigs("crashes", {
                 "custom"
             ];
 
-            trace.preprocessCrash(params.qstring.crash, function(error) {
+            /**
+             * Group and store crash report once it is preprocessed
+             * @param {string} error - preprocessing error, crash is not stored if there is one
+             */
+            var onPreprocessed = function(error) {
                 if (error && error !== "") {
                     var report = {};
                     for (let i = 0, l = props.length; i < l; i++) {
@@ -534,6 +568,7 @@ plugins.setConfigs("crashes", {
                                     groupInsert.is_resolved = false;
                                     groupInsert.startTs = report.ts;
                                     groupInsert.latest_version = report.app_version;
+                                    groupInsert.first_version = report.app_version;
                                     groupInsert.error = report.error;
                                     groupInsert.lrid = report._id + "";
 
@@ -655,13 +690,20 @@ plugins.setConfigs("crashes", {
                                                 group.error = report.error;
                                                 group.lrid = report._id + "";
                                             }
-                                            if (crashGroup.resolved_version && crashGroup.is_resolved && common.versionCompare(report.app_version.replace(/\./g, ":"), crashGroup.resolved_version.replace(/\./g, ":")) > 0) {
-                                                group.is_resolved = false;
-                                                group.is_renewed = true;
-                                            }
                                             if (Object.keys(group).length > 0) {
                                                 common.db.collection('app_crashgroups' + params.app_id).update({'groups': hash }, {$set: group}, function() {});
                                             }
+                                            if (crashGroup.resolved_version && crashGroup.is_resolved && common.versionCompare(report.app_version.replace(/\./g, ":"), crashGroup.resolved_version.replace(/\./g, ":")) > 0) {
+                                                //only one of concurrent reports from newer version should mark group as regressed
+                                                var regression = {is_resolved: false, is_renewed: true, regressed_version: report.app_version, regressed_ts: report.ts};
+                                                common.db.collection('app_crashgroups' + params.app_id).findAndModify({'groups': hash, is_resolved: true}, {}, {$set: regression}, {new: true}, function(regressErr, regressed) {
+                                                    regressed = regressed && regressed.ok ? regressed.value : null;
+                                                    if (!regressErr && regressed) {
+                                                        common.writeBatcher.add('app_crashgroups' + params.app_id, "meta", {$inc: {reoccurred: 1, resolved: -1}});
+                                                        plugins.dispatch("/crashes/regressed", {data: {crash: regressed, report: report, resolved_version: crashGroup.resolved_version, user: dbAppUser, app: params.app}});
+                                                    }
+                                                });
+                                            }
                                         }
 
                                         if (isNew) {
@@ -687,10 +729,6 @@ plugins.setConfigs("crashes", {
                                             groupInc.isnew = 1;
                                             groupInc.crashes = 1;
                                         }
-                                        if (group.is_renewed) {
-                                            groupInc.reoccurred = 1;
-                                            groupInc.resolved = -1;
-                                        }
                                         if (report.nonfatal) {
                                             groupInc.nonfatal = 1;
                                         }
@@ -738,6 +776,11 @@ plugins.setConfigs("crashes", {
                         });
                     });
                 }
+            };
+
+            //de-minify web crashes before grouping, so groups are stable across builds
+            sourcemaps.apply(params.app_id, params.qstring.crash, function() {
+                trace.preprocessCrash(params.qstring.crash, onPreprocessed, plugins.getConfig("crashes", params.app && params.app.plugins, true));
             });
         }
     });
@@ -782,12 +825,12 @@ plugins.setConfigs("crashes", {
             validateRead(obParams, FEATURE_NAME, function(params) {
                 if (params.qstring.group) {
                     if (params.qstring.userlist) {
-                        common.db.collection('app_crashusers' + params.app_id).find({group: params.qstring.group}, {uid: 1, _id: 0}).toArray(function(err, uids) {
-                            var res = [];
-                            for (var i = 0; i < uids.length; i++) {
-                                res.push(uids[i].uid);
-                            }
-                            common.returnOutput(params, res);
+                        //group may contain merged groups, so include users of all of them
+                        common.db.collection('app_crashgroups' + params.app_id).findOne({groups: params.qstring.group}, {groups: 1}, function(crashGroupsErr, group) {
+                            var hashes = (group && group.groups) || [params.qstring.group];
+                            common.db.collection('app_crashusers' + params.app_id).distinct("uid", {group: {$in: hashes}}, function(err, uids) {
+                                common.returnOutput(params, uids || []);
+                            });
                         });
                     }
                     else {
@@ -804,7 +847,7 @@ plugins.setConfigs("crashes", {
                                             }
                                         }
                                     }
-                                    var cursor = common.db.collection('app_crashes' + params.app_id).find({group: result._id}, {fields: {binary_crash_dump: 0}}).sort({ ts: -1 });
+                                    var cursor = common.db.collection('app_crashes' + params.app_id).find({group: {$in: result.groups || [result._id]}}, {fields: {binary_crash_dump: 0}}).sort({ ts: -1 });
                                     cursor.limit(plugins.getConfig("crashes").report_limit);
                                     cursor.toArray(function(cursorErr, res) {
                                         if (res && res.length) {
@@ -847,6 +890,15 @@ plugins.setConfigs("crashes", {
                         }
                     });
                 }
+                else if (params.qstring.crashfree) {
+                    crashfree.get(params, function(err, res) {
+                        if (err) {
+                            common.returnMessage(params, 500, 'Could not fetch crash free data');
+                            return;
+                        }
+                        common.returnOutput(params, res);
+                    });
+                }
                 else if (params.qstring.graph) {
                     var result = {};
                     common.db.collection('app_users' + params.app_id).estimatedDocumentCount(function(err, total) {
@@ -960,7 +1012,21 @@ plugins.setConfigs("crashes", {
                             filter.is_new = false;
                             break;
                         case "crash-reoccurred":
+                        case "crash-regressed":
                             filter.is_renewed = true;
+                            if (params.qstring.version) {
+                                filter.regressed_version = params.qstring.version + "";
+                            }
+                            break;
+                        case "crash-new-in-version":
+                            if (params.qstring.version) {
+                                filter.first_version = params.qstring.version + "";
+                            }
+                            break;
+                        case "crash-resolved-in-version":
+                            if (params.qstring.version) {
+                                filter.resolved_version = params.qstring.version + "";
+                            }
                             break;
                         case "crash-resolving":
                             filter.is_resolving = true;
@@ -991,8 +1057,10 @@ plugins.setConfigs("crashes", {
                             lastTs: 1,
                             reports: 1,
                             latest_version: 1,
+                            first_version: 1,
                             is_resolved: 1,
                             resolved_version: 1,
+                            regressed_version: 1,
                             nonfatal: 1,
                             session: 1,
                             is_resolving: 1,
@@ -1168,6 +1236,21 @@ plugins.setConfigs("crashes", {
                 });
             });
             break;
+        case 'sourcemaps':
+            validateRead(obParams, FEATURE_NAME, function(params) {
+                var query = {app_id: params.qstring.app_id + ""};
+                if (params.qstring.app_version) {
+                    query.app_version = params.qstring.app_version + "";
+                }
+                common.db.collection(sourcemaps.COLLECTION).find(query).sort({uploaded: -1}).toArray(function(err, records) {
+                    if (err) {
+                        common.returnMessage(params, 500, 'Failed to fetch source maps');
+                        return;
+                    }
+                    common.returnOutput(params, records);
+                });
+            });
+            break;
         default:
             common.returnMessage(obParams, 400, 'Invalid path');
             break;
@@ -1218,6 +1301,7 @@ plugins.setConfigs("crashes", {
                                         inc.isnew--;
                                     }
                                     plugins.dispatch("/systemlogs", {params: params, action: "crash_resolved", data: {app_id: params.qstring.app_id, crash_id: group._id}});
+                                    issues.syncStatus(params.app, group, true);
                                     done();
                                     return true;
                                 });
@@ -1252,6 +1336,7 @@ plugins.setConfigs("crashes", {
                                     }
                                     inc.resolved--;
                                     plugins.dispatch("/systemlogs", {params: params, action: "crash_unresolved", data: {app_id: params.qstring.app_id, crash_id: group._id}});
+                                    issues.syncStatus(params.app, group, false);
                                 }
                                 done();
                                 return true;
@@ -1591,6 +1676,120 @@ plugins.setConfigs("crashes", {
                 });
             });
             break;
+        case 'merge':
+            validateUpdate(obParams, FEATURE_NAME, function(params) {
+                var args = params.qstring.args || {};
+                merge.mergeGroups(params, args.crashes, args.target).then(function(group) {
+                    common.returnOutput(params, group);
+                }, function(err) {
+                    common.returnMessage(params, 400, err.message);
+                });
+            });
+            break;
+        case 'create_issue':
+            validateUpdate(obParams, FEATURE_NAME, function(params) {
+                var args = params.qstring.args || {};
+                if (!args.crash_id) {
+                    common.returnMessage(params, 400, 'Please provide crash_id argument');
+                    return;
+                }
+                issues.createIssue(params, args.crash_id).then(function(link) {
+                    common.returnOutput(params, link);
+                }, function(err) {
+                    common.returnMessage(params, 400, err.message);
+                });
+            });
+            break;
+        case 'unlink_issue':
+            validateUpdate(obParams, FEATURE_NAME, function(params) {
+                var args = params.qstring.args || {};
+                issues.unlinkIssue(params, args.crash_id).then(function(unlinked) {
+                    if (unlinked) {
+                        common.returnMessage(params, 200, 'Success');
+                    }
+                    else {
+                        common.returnMessage(params, 404, 'Not found');
+                    }
+                }, function(err) {
+                    common.returnMessage(params, 500, err.message);
+                });
+            });
+            break;
+        case 'issue_webhook':
+            //called by issue tracker, authorized by app's webhook secret instead of user credentials
+            issues.processWebhook(obParams).then(function(result) {
+                common.returnOutput(obParams, result);
+            }, function(err) {
+                common.returnMessage(obParams, err.code || 500, err.message);
+            });
+            break;
+        case 'sourcemaps':
+            validateCreate(obParams, FEATURE_NAME, function(params) {
+                var appVersion = params.qstring.app_version;
+                if (!appVersion) {
+                    common.returnMessage(params, 400, 'Please provide app_version parameter');
+                    return;
+                }
+                var upload = params.files && params.files.sourcemap;
+                /**
+                * Store source map data
+                * @param {string} data - source map JSON
+                * @param {string} file - name of minified file
+                */
+                var store = function(data, file) {
+                    sourcemaps.save(params, appVersion + "", file, data, function(err, record) {
+                        if (err) {
+                            common.returnMessage(params, 400, err);
+                            return;
+                        }
+                        plugins.dispatch("/systemlogs", {params: params, action: "crash_sourcemap_uploaded", data: {app_id: record.app_id, app_version: record.app_version, file: record.file}});
+                        common.returnOutput(params, record);
+                    });
+                };
+                if (upload) {
+                    fs.readFile(upload.path, "utf8", function(err, data) {
+                        fs.unlink(upload.path, function() {});
+                        if (err) {
+                            common.returnMessage(params, 400, 'Failed to read uploaded source map');
+                            return;
+                        }
+                        //uploaded file name is name of minified file with .map extension
+                        store(data, params.qstring.file || (upload.name + "").replace(/\.map$/, ""));
+                    });
+                }
+                else if (typeof params.qstring.sourcemap === "string") {
+                    store(params.qstring.sourcemap, params.qstring.file);
+                }
+                else {
+                    common.returnMessage(params, 400, 'Please provide sourcemap file or parameter');
+                }
+            });
+            break;
+        case 'delete_sourcemaps':
+            validateDelete(obParams, FEATURE_NAME, function(params) {
+                var args = params.qstring.args || {};
+                if (!args.app_version) {
+                    common.returnMessage(params, 400, 'Please provide app_version argument');
+                    return;
+                }
+                var query = {app_id: params.qstring.app_id + "", app_version: args.app_version + ""};
+                if (args.file) {
+                    query.file = args.file + "";
+                }
+                sourcemaps.remove(query, function(err, records) {
+                    if (err) {
+                        common.returnMessage(params, 500, 'Failed to delete source maps');
+                        return;
+                    }
+                    if (!records.length) {
+                        common.returnMessage(params, 404, 'Not found');
+                        return;
+                    }
+                    plugins.dispatch("/systemlogs", {params: params, action: "crash_sourcemap_deleted", data: query});
+                    common.returnMessage(params, 200, 'Success');
+                });
+            });
+            break;
         default:
             common.returnMessage(obParams, 400, 'Invalid path');
             break;
@@ -1623,6 +1822,8 @@ plugins.setConfigs("crashes", {
         common.db.collection('app_crashusers' + appId).drop(function() {});
         common.db.collection('app_crashes' + appId).drop(function() {});
         common.db.collection('crash_share').remove({'app_id': appId }, function() {});
+        sourcemaps.remove({app_id: appId + ""}, function() {});
+        crashfree.remove(appId);
         common.db.collection('crashdata').remove({'_id': {$regex: appId + ".*"}}, function() {});
         if (common.drillDb) {
             common.drillDb.collection("drill_events" + crypto.createHash('sha1').update("[CLY]_crash" + appId).digest('hex')).drop(function() {});
@@ -1663,6 +1864,7 @@ plugins.setConfigs("crashes", {
             common.db.collection('app_crashgroups' + appId).ensureIndex({"is_hidden": 1}, {background: true}, function() {});
         });
         common.db.collection('crash_share').remove({'app_id': appId }, function() {});
+        crashfree.remove(appId);
         common.db.collection('crashdata').remove({'_id': {$regex: appId + ".*"}}, function() {});
         if (common.drillDb) {
             common.drillDb.collection("drill_events" + crypto.createHash('sha1').update("[CLY]_crash" + appId).digest('hex')).drop(function() {});
@@ -1693,11 +1895,53 @@ plugins.setConfigs("crashes", {
             common.db.collection('app_crashgroups' + appId).ensureIndex({"is_hidden": 1}, {background: true}, function() {});
         });
         common.db.collection('crash_share').remove({'app_id': appId }, function() {});
+        sourcemaps.remove({app_id: appId + ""}, function() {});
+        crashfree.remove(appId);
         common.db.collection('crashdata').remove({'_id': {$regex: appId + ".*"}}, function() {});
         if (common.drillDb) {
             common.drillDb.collection("drill_events" + crypto.createHash('sha1').update("[CLY]_crash" + appId).digest('hex')).drop(function() {});
         }
     });
+
+    plugins.register("/dashboard/data", async function({params, apps, widget}) {
+        if (widget.widget_type !== "crash-free") {
+            return;
+        }
+        var dashData = {isValid: true, data: {}};
+        var version = widget.app_version || "any";
+        var widgetApps = widget.apps || [];
+        var period = widget.custom_period || params.qstring.period;
+        if (period && period.since) {
+            period = [period.since, Date.now()];
+        }
+        try {
+            for (let i = 0; i < widgetApps.length; i++) {
+                var appId = widgetApps[i];
+                var res = await new Promise(function(resolve, reject) {
+                    crashfree.get({app_id: appId, appTimezone: apps[appId] && apps[appId].timezone, qstring: {period: period, app_version: widget.app_version}}, function(err, data) {
+                        return err ? reject(err) : resolve(data);
+                    });
+                });
+                if (widget.visualization === "number") {
+                    var totals = res.totals[version] || {};
+                    var metric = (widget.metrics || [])[0] === "crash_free_sessions" ? "sessions_rate" : "users_rate";
+                    dashData.data[appId] = {total: typeof totals[metric] === "number" ? totals[metric] : 100};
+                }
+                else {
+                    var daily = res.data[version] || {};
+                    dashData.data[appId] = {};
+                    res.dates.forEach(function(date) {
+                        dashData.data[appId][date] = daily[date] ? {crash_free_users: daily[date].users_rate, crash_free_sessions: daily[date].sessions_rate} : {};
+                    });
+                }
+            }
+        }
+        catch (e) {
+            console.log("Error while fetching crash free widget data", e);
+            dashData = {isValid: false, data: undefined};
+        }
+        widget.dashData = dashData;
+    });
 }(plugin));
 
 module.exports = plugin;
\ No newline at end of file
@@ -0,0 +1,27 @@
+'use strict';
+const job = require('../../../../api/parts/jobs/job.js'),
+    crashfree = require('../parts/crashfree.js'),
+    log = require('../../../../api/utils/log.js')('crashes:crashfree');
+
+/**
+ * @class
+ * @classdesc Class CrashFreeJob aggregates crash free users and sessions rates per app version
+ * @extends Job
+ */
+class CrashFreeJob extends job.Job {
+    /**
+    * run task
+    * @param {object} db - db object
+    * @param {function} done - callback function
+    */
+    run(db, done) {
+        crashfree.aggregateAll(function(err) {
+            if (err) {
+                log.e("Aggregating crash free rates failed", err);
+            }
+            done();
+        });
+    }
+}
+
+module.exports = CrashFreeJob;
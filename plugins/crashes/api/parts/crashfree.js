@@ -0,0 +1,191 @@
+/**
+* Module to aggregate crash free users and crash free sessions rates per app version per day.
+* Rates are calculated from crash metrics in crashdata collection (cr_s, cr_u, crfses, crauf) and stored in crashfree collection,
+* where each document represents one app version (or "any" for all versions) in one day of app's timezone
+* @module plugins/crashes/api/parts/crashfree
+*/
+var common = require('../../../../api/utils/common.js'),
+    countlyCommon = require('../../../../api/lib/countly.common.js'),
+    moment = require('moment-timezone');
+
+var COLLECTION = "crashfree";
+
+/**
+* Calculate rate in percents
+* @param {number} free - crash free count
+* @param {number} total - total count
+* @returns {number} rate rounded to two decimals, 100 if there is no data
+*/
+function rate(free, total) {
+    if (!total) {
+        return 100;
+    }
+    return Math.round(Math.min(Math.max(free / total, 0), 1) * 10000) / 100;
+}
+
+/**
+* Get app version from crashdata document id
+* @param {string} id - document id without month suffix, like app_id or "any**1:0**app_id"
+* @param {string} appId - id of the app
+* @returns {string|null} version with dots, "any" for app level data or null if document is not version specific
+*/
+function getVersion(id, appId) {
+    if (id === appId) {
+        return "any";
+    }
+    var parts = id.split("**");
+    if (parts.length === 3 && parts[0] === "any" && parts[1] !== "any") {
+        return parts[1].replace(/:/g, ".");
+    }
+    return null;
+}
+
+/**
+* Aggregate crash free rates for app from crashdata metrics
+* @param {string} appId - id of the app
+* @param {Array} months - list of months in "YYYY:M" format to aggregate
+* @param {function} callback - called with error when done
+*/
+function aggregate(appId, months, callback) {
+    appId = appId + "";
+    common.db.collection("crashdata").find({a: appId, m: {$in: months}}).toArray(function(err, docs) {
+        if (err || !docs || !docs.length) {
+            return callback(err);
+        }
+        var bulk = common.db.collection(COLLECTION).initializeUnorderedBulkOp();
+        var count = 0;
+        docs.forEach(function(doc) {
+            var version = getVersion((doc._id + "").slice(0, -(doc.m.length + 1)), appId);
+            if (!version || !doc.d) {
+                return;
+            }
+            var month = doc.m.replace(":", ".");
+            for (var day in doc.d) {
+                var data = doc.d[day] || {};
+                if (!data.cr_s && !data.cr_u) {
+                    continue;
+                }
+                var date = month + "." + day;
+                var record = {
+                    a: appId,
+                    v: version,
+                    d: date,
+                    sessions: data.cr_s || 0,
+                    crash_free_sessions: Math.min(data.crfses || 0, data.cr_s || 0),
+                    users: data.cr_u || 0,
+                    crash_free_users: Math.min(data.crauf || 0, data.cr_u || 0)
+                };
+                record.sessions_rate = rate(record.crash_free_sessions, record.sessions);
+                record.users_rate = rate(record.crash_free_users, record.users);
+                bulk.find({_id: appId + "_" + version + "_" + date}).upsert().updateOne({$set: record});
+                count++;
+            }
+        });
+        if (!count) {
+            return callback();
+        }
+        bulk.execute(function(bulkErr) {
+            callback(bulkErr);
+        });
+    });
+}
+
+/**
+* Aggregate crash free rates for current and previous month of all apps
+* @param {function} callback - called when done
+*/
+function aggregateAll(callback) {
+    common.db.collection("apps").find({}, {_id: 1, timezone: 1}).toArray(function(err, apps) {
+        if (err || !apps || !apps.length) {
+            return callback(err);
+        }
+        var next = function(i) {
+            if (i >= apps.length) {
+                return callback();
+            }
+            var now = moment().tz(apps[i].timezone || "UTC");
+            var months = [now.format("YYYY:M"), now.clone().subtract(1, "month").format("YYYY:M")];
+            aggregate(apps[i]._id, months, function() {
+                next(i + 1);
+            });
+        };
+        next(0);
+    });
+}
+
+/**
+* Get crash free rates per version for period
+* @param {params} params - params object with app_id, period and optional app_version in qstring
+* @param {function} callback - called with error and result object with versions list, daily data and period totals per version
+*/
+function get(params, callback) {
+    var periodObj = countlyCommon.getPeriodObj(params);
+    var appId = params.app_id + "";
+    var timezone = params.appTimezone || (params.app && params.app.timezone) || "UTC";
+    //historical data is aggregated by job, but current month is refreshed to include today's data
+    aggregate(appId, [moment().tz(timezone).format("YYYY:M")], function() {
+        var query = {a: appId, d: {$in: periodObj.currentPeriodArr}};
+        if (params.qstring.app_version) {
+            query.v = {$in: ["any", params.qstring.app_version + ""]};
+        }
+        common.db.collection(COLLECTION).find(query).toArray(function(err, records) {
+            if (err) {
+                return callback(err);
+            }
+            var result = {versions: [], data: {}, totals: {}};
+            (records || []).forEach(function(record) {
+                if (!result.data[record.v]) {
+                    result.data[record.v] = {};
+                    result.totals[record.v] = {sessions: 0, crash_free_sessions: 0, users: 0, crash_free_users: 0};
+                    if (record.v !== "any") {
+                        result.versions.push(record.v);
+                    }
+                }
+                result.data[record.v][record.d] = {
+                    sessions: record.sessions,
+                    crash_free_sessions: record.crash_free_sessions,
+                    sessions_rate: record.sessions_rate,
+                    users: record.users,
+                    crash_free_users: record.crash_free_users,
+                    users_rate: record.users_rate
+                };
+                var totals = result.totals[record.v];
+                totals.sessions += record.sessions;
+                totals.crash_free_sessions += record.crash_free_sessions;
+                //unique users can't be summed up between days, so period user rate is weighted by daily users
+                totals.users += record.users;
+                totals.crash_free_users += record.crash_free_users;
+            });
+            for (var version in result.totals) {
+                result.totals[version].sessions_rate = rate(result.totals[version].crash_free_sessions, result.totals[version].sessions);
+                result.totals[version].users_rate = rate(result.totals[version].crash_free_users, result.totals[version].users);
+            }
+            result.versions.sort(function(a, b) {
+                return common.versionCompare(b.replace(/\./g, ":"), a.replace(/\./g, ":"));
+            });
+            result.dates = periodObj.currentPeriodArr;
+            callback(null, result);
+        });
+    });
+}
+
+/**
+* Remove crash free data of the app
+* @param {string} appId - id of the app
+* @param {function=} callback - called when done
+*/
+function remove(appId, callback) {
+    common.db.collection(COLLECTION).deleteMany({a: appId + ""}, function(err) {
+        if (callback) {
+            callback(err);
+        }
+    });
+}
+
+module.exports = {
+    rate: rate,
+    aggregate: aggregate,
+    aggregateAll: aggregateAll,
+    get: get,
+    remove: remove
+};
@@ -0,0 +1,510 @@
+/**
+* Module to link crash groups with issues in external issue trackers and to keep their statuses in sync.
+* Each tracker type is handled by connector, which builds requests to tracker API and reads tracker webhook payloads,
+* so other plugins can add their own trackers with registerConnector
+* @module plugins/crashes/api/parts/issues
+*/
+var request = require("request"),
+    crypto = require("crypto"),
+    common = require('../../../../api/utils/common.js'),
+    plugins = require('../../../pluginManager.js');
+
+var log = common.log("crashes:issues");
+
+var DEFAULT_TIMEOUT = 15000;
+
+/**
+* Issue data prepared from crash group
+* @typedef {object} IssueData
+* @property {string} title - issue title
+* @property {string} description - issue description with stack trace and affected versions
+* @property {string} stack - stack trace of latest report
+* @property {Array<string>} versions - affected app versions
+* @property {string} crash_id - id of the crash group
+* @property {string} crash_url - link to crash group in dashboard
+*/
+
+/**
+* Trim trailing slashes from url
+* @param {string} url - url to trim
+* @returns {string} url without trailing slash
+*/
+function baseUrl(url) {
+    return (url || "").replace(/\/+$/, "");
+}
+
+/**
+* Get authorization header value for token
+* @param {string} token - token, or "user:token" pair for basic authorization
+* @param {string} scheme - scheme to use for plain tokens
+* @returns {object} headers object with authorization header, empty if there is no token
+*/
+function authHeaders(token, scheme) {
+    if (!token) {
+        return {};
+    }
+    if (token.indexOf(":") !== -1) {
+        return {"Authorization": "Basic " + Buffer.from(token).toString("base64")};
+    }
+    return {"Authorization": scheme + " " + token};
+}
+
+/**
+* Registered connectors by tracker type. Connector has methods:
+* create(config, issue) - returns request options to create issue,
+* parseCreated(body, config) - returns {key, url} of created issue,
+* status(config, link, resolved, issue) - returns request options to reflect crash status in issue or null if not supported,
+* parseWebhook(body) - returns {key, state} where state is "closed", "reopened" or null for events to ignore
+*/
+var connectors = {};
+
+connectors.generic = {
+    create: function(config, issue) {
+        return {
+            uri: baseUrl(config.url),
+            method: "POST",
+            headers: authHeaders(config.token, "Bearer"),
+            json: {
+                title: issue.title,
+                description: issue.description,
+                stack: issue.stack,
+                versions: issue.versions,
+                crash_id: issue.crash_id,
+                crash_url: issue.crash_url,
+                project: config.project || undefined
+            }
+        };
+    },
+    parseCreated: function(body) {
+        var key = body && (body.key || body.id);
+        if (!key) {
+            return null;
+        }
+        return {key: key + "", url: body.url || ""};
+    },
+    status: function(config, link, resolved, issue) {
+        return {
+            uri: baseUrl(config.url) + "/" + encodeURIComponent(link.key),
+            method: "PATCH",
+            headers: authHeaders(config.token, "Bearer"),
+            json: {
+                status: resolved ? "closed" : "open",
+                resolved_version: issue.resolved_version || undefined
+            }
+        };
+    },
+    parseWebhook: function(body) {
+        var status = ((body && body.status) + "").toLowerCase();
+        var state = null;
+        if (["closed", "resolved", "done"].indexOf(status) !== -1) {
+            state = "closed";
+        }
+        else if (["open", "opened", "reopened"].indexOf(status) !== -1) {
+            state = "reopened";
+        }
+        return {key: body && body.key ? body.key + "" : null, state: state};
+    }
+};
+
+connectors.jira = {
+    create: function(config, issue) {
+        return {
+            uri: baseUrl(config.url) + "/rest/api/2/issue",
+            method: "POST",
+            headers: authHeaders(config.token, "Bearer"),
+            json: {
+                fields: {
+                    project: {key: config.project},
+                    summary: issue.title,
+                    description: issue.description,
+                    issuetype: {name: "Bug"},
+                    labels: ["countly-crash"]
+                }
+            }
+        };
+    },
+    parseCreated: function(body, config) {
+        if (!body || !body.key) {
+            return null;
+        }
+        return {key: body.key + "", url: baseUrl(config.url) + "/browse/" + body.key};
+    },
+    //workflow transitions differ between Jira projects, so status change is reported as comment
+    status: function(config, link, resolved, issue) {
+        return {
+            uri: baseUrl(config.url) + "/rest/api/2/issue/" + encodeURIComponent(link.key) + "/comment",
+            method: "POST",
+            headers: authHeaders(config.token, "Bearer"),
+            json: {body: resolved ? "Crash was marked as resolved in Countly" + (issue.resolved_version ? " in version " + issue.resolved_version : "") : "Crash was marked as unresolved in Countly"}
+        };
+    },
+    parseWebhook: function(body) {
+        var issue = body && body.issue;
+        if (!issue || !issue.key) {
+            return {key: null, state: null};
+        }
+        var category = issue.fields && issue.fields.status && issue.fields.status.statusCategory && issue.fields.status.statusCategory.key;
+        var statusChanged = body.changelog && Array.isArray(body.changelog.items) && body.changelog.items.some(function(item) {
+            return item.field === "status";
+        });
+        var state = null;
+        if (category === "done") {
+            state = "closed";
+        }
+        else if (statusChanged) {
+            state = "reopened";
+        }
+        return {key: issue.key + "", state: state};
+    }
+};
+
+connectors.github = {
+    create: function(config, issue) {
+        return {
+            uri: (baseUrl(config.url) || "https://api.github.com") + "/repos/" + config.project + "/issues",
+            method: "POST",
+            headers: Object.assign({"User-Agent": "Countly", "Accept": "application/vnd.github+json"}, authHeaders(config.token, "token")),
+            json: {
+                title: issue.title,
+                body: issue.description,
+                labels: ["crash"]
+            }
+        };
+    },
+    parseCreated: function(body, config) {
+        if (!body || !body.number) {
+            return null;
+        }
+        return {key: config.project + "#" + body.number, url: body.html_url || ""};
+    },
+    status: function(config, link, resolved) {
+        var number = link.key.split("#").pop();
+        return {
+            uri: (baseUrl(config.url) || "https://api.github.com") + "/repos/" + config.project + "/issues/" + number,
+            method: "PATCH",
+            headers: Object.assign({"User-Agent": "Countly", "Accept": "application/vnd.github+json"}, authHeaders(config.token, "token")),
+            json: {state: resolved ? "closed" : "open"}
+        };
+    },
+    parseWebhook: function(body) {
+        if (!body || !body.issue || !body.repository) {
+            return {key: null, state: null};
+        }
+        var state = null;
+        if (body.action === "closed") {
+            state = "closed";
+        }
+        else if (body.action === "reopened") {
+            state = "reopened";
+        }
+        return {key: body.repository.full_name + "#" + body.issue.number, state: state};
+    }
+};
+
+/**
+* Register connector for new issue tracker type
+* @param {string} type - tracker type, used in issue_tracker_type setting
+* @param {object} connector - connector object with create, parseCreated, status and parseWebhook methods
+*/
+function registerConnector(type, connector) {
+    connectors[type] = connector;
+}
+
+/**
+* Get issue tracker settings of the app
+* @param {object} app - app document
+* @returns {object|null} tracker settings or null if tracker is not configured
+*/
+function getTracker(app) {
+    var config = plugins.getConfig("crashes", app && app.plugins, true);
+    var type = config.issue_tracker_type;
+    if (!type || type === "none" || !connectors[type] || (!config.issue_tracker_url && type !== "github")) {
+        return null;
+    }
+    return {
+        type: type,
+        url: config.issue_tracker_url,
+        token: config.issue_tracker_token,
+        project: config.issue_tracker_project,
+        webhook_secret: config.issue_tracker_webhook_secret
+    };
+}
+
+/**
+* Send request to issue tracker
+* @param {object} options - options for request module
+* @returns {Promise<object>} response body, rejects if tracker did not accept request
+*/
+function send(options) {
+    return new Promise(function(resolve, reject) {
+        request(Object.assign({timeout: DEFAULT_TIMEOUT}, options), function(err, res, body) {
+            log.d("Issue tracker request", options.method, options.uri, err, res && res.statusCode);
+            if (err) {
+                return reject(new Error("Issue tracker is not reachable"));
+            }
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                return reject(new Error("Issue tracker responded with status " + res.statusCode));
+            }
+            if (typeof body === "string") {
+                try {
+                    body = JSON.parse(body);
+                }
+                catch (ex) {
+                    body = {};
+                }
+            }
+            resolve(body || {});
+        });
+    });
+}
+
+/**
+* Prepare issue data from crash group
+* @param {string} appId - id of the app
+* @param {object} group - crash group document
+* @returns {IssueData} issue data
+*/
+function issueFromGroup(appId, group) {
+    var versions = Object.keys(group.app_version || {}).map(function(version) {
+        return version.replace(/:/g, ".");
+    }).sort(function(a, b) {
+        return common.versionCompare(b.replace(/\./g, ":"), a.replace(/\./g, ":"));
+    });
+    var crashUrl = (plugins.getConfig("api").domain || "") + "/dashboard#/" + appId + "/crashes/" + group._id;
+    var title = ((group.name || group.error || "Crash") + "").split("\n")[0].trim().substr(0, 250);
+    var description = [
+        (group.nonfatal ? "Non fatal" : "Fatal") + " crash reported " + (group.reports || 0) + " times by " + (group.users || 0) + " users",
+        "Affected versions: " + (versions.join(", ") || "unknown"),
+        "Latest version: " + (group.latest_version || "").replace(/:/g, "."),
+        "Crash details: " + crashUrl,
+        "",
+        "Stack trace:",
+        group.error || ""
+    ].join("\n");
+    return {
+        title: title,
+        description: description,
+        stack: group.error || "",
+        versions: versions,
+        crash_id: group._id,
+        crash_url: crashUrl
+    };
+}
+
+/**
+* Create issue in app's issue tracker for crash group and link it to the group
+* @param {params} params - params object of request with app, app_id and member
+* @param {string} crashId - id of crash group
+* @returns {Promise<object>} issue link stored on crash group
+*/
+async function createIssue(params, crashId) {
+    var appId = params.app_id + "";
+    var tracker = getTracker(params.app);
+    if (!tracker) {
+        throw new Error("Issue tracker is not configured");
+    }
+    var collection = common.db.collection('app_crashgroups' + appId);
+    var group = await collection.findOne({_id: crashId + ""});
+    if (!group || group._id === "meta") {
+        throw new Error("Crash group not found");
+    }
+    if (group.issue && group.issue.key) {
+        throw new Error("Crash group is already linked to issue " + group.issue.key);
+    }
+    var connector = connectors[tracker.type];
+    var body = await send(connector.create(tracker, issueFromGroup(appId, group)));
+    var created = connector.parseCreated(body, tracker);
+    if (!created) {
+        throw new Error("Issue tracker did not return issue key");
+    }
+    var link = {
+        key: created.key,
+        url: created.url,
+        tracker: tracker.type,
+        created: Math.round(Date.now() / 1000),
+        created_by: params.member && params.member._id + ""
+    };
+    await collection.updateOne({_id: group._id}, {$set: {issue: link}});
+    plugins.dispatch("/systemlogs", {params: params, action: "crash_issue_created", data: {app_id: appId, crash_id: group._id, issue: link.key}});
+    return link;
+}
+
+/**
+* Reflect crash group status change in linked issue. Failures are only logged, as they should not fail status change in Countly
+* @param {object} app - app document
+* @param {object} group - crash group document with issue link
+* @param {boolean} resolved - true if group was resolved, false if unresolved
+*/
+function syncStatus(app, group, resolved) {
+    var tracker = getTracker(app);
+    if (!tracker || !group || !group.issue || group.issue.tracker !== tracker.type) {
+        return;
+    }
+    var options = connectors[tracker.type].status(tracker, group.issue, resolved, {resolved_version: resolved ? (group.latest_version + "").replace(/:/g, ".") : null});
+    if (!options) {
+        return;
+    }
+    send(options).catch(function(err) {
+        log.e("Could not update issue " + group.issue.key + " of crash " + group._id, err.message);
+    });
+}
+
+/**
+* Check that webhook request is authorized with app's webhook secret, either passed as secret parameter
+* or as GitHub style X-Hub-Signature-256 header with HMAC of request body
+* @param {params} params - params object of request
+* @param {string} secret - configured webhook secret
+* @returns {boolean} true if request is authorized
+*/
+function verifyWebhook(params, secret) {
+    if (!secret) {
+        return false;
+    }
+    var expected, provided;
+    var signature = params.req && params.req.headers && params.req.headers["x-hub-signature-256"];
+    if (signature) {
+        expected = "sha256=" + crypto.createHmac("sha256", secret).update(typeof params.req.body === "string" ? params.req.body : "").digest("hex");
+        provided = signature + "";
+    }
+    else {
+        expected = secret + "";
+        provided = (params.qstring.secret || "") + "";
+    }
+    //compare hashes, so timingSafeEqual gets buffers of same length
+    return crypto.timingSafeEqual(
+        crypto.createHash("sha256").update(expected).digest(),
+        crypto.createHash("sha256").update(provided).digest()
+    );
+}
+
+/**
+* Get webhook payload from request, trackers post JSON, which is parsed into query string params
+* @param {params} params - params object of request
+* @returns {object} payload
+*/
+function getPayload(params) {
+    var payload = params.qstring;
+    if (typeof params.qstring.payload === "string") {
+        try {
+            payload = JSON.parse(params.qstring.payload);
+        }
+        catch (ex) {
+            payload = params.qstring;
+        }
+    }
+    return payload;
+}
+
+/**
+* Change resolution of crash group when linked issue was closed or reopened in tracker
+* @param {params} params - params object of request
+* @param {object} app - app document
+* @param {object} group - crash group document
+* @param {boolean} resolve - true to resolve group, false to unresolve it
+* @returns {Promise<boolean>} true if group was changed
+*/
+async function setResolved(params, app, group, resolve) {
+    var appId = app._id + "";
+    var collection = common.db.collection('app_crashgroups' + appId);
+    var inc = {};
+    if (resolve) {
+        if (group.is_resolved) {
+            return false;
+        }
+        await collection.updateOne({_id: group._id}, {$set: {is_resolved: true, resolved_version: group.latest_version, is_renewed: false, is_new: false, is_resolving: false}});
+        inc.resolved = 1;
+        if (group.is_renewed) {
+            inc.reoccurred = -1;
+        }
+        if (group.is_new) {
+            inc.isnew = -1;
+        }
+    }
+    else {
+        if (!group.is_resolved) {
+            return false;
+        }
+        await collection.updateOne({_id: group._id}, {$set: {is_resolved: false, resolved_version: null, is_resolving: false}});
+        inc.resolved = -1;
+    }
+    await collection.updateOne({_id: "meta"}, {$inc: inc});
+    plugins.dispatch("/systemlogs", {params: params, action: resolve ? "crash_resolved" : "crash_unresolved", data: {app_id: appId, crash_id: group._id, issue: group.issue.key}});
+    return true;
+}
+
+/**
+* Create error with HTTP status code to respond with
+* @param {number} code - HTTP status code
+* @param {string} message - error message
+* @returns {Error} error object with code property
+*/
+function requestError(code, message) {
+    var err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+* Process webhook from issue tracker, closed issues resolve linked crash groups and reopened issues unresolve them
+* @param {params} params - params object of request with app_id and secret in query string and tracker payload in body
+* @returns {Promise<object>} result with key of issue, state and list of changed crash groups
+*/
+async function processWebhook(params) {
+    var app;
+    try {
+        app = await common.db.collection("apps").findOne({_id: common.db.ObjectID(params.qstring.app_id + "")});
+    }
+    catch (ex) {
+        app = null;
+    }
+    if (!app) {
+        throw requestError(400, "App does not exist");
+    }
+    var tracker = getTracker(app);
+    if (!tracker) {
+        throw requestError(400, "Issue tracker is not configured");
+    }
+    if (!verifyWebhook(params, tracker.webhook_secret)) {
+        throw requestError(401, "Invalid webhook secret");
+    }
+    var result = connectors[tracker.type].parseWebhook(getPayload(params));
+    var changed = [];
+    if (result.key && result.state) {
+        var groups = await common.db.collection('app_crashgroups' + app._id).find({"issue.key": result.key}).toArray();
+        for (var i = 0; i < groups.length; i++) {
+            if (await setResolved(params, app, groups[i], result.state === "closed")) {
+                changed.push(groups[i]._id);
+            }
+        }
+    }
+    return {key: result.key, state: result.state, crashes: changed};
+}
+
+/**
+* Remove link between crash group and issue, issue itself stays in tracker
+* @param {params} params - params object of request
+* @param {string} crashId - id of crash group
+* @returns {Promise<boolean>} true if group had linked issue
+*/
+async function unlinkIssue(params, crashId) {
+    var appId = params.app_id + "";
+    var collection = common.db.collection('app_crashgroups' + appId);
+    var group = await collection.findOne({_id: crashId + ""});
+    if (!group || !group.issue) {
+        return false;
+    }
+    await collection.updateOne({_id: group._id}, {$unset: {issue: ""}});
+    plugins.dispatch("/systemlogs", {params: params, action: "crash_issue_unlinked", data: {app_id: appId, crash_id: group._id, issue: group.issue.key}});
+    return true;
+}
+
+module.exports = {
+    connectors: connectors,
+    registerConnector: registerConnector,
+    getTracker: getTracker,
+    issueFromGroup: issueFromGroup,
+    createIssue: createIssue,
+    unlinkIssue: unlinkIssue,
+    syncStatus: syncStatus,
+    processWebhook: processWebhook
+};
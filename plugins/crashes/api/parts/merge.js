@@ -0,0 +1,200 @@
+/**
+* Module to merge crash groups
+* @module plugins/crashes/api/parts/merge
+*/
+var common = require('../../../../api/utils/common.js'),
+    plugins = require('../../../pluginManager.js');
+
+//group properties which are not counters and are merged separately
+var SKIP = {
+    "_id": true,
+    "groups": true,
+    "comments": true,
+    "name": true,
+    "error": true,
+    "lrid": true,
+    "os": true,
+    "latest_version": true,
+    "first_version": true,
+    "regressed_version": true,
+    "regressed_ts": true,
+    "resolved_version": true,
+    "issue": true,
+    "users": true
+};
+
+/**
+* Collect counters of group as dot separated paths
+* @param {object} ob - object to walk
+* @param {string} prefix - path of object
+* @param {object} update - update object with $inc, $min and $max to fill
+*/
+function collectCounters(ob, prefix, update) {
+    for (var key in ob) {
+        var value = ob[key];
+        var name = prefix ? prefix + "." + key : key;
+        if (!prefix && SKIP[key]) {
+            continue;
+        }
+        if (typeof value === "number") {
+            //ranges have min and max, timestamps show first and last occurrence
+            if (key === "min" || key === "startTs") {
+                update.$min[name] = Math.min(value, typeof update.$min[name] === "number" ? update.$min[name] : value);
+            }
+            else if (key === "max" || key === "lastTs") {
+                update.$max[name] = Math.max(value, typeof update.$max[name] === "number" ? update.$max[name] : value);
+            }
+            else {
+                update.$inc[name] = (update.$inc[name] || 0) + value;
+            }
+        }
+        else if (value && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)) {
+            collectCounters(value, name, update);
+        }
+    }
+}
+
+/**
+* Compare app versions of groups
+* @param {object} a - crash group
+* @param {object} b - crash group
+* @param {string=} prop - version property to compare, latest_version by default
+* @returns {number} positive if a has higher version
+*/
+function compareVersions(a, b, prop) {
+    prop = prop || "latest_version";
+    return common.versionCompare((a[prop] + "").replace(/\./g, ":"), (b[prop] + "").replace(/\./g, ":"));
+}
+
+/**
+* Merge crash groups into one. Reports and users stay in place, as they reference groups by hash, while merged groups
+* hashes are added to groups list of target group, so both old and future reports land in target group
+* @param {object} params - params object of request
+* @param {Array} ids - ids of groups to merge
+* @param {string=} targetId - id of group to merge into, first group from ids by default
+* @returns {Promise<object>} merged group
+*/
+async function mergeGroups(params, ids, targetId) {
+    var appId = params.qstring.app_id + "";
+    var collection = common.db.collection('app_crashgroups' + appId);
+    ids = (ids || []).map(function(id) {
+        return id + "";
+    }).filter(function(id) {
+        return id !== "meta";
+    });
+    var groups = await collection.find({_id: {$in: ids}}).toArray();
+    if (groups.length < 2) {
+        throw new Error("Please provide at least two existing crash groups to merge");
+    }
+    targetId = targetId ? targetId + "" : ids[0];
+    var target = groups.filter(function(group) {
+        return group._id === targetId;
+    })[0];
+    if (!target) {
+        throw new Error("Target crash group is not one of merged groups");
+    }
+    var others = groups.filter(function(group) {
+        return group !== target;
+    });
+    var otherIds = others.map(function(group) {
+        return group._id;
+    });
+
+    var update = {$inc: {}, $min: {}, $max: {}, $set: {}};
+    var hashes = [];
+    var comments = [];
+    others.forEach(function(group) {
+        collectCounters(group, "", update);
+        hashes = hashes.concat(group.groups || [group._id]);
+        comments = comments.concat(group.comments || []);
+    });
+    var latest = groups.reduce(function(a, b) {
+        return compareVersions(b, a) > 0 ? b : a;
+    });
+    if (latest !== target) {
+        update.$set.latest_version = latest.latest_version;
+        update.$set.error = latest.error;
+        update.$set.lrid = latest.lrid;
+    }
+    var first = groups.filter(function(group) {
+        return group.first_version;
+    }).reduce(function(a, b) {
+        return !a || compareVersions(b, a, "first_version") < 0 ? b : a;
+    }, null);
+    if (first && first !== target) {
+        update.$set.first_version = first.first_version;
+    }
+    //keep link to issue tracker if target group was not linked yet
+    var linked = others.filter(function(group) {
+        return group.issue && group.issue.key;
+    })[0];
+    if (!target.issue && linked) {
+        update.$set.issue = linked.issue;
+    }
+
+    //merged group is resolved only if all groups were resolved and is new only if none of them was viewed
+    var merged = {
+        is_new: groups.every(function(group) {
+            return group.is_new;
+        }),
+        is_resolved: groups.every(function(group) {
+            return group.is_resolved;
+        }),
+        is_resolving: groups.some(function(group) {
+            return group.is_resolving;
+        })
+    };
+    merged.is_renewed = !merged.is_resolved && groups.some(function(group) {
+        return group.is_renewed;
+    });
+    Object.assign(update.$set, merged);
+    if (!merged.is_resolved) {
+        update.$set.resolved_version = null;
+    }
+
+    update.$addToSet = {groups: {$each: hashes}};
+    if (comments.length) {
+        update.$push = {comments: {$each: comments}};
+    }
+    ["$inc", "$min", "$max"].forEach(function(op) {
+        if (!Object.keys(update[op]).length) {
+            delete update[op];
+        }
+    });
+    await collection.updateOne({_id: target._id}, update);
+    await collection.deleteMany({_id: {$in: otherIds}});
+
+    //users affected by any of merged groups
+    var allHashes = (target.groups || [target._id]).concat(hashes);
+    var uids = await common.db.collection('app_crashusers' + appId).distinct("uid", {group: {$in: allHashes}, reports: {$gt: 0}});
+    await collection.updateOne({_id: target._id}, {$set: {users: uids.length}});
+
+    others.forEach(function(group) {
+        var shareId = common.crypto.createHash('sha1').update(appId + group._id + "").digest('hex');
+        common.db.collection('crash_share').remove({'_id': shareId}, function() {});
+    });
+
+    //update totals in meta document
+    var count = function(flag) {
+        return groups.filter(function(group) {
+            return group[flag];
+        }).length;
+    };
+    var inc = {
+        crashes: -others.length,
+        isnew: (merged.is_new ? 1 : 0) - count("is_new"),
+        resolved: (merged.is_resolved ? 1 : 0) - count("is_resolved"),
+        reoccurred: (merged.is_renewed ? 1 : 0) - count("is_renewed")
+    };
+    for (var key in inc) {
+        if (!inc[key]) {
+            delete inc[key];
+        }
+    }
+    await collection.updateOne({_id: "meta"}, {$inc: inc});
+
+    plugins.dispatch("/systemlogs", {params: params, action: "crash_merged", data: {app_id: appId, crash_id: target._id, merged: otherIds}});
+    return await collection.findOne({_id: target._id});
+}
+
+module.exports = {mergeGroups: mergeGroups};
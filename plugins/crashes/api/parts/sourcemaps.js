@@ -0,0 +1,404 @@
+/**
+* Module to store source maps of web apps and de-minify javascript stacktraces with them
+* @module plugins/crashes/api/parts/sourcemaps
+*/
+var path = require("path"),
+    fs = require("fs"),
+    crypto = require("crypto"),
+    common = require('../../../../api/utils/common.js'),
+    countlyFs = require('../../../../api/utils/countlyFs.js'),
+    log = common.log('crashes:sourcemaps');
+
+//collection with source map records, actual source maps are stored in countlyFs
+var COLLECTION = "crash_sourcemaps";
+//countlyFs category of source maps
+var CATEGORY = "crash_sourcemaps";
+//how many parsed source maps to keep in memory
+var CACHE_LIMIT = 20;
+//folder where source maps are stored when file system storage is used
+var DIR = path.resolve(__dirname, "../../sourcemaps");
+
+var BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+var BASE64_VALUES = {};
+for (let i = 0; i < BASE64.length; i++) {
+    BASE64_VALUES[BASE64[i]] = i;
+}
+
+//frames like "    at fn (https://example.com/main.js:1:2)" or "    at https://example.com/main.js:1:2"
+var V8_FRAME = /^(\s*at\s+)(?:(.*?)\s+\()?(.+?):(\d+):(\d+)(\)?)\s*$/;
+//frames like "fn@https://example.com/main.js:1:2"
+var GECKO_FRAME = /^(\s*)(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+var parsedCache = new Map();
+
+/** @lends module:plugins/crashes/api/parts/sourcemaps */
+var sourcemaps = {
+    COLLECTION: COLLECTION,
+    CATEGORY: CATEGORY,
+
+    /**
+    * Decode base64 VLQ encoded segment
+    * @param {string} segment - encoded segment
+    * @returns {Array} decoded numbers
+    */
+    decodeVLQ: function(segment) {
+        var values = [];
+        var value = 0;
+        var shift = 0;
+        for (let i = 0; i < segment.length; i++) {
+            var digit = BASE64_VALUES[segment[i]];
+            if (digit === undefined) {
+                throw new Error("Invalid character in mappings");
+            }
+            value += (digit & 31) << shift;
+            if (digit & 32) {
+                shift += 5;
+            }
+            else {
+                values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+                value = 0;
+                shift = 0;
+            }
+        }
+        return values;
+    },
+
+    /**
+    * Parse source map version 3
+    * @param {string|object} data - source map JSON
+    * @returns {object} parsed source map with sources, names and lines, where each line is array of [generated column, source, original line, original column, name] segments
+    */
+    parse: function(data) {
+        var map = typeof data === "string" ? JSON.parse(data.replace(/^\)\]\}'[^\n]*\n/, "")) : data;
+        if (!map || map.version !== 3 || !Array.isArray(map.sources) || typeof map.mappings !== "string") {
+            throw new Error("Invalid source map, only version 3 source maps with mappings are supported");
+        }
+        var root = map.sourceRoot ? (map.sourceRoot + "").replace(/\/?$/, "/") : "";
+        var parsed = {
+            file: map.file,
+            sources: map.sources.map(function(s) {
+                return root + s;
+            }),
+            names: map.names || [],
+            lines: []
+        };
+        var source = 0, line = 0, column = 0, name = 0;
+        var lines = map.mappings.split(";");
+        for (let i = 0; i < lines.length; i++) {
+            var segments = [];
+            var generated = 0;
+            var parts = lines[i].split(",");
+            for (let j = 0; j < parts.length; j++) {
+                if (!parts[j]) {
+                    continue;
+                }
+                var values = sourcemaps.decodeVLQ(parts[j]);
+                generated += values[0];
+                if (values.length >= 4) {
+                    source += values[1];
+                    line += values[2];
+                    column += values[3];
+                    var segment = [generated, source, line, column];
+                    if (values.length >= 5) {
+                        name += values[4];
+                        segment.push(name);
+                    }
+                    segments.push(segment);
+                }
+            }
+            segments.sort(function(a, b) {
+                return a[0] - b[0];
+            });
+            parsed.lines.push(segments);
+        }
+        return parsed;
+    },
+
+    /**
+    * Find original position for generated position
+    * @param {object} map - parsed source map
+    * @param {number} line - generated line, 1 based
+    * @param {number} column - generated column, 1 based
+    * @returns {object|null} original position {source, line, column, name} with 1 based line and column or null if there is no mapping
+    */
+    originalPosition: function(map, line, column) {
+        var segments = map.lines[line - 1];
+        if (!segments || !segments.length) {
+            return null;
+        }
+        //find last segment starting at or before column
+        var low = 0, high = segments.length - 1, found = -1;
+        while (low <= high) {
+            var mid = (low + high) >> 1;
+            if (segments[mid][0] <= column - 1) {
+                found = mid;
+                low = mid + 1;
+            }
+            else {
+                high = mid - 1;
+            }
+        }
+        if (found === -1) {
+            return null;
+        }
+        var segment = segments[found];
+        return {
+            source: map.sources[segment[1]],
+            line: segment[2] + 1,
+            column: segment[3] + 1,
+            name: segment.length > 4 ? map.names[segment[4]] : null
+        };
+    },
+
+    /**
+    * Parse stacktrace line
+    * @param {string} line - stacktrace line
+    * @returns {object|null} frame {format, prefix, func, url, file, line, column, suffix} or null if line is not a frame with position
+    */
+    parseFrame: function(line) {
+        var match = V8_FRAME.exec(line);
+        var frame = null;
+        if (match) {
+            frame = {format: "v8", prefix: match[1], func: match[2] || "", url: match[3], line: parseInt(match[4], 10), column: parseInt(match[5], 10), suffix: match[6]};
+            //frames without function name have no brackets
+            if (!match[2] && match[6]) {
+                return null;
+            }
+        }
+        else {
+            match = GECKO_FRAME.exec(line);
+            if (match) {
+                frame = {format: "gecko", prefix: match[1], func: match[2], url: match[3], line: parseInt(match[4], 10), column: parseInt(match[5], 10)};
+            }
+        }
+        if (frame) {
+            frame.file = sourcemaps.getFileName(frame.url);
+        }
+        return frame;
+    },
+
+    /**
+    * Get file name from script url, as source maps are matched by file name
+    * @param {string} url - script url
+    * @returns {string} file name
+    */
+    getFileName: function(url) {
+        return (url + "").split(/[?#]/)[0].split("/").pop();
+    },
+
+    /**
+    * De-minify stacktrace
+    * @param {string} stack - minified stacktrace
+    * @param {object} maps - parsed source maps by file name
+    * @returns {string|null} de-minified stacktrace or null if no frame could be mapped
+    */
+    deminify: function(stack, maps) {
+        var changed = false;
+        var lines = stack.split("\n").map(function(line) {
+            var frame = sourcemaps.parseFrame(line);
+            if (!frame || !maps[frame.file]) {
+                return line;
+            }
+            var position = sourcemaps.originalPosition(maps[frame.file], frame.line, frame.column);
+            if (!position || !position.source) {
+                return line;
+            }
+            changed = true;
+            var func = position.name || frame.func;
+            var location = position.source + ":" + position.line + ":" + position.column;
+            if (frame.format === "gecko") {
+                return frame.prefix + func + "@" + location;
+            }
+            return frame.prefix + (func ? func + " (" + location + ")" : location);
+        });
+        return changed ? lines.join("\n") : null;
+    },
+
+    /**
+    * Get id of source map record
+    * @param {string} appId - id of the app
+    * @param {string} appVersion - app version source map was uploaded for
+    * @param {string} file - name of minified file
+    * @returns {string} record id
+    */
+    getId: function(appId, appVersion, file) {
+        return crypto.createHash('sha1').update(appId + "\n" + appVersion + "\n" + file).digest('hex');
+    },
+
+    /**
+    * Store source map
+    * @param {object} params - params object of request
+    * @param {string} appVersion - app version source map is for
+    * @param {string} file - name of minified file, if not provided file property of source map is used
+    * @param {string} data - source map JSON
+    * @param {function} callback - called with error message as first param and stored record as second
+    */
+    save: function(params, appVersion, file, data, callback) {
+        var parsed;
+        try {
+            parsed = sourcemaps.parse(data);
+        }
+        catch (ex) {
+            callback(ex.message);
+            return;
+        }
+        file = sourcemaps.getFileName(file || parsed.file || "");
+        if (!file) {
+            callback("Please provide file parameter with name of minified file");
+            return;
+        }
+        var appId = params.qstring.app_id + "";
+        var id = sourcemaps.getId(appId, appVersion, file);
+        var record = {
+            _id: id,
+            app_id: appId,
+            app_version: appVersion,
+            file: file,
+            size: Buffer.byteLength(data),
+            sources: parsed.sources.length,
+            uploaded: Date.now(),
+            uploaded_by: params.member && params.member._id + ""
+        };
+        //folder is only needed for file system storage
+        fs.mkdir(DIR, {recursive: true}, function() {
+            countlyFs.saveData(CATEGORY, path.join(DIR, id + ".map"), data, {id: id + ".map", writeMode: "overwrite"}, function(err) {
+                if (err) {
+                    log.e("Failed to store source map", err);
+                    callback("Failed to store source map");
+                    return;
+                }
+                common.db.collection(COLLECTION).replaceOne({_id: id}, record, {upsert: true}, function(err2) {
+                    if (err2) {
+                        log.e("Failed to store source map record", err2);
+                        callback("Failed to store source map");
+                        return;
+                    }
+                    parsedCache.delete(id);
+                    callback(null, record);
+                });
+            });
+        });
+    },
+
+    /**
+    * Load parsed source map, using in memory cache
+    * @param {object} record - source map record
+    * @param {function} callback - called with error as first param and parsed source map as second
+    */
+    load: function(record, callback) {
+        var cached = parsedCache.get(record._id);
+        if (cached && cached.uploaded === record.uploaded) {
+            //move to the end, so least recently used maps are removed first
+            parsedCache.delete(record._id);
+            parsedCache.set(record._id, cached);
+            callback(null, cached.map);
+            return;
+        }
+        countlyFs.getData(CATEGORY, path.join(DIR, record._id + ".map"), {id: record._id + ".map"}, function(err, data) {
+            if (err || !data) {
+                callback(err || new Error("Source map not found"));
+                return;
+            }
+            var map;
+            try {
+                map = sourcemaps.parse(data + "");
+            }
+            catch (ex) {
+                callback(ex);
+                return;
+            }
+            parsedCache.set(record._id, {uploaded: record.uploaded, map: map});
+            if (parsedCache.size > CACHE_LIMIT) {
+                parsedCache.delete(parsedCache.keys().next().value);
+            }
+            callback(null, map);
+        });
+    },
+
+    /**
+    * Delete source maps matching query
+    * @param {object} query - query for source map records, should contain app_id
+    * @param {function} callback - called with error as first param and deleted records as second
+    */
+    remove: function(query, callback) {
+        common.db.collection(COLLECTION).find(query).toArray(function(err, records) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            var left = records.length;
+            if (!left) {
+                callback(null, []);
+                return;
+            }
+            records.forEach(function(record) {
+                parsedCache.delete(record._id);
+                countlyFs.deleteFile(CATEGORY, path.join(DIR, record._id + ".map"), {id: record._id + ".map"}, function(err2) {
+                    if (err2) {
+                        log.w("Failed to delete source map file", record._id, err2);
+                    }
+                    common.db.collection(COLLECTION).deleteOne({_id: record._id}, function() {
+                        left--;
+                        if (!left) {
+                            callback(null, records);
+                        }
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+    * De-minify stacktrace of javascript crash with uploaded source maps before it is grouped.
+    * Original stacktrace is kept in _minified_error property. Never fails, crash is left as is if something goes wrong
+    * @param {string} appId - id of the app
+    * @param {object} crash - crash object from SDK
+    * @param {function} callback - called when processing is done
+    */
+    apply: function(appId, crash, callback) {
+        if (!crash._javascript || typeof crash._error !== "string" || !crash._app_version) {
+            callback();
+            return;
+        }
+        var files = {};
+        crash._error.split("\n").forEach(function(line) {
+            var frame = sourcemaps.parseFrame(line);
+            if (frame && frame.file) {
+                files[frame.file] = true;
+            }
+        });
+        if (!Object.keys(files).length) {
+            callback();
+            return;
+        }
+        common.db.collection(COLLECTION).find({app_id: appId + "", app_version: crash._app_version + "", file: {$in: Object.keys(files)}}).toArray(function(err, records) {
+            if (err || !records || !records.length) {
+                callback();
+                return;
+            }
+            var maps = {};
+            var left = records.length;
+            records.forEach(function(record) {
+                sourcemaps.load(record, function(err2, map) {
+                    if (err2) {
+                        log.w("Can't load source map", record._id, err2);
+                    }
+                    else {
+                        maps[record.file] = map;
+                    }
+                    left--;
+                    if (!left) {
+                        var deminified = sourcemaps.deminify(crash._error, maps);
+                        if (deminified) {
+                            crash._minified_error = crash._error;
+                            crash._error = deminified;
+                        }
+                        callback();
+                    }
+                });
+            });
+        });
+    }
+};
+
+module.exports = sourcemaps;
@@ -4,6 +4,73 @@
 */
 var minidump = require("./minidump.js");
 var plugins = require("../../../pluginManager.js");
+var common = require('../../../../api/utils/common.js');
+var log = common.log('crashes:stacktrace');
+
+//last compiled patterns of each grouping rule, recompiled when rule changes
+var compiled = {};
+
+/**
+* Split newline separated list of regular expressions
+* @param {string|Array} list - newline separated string or array of patterns
+* @returns {Array} array of non empty patterns
+*/
+function splitPatterns(list) {
+    if (Array.isArray(list)) {
+        list = list.join("\n");
+    }
+    if (!list || typeof list !== "string") {
+        return [];
+    }
+    return list.split("\n").map(function(pattern) {
+        return pattern.trim();
+    }).filter(function(pattern) {
+        return pattern.length;
+    });
+}
+
+/**
+* Compile patterns of grouping rule. Invalid expressions are rejected when configuration is saved,
+* but are skipped here too in case they were stored before
+* @param {string} rule - grouping rule name
+* @param {string|Array} list - newline separated string or array of patterns
+* @returns {Array} array of RegExp
+*/
+function compilePatterns(rule, list) {
+    var source = Array.isArray(list) ? list.join("\n") : list;
+    if (!compiled[rule] || compiled[rule].source !== source) {
+        compiled[rule] = {
+            source: source,
+            patterns: splitPatterns(list).map(function(pattern) {
+                try {
+                    return new RegExp(pattern);
+                }
+                catch (ex) {
+                    log.w("Invalid crash grouping pattern %s: %s", pattern, ex.message);
+                    return null;
+                }
+            }).filter(function(regex) {
+                return regex;
+            })
+        };
+    }
+    return compiled[rule].patterns;
+}
+
+/**
+* Check if line matches any of patterns
+* @param {string} line - stacktrace line
+* @param {Array} patterns - array of RegExp
+* @returns {boolean} true if matches
+*/
+function matchesAny(line, patterns) {
+    for (var i = 0; i < patterns.length; i++) {
+        if (patterns[i].test(line)) {
+            return true;
+        }
+    }
+    return false;
+}
 
 /** @lends module:plugins/crashes/api/parts/stacktrace */
 var trace = {
@@ -43,14 +110,73 @@ var trace = {
         }
         return stack;
     },
+    /**
+     *  Check newline separated list of grouping rule regular expressions
+     *  @param {string|Array} list - newline separated string or array of patterns
+     *  @return {Array} error messages of invalid patterns, empty if all are valid
+     */
+    validatePatterns: function(list) {
+        var errors = [];
+        splitPatterns(list).forEach(function(pattern) {
+            try {
+                new RegExp(pattern);
+            }
+            catch (ex) {
+                errors.push(ex.message);
+            }
+        });
+        return errors;
+    },
+    /**
+     *  Apply grouping rules to processed stacktrace, rules only affect how crashes are grouped, not stored stacktrace
+     *  @param {Array} stack - processed stacktrace lines
+     *  @param {Object} config - crashes plugin configuration, possibly overridden for app
+     *  @param {boolean} config.grouping_normalize_addresses - replace memory addresses like 0x1a2b with 0x?
+     *  @param {boolean} config.grouping_normalize_numbers - replace numbers like line numbers or thread ids with ?
+     *  @param {string} config.grouping_ignore_frames - newline separated regular expressions of lines to ignore
+     *  @param {string} config.grouping_in_app_frames - newline separated regular expressions of in app lines, all lines are in app if empty
+     *  @param {number} config.grouping_top_frames - use only this many top in app lines, 0 to use all lines
+     *  @return {Array} stacktrace lines used for grouping
+     */
+    applyGroupingRules: function(stack, config) {
+        config = config || {};
+        var ignore = compilePatterns("ignore", config.grouping_ignore_frames);
+        var inApp = compilePatterns("in_app", config.grouping_in_app_frames);
+        var top = parseInt(config.grouping_top_frames, 10) || 0;
+        var result = stack.map(function(line) {
+            line = line + "";
+            if (config.grouping_normalize_addresses) {
+                line = line.replace(/0x[0-9a-f]+/gi, "0x?");
+            }
+            if (config.grouping_normalize_numbers) {
+                line = line.replace(/(^|[^0-9a-z_?])\d+(?=[^0-9a-z_]|$)/gi, "$1?");
+            }
+            return line;
+        }).filter(function(line) {
+            return !matchesAny(line, ignore);
+        });
+        if (inApp.length) {
+            result = result.filter(function(line) {
+                return matchesAny(line, inApp);
+            });
+        }
+        if (top > 0) {
+            result = result.slice(0, top);
+        }
+        //nothing left to group by, fallback to full stack
+        return result.length ? result : stack;
+    },
     /**
      *  Prepare data for grouping stategy
      *  @param {Array} stack - processed stacktrace
      *  @param {Object} crash - crash object from API
      *  @param {Function} callback - callback where to provide data
+     *  @param {Object=} config - crashes plugin configuration for app, global configuration by default
      */
-    groupStrategy: function(stack, crash, callback) {
-        var groupStrategy = plugins.getConfig("crashes").grouping_strategy;
+    groupStrategy: function(stack, crash, callback, config) {
+        config = config || plugins.getConfig("crashes");
+        stack = trace.applyGroupingRules(stack, config);
+        var groupStrategy = config.grouping_strategy;
         if (groupStrategy === "stacktrace") {
             callback(stack.join("\n"));
         }
@@ -70,8 +196,9 @@ var trace = {
     * Process crash
     * @param {object} crash - Crash object
     * @param {function} callback - to be called when processing is done
+    * @param {object=} config - crashes plugin configuration for app with grouping strategy and rules, global configuration by default
     */
-    preprocessCrash: function(crash, callback) {
+    preprocessCrash: function(crash, callback, config) {
         if (crash._native_cpp) {
             minidump.processMinidump(crash._error, function(err, data) {
                 if (!err) {
@@ -79,7 +206,7 @@ var trace = {
                     crash._error = data;
                     var stack = trace.processNativeThreads(data);
                     crash._name = stack[0];
-                    trace.groupStrategy(stack, crash, callback);
+                    trace.groupStrategy(stack, crash, callback, config);
                 }
                 else {
                     console.log("Can't symbolicate", err);
@@ -87,7 +214,7 @@ var trace = {
                     crash._error = "Unsymbolicated native crash";
                     crash._symbolication_error = err;
                     crash._unprocessed = true;
-                    trace.groupStrategy([crash._error], crash, callback);
+                    trace.groupStrategy([crash._error], crash, callback, config);
                 }
             });
         }
@@ -163,7 +290,7 @@ var trace = {
             if (!crash._name) {
                 crash._name = stack[0];
             }
-            trace.groupStrategy(stack, crash, callback);
+            trace.groupStrategy(stack, crash, callback, config);
         }
         else {
             crash._error = crash._error.replace(/\r\n|\r|\n/g, "\n");
@@ -223,7 +350,7 @@ var trace = {
             lines = lines.filter(function(elem, pos) {
                 return lines.indexOf(elem) === pos;
             });
-            trace.groupStrategy(lines, crash, callback);
+            trace.groupStrategy(lines, crash, callback, config);
         }
     },
 
@@ -419,6 +419,10 @@
             return countlyCrashes.manipulateCrashgroup(selectedIds, "delete");
         };
 
+        _overviewSubmodule.actions.setSelectedAsMerged = function(context, selectedIds) {
+            return countlyCrashes.manipulateCrashgroup(selectedIds, "merge");
+        };
+
         var _crashgroupSubmodule = {
             state: function() {
                 return {
@@ -854,6 +858,21 @@
             });
         };
 
+        _crashgroupSubmodule.actions.createIssue = function(context) {
+            return countlyCrashes.manipulateCrashgroup(context.state.crashgroup._id, "create_issue").then(function(issue) {
+                context.state.crashgroup = Object.assign({}, context.state.crashgroup, {issue: issue});
+                return issue;
+            });
+        };
+
+        _crashgroupSubmodule.actions.unlinkIssue = function(context) {
+            return countlyCrashes.manipulateCrashgroup(context.state.crashgroup._id, "unlink_issue").then(function() {
+                var crashgroup = Object.assign({}, context.state.crashgroup);
+                delete crashgroup.issue;
+                context.state.crashgroup = crashgroup;
+            });
+        };
+
         _crashgroupSubmodule.actions.delete = function(context) {
             return countlyCrashes.manipulateCrashgroup(context.state.crashgroup._id, "delete");
         };
@@ -1024,7 +1043,7 @@
         }
 
         if (crash.is_renewed) {
-            badges.push({type: "neutral", content: CV.i18n("crashes.reoccuring")});
+            badges.push({type: "neutral", content: crash.regressed_version ? CV.i18n("crashes.regressed-in", crash.regressed_version) : CV.i18n("crashes.reoccuring")});
         }
 
 
@@ -1042,6 +1061,10 @@
             badges.push({type: "info", content: CV.i18n("crashes.new")});
         }
 
+        if (crash.issue && crash.issue.key) {
+            badges.push({type: "info", content: CV.i18n("crashes.linked-issue", countlyCommon.encodeHtml(crash.issue.key))});
+        }
+
         return badges;
     };
 
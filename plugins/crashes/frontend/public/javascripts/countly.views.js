@@ -311,6 +311,27 @@
                             group: "Detail",
                             getValueList: getAppVersions
                         });
+                        filterProperties.push({
+                            id: "first_version",
+                            name: "New in Version",
+                            type: countlyQueryBuilder.PropertyType.LIST,
+                            group: "Main",
+                            getValueList: getAppVersions
+                        });
+                        filterProperties.push({
+                            id: "regressed_version",
+                            name: "Regressed in Version",
+                            type: countlyQueryBuilder.PropertyType.LIST,
+                            group: "Main",
+                            getValueList: getAppVersions
+                        });
+                        filterProperties.push({
+                            id: "resolved_version",
+                            name: "Resolved in Version",
+                            type: countlyQueryBuilder.PropertyType.LIST,
+                            group: "Main",
+                            getValueList: getAppVersions
+                        });
                         filterProperties.push({
                             id: "opengl",
                             name: "OpenGL Version",
@@ -553,6 +574,9 @@
                 else if (state === "delete") {
                     promise = this.$store.dispatch("countlyCrashes/overview/setSelectedAsDeleted", this.$data.selectedCrashgroups);
                 }
+                else if (state === "merge") {
+                    promise = this.$store.dispatch("countlyCrashes/overview/setSelectedAsMerged", this.$data.selectedCrashgroups);
+                }
 
                 if (typeof promise !== "undefined") {
                     promise.finally(function() {
@@ -639,6 +663,7 @@
                 userProfilesEnabled: countlyGlobal.plugins.includes("users"),
                 hasUserPermission: countlyAuth.validateRead('users'),
                 showSymbolicated: false,
+                showMinified: false,
                 activeThreadPanels: []
             };
         },
@@ -949,6 +974,28 @@
 
                     window.location.hash = "/users/request/" + JSON.stringify(params);
                 }
+                else if (command === "create-issue") {
+                    this.$store.dispatch("countlyCrashes/crashgroup/createIssue")
+                        .then(function(issue) {
+                            CountlyHelpers.notify({
+                                title: jQuery.i18n.map["crashes.issue-created"],
+                                message: issue.key
+                            });
+                        })
+                        .catch(function(err) {
+                            CountlyHelpers.alert((err && err.responseJSON && err.responseJSON.result) || jQuery.i18n.map["crashes.try-later"], "red");
+                        });
+                }
+                else if (command === "open-issue") {
+                    window.open(this.crashgroup.issue.url, "_blank", "noopener");
+                }
+                else if (command === "unlink-issue") {
+                    CountlyHelpers.confirm(jQuery.i18n.prop("crashes.confirm-unlink-issue", this.crashgroup.issue.key), "red", function(result) {
+                        if (result) {
+                            self.$store.dispatch("countlyCrashes/crashgroup/unlinkIssue");
+                        }
+                    });
+                }
                 else if (command === "delete") {
                     CountlyHelpers.confirm(jQuery.i18n.prop("crashes.confirm-delete", 1), "red", function(result) {
                         if (result) {
@@ -1249,6 +1296,20 @@
                 {value: 'stacktrace', label: CV.i18n("crashes.grouping_strategy.stacktrace")}
             ]
         });
+        app.configurationsView.registerInput("crashes.grouping_ignore_frames", {input: "el-input", attrs: {type: "textarea", rows: 5}});
+        app.configurationsView.registerInput("crashes.grouping_in_app_frames", {input: "el-input", attrs: {type: "textarea", rows: 5}});
+        app.configurationsView.registerInput("crashes.issue_tracker_type", {
+            input: "el-select",
+            attrs: {},
+            list: [
+                {value: 'none', label: CV.i18n("crashes.issue_tracker_type.none")},
+                {value: 'generic', label: CV.i18n("crashes.issue_tracker_type.generic")},
+                {value: 'jira', label: "Jira"},
+                {value: 'github', label: "GitHub"}
+            ]
+        });
+        app.configurationsView.registerInput("crashes.issue_tracker_token", {input: "el-input", attrs: {type: "password"}});
+        app.configurationsView.registerInput("crashes.issue_tracker_webhook_secret", {input: "el-input", attrs: {type: "password"}});
     }
 
     app.route("/crashes", "crashes", function() {
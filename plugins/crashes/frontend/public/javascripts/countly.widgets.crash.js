@@ -188,4 +188,131 @@
             component: WidgetComponent
         }
     });
+
+    var CrashFreeWidgetComponent = countlyVue.views.create({
+        template: CV.T('/dashboards/templates/widgets/analytics/widget.html'),
+        mixins: [countlyVue.mixins.customDashboards.global, countlyVue.mixins.customDashboards.widget, countlyVue.mixins.customDashboards.apps, countlyVue.mixins.zoom],
+        data: function() {
+            return {
+                selectedBucket: "daily",
+                map: {
+                    "crash_free_users": this.i18n("crashes.free-users"),
+                    "crash_free_sessions": this.i18n("crashes.free-sessions")
+                }
+            };
+        },
+        computed: {
+            title: function() {
+                var autoTitle = this.i18n("crashes.crash-free.title");
+                if (this.data.app_version) {
+                    autoTitle += " (" + this.data.app_version + ")";
+                }
+                return this.data.title || autoTitle;
+            },
+            showBuckets: function() {
+                return false;
+            },
+            timelineGraph: function() {
+                this.data = this.data || {};
+                this.data.dashData = this.data.dashData || {};
+                this.data.dashData.data = this.data.dashData.data || {};
+
+                var series = [];
+                var dates = [];
+                var metrics = this.data.metrics || [];
+
+                for (var app in this.data.dashData.data) {
+                    for (var k = 0; k < metrics.length; k++) {
+                        series.push({"data": [], "name": this.map[metrics[k]] || metrics[k], "app": app, "metric": metrics[k], color: countlyCommon.GRAPH_COLORS[series.length]});
+                    }
+                    for (var date in this.data.dashData.data[app]) {
+                        dates.push(date);
+                        for (var kk = 0; kk < metrics.length; kk++) {
+                            //days without sessions have no rate
+                            var value = this.data.dashData.data[app][date][metrics[kk]];
+                            series[kk].data.push(typeof value === "number" ? value : null);
+                        }
+                    }
+                    //widget shows single app
+                    break;
+                }
+                return {
+                    lineOptions: {xAxis: {data: dates}, yAxis: {max: 100}, "series": series}
+                };
+            },
+            number: function() {
+                return this.calculateNumberFromWidget(this.data);
+            },
+            metricLabels: function() {
+                var self = this;
+                return (this.data.metrics || []).map(function(metric) {
+                    return self.map[metric] || metric;
+                });
+            },
+            legendLabels: function() {
+                var labels = {};
+                var series = this.timelineGraph.lineOptions.series;
+                for (var i = 0; i < series.length; i++) {
+                    if (!labels[series[i].app]) {
+                        labels[series[i].app] = [];
+                    }
+                    labels[series[i].app].push({
+                        appId: series[i].app,
+                        color: series[i].color,
+                        label: this.map[series[i].metric] || series[i].metric
+                    });
+                }
+                return labels;
+            }
+        }
+    });
+
+    var CrashFreeDrawerComponent = countlyVue.views.create({
+        template: CV.T('/crashes/templates/dashboard-widget/crash-free-drawer.html'),
+        props: {
+            scope: {
+                type: Object,
+                default: function() {
+                    return {};
+                }
+            }
+        },
+        data: function() {
+            return {
+                metrics: [
+                    { label: this.i18n("crashes.free-users"), value: "crash_free_users" },
+                    { label: this.i18n("crashes.free-sessions"), value: "crash_free_sessions" }
+                ]
+            };
+        }
+    });
+
+    countlyVue.container.registerData("/custom/dashboards/widget", {
+        type: "crash-free",
+        label: CV.i18nM("crashes.crash-free.title"),
+        priority: 12,
+        primary: true,
+        getter: function(widget) {
+            return widget.widget_type === "crash-free";
+        },
+        drawer: {
+            component: CrashFreeDrawerComponent,
+            getEmpty: function() {
+                return {
+                    title: "",
+                    feature: "crashes",
+                    widget_type: "crash-free",
+                    app_count: 'single',
+                    apps: [],
+                    metrics: [],
+                    app_version: "",
+                    visualization: "",
+                    isPluginWidget: true
+                };
+            }
+        },
+        grid: {
+            component: CrashFreeWidgetComponent
+        }
+    });
 })();
\ No newline at end of file
@@ -37,12 +37,16 @@ pluginManager.dbConnection().then(function(countlyDb) {
             countlyDb.collection('app_crashes' + app._id).ensureIndex({"name": "text"}, { background: true }, cb);
         }
         async.forEach(apps, upgrade, function() {
-            fs.chmod(path.resolve(__dirname + "/bin/minidump_stackwalk"), 0o744, function(err) {
-                if (err && !process.env.COUNTLY_CONTAINER) {
-                    console.log(err);
-                }
-                console.log("Crash plugin installation finished");
-                countlyDb.close();
+            countlyDb.collection('crash_sourcemaps').ensureIndex({"app_id": 1, "app_version": 1, "file": 1}, {background: true}, function() {
+                countlyDb.collection('crashfree').ensureIndex({"a": 1, "d": 1, "v": 1}, {background: true}, function() {
+                    fs.chmod(path.resolve(__dirname + "/bin/minidump_stackwalk"), 0o744, function(err) {
+                        if (err && !process.env.COUNTLY_CONTAINER) {
+                            console.log(err);
+                        }
+                        console.log("Crash plugin installation finished");
+                        countlyDb.close();
+                    });
+                });
             });
         });
     });
@@ -3108,4 +3108,617 @@ describe('Testing Crashes', function() {
                 });
         });
     });
+
+    describe('Web crashes with source maps', function() {
+        var sourcemap = function(file, mappings) {
+            return JSON.stringify({version: 3, file: file, sourceRoot: "webpack://app/", sources: ["./src/components/Button.jsx"], names: ["handleClick"], mappings: mappings});
+        };
+        var webCrash = function(version, file, column) {
+            return {
+                _os: "Windows",
+                _os_version: "10",
+                _app_version: version,
+                _javascript: true,
+                _not_os_specific: true,
+                _nonfatal: true,
+                _name: "TypeError: Cannot read properties of undefined",
+                _error: "TypeError: Cannot read properties of undefined\n    at a.b (https://cdn.example.com/static/" + file + "?v=1:1:" + column + ")\n    at https://cdn.example.com/static/vendor.js:1:5"
+            };
+        };
+        it('should fail without app_version', function(done) {
+            request
+                .get('/i/crashes/sourcemaps?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&sourcemap=" + encodeURIComponent(sourcemap("main.aaa.js", "AAAA")))
+                .expect(400)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    ob.should.have.property('result', 'Please provide app_version parameter');
+                    done();
+                });
+        });
+        it('should fail with invalid source map', function(done) {
+            request
+                .get('/i/crashes/sourcemaps?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&app_version=2.0&sourcemap=" + encodeURIComponent(JSON.stringify({version: 2})))
+                .expect(400)
+                .end(function(err) {
+                    done(err);
+                });
+        });
+        it('should upload source maps for two builds', function(done) {
+            request
+                .get('/i/crashes/sourcemaps?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&app_version=2.0&sourcemap=" + encodeURIComponent(sourcemap("main.aaa.js", "AAAA,ol+CAASIA")))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    ob.should.have.property('file', 'main.aaa.js');
+                    ob.should.have.property('app_version', '2.0');
+                    ob.should.have.property('sources', 1);
+                    request
+                        .get('/i/crashes/sourcemaps?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&app_version=2.1&file=main.bbb.js&sourcemap=" + encodeURIComponent(sourcemap("ignored.js", "AAAA,0hCAASIA")))
+                        .expect(200)
+                        .end(function(err2, res2) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            JSON.parse(res2.text).should.have.property('file', 'main.bbb.js');
+                            done();
+                        });
+                });
+        });
+        it('should list source maps', function(done) {
+            request
+                .get('/o/crashes/sourcemaps?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    ob.should.be.an.Array().with.lengthOf(2);
+                    done();
+                });
+        });
+        it('should record crashes from both builds', function(done) {
+            request
+                .get('/i?device_id=' + DEVICE_ID + '5&app_key=' + APP_KEY + "&crash=" + encodeURIComponent(JSON.stringify(webCrash("2.0", "main.aaa.js", 48213))))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    request
+                        .get('/i?device_id=' + DEVICE_ID + '5&app_key=' + APP_KEY + "&crash=" + encodeURIComponent(JSON.stringify(webCrash("2.1", "main.bbb.js", 1051))))
+                        .expect(200)
+                        .end(function(err2) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            setTimeout(done, 200 * testUtils.testScalingFactor);
+                        });
+                });
+        });
+        it('should group de-minified crashes together', function(done) {
+            request
+                .get('/o?method=crashes&api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    ob.should.have.property("aaData").with.lengthOf(1);
+                    ob.aaData[0].should.have.property("reports", 2);
+                    ob.aaData[0].error.should.containEql("at handleClick (webpack://app/./src/components/Button.jsx:10:5)");
+                    request
+                        .get('/o?group=' + ob.aaData[0]._id + '&method=crashes&api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID)
+                        .expect(200)
+                        .end(function(err2, res2) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            var group = JSON.parse(res2.text);
+                            group.should.have.property("data").with.lengthOf(2);
+                            group.data[0].should.have.property("minified_error");
+                            group.data[0].minified_error.should.containEql("at a.b (https://cdn.example.com/static/main.");
+                            done();
+                        });
+                });
+        });
+        it('should delete source maps', function(done) {
+            request
+                .get('/i/crashes/delete_sourcemaps?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&args=" + JSON.stringify({app_version: "2.0"}))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    request
+                        .get('/o/crashes/sourcemaps?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID)
+                        .expect(200)
+                        .end(function(err2, res2) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            var ob = JSON.parse(res2.text);
+                            ob.should.be.an.Array().with.lengthOf(1);
+                            ob[0].should.have.property("app_version", "2.1");
+                            done();
+                        });
+                });
+        });
+    });
+    describe('Merge crash groups', function() {
+        var mergeCrash = function(name) {
+            return {
+                _os: "Windows",
+                _os_version: "10",
+                _app_version: "3.0",
+                _javascript: true,
+                _not_os_specific: true,
+                _nonfatal: true,
+                _name: name,
+                _error: name + "\n    at https://cdn.example.com/static/" + name.toLowerCase() + ".js:1:5"
+            };
+        };
+        var groupIds = [];
+        it('should record two different crashes', function(done) {
+            request
+                .get('/i?device_id=' + DEVICE_ID + '6&app_key=' + APP_KEY + "&crash=" + encodeURIComponent(JSON.stringify(mergeCrash("FirstMergeError"))))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    request
+                        .get('/i?device_id=' + DEVICE_ID + '7&app_key=' + APP_KEY + "&crash=" + encodeURIComponent(JSON.stringify(mergeCrash("SecondMergeError"))))
+                        .expect(200)
+                        .end(function(err2) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            setTimeout(done, 200 * testUtils.testScalingFactor);
+                        });
+                });
+        });
+        it('should have separate groups', function(done) {
+            request
+                .get('/o?method=crashes&api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    ob.should.have.property("aaData").with.lengthOf(3);
+                    groupIds = ob.aaData.filter(function(group) {
+                        return group.name.indexOf("MergeError") !== -1;
+                    }).map(function(group) {
+                        return group._id;
+                    });
+                    groupIds.should.have.lengthOf(2);
+                    done();
+                });
+        });
+        it('should fail to merge single group', function(done) {
+            request
+                .get('/i/crashes/merge?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&args=" + JSON.stringify({crashes: [groupIds[0]]}))
+                .expect(400)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    ob.should.have.property('result', 'Please provide at least two existing crash groups to merge');
+                    done();
+                });
+        });
+        it('should merge groups', function(done) {
+            request
+                .get('/i/crashes/merge?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&args=" + JSON.stringify({crashes: groupIds}))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    ob.should.have.property("_id", groupIds[0]);
+                    ob.should.have.property("reports", 2);
+                    ob.should.have.property("users", 2);
+                    ob.groups.should.containEql(groupIds[1]);
+                    done();
+                });
+        });
+        it('should record new crash into merged group', function(done) {
+            request
+                .get('/i?device_id=' + DEVICE_ID + '7&app_key=' + APP_KEY + "&crash=" + encodeURIComponent(JSON.stringify(mergeCrash("SecondMergeError"))))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    setTimeout(function() {
+                        request
+                            .get('/o?method=crashes&api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID)
+                            .expect(200)
+                            .end(function(err2, res2) {
+                                if (err2) {
+                                    return done(err2);
+                                }
+                                var ob = JSON.parse(res2.text);
+                                ob.should.have.property("aaData").with.lengthOf(2);
+                                var merged = ob.aaData.filter(function(group) {
+                                    return group._id === groupIds[0];
+                                })[0];
+                                merged.should.have.property("reports", 3);
+                                request
+                                    .get('/o?group=' + groupIds[1] + '&method=crashes&api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID)
+                                    .expect(200)
+                                    .end(function(err3, res3) {
+                                        if (err3) {
+                                            return done(err3);
+                                        }
+                                        var group = JSON.parse(res3.text);
+                                        group.should.have.property("_id", groupIds[0]);
+                                        group.should.have.property("data").with.lengthOf(3);
+                                        done();
+                                    });
+                            });
+                    }, 200 * testUtils.testScalingFactor);
+                });
+        });
+    });
+    describe('Grouping rules configuration', function() {
+        it('should reject invalid grouping pattern', function(done) {
+            request
+                .get('/i/configs?api_key=' + API_KEY_ADMIN + "&configs=" + encodeURIComponent(JSON.stringify({crashes: {grouping_ignore_frames: "node_modules\n[unclosed"}})))
+                .expect(400)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    ob.result.should.startWith("Invalid crash grouping pattern in grouping_ignore_frames");
+                    done();
+                });
+        });
+        it('should not store rejected grouping pattern', function(done) {
+            request
+                .get('/o/configs?api_key=' + API_KEY_ADMIN)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    (ob.crashes.grouping_ignore_frames || "").should.not.containEql("[unclosed");
+                    done();
+                });
+        });
+    });
+    describe('Crash regressions', function() {
+        var regressionCrash = function(version) {
+            return {
+                _os: "Windows",
+                _os_version: "10",
+                _app_version: version,
+                _javascript: true,
+                _not_os_specific: true,
+                _nonfatal: true,
+                _name: "RegressionError",
+                _error: "RegressionError\n    at https://cdn.example.com/static/regression.js:1:5"
+            };
+        };
+        var crashId;
+        var listCrashes = function(filter, version, callback) {
+            request
+                .get('/o?method=crashes&api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&filter=" + filter + "&version=" + version)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return callback(err);
+                    }
+                    callback(null, JSON.parse(res.text).aaData);
+                });
+        };
+        it('should record and resolve crash', function(done) {
+            request
+                .get('/i?device_id=' + DEVICE_ID + '8&app_key=' + APP_KEY + "&crash=" + encodeURIComponent(JSON.stringify(regressionCrash("4.0"))))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    setTimeout(function() {
+                        listCrashes("crash-new-in-version", "4.0", function(err2, crashes) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            crashes.should.have.lengthOf(1);
+                            crashes[0].should.have.property("first_version", "4.0");
+                            crashId = crashes[0]._id;
+                            request
+                                .get('/i/crashes/resolve?args=' + JSON.stringify({crash_id: crashId}) + '&app_id=' + APP_ID + '&api_key=' + API_KEY_ADMIN)
+                                .expect(200)
+                                .end(function(err3) {
+                                    done(err3);
+                                });
+                        });
+                    }, 200 * testUtils.testScalingFactor);
+                });
+        });
+        it('should not regress with same version', function(done) {
+            request
+                .get('/i?device_id=' + DEVICE_ID + '8&app_key=' + APP_KEY + "&crash=" + encodeURIComponent(JSON.stringify(regressionCrash("4.0"))))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    setTimeout(function() {
+                        listCrashes("crash-resolved-in-version", "4.0", function(err2, crashes) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            crashes.should.have.lengthOf(1);
+                            crashes[0].should.have.property("is_resolved", true);
+                            crashes[0].should.not.have.property("regressed_version");
+                            done();
+                        });
+                    }, 200 * testUtils.testScalingFactor);
+                });
+        });
+        it('should regress with newer version', function(done) {
+            request
+                .get('/i?device_id=' + DEVICE_ID + '8&app_key=' + APP_KEY + "&crash=" + encodeURIComponent(JSON.stringify(regressionCrash("4.1"))))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    setTimeout(function() {
+                        listCrashes("crash-regressed", "4.1", function(err2, crashes) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            crashes.should.have.lengthOf(1);
+                            crashes[0].should.have.property("_id", crashId);
+                            crashes[0].should.have.property("is_resolved", false);
+                            crashes[0].should.have.property("is_renewed", true);
+                            crashes[0].should.have.property("resolved_version", "4.0");
+                            crashes[0].should.have.property("regressed_version", "4.1");
+                            listCrashes("crash-new-in-version", "4.1", function(err3, newCrashes) {
+                                if (err3) {
+                                    return done(err3);
+                                }
+                                newCrashes.should.have.lengthOf(0);
+                                done();
+                            });
+                        });
+                    }, 200 * testUtils.testScalingFactor);
+                });
+        });
+    });
+    describe('Crash free rates by release', function() {
+        it('should record session for new release', function(done) {
+            request
+                .get('/i?device_id=' + DEVICE_ID + '9&app_key=' + APP_KEY + '&begin_session=1&metrics={"_app_version":"5.0","_os":"Android"}')
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    setTimeout(done, 500 * testUtils.testScalingFactor);
+                });
+        });
+        it('should return crash free rates per version', function(done) {
+            request
+                .get('/o?method=crashes&crashfree=true&period=7days&app_version=5.0&api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    ob.should.have.property("versions").eql(["5.0"]);
+                    ob.should.have.property("dates").with.lengthOf(7);
+                    ob.should.have.property("data").with.property("5.0");
+                    ob.data.should.have.property("any");
+                    var days = Object.keys(ob.data["5.0"]);
+                    days.should.have.lengthOf(1);
+                    var day = ob.data["5.0"][days[0]];
+                    day.should.have.property("sessions", 1);
+                    day.should.have.property("users", 1);
+                    day.should.have.property("sessions_rate").within(0, 100);
+                    day.should.have.property("users_rate").within(0, 100);
+                    ob.should.have.property("totals").with.property("5.0").with.property("sessions", 1);
+                    done();
+                });
+        });
+    });
+    describe('Issue tracker linkage', function() {
+        var http = require('http');
+        var TRACKER_PORT = 3939;
+        var tracker;
+        var trackerRequests = [];
+        var crashId;
+        var setTrackerConfig = function(config, done) {
+            request
+                .post('/i/apps/update/plugins?api_key=' + API_KEY_ADMIN)
+                .send({app_id: APP_ID, args: JSON.stringify({crashes: config})})
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    setTimeout(done, 100 * testUtils.testScalingFactor);
+                });
+        };
+        var getGroup = function(callback) {
+            request
+                .get('/o?method=crashes&group=' + crashId + '&api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return callback(err);
+                    }
+                    callback(null, JSON.parse(res.text));
+                });
+        };
+        before(function(done) {
+            //local mock of generic REST issue tracker
+            tracker = http.createServer(function(req, res) {
+                var body = "";
+                req.on("data", function(data) {
+                    body += data;
+                });
+                req.on("end", function() {
+                    trackerRequests.push({method: req.method, url: req.url, body: body ? JSON.parse(body) : {}});
+                    res.writeHead(req.method === "POST" ? 201 : 200, {"Content-Type": "application/json"});
+                    res.end(JSON.stringify(req.method === "POST" ? {key: "CRASH-1", url: "http://localhost:" + TRACKER_PORT + "/browse/CRASH-1"} : {}));
+                });
+            });
+            tracker.listen(TRACKER_PORT, function() {
+                setTrackerConfig({
+                    issue_tracker_type: "generic",
+                    issue_tracker_url: "http://localhost:" + TRACKER_PORT + "/issues",
+                    issue_tracker_webhook_secret: "tracker-secret"
+                }, done);
+            });
+        });
+        after(function(done) {
+            tracker.close();
+            setTrackerConfig({issue_tracker_type: "none", issue_tracker_url: "", issue_tracker_webhook_secret: ""}, done);
+        });
+        it('should record crash', function(done) {
+            var crash = {
+                _os: "Android",
+                _os_version: "11",
+                _app_version: "6.0",
+                _nonfatal: false,
+                _error: "java.lang.IllegalStateException: Tracked issue\n\tat com.example.Tracker.link(Tracker.java:7)"
+            };
+            request
+                .get('/i?device_id=' + DEVICE_ID + '10&app_key=' + APP_KEY + "&crash=" + encodeURIComponent(JSON.stringify(crash)))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    setTimeout(function() {
+                        request
+                            .get('/o?method=crashes&api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID)
+                            .expect(200)
+                            .end(function(err2, res) {
+                                if (err2) {
+                                    return done(err2);
+                                }
+                                var groups = JSON.parse(res.text).aaData.filter(function(group) {
+                                    return group.name.indexOf("Tracked issue") !== -1;
+                                });
+                                groups.should.have.lengthOf(1);
+                                crashId = groups[0]._id;
+                                done();
+                            });
+                    }, 200 * testUtils.testScalingFactor);
+                });
+        });
+        it('should create issue in tracker', function(done) {
+            request
+                .get('/i/crashes/create_issue?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&args=" + JSON.stringify({crash_id: crashId}))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    ob.should.have.property("key", "CRASH-1");
+                    ob.should.have.property("tracker", "generic");
+                    trackerRequests.should.have.lengthOf(1);
+                    trackerRequests[0].should.have.property("method", "POST");
+                    trackerRequests[0].should.have.property("url", "/issues");
+                    trackerRequests[0].body.should.have.property("crash_id", crashId);
+                    trackerRequests[0].body.should.have.property("versions").eql(["6.0"]);
+                    trackerRequests[0].body.stack.should.containEql("Tracker.java:7");
+                    getGroup(function(err2, group) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        group.should.have.property("issue").with.property("key", "CRASH-1");
+                        done();
+                    });
+                });
+        });
+        it('should not create second issue for same crash', function(done) {
+            request
+                .get('/i/crashes/create_issue?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&args=" + JSON.stringify({crash_id: crashId}))
+                .expect(400, done);
+        });
+        it('should reject webhook with wrong secret', function(done) {
+            request
+                .post('/i/crashes/issue_webhook?app_id=' + APP_ID + "&secret=wrong")
+                .send({key: "CRASH-1", status: "closed"})
+                .expect(401, done);
+        });
+        it('should resolve crash when issue is closed', function(done) {
+            request
+                .post('/i/crashes/issue_webhook?app_id=' + APP_ID + "&secret=tracker-secret")
+                .send({key: "CRASH-1", status: "closed"})
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var ob = JSON.parse(res.text);
+                    ob.should.have.property("state", "closed");
+                    ob.should.have.property("crashes").eql([crashId]);
+                    getGroup(function(err2, group) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        group.should.have.property("is_resolved", true);
+                        group.should.have.property("resolved_version", "6.0");
+                        done();
+                    });
+                });
+        });
+        it('should update issue when crash is unresolved', function(done) {
+            request
+                .get('/i/crashes/unresolve?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&args=" + JSON.stringify({crash_id: crashId}))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    setTimeout(function() {
+                        var last = trackerRequests[trackerRequests.length - 1];
+                        last.should.have.property("method", "PATCH");
+                        last.should.have.property("url", "/issues/CRASH-1");
+                        last.body.should.have.property("status", "open");
+                        done();
+                    }, 200 * testUtils.testScalingFactor);
+                });
+        });
+        it('should unlink issue', function(done) {
+            request
+                .get('/i/crashes/unlink_issue?api_key=' + API_KEY_ADMIN + "&app_id=" + APP_ID + "&args=" + JSON.stringify({crash_id: crashId}))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    getGroup(function(err2, group) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        group.should.not.have.property("issue");
+                        done();
+                    });
+                });
+        });
+    });
 });
\ No newline at end of file
@@ -9,6 +9,11 @@ const plugins = require('../../pluginManager.js');
 const log = common.log('hooks:api');
 const _ = require('lodash');
 const utils = require('./utils');
+const delivery = require('./parts/delivery.js');
+const conditions = require('./parts/conditions.js');
+const cron = require('./parts/cron.js');
+const throttle = require('./parts/throttle.js');
+const moment = require('moment-timezone');
 const rights = require('../../../api/utils/rights');
 
 const FEATURE_NAME = 'hooks';
@@ -17,6 +22,20 @@ plugins.setConfigs("hooks", {
     batchActionSize: 0, // size for processing actions each time
     refreshRulesPeriod: 3000, // miliseconds to fetch hook records
     pipelineInterval: 1000, // milliseconds to batch process pipeline
+    httpRetryMaxAttempts: 5, // attempts for HTTP action delivery before moving it to dead letter log
+    httpRetryBaseDelay: 60, // seconds to wait before first retry, doubled on each attempt
+    httpRetryBatchSize: 100, // queued deliveries to retry on each run
+    batchItemsLimit: 100, // matched items kept in aggregated payload of batched incoming data trigger
+    customCodeCpuLimit: 5000, // milliseconds of CPU time custom code action can use
+    customCodeMemoryLimit: 64, // heap size limit of custom code action in MB
+    customCodeTimeout: 30000, // milliseconds custom code action can run, including waiting for requests
+});
+
+plugins.register("/master", function() {
+    setTimeout(() => {
+        require('../../../api/parts/jobs').job('hooks:retry').replace().schedule("every 1 minute");
+        require('../../../api/parts/jobs').job('hooks:batch').replace().schedule("every 1 minute");
+    }, 10000);
 });
 
 /**
@@ -129,13 +148,28 @@ class Hooks {
                         item.effect = rule.effects[i];
                         item.effectStep = i;
                         item._originalInput = rule._originalInput;
+                        let matched = false;
+                        try {
+                            matched = conditions.evaluate(item.effect.condition, item.params);
+                        }
+                        catch (e) {
+                            log.e("[hook effect condition]", e);
+                            utils.addErrorRecord(rule._id, e, item.params, i, item._originalInput);
+                        }
+                        if (!matched) {
+                            log.d("[hook effect skipped by condition]", rule._id, i);
+                            item.params = addStepResult(item.params, i, {type: item.effect.type, skipped: true});
+                            continue;
+                        }
                         try {
                             const result = await this._effects[item.effect.type].run(item);
                             log.d("[test trigger result]", result);
+                            item.params = addStepResult(item.params, i, {type: item.effect.type, output: result && result.output});
                         }
                         catch (e) {
                             log.e("[test hook trigger]", e);
                             utils.addErrorRecord(rule._id, e);
+                            item.params = addStepResult(item.params, i, {type: item.effect.type, error: e.message});
                         }
                     }
                 }
@@ -156,6 +190,116 @@ class Hooks {
     }
 }
 
+/**
+ * Store action result in params, so that next actions can use it in templates and conditions as _steps.<index>
+ * @param {object} params - action params
+ * @param {number} index - index of action
+ * @param {object} step - action result, {type, output} or {type, skipped} or {type, error}
+ * @returns {object} params with action result
+ */
+function addStepResult(params, index, step) {
+    params = params || {};
+    params._steps = params._steps || [];
+    params._steps[index] = step;
+    return params;
+}
+
+/**
+ * Parse and validate action conditions of hook config in place
+ * @param {object} hookConfig - hook config
+ * @returns {string|null} error message or null if valid
+ */
+function prepareEffectConditions(hookConfig) {
+    const effects = hookConfig.effects || [];
+    for (let i = 0; i < effects.length; i++) {
+        let error = null;
+        try {
+            effects[i].condition = conditions.parse(effects[i].condition);
+            error = conditions.validate(effects[i].condition);
+        }
+        catch (e) {
+            error = e.message;
+        }
+        if (error) {
+            return `Invalid condition for action ${i + 1}: ${error}`;
+        }
+        if (!effects[i].condition) {
+            delete effects[i].condition;
+        }
+    }
+    return null;
+}
+
+/**
+ * Hide signing secrets of hook actions from output, has_secret flag tells whether secret is set
+ * @param {object} hook - hook record
+ * @returns {object} hook record without secrets
+ */
+function maskSecrets(hook) {
+    (hook && hook.effects || []).forEach((effect) => {
+        const configuration = effect && effect.configuration;
+        if (configuration && "secret" in configuration) {
+            configuration.has_secret = !!configuration.secret;
+            delete configuration.secret;
+        }
+    });
+    return hook;
+}
+
+/**
+ * Put back stored signing secrets of hook actions sent by client in masked form: without secret and with has_secret flag.
+ * Actions are matched with stored ones by index and type, secret is cleared if client removes has_secret flag.
+ * @param {object} hookConfig - hook config from client, changed in place
+ * @param {object} stored - stored hook record or null for new hook
+ */
+function restoreSecrets(hookConfig, stored) {
+    (hookConfig.effects || []).forEach((effect, i) => {
+        const configuration = effect && effect.configuration;
+        if (!configuration) {
+            return;
+        }
+        const storedEffect = stored && stored.effects && stored.effects[i];
+        if (!configuration.secret && configuration.has_secret && storedEffect && storedEffect.type === effect.type && storedEffect.configuration) {
+            configuration.secret = storedEffect.configuration.secret;
+        }
+        delete configuration.has_secret;
+    });
+}
+
+/**
+ * Validate cron expression and timezone of scheduled hook
+ * @param {object} hookConfig - hook config
+ * @returns {string|null} error message or null if valid or not scheduled
+ */
+function validateSchedule(hookConfig) {
+    if (!hookConfig.trigger || hookConfig.trigger.type !== "ScheduledTrigger") {
+        return null;
+    }
+    const configuration = hookConfig.trigger.configuration || {};
+    const error = cron.validate(configuration.cron);
+    if (error) {
+        return `Invalid cron expression: ${error}`;
+    }
+    if (!cron.isValidTimezone(configuration.timezone2)) {
+        return `Invalid timezone: ${configuration.timezone2}`;
+    }
+    return null;
+}
+
+/**
+ * Get next fire times of scheduled hook for preview
+ * @param {object} hookConfig - hook config with valid schedule
+ * @param {number} count - number of fire times
+ * @returns {Array<string>|null} ISO 8601 times with hook timezone offset, null if hook is not scheduled
+ */
+function getNextFireTimes(hookConfig, count) {
+    if (!hookConfig.trigger || hookConfig.trigger.type !== "ScheduledTrigger") {
+        return null;
+    }
+    const {cron: expression, timezone2} = hookConfig.trigger.configuration;
+    return cron.next(expression, timezone2, Date.now(), count).map(d => moment(d).tz(timezone2).format());
+}
+
 const CheckHookProperties = function(hookConfig) {
     const rules = {
         'name': { 'required': hookConfig._id ? false : true, 'type': 'String', 'min-length': 1 },
@@ -178,14 +322,27 @@ plugins.register("/permissions/features", function(ob) {
 * @apiGroup hooks 
 *
 * @apiDescription create or update hook data. 
+* Scheduled hooks use 5-field cron expression in trigger.configuration.cron evaluated in IANA timezone from trigger.configuration.timezone2,
+* for them the response also contains next fire times.
+* Incoming data hooks can be throttled with trigger.configuration.throttling object: {limit, window} to execute at most limit times per window seconds,
+* {dedupKey, dedupWindow} to execute once per rendered key template like "{{user.did}}" per window seconds and {batchWindow} to collect matches
+* for window seconds and execute once with {batch: {count, window_start, window_end, items}} payload. Suppressed executions are counted in throttle_stats of hook.
+* Signing secrets of HTTP actions are not returned by API, configuration has has_secret flag instead. When updating hook, action sent with has_secret flag
+* and without secret keeps its stored secret, action without has_secret flag and secret has no secret.
 * @apiQuery {hook_config} JSON string of hook object.
 * @apiQuery {String} app_id target app id of the alert.  
+* @apiQuery {Number} [preview_count] number of next fire times to return for scheduled hooks, default 5, max 50
 *
 * @apiSuccessExample {text} Success-Response:
 * HTTP/1.1 200 OK
 *
 * "6262779e46bd55a8c555cfb9"
 *
+* @apiSuccessExample {json} Success-Response for scheduled hook:
+* HTTP/1.1 200 OK
+*
+* {"_id": "6262779e46bd55a8c555cfb9", "next_fire_times": ["2022-04-25T09:00:00-04:00", "2022-04-26T09:00:00-04:00"]}
+*
 */
 plugins.register("/i/hook/save", function(ob) {
     let paramsInstance = ob.params;
@@ -198,24 +355,56 @@ plugins.register("/i/hook/save", function(ob) {
                 common.returnMessage(params, 200, 'Not enough args');
                 return true;
             }
+            // logs are maintained by hook processing only
+            delete hookConfig.error_logs;
+            delete hookConfig.delivery_logs;
+            delete hookConfig.throttle_stats;
+            const conditionError = prepareEffectConditions(hookConfig);
+            if (conditionError) {
+                common.returnMessage(params, 400, conditionError);
+                return true;
+            }
+            const scheduleError = validateSchedule(hookConfig);
+            if (scheduleError) {
+                common.returnMessage(params, 400, scheduleError);
+                return true;
+            }
+            const throttleError = throttle.validate(hookConfig);
+            if (throttleError) {
+                common.returnMessage(params, 400, throttleError);
+                return true;
+            }
+            const previewCount = Math.min(parseInt(params.qstring.preview_count, 10) || 5, 50);
+            const nextFireTimes = getNextFireTimes(hookConfig, previewCount);
 
             if (hookConfig._id) {
                 const id = hookConfig._id;
                 delete hookConfig._id;
-                return common.db.collection("hooks").findAndModify(
-                    { _id: common.db.ObjectID(id) },
-                    {},
-                    {$set: hookConfig},
-                    {new: true},
-                    function(err, result) {
-                        if (!err) {
-                            common.returnOutput(params, result && result.value);
-                        }
-                        else {
-                            common.returnMessage(params, 500, "Failed to save an hook");
-                        }
-                    });
+                return common.db.collection("hooks").findOne({ _id: common.db.ObjectID(id) }, function(findErr, stored) {
+                    if (findErr) {
+                        return common.returnMessage(params, 500, "Failed to save an hook");
+                    }
+                    restoreSecrets(hookConfig, stored);
+                    common.db.collection("hooks").findAndModify(
+                        { _id: common.db.ObjectID(id) },
+                        {},
+                        {$set: hookConfig},
+                        {new: true},
+                        function(err, result) {
+                            if (!err) {
+                                const output = maskSecrets(result && result.value);
+                                if (output && nextFireTimes) {
+                                    output.next_fire_times = nextFireTimes;
+                                }
+                                common.returnOutput(params, output);
+                            }
+                            else {
+                                common.returnMessage(params, 500, "Failed to save an hook");
+                            }
+                        });
+                });
             }
+            restoreSecrets(hookConfig, null);
             hookConfig.createdBy = params.member._id;
             hookConfig.created_at = new Date().getTime();
             return common.db.collection("hooks").insert(
@@ -223,7 +412,7 @@ plugins.register("/i/hook/save", function(ob) {
                 function(err, result) {
                     log.d("insert new hook:", err, result);
                     if (!err && result && result.insertedIds && result.insertedIds[0]) {
-                        common.returnOutput(params, result.insertedIds[0]);
+                        common.returnOutput(params, nextFireTimes ? {_id: result.insertedIds[0], next_fire_times: nextFireTimes} : result.insertedIds[0]);
                     }
                     else {
                         common.returnMessage(params, 500, "Failed to create an hook");
@@ -267,7 +456,7 @@ function getVisibilityQuery(query, params) {
 * @apiName getHooks 
 * @apiGroup hooks 
 *
-* @apiDescription get hook list. 
+* @apiDescription get hook list. Signing secrets of HTTP actions are replaced with has_secret flag.
 * @apiQuery {String} app_id for permission checking  
 *
 * @apiSuccessExample {json} Success-Response:
@@ -333,6 +522,7 @@ plugins.register("/o/hook/list", function(ob) {
                     hooksList.forEach((a) => {
                         const member = _.find(members, {_id: a.createdBy});
                         a.createdByUser = member && member.full_name;
+                        maskSecrets(a);
                     });
                     common.returnOutput(params, { hooksList } || []);
                 });
@@ -415,6 +605,12 @@ plugins.register("/i/hook/delete", function(ob) {
                 function(err, result) {
                     log.d(err, result, "delete an hook");
                     if (!err) {
+                        delivery.removeHookDeliveries(hookID).catch((e) => {
+                            log.e("failed to remove hook deliveries", e);
+                        });
+                        throttle.removeHookState(hookID).catch((e) => {
+                            log.e("failed to remove hook throttling state", e);
+                        });
                         common.returnMessage(params, 200, "Deleted an hook");
                     }
                 }
@@ -428,6 +624,113 @@ plugins.register("/i/hook/delete", function(ob) {
     return true;
 });
 
+/**
+ * @api {get} /o/hook/dead_letter list dead-lettered HTTP deliveries
+ * @apiName getHookDeadLetter
+ * @apiGroup hooks
+ *
+ * @apiDescription get HTTP action deliveries of hook which failed after all retry attempts.
+ * @apiQuery {string} hookID target hook id from db.
+ * @apiQuery {String} app_id target app id of the hook.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ *
+ * [
+ *   {
+ *     "_id": "6343d8a5c1e5c8a2b1b7a1f0",
+ *     "hookId": "6262779e46bd55a8c555cfb9",
+ *     "effectStep": 0,
+ *     "request": {"method": "POST", "uri": "https://example.com/hook", "json": {"a": "1"}},
+ *     "attempts": 5,
+ *     "created_at": 1665390757000,
+ *     "dead_at": 1665392617000,
+ *     "last_result": {"statusCode": 503, "body": "Service Unavailable"}
+ *   }
+ * ]
+ *
+*/
+plugins.register("/o/hook/dead_letter", function(ob) {
+    const paramsInstance = ob.params;
+
+    validateRead(paramsInstance, FEATURE_NAME, function(params) {
+        const hookID = params.qstring.hookID;
+        if (!hookID) {
+            common.returnMessage(params, 400, "Missing parameter hookID");
+            return;
+        }
+        common.db.collection("hooks").findOne(getVisibilityQuery({_id: common.db.ObjectID(hookID)}, params), {projection: {_id: 1}}, function(err, hook) {
+            if (err || !hook) {
+                common.returnMessage(params, 404, "Hook not found");
+                return;
+            }
+            common.db.collection(delivery.DEAD_LETTER_COLLECTION).find({hookId: hookID + ""}, {projection: {params: 0, _originalInput: 0, secret: 0}}).sort({dead_at: -1}).toArray(function(err2, items) {
+                if (err2) {
+                    log.e('got error in listing dead letter: %j', err2);
+                    common.returnMessage(params, 500, "Failed to get dead letter list");
+                    return;
+                }
+                common.returnOutput(params, items || []);
+            });
+        });
+    }, paramsInstance);
+    return true;
+});
+
+/**
+ * @api {post} /i/hook/redeliver replay dead-lettered HTTP deliveries
+ * @apiName redeliverHook
+ * @apiGroup hooks
+ *
+ * @apiDescription send dead-lettered HTTP action deliveries again.
+ *  Deliveries failing again are put back to the retry queue with attempts reset.
+ * @apiQuery {string} hookID target hook id from db.
+ * @apiQuery {string} [id] dead letter record id, replays all dead letter records of hook if not provided.
+ * @apiQuery {String} app_id target app id of the hook.
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * HTTP/1.1 200 OK
+ *
+ * {"delivered": 2, "failed": 1}
+ *
+*/
+plugins.register("/i/hook/redeliver", function(ob) {
+    const paramsInstance = ob.params;
+
+    validateUpdate(paramsInstance, FEATURE_NAME, function(params) {
+        const hookID = params.qstring.hookID;
+        if (!hookID) {
+            common.returnMessage(params, 400, "Missing parameter hookID");
+            return;
+        }
+        const query = {hookId: hookID + ""};
+        let hookQuery;
+        try {
+            hookQuery = getVisibilityQuery({_id: common.db.ObjectID(hookID)}, params);
+            if (params.qstring.id) {
+                query._id = common.db.ObjectID(params.qstring.id);
+            }
+        }
+        catch (e) {
+            common.returnMessage(params, 400, "Invalid parameter hookID or id");
+            return;
+        }
+        common.db.collection("hooks").findOne(hookQuery, {projection: {_id: 1}}, function(err, hook) {
+            if (err || !hook) {
+                common.returnMessage(params, 404, "Hook not found");
+                return;
+            }
+            delivery.redeliver(query).then((counts) => {
+                common.returnOutput(params, counts);
+            }).catch((e) => {
+                log.e('redeliver hook failed', hookID, e);
+                common.returnMessage(params, 500, "Failed to redeliver");
+            });
+        });
+    }, paramsInstance);
+    return true;
+});
+
 //  test hook with mock hook config data
 plugins.register("/i/hook/test", function(ob) {
     const paramsInstance = ob.params;
@@ -440,8 +743,18 @@ plugins.register("/i/hook/test", function(ob) {
 
             if (!(common.validateArgs(hookConfig, CheckHookProperties(hookConfig)))) {
                 common.returnMessage(params, 403, "hook config invalid");
+                return;
+            }
+            const conditionError = prepareEffectConditions(hookConfig);
+            if (conditionError) {
+                common.returnMessage(params, 400, conditionError);
+                return;
             }
 
+            // saved hook is sent with masked secrets, test it with stored ones
+            const stored = hookConfig._id ? await common.db.collection("hooks").findOne(getVisibilityQuery({_id: common.db.ObjectID(hookConfig._id)}, params)) : null;
+            restoreSecrets(hookConfig, stored);
+
             // trigger process            
             log.d(JSON.stringify(hookConfig), "[hook test config]");
             const results = [];
@@ -473,8 +786,24 @@ plugins.register("/i/hook/test", function(ob) {
                 const effect = new Effects[effects[i].type]();
                 let lastStep = JSON.parse(JSON.stringify(results[results.length - 1]));
                 lastStep.effect = effects[i];
+                lastStep.effectStep = i;
+                delete lastStep.output;
+                delete lastStep.skipped;
+                delete lastStep.execution;
+
+                // dry-run branch, skipped actions are kept in results so they match actions by index
+                if (!conditions.evaluate(effects[i].condition, lastStep.params)) {
+                    lastStep.params = addStepResult(lastStep.params, i, {type: effects[i].type, skipped: true});
+                    lastStep.skipped = true;
+                    lastStep.logs = [];
+                    results.push(lastStep);
+                    continue;
+                }
                 try {
                     effectResult = await effect.run(lastStep);
+                    if (effectResult && effectResult.params) {
+                        effectResult.params = addStepResult(effectResult.params, i, {type: effects[i].type, output: effectResult.output});
+                    }
                     results.push(JSON.parse(JSON.stringify(effectResult)));
                     if (!effectResult || !effectResult.params) {
                         common.returnMessage(params, 200, results);
@@ -0,0 +1,24 @@
+'use strict';
+const job = require('../../../../api/parts/jobs/job.js'),
+    plugins = require('../../../pluginManager.js'),
+    log = require('../../../../api/utils/log.js')('hooks:batch');
+
+/**
+ * @class
+ * @classdesc Class BatchJob is Hooks job flushing batched incoming data triggers, extend from Countly Job
+ * @extends Job
+ */
+class BatchJob extends job.Job {
+    /**
+    * run task
+    * @param {object} db - db object
+    * @param {function} done - callback function
+    */
+    run(db, done) {
+        log.d("[hooks batch]", this._json);
+        plugins.dispatch("/hooks/batch");
+        done();
+    }
+}
+
+module.exports = BatchJob;
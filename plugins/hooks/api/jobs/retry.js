@@ -0,0 +1,28 @@
+'use strict';
+const job = require('../../../../api/parts/jobs/job.js'),
+    delivery = require('../parts/delivery.js'),
+    log = require('../../../../api/utils/log.js')('hooks:retry');
+
+/**
+ * @class
+ * @classdesc Class RetryJob is Hooks HTTP delivery retry Job extend from Countly Job
+ * @extends Job
+ */
+class RetryJob extends job.Job {
+    /**
+    * run task
+    * @param {object} db - db object
+    * @param {function} done - callback function
+    */
+    run(db, done) {
+        delivery.processRetryQueue().then((count) => {
+            log.d("[hooks retry] processed", count);
+            done();
+        }).catch((e) => {
+            log.e("[hooks retry]", e);
+            done(e);
+        });
+    }
+}
+
+module.exports = RetryJob;
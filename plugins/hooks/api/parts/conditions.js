@@ -0,0 +1,265 @@
+/**
+ * Conditions for hook actions. Condition is a mongodb-like query object evaluated against action params,
+ * which hold the trigger output and the results of earlier actions under "_steps", for example:
+ * {"data.nonfatal": false} or {"$or": [{"_steps.0.output.statusCode": {"$gte": 500}}, {"user.did": {"$in": ["a", "b"]}}]}
+ */
+const conditions = {};
+
+const OPERATORS = ["$eq", "$ne", "$in", "$nin", "$gt", "$gte", "$lt", "$lte", "$exists", "$regex", "$not"];
+const GROUPS = ["$and", "$or", "$nor"];
+
+/**
+ * Get value by dot separated path
+ * @param {object} data - object to get value from
+ * @param {string} path - dot separated path, array indexes are allowed as path parts
+ * @returns {varies} value or undefined
+ */
+function getValue(data, path) {
+    const props = path.replace(/\[(\w+)\]/g, '.$1').split('.');
+    let obj = data;
+    for (let i = 0; i < props.length; i++) {
+        if (obj === null || obj === undefined || typeof obj !== "object") {
+            return undefined;
+        }
+        obj = obj[props[i]];
+    }
+    return obj;
+}
+
+/**
+ * Compare values of same type for range operators
+ * @param {varies} a - value from data
+ * @param {varies} b - value from condition
+ * @returns {number|null} comparison result or null if values are not comparable
+ */
+function compare(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        return a - b;
+    }
+    if (typeof a === "string" && typeof b === "string") {
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+    return null;
+}
+
+/**
+ * Check equality, array values match if any element is equal like in mongodb
+ * @param {varies} value - value from data
+ * @param {varies} expected - value from condition
+ * @returns {boolean} true if equal
+ */
+function isEqual(value, expected) {
+    if (Array.isArray(value) && !Array.isArray(expected)) {
+        return value.some(v => isEqual(v, expected));
+    }
+    if (value !== null && expected !== null && typeof value === "object" && typeof expected === "object") {
+        return JSON.stringify(value) === JSON.stringify(expected);
+    }
+    return value === expected;
+}
+
+/**
+ * Check if object is an operator object like {"$gt": 1}
+ * @param {varies} obj - value from condition
+ * @returns {boolean} true if operator object
+ */
+function isOperatorObject(obj) {
+    return obj !== null && typeof obj === "object" && !Array.isArray(obj) && Object.keys(obj).length > 0 && Object.keys(obj).every(k => k[0] === "$");
+}
+
+/**
+ * Assert operators against value
+ * @param {varies} value - value from data
+ * @param {object} ops - operator object
+ * @returns {boolean} true if all operators match
+ */
+function assertOperators(value, ops) {
+    for (const op in ops) {
+        const expected = ops[op];
+        let cmp = null;
+        switch (op) {
+        case "$eq":
+            if (!isEqual(value, expected)) {
+                return false;
+            }
+            break;
+        case "$ne":
+            if (isEqual(value, expected)) {
+                return false;
+            }
+            break;
+        case "$in":
+            if (!expected.some(e => isEqual(value, e))) {
+                return false;
+            }
+            break;
+        case "$nin":
+            if (expected.some(e => isEqual(value, e))) {
+                return false;
+            }
+            break;
+        case "$gt":
+        case "$gte":
+        case "$lt":
+        case "$lte":
+            cmp = compare(value, expected);
+            if (cmp === null ||
+                (op === "$gt" && cmp <= 0) ||
+                (op === "$gte" && cmp < 0) ||
+                (op === "$lt" && cmp >= 0) ||
+                (op === "$lte" && cmp > 0)) {
+                return false;
+            }
+            break;
+        case "$exists":
+            if ((value !== undefined && value !== null) !== !!expected) {
+                return false;
+            }
+            break;
+        case "$regex":
+            if (typeof value !== "string" || !new RegExp(expected, ops.$options || "").test(value)) {
+                return false;
+            }
+            break;
+        case "$not":
+            if (assertOperators(value, expected)) {
+                return false;
+            }
+            break;
+        }
+    }
+    return true;
+}
+
+/**
+ * Evaluate condition against data
+ * @param {object} condition - condition query object, empty or missing condition always matches
+ * @param {object} data - action params
+ * @returns {boolean} true if condition matches
+ */
+conditions.evaluate = function(condition, data) {
+    if (!condition) {
+        return true;
+    }
+    for (const key in condition) {
+        const expected = condition[key];
+        switch (key) {
+        case "$and":
+            if (!expected.every(c => conditions.evaluate(c, data))) {
+                return false;
+            }
+            break;
+        case "$or":
+            if (!expected.some(c => conditions.evaluate(c, data))) {
+                return false;
+            }
+            break;
+        case "$nor":
+            if (expected.some(c => conditions.evaluate(c, data))) {
+                return false;
+            }
+            break;
+        default: {
+            const value = getValue(data, key);
+            if (isOperatorObject(expected) ? !assertOperators(value, expected) : !isEqual(value, expected)) {
+                return false;
+            }
+        }
+        }
+    }
+    return true;
+};
+
+/**
+ * Validate operator object
+ * @param {string} path - property path for error message
+ * @param {object} ops - operator object
+ * @returns {string|null} error message or null if valid
+ */
+function validateOperators(path, ops) {
+    for (const op in ops) {
+        if (op === "$options") {
+            continue;
+        }
+        if (OPERATORS.indexOf(op) === -1) {
+            return `Unknown operator ${op} for ${path}`;
+        }
+        if ((op === "$in" || op === "$nin") && !Array.isArray(ops[op])) {
+            return `${op} for ${path} must be an array`;
+        }
+        if (op === "$regex") {
+            try {
+                new RegExp(ops[op], ops.$options || "");
+            }
+            catch (e) {
+                return `Invalid $regex for ${path}: ${e.message}`;
+            }
+        }
+        if (op === "$not") {
+            if (!isOperatorObject(ops[op])) {
+                return `$not for ${path} must be an operator object`;
+            }
+            const error = validateOperators(path, ops[op]);
+            if (error) {
+                return error;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate condition
+ * @param {varies} condition - condition query object
+ * @returns {string|null} error message or null if valid
+ */
+conditions.validate = function(condition) {
+    if (condition === undefined || condition === null) {
+        return null;
+    }
+    if (typeof condition !== "object" || Array.isArray(condition)) {
+        return "Condition must be an object";
+    }
+    for (const key in condition) {
+        const expected = condition[key];
+        if (GROUPS.indexOf(key) > -1) {
+            if (!Array.isArray(expected) || !expected.length) {
+                return `${key} must be a non-empty array of conditions`;
+            }
+            for (let i = 0; i < expected.length; i++) {
+                const error = conditions.validate(expected[i]);
+                if (error) {
+                    return error;
+                }
+            }
+        }
+        else if (key[0] === "$") {
+            return `Unknown operator ${key}`;
+        }
+        else if (isOperatorObject(expected)) {
+            const error = validateOperators(key, expected);
+            if (error) {
+                return error;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Parse condition which can be sent as JSON string from frontend
+ * @param {varies} condition - condition object or JSON string
+ * @returns {object|null} condition object, null for empty condition
+ * @throws {Error} if condition string is not valid JSON
+ */
+conditions.parse = function(condition) {
+    if (typeof condition === "string") {
+        condition = condition.trim().length ? JSON.parse(condition) : null;
+    }
+    if (condition && typeof condition === "object" && !Object.keys(condition).length) {
+        return null;
+    }
+    return condition || null;
+};
+
+module.exports = conditions;
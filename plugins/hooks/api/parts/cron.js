@@ -0,0 +1,208 @@
+/**
+ * Standard 5-field cron expressions (minute hour day-of-month month day-of-week) evaluated in IANA timezone.
+ * Supports *, lists, ranges, steps, month and weekday names and @hourly, @daily, @weekly, @monthly, @yearly macros.
+ * Like in vixie cron, if both day-of-month and day-of-week are restricted, time matches when either matches.
+ */
+const moment = require('moment-timezone');
+const {timezoneValidation} = require('../../../../api/utils/timezones.js');
+
+const cron = {};
+
+const FIELDS = [
+    {name: "minute", min: 0, max: 59},
+    {name: "hour", min: 0, max: 23},
+    {name: "day of month", min: 1, max: 31},
+    {name: "month", min: 1, max: 12, names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"]},
+    {name: "day of week", min: 0, max: 7, names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"]},
+];
+
+const MACROS = {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *",
+};
+
+// how far to look for next fire time, expressions like "0 0 30 2 *" never fire
+const SEARCH_YEARS = 5;
+
+/**
+ * Parse single value of field, allowing names
+ * @param {string} value - value string
+ * @param {object} field - field definition
+ * @returns {number} value
+ * @throws {Error} if value is invalid
+ */
+function parseValue(value, field) {
+    let num = null;
+    if (/^\d+$/.test(value)) {
+        num = parseInt(value, 10);
+    }
+    else if (field.names && field.names.indexOf(value.toUpperCase()) > -1) {
+        num = field.names.indexOf(value.toUpperCase()) + (field.name === "month" ? 1 : 0);
+    }
+    if (num === null || num < field.min || num > field.max) {
+        throw new Error(`Invalid ${field.name} value "${value}"`);
+    }
+    return num;
+}
+
+/**
+ * Parse field into set of allowed values
+ * @param {string} str - field string
+ * @param {object} field - field definition
+ * @returns {Set<number>} allowed values
+ * @throws {Error} if field is invalid
+ */
+function parseField(str, field) {
+    const values = new Set();
+    str.split(",").forEach((part) => {
+        const [range, stepStr] = part.split("/");
+        let step = 1;
+        if (stepStr !== undefined) {
+            if (!/^\d+$/.test(stepStr) || parseInt(stepStr, 10) === 0) {
+                throw new Error(`Invalid ${field.name} step "${stepStr}"`);
+            }
+            step = parseInt(stepStr, 10);
+        }
+        let from = field.min;
+        let to = field.max;
+        if (range !== "*") {
+            const bounds = range.split("-");
+            if (bounds.length > 2 || !bounds[0]) {
+                throw new Error(`Invalid ${field.name} range "${range}"`);
+            }
+            from = parseValue(bounds[0], field);
+            // "5/15" means from 5 to max with step 15
+            to = bounds.length === 2 ? parseValue(bounds[1], field) : (stepStr !== undefined ? field.max : from);
+            if (from > to) {
+                throw new Error(`Invalid ${field.name} range "${range}"`);
+            }
+        }
+        for (let i = from; i <= to; i += step) {
+            values.add(i);
+        }
+    });
+    return values;
+}
+
+/**
+ * Parse cron expression
+ * @param {string} expression - cron expression
+ * @returns {object} parsed expression, {minutes, hours, days, months, weekdays, daysRestricted, weekdaysRestricted}
+ * @throws {Error} if expression is invalid
+ */
+cron.parse = function(expression) {
+    if (typeof expression !== "string" || !expression.trim()) {
+        throw new Error("Cron expression is empty");
+    }
+    let str = expression.trim();
+    if (str[0] === "@") {
+        if (!MACROS[str.toLowerCase()]) {
+            throw new Error(`Unknown macro "${str}"`);
+        }
+        str = MACROS[str.toLowerCase()];
+    }
+    const parts = str.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Expected 5 fields, got ${parts.length}`);
+    }
+    const sets = parts.map((part, i) => parseField(part, FIELDS[i]));
+    // 7 is Sunday too
+    if (sets[4].has(7)) {
+        sets[4].delete(7);
+        sets[4].add(0);
+    }
+    return {
+        minutes: sets[0],
+        hours: sets[1],
+        days: sets[2],
+        months: sets[3],
+        weekdays: sets[4],
+        daysRestricted: parts[2][0] !== "*",
+        weekdaysRestricted: parts[4][0] !== "*",
+    };
+};
+
+/**
+ * Validate cron expression
+ * @param {string} expression - cron expression
+ * @returns {string|null} error message or null if valid
+ */
+cron.validate = function(expression) {
+    try {
+        cron.parse(expression);
+        return null;
+    }
+    catch (e) {
+        return e.message;
+    }
+};
+
+/**
+ * Check if timezone is supported
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} true if valid
+ */
+cron.isValidTimezone = function(timezone) {
+    return timezone === "UTC" || timezoneValidation.indexOf(timezone) !== -1;
+};
+
+/**
+ * Check if day matches day-of-month and day-of-week fields
+ * @param {object} parsed - parsed expression
+ * @param {object} m - moment in timezone
+ * @returns {boolean} true if matches
+ */
+function dayMatches(parsed, m) {
+    const dayMatch = parsed.days.has(m.date());
+    const weekdayMatch = parsed.weekdays.has(m.day());
+    if (parsed.daysRestricted && parsed.weekdaysRestricted) {
+        return dayMatch || weekdayMatch;
+    }
+    return dayMatch && weekdayMatch;
+}
+
+/**
+ * Get next fire times after given time
+ * @param {string|object} expression - cron expression or parsed expression
+ * @param {string} timezone - IANA timezone name
+ * @param {Date|number} from - time to search from, exclusive
+ * @param {number} count - number of fire times to return
+ * @returns {Array<Date>} fire times, can be less than count if expression fires rarely or never
+ */
+cron.next = function(expression, timezone, from, count) {
+    const parsed = typeof expression === "string" ? cron.parse(expression) : expression;
+    const tz = timezone || "UTC";
+    const m = moment(from).tz(tz).startOf("minute").add(1, "minute");
+    const limit = m.clone().add(SEARCH_YEARS, "years");
+    const result = [];
+    while (result.length < count && m.isBefore(limit)) {
+        if (!parsed.months.has(m.month() + 1)) {
+            m.add(1, "month").startOf("month");
+        }
+        else if (!dayMatches(parsed, m)) {
+            m.add(1, "day").startOf("day");
+        }
+        else if (!parsed.hours.has(m.hour())) {
+            m.add(1, "hour").startOf("hour");
+        }
+        else if (!parsed.minutes.has(m.minute())) {
+            m.add(1, "minute");
+        }
+        else {
+            // when clocks go back, the same wall time happens twice, fire only on the first one
+            const first = moment.tz(m.format("YYYY-MM-DD HH:mm"), "YYYY-MM-DD HH:mm", tz);
+            if (first.valueOf() === m.valueOf()) {
+                result.push(m.toDate());
+            }
+            m.add(1, "minute");
+        }
+    }
+    return result;
+};
+
+module.exports = cron;
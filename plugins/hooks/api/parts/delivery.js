@@ -0,0 +1,305 @@
+const request = require("request");
+const crypto = require("crypto");
+const plugins = require('../../../pluginManager.js');
+const common = require('../../../../api/utils/common.js');
+const utils = require('../utils.js');
+const log = common.log("hooks:delivery");
+
+const RETRY_COLLECTION = "hooks_retry_queue";
+const DEAD_LETTER_COLLECTION = "hooks_dead_letter";
+const RESPONSE_BODY_LIMIT = 1000;
+const DELIVERY_LOGS_LIMIT = 20;
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Persistent delivery of HTTP effect requests with retries and a dead-letter log
+ */
+const delivery = {};
+
+delivery.RETRY_COLLECTION = RETRY_COLLECTION;
+delivery.DEAD_LETTER_COLLECTION = DEAD_LETTER_COLLECTION;
+
+/**
+ * Build signature headers for request body. Signature is hex encoded HMAC-SHA256 of "<timestamp>.<body>",
+ * so that receivers can reject replayed requests by checking timestamp
+ * @param {string} secret - shared secret
+ * @param {string} body - raw request body, empty string for requests without body
+ * @param {number} timestamp - unix timestamp in seconds
+ * @returns {object} headers to add to request
+ */
+delivery.getSignatureHeaders = function(secret, body, timestamp) {
+    const signature = crypto.createHmac("sha256", secret).update(timestamp + "." + (body || "")).digest("hex");
+    return {
+        "X-Countly-Timestamp": timestamp + "",
+        "X-Countly-Signature": signature,
+    };
+};
+
+/**
+ * Send request and resolve with outcome, never rejects
+ * @param {object} requestOptions - serializable options for request module
+ * @param {string=} secret - shared secret to sign request with, signed on each attempt to keep timestamp fresh
+ * @returns {Promise<object>} - {statusCode, body, error}
+ */
+delivery.send = function(requestOptions, secret) {
+    const options = Object.assign({timeout: DEFAULT_TIMEOUT}, requestOptions);
+    if (secret) {
+        options.headers = Object.assign({}, options.headers, delivery.getSignatureHeaders(secret, options.body, Math.floor(Date.now() / 1000)));
+    }
+    return new Promise((resolve) => {
+        request(options, function(e, r, body) {
+            log.d("[hooks delivery]", requestOptions.method, requestOptions.uri, e, r && r.statusCode);
+            resolve({
+                statusCode: r && r.statusCode,
+                body: body,
+                error: e,
+            });
+        });
+    });
+};
+
+/**
+ * Check if delivery outcome is successful
+ * @param {object} result - outcome returned from delivery.send
+ * @returns {boolean} true if receiver accepted the request
+ */
+delivery.isSuccessful = function(result) {
+    return !result.error && result.statusCode >= 200 && result.statusCode < 400;
+};
+
+/**
+ * Check if failed delivery can succeed on later attempt, 4xx responses except timeouts and throttling are final
+ * @param {object} result - outcome returned from delivery.send
+ * @returns {boolean} true if request should be retried
+ */
+delivery.isRetryable = function(result) {
+    if (result.error || !result.statusCode) {
+        return true;
+    }
+    return result.statusCode >= 500 || result.statusCode === 408 || result.statusCode === 429;
+};
+
+/**
+ * Get delay before next attempt
+ * @param {number} attempts - number of attempts already made
+ * @returns {number} delay in milliseconds
+ */
+delivery.getBackoff = function(attempts) {
+    const baseDelay = plugins.getConfig("hooks").httpRetryBaseDelay * 1000;
+    return baseDelay * Math.pow(2, Math.max(attempts - 1, 0));
+};
+
+/**
+ * Stringify and truncate response body for storing
+ * @param {varies} body - response body
+ * @returns {string} body string
+ */
+function truncateBody(body) {
+    if (body === undefined || body === null) {
+        return "";
+    }
+    let str = typeof body === "object" ? JSON.stringify(body) : body + "";
+    if (str.length > RESPONSE_BODY_LIMIT) {
+        str = str.substr(0, RESPONSE_BODY_LIMIT) + "...";
+    }
+    return str;
+}
+
+/**
+ * Store delivery attempt outcome in hook record
+ * @param {object} item - delivery item
+ * @param {object} result - outcome returned from delivery.send
+ * @param {string} status - delivery status after attempt, one of delivered, retrying, dead
+ * @returns {Promise} update promise
+ */
+delivery.recordAttempt = function(item, result, status) {
+    if (!item.hookId) {
+        return Promise.resolve();
+    }
+    return common.db.collection("hooks").updateOne(
+        {_id: common.db.ObjectID(item.hookId)},
+        {
+            $push: {
+                delivery_logs: {
+                    $each: [{
+                        timestamp: Date.now(),
+                        effectStep: item.effectStep,
+                        method: item.request.method,
+                        uri: item.request.uri,
+                        attempt: item.attempts,
+                        statusCode: result.statusCode || null,
+                        body: truncateBody(result.body),
+                        e: result.error ? result.error.message : undefined,
+                        status: status,
+                    }],
+                    $slice: -DELIVERY_LOGS_LIMIT
+                }
+            }
+        }
+    ).catch((e) => {
+        log.e("[hooks delivery] failed to record attempt", e);
+    });
+};
+
+/**
+ * Handle outcome of an attempt, scheduling retry or moving to dead letter on failure
+ * @param {object} item - delivery item, attempts already include current one
+ * @param {object} result - outcome returned from delivery.send
+ * @returns {Promise<string>} resulting status
+ */
+delivery.handleResult = async function(item, result) {
+    const maxAttempts = plugins.getConfig("hooks").httpRetryMaxAttempts;
+    let status = "delivered";
+    if (!delivery.isSuccessful(result)) {
+        status = delivery.isRetryable(result) && item.attempts < maxAttempts ? "retrying" : "dead";
+    }
+    await delivery.recordAttempt(item, result, status);
+
+    if (status === "delivered" || !item.hookId) {
+        return status;
+    }
+    const lastResult = {statusCode: result.statusCode || null, body: truncateBody(result.body), e: result.error ? result.error.message : undefined};
+    if (status === "retrying") {
+        await common.db.collection(RETRY_COLLECTION).updateOne(
+            {_id: item._id},
+            {
+                $set: {
+                    hookId: item.hookId,
+                    effectStep: item.effectStep,
+                    request: item.request,
+                    secret: item.secret,
+                    params: item.params,
+                    _originalInput: item._originalInput,
+                    attempts: item.attempts,
+                    next_attempt: Date.now() + delivery.getBackoff(item.attempts),
+                    last_result: lastResult,
+                },
+                $setOnInsert: {created_at: Date.now()}
+            },
+            {upsert: true}
+        );
+    }
+    else {
+        await common.db.collection(DEAD_LETTER_COLLECTION).insertOne({
+            hookId: item.hookId,
+            effectStep: item.effectStep,
+            request: item.request,
+            secret: item.secret,
+            params: item.params,
+            _originalInput: item._originalInput,
+            attempts: item.attempts,
+            created_at: item.created_at || Date.now(),
+            dead_at: Date.now(),
+            last_result: lastResult,
+        });
+        await common.db.collection(RETRY_COLLECTION).deleteOne({_id: item._id});
+        const e = result.error || new Error(`Delivery failed after ${item.attempts} attempt(s) with status ${result.statusCode}: ${lastResult.body}`);
+        utils.addErrorRecord(common.db.ObjectID(item.hookId), e, item.params, item.effectStep, item._originalInput);
+    }
+    return status;
+};
+
+/**
+ * Make first delivery attempt for HTTP effect request
+ * @param {object} item - delivery item
+ * @param {string} item.hookId - hook id, test runs without id are not queued
+ * @param {number} item.effectStep - index of effect in hook
+ * @param {object} item.request - serializable options for request module
+ * @param {string=} item.secret - shared secret to sign request with
+ * @param {object} item.params - effect params
+ * @param {object} item._originalInput - trigger output
+ * @returns {Promise<object>} - {status, result}
+ */
+delivery.deliver = async function(item) {
+    item = Object.assign({_id: common.db.ObjectID(), attempts: 0}, item);
+    item.hookId = item.hookId ? item.hookId + "" : null;
+    item.attempts++;
+    const result = await delivery.send(item.request, item.secret);
+    let status = "failed";
+    try {
+        status = await delivery.handleResult(item, result);
+    }
+    catch (e) {
+        log.e("[hooks delivery] failed to handle result", e);
+    }
+    return {status, result};
+};
+
+/**
+ * Retry due deliveries from retry queue, called by hooks:retry job
+ * @returns {Promise<number>} number of processed items
+ */
+delivery.processRetryQueue = async function() {
+    const items = await common.db.collection(RETRY_COLLECTION)
+        .find({next_attempt: {$lte: Date.now()}})
+        .sort({next_attempt: 1})
+        .limit(plugins.getConfig("hooks").httpRetryBatchSize)
+        .toArray();
+    log.d("[hooks delivery] retrying", items.length);
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        // postpone item first, so that a crashed run doesn't retry it immediately again
+        const locked = await common.db.collection(RETRY_COLLECTION).findOneAndUpdate(
+            {_id: item._id, next_attempt: item.next_attempt},
+            {$set: {next_attempt: Date.now() + delivery.getBackoff(item.attempts + 1)}}
+        );
+        if (!locked || !locked.value) {
+            continue;
+        }
+        item.attempts++;
+        const result = await delivery.send(item.request, item.secret);
+        try {
+            const status = await delivery.handleResult(item, result);
+            if (status === "delivered") {
+                await common.db.collection(RETRY_COLLECTION).deleteOne({_id: item._id});
+            }
+        }
+        catch (e) {
+            log.e("[hooks delivery] failed to handle retry result", e);
+        }
+    }
+    return items.length;
+};
+
+/**
+ * Replay dead-lettered deliveries, failed ones go back to retry queue with attempts reset
+ * @param {object} query - query on dead letter collection
+ * @returns {Promise<object>} - counts of delivered and failed items
+ */
+delivery.redeliver = async function(query) {
+    const items = await common.db.collection(DEAD_LETTER_COLLECTION).find(query).toArray();
+    const counts = {delivered: 0, failed: 0};
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        await common.db.collection(DEAD_LETTER_COLLECTION).deleteOne({_id: item._id});
+        const {status} = await delivery.deliver({
+            hookId: item.hookId,
+            effectStep: item.effectStep,
+            request: item.request,
+            secret: item.secret,
+            params: item.params,
+            _originalInput: item._originalInput,
+        });
+        if (status === "delivered") {
+            counts.delivered++;
+        }
+        else {
+            counts.failed++;
+        }
+    }
+    return counts;
+};
+
+/**
+ * Remove queued and dead-lettered deliveries of hook
+ * @param {string} hookId - hook id
+ * @returns {Promise} delete promise
+ */
+delivery.removeHookDeliveries = function(hookId) {
+    return Promise.all([
+        common.db.collection(RETRY_COLLECTION).deleteMany({hookId: hookId + ""}),
+        common.db.collection(DEAD_LETTER_COLLECTION).deleteMany({hookId: hookId + ""}),
+    ]);
+};
+
+module.exports = delivery;
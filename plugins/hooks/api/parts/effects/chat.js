@@ -0,0 +1,91 @@
+const utils = require("../../utils");
+const delivery = require("../delivery.js");
+const chat = require("../../../../../api/parts/mgmt/chat.js");
+const common = require('../../../../../api/utils/common.js');
+const log = common.log("hooks:api:chat_message_effect");
+
+const FIELD_VALUE_LIMIT = 500;
+
+/**
+ * Chat message effect, posts formatted message to Slack, Teams or generic incoming webhook
+ */
+class ChatMessageEffect {
+    /**
+     * Init function
+     */
+    constructor() {
+        this._timeout = 15000;
+    }
+
+    /**
+     * Build fields from top level properties of trigger data
+     * @param {object} params - trigger data
+     * @returns {Array} array of {key, value} objects
+     */
+    getPayloadFields(params) {
+        const fields = [];
+        for (const key in params) {
+            if (key === "_steps") {
+                continue;
+            }
+            let value = typeof params[key] === "object" ? JSON.stringify(params[key]) : params[key] + "";
+            if (value.length > FIELD_VALUE_LIMIT) {
+                value = value.substr(0, FIELD_VALUE_LIMIT) + "...";
+            }
+            fields.push({key, value});
+        }
+        return fields;
+    }
+
+    /**
+     * main function to run effect
+     * @param {object} options - options for required variable
+     * @return {object} - return processed options object.
+     */
+    async run(options) {
+        const logs = [];
+        let output = null;
+        const {effect, params, rule, effectStep, _originalInput} = options;
+        const {url, format, title, text, includePayload} = effect.configuration;
+        try {
+            const message = {
+                title: utils.parseStringTemplate(title || "Countly Hooks", params),
+                text: utils.parseStringTemplate(text || "", params),
+                sections: [],
+            };
+            if (includePayload) {
+                message.sections.push({title: "Trigger data", fields: this.getPayloadFields(params)});
+            }
+            const payload = chat.buildPayload(chat.FORMATS.indexOf(format) > -1 ? format : "generic", message);
+            log.d("[hook chat message effect]", url, payload);
+
+            // goes through the same retry queue as HTTP action
+            const {status, result} = await delivery.deliver({
+                hookId: rule._id,
+                effectStep,
+                request: {
+                    method: "POST",
+                    uri: utils.parseStringTemplate(url, params),
+                    body: JSON.stringify(payload),
+                    headers: {"Content-Type": "application/json"},
+                    timeout: this._timeout,
+                },
+                params,
+                _originalInput,
+            });
+            output = {status, statusCode: result.statusCode || null};
+            if (status !== "delivered") {
+                logs.push(result.error ?
+                    `message:${result.error.message} \n stack: ${JSON.stringify(result.error.stack)}` :
+                    `status:${result.statusCode} \n body: ${typeof result.body === "object" ? JSON.stringify(result.body) : result.body}`);
+            }
+        }
+        catch (e) {
+            logs.push(`message:${e.message} \n stack: ${JSON.stringify(e.stack)}`);
+            utils.addErrorRecord(rule._id, e, params, effectStep, _originalInput);
+        }
+        return {...options, logs, output};
+    }
+}
+
+module.exports = ChatMessageEffect;
@@ -1,8 +1,8 @@
 const utils = require("../../utils");
 const common = require('../../../../../api/utils/common.js');
+const plugins = require('../../../../pluginManager.js');
+const sandbox = require('../sandbox.js');
 const log = common.log("hooks:api:api_custom_code_effect");
-const request = require("request");
-const {NodeVM} = require('vm2');
 
 /**
  * custom code effect
@@ -21,57 +21,37 @@ class CustomCodeEffect {
      */
     async run(options) {
         const {effect, params, rule, effectStep, _originalInput} = options;
-        let genCode = "";
-        let runtimePassed = true ;
-        let logs = [];
-        try {
-            await new Promise(CUSTOM_CODE_RESOLVER => {
-                const code = effect.configuration.code;
-                /**
-                 * function for rejection of effect
-                 * @param {object} e - error object
-                 */
-                const CUSTOM_CODE_ERROR_CALLBACK = (e) => {
-                    runtimePassed = false;
-                    log.e("got error when executing custom code", e, genCode, options);
-                    logs.push(`message:${e.message}
-                        stack: ${JSON.stringify(e.stack)}
-                    `);
-                    utils.addErrorRecord(rule._id, e, params, effectStep, _originalInput);
-                };
-
-                genCode = `
-                    const CUSTOM_MAIN = async () => {
-                        try {
-                            ${code}
-                         }
-                         catch(e) {
-                            CUSTOM_CODE_ERROR_CALLBACK(e);                        
-                            CUSTOM_CODE_RESOLVER();
-                         }
-                         CUSTOM_CODE_RESOLVER();
+        const config = plugins.getConfig("hooks");
+        const logs = [];
+        const execution = await sandbox.run(effect.configuration.code, params, {
+            cpuTime: config.customCodeCpuLimit,
+            memory: config.customCodeMemoryLimit,
+            timeout: config.customCodeTimeout,
+        });
+        log.d("custom code execution stats", rule._id, effectStep, execution.stats);
+        if (execution.passed) {
+            // apply changes made to params in sandbox, so that next actions can use them
+            if (params && typeof params === "object") {
+                Object.keys(params).forEach((key) => {
+                    if (!(key in execution.params)) {
+                        delete params[key];
                     }
-                    CUSTOM_MAIN();
-                `;
-                const vm = new NodeVM({
-                    timeout: 30000,
-                    console: 'inherit',
-                    sandbox: {params, setTimeout, request, CUSTOM_CODE_RESOLVER, CUSTOM_CODE_ERROR_CALLBACK},
-                    require: false,
                 });
-                vm.run(genCode, 'vm.js');
-            });
+                Object.assign(params, execution.params);
+            }
         }
-        catch (e) {
-            runtimePassed = false;
-            log.e("got error when executing custom code", e, genCode, options);
+        else {
+            const e = execution.error;
+            log.e("got error when executing custom code", e, execution.stats, options);
             logs.push(`message:${e.message}
                 stack: ${JSON.stringify(e.stack)}
             `);
-            utils.addErrorRecord(rule._id, e, params, effectStep, _originalInput);
+            utils.addErrorRecord(rule._id, e, params, effectStep, _originalInput, execution.stats);
         }
-        return runtimePassed ? options : {...options, logs};
+        const output = {passed: execution.passed};
+        const details = {logs: execution.logs, stats: execution.stats};
+        return execution.passed ? {...options, output, execution: details} : {...options, logs, output, execution: details};
     }
 }
 
-module.exports = CustomCodeEffect;
\ No newline at end of file
+module.exports = CustomCodeEffect;
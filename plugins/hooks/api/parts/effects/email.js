@@ -30,6 +30,7 @@ class EmailEffect {
         }
 
         const logs = [];
+        const output = {sent: 0, failed: 0};
         /**
          * Promise for email sending
          * @param {object} msg  - message object
@@ -38,6 +39,7 @@ class EmailEffect {
         const promisifyEMailSending = (msg) => {
             return new Promise((resolve) => {
                 mail.sendMail(msg, (e) => {
+                    output[e ? "failed" : "sent"]++;
                     if (e) {
                         logs.push(`message:${e.message} \n stack: ${JSON.stringify(e.stack)}`);
                         utils.addErrorRecord(rule._id, e, params, effectStep, _originalInput);
@@ -70,7 +72,7 @@ class EmailEffect {
         });
         await Promise.all(sendTasks);
         log.d("hook email effect logs", logs);
-        return {...options, logs};
+        return {...options, logs, output};
     }
 }
 
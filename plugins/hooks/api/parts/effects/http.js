@@ -1,5 +1,5 @@
-const request = require("request");
 const utils = require("../../utils");
+const delivery = require("../delivery.js");
 const common = require('../../../../../api/utils/common.js');
 const log = common.log("hooks:api:api_endpoint_trigger");
 
@@ -21,6 +21,23 @@ function jsonUnEscape(str) {
     return (str + "").replace(/\\n/g, "\n").replace(/\\r/g, "\r").replace(/\\t/g, "\t");
 }
 
+/**
+ * Parse JSON response body, so that next actions can use its properties
+ * @param {varies} body - response body
+ * @returns {varies} parsed body or body as is
+ */
+function parseResponseBody(body) {
+    if (typeof body === "string") {
+        try {
+            return JSON.parse(body);
+        }
+        catch (e) {
+            return body;
+        }
+    }
+    return body;
+}
+
 /**
  * Http effect
  */
@@ -32,6 +49,25 @@ class HTTPEffect {
         this._timeout = 15000;
     }
 
+    /**
+     * Build request headers from configured name/value pairs, values can use trigger data templates
+     * @param {Array} headers - array of {key, value} objects
+     * @param {object} params - trigger data
+     * @returns {object} headers object for request
+     */
+    parseHeaders(headers, params) {
+        const result = {};
+        if (!Array.isArray(headers)) {
+            return result;
+        }
+        headers.forEach((header) => {
+            if (header && header.key) {
+                result[(header.key + "").trim()] = utils.parseStringTemplate((header.value || "") + "", params);
+            }
+        });
+        return result;
+    }
+
     /**
      * main function to run effect
      * @param {object} options - options for required variable
@@ -39,26 +75,20 @@ class HTTPEffect {
      */
     async run(options) {
         const logs = [];
+        let output = null;
         const {effect, params, rule, effectStep, _originalInput} = options;
-        const {method, url, requestData} = effect.configuration;
+        const {method, url, requestData, headers, secret} = effect.configuration;
         try {
             const parsedURL = utils.parseStringTemplate(url, params);
-            const parsedRequestData = utils.parseStringTemplate(requestData, params, method);
+            const parsedRequestData = utils.parseStringTemplate(requestData || "", params, method);
+            const parsedHeaders = this.parseHeaders(headers, params);
             log.d("[hook http effect ]", parsedURL, parsedRequestData, method);
 
-            // todo: assemble params for request;
-            // const params = {}
-
+            let requestOptions = null;
             const methodOption = method && method.toLowerCase() || "get";
             switch (methodOption) {
             case 'get':
-                await request.get({uri: parsedURL + "?" + parsedRequestData, timeout: this._timeout}, function(e, r, body) {
-                    log.d("[http get effect]", e, body);
-                    if (e) {
-                        logs.push(`message:${e.message} \n stack: ${JSON.stringify(e.stack)}`);
-                        utils.addErrorRecord(rule._id, e, params, effectStep, _originalInput);
-                    }
-                });
+                requestOptions = {method: 'GET', uri: parsedURL + "?" + parsedRequestData};
                 break;
             case 'post': {
                 //support post formData
@@ -76,30 +106,62 @@ class HTTPEffect {
                     utils.addErrorRecord(rule._id, e, params, effectStep, _originalInput);
                 }
                 if (Object.keys(parsedJSON).length) {
-                    await request({
-                        method: 'POST',
-                        uri: parsedURL,
-                        json: parsedJSON,
-                        timeout: this._timeout,
-                    },
-                    function(e, r, body) {
-                        log.e("[httpeffects]", e, body, rule);
-                        if (e) {
-                            logs.push(`message:${e.message} \n stack: ${JSON.stringify(e.stack)}`);
-                            utils.addErrorRecord(rule._id, e, params, effectStep, _originalInput);
-                        }
-
-                    });
+                    requestOptions = {method: 'POST', uri: parsedURL, body: JSON.stringify(parsedJSON)};
+                }
+                break;
+            }
+            case 'put':
+            case 'patch':
+            case 'delete': {
+                // raw JSON body is sent as is, without flattening it to key/value pairs
+                requestOptions = {method: methodOption.toUpperCase(), uri: parsedURL};
+                if (parsedRequestData.trim().length) {
+                    try {
+                        JSON.parse(parsedRequestData);
+                    }
+                    catch (e) {
+                        log.e('http efffect parse raw JSON body err:', e, parsedRequestData);
+                        logs.push(`message:${e.message} \n stack: ${JSON.stringify(e.stack)} with data: ${parsedRequestData}`);
+                        utils.addErrorRecord(rule._id, e, params, effectStep, _originalInput);
+                        requestOptions = null;
+                        break;
+                    }
+                    requestOptions.body = parsedRequestData;
                 }
                 break;
             }
             }
+
+            if (requestOptions) {
+                if (requestOptions.body && !Object.keys(parsedHeaders).some(h => h.toLowerCase() === "content-type")) {
+                    parsedHeaders["Content-Type"] = "application/json";
+                }
+                requestOptions.headers = parsedHeaders;
+                requestOptions.timeout = this._timeout;
+
+                // failed deliveries are queued for retry and end up in dead letter log
+                const {status, result} = await delivery.deliver({
+                    hookId: rule._id,
+                    effectStep,
+                    request: requestOptions,
+                    secret: secret || undefined,
+                    params,
+                    _originalInput,
+                });
+                log.d("[http effect delivery]", status, result.statusCode);
+                output = {status, statusCode: result.statusCode || null, body: parseResponseBody(result.body)};
+                if (status !== "delivered") {
+                    logs.push(result.error ?
+                        `message:${result.error.message} \n stack: ${JSON.stringify(result.error.stack)}` :
+                        `status:${result.statusCode} \n body: ${typeof result.body === "object" ? JSON.stringify(result.body) : result.body}`);
+                }
+            }
         }
         catch (e) {
             logs.push(`message:${e.message} \n stack: ${JSON.stringify(e.stack)}`);
             utils.addErrorRecord(rule._id, e, params, effectStep, _originalInput);
         }
-        return {...options, logs};
+        return {...options, logs, output};
     }
 }
 module.exports = HTTPEffect;
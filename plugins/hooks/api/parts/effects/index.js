@@ -1,6 +1,6 @@
 const HTTPEffect = require('./http.js');
 const EmailEffect = require('./email.js');
 const CustomCodeEffect = require('./custom_code.js');
+const ChatMessageEffect = require('./chat.js');
 
-module.exports = {HTTPEffect, EmailEffect, CustomCodeEffect};
-
+module.exports = {HTTPEffect, EmailEffect, CustomCodeEffect, ChatMessageEffect};
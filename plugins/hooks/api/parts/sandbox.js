@@ -0,0 +1,401 @@
+'use strict';
+
+const {Worker, isMainThread, parentPort, workerData} = require('worker_threads');
+
+/**
+ * Sandbox running custom code of hooks in a separate worker thread. Worker has its own heap limited by
+ * resourceLimits, empty environment and no access to API process state. Code itself runs in a fresh vm context
+ * which doesn't allow code generation from strings and only has the restricted API:
+ *  - params: copy of action data, changes are passed to next actions
+ *  - payload: deeply frozen copy of trigger data
+ *  - fetch(url, {method, headers, body, timeout}): HTTP request resolving with {status, headers, body, json()}
+ *  - request(options, callback): subset of request module API (uri/url, method, headers, qs, body, json, form, timeout) for older hooks
+ *  - log.info/warn/error(...) and console: collected lines are returned to the caller
+ *  - setTimeout, clearTimeout
+ * The API is defined by code running inside of the context and talks to the worker only with strings, as any
+ * worker function or object reachable from custom code would give access to worker's Function constructor and process.
+ * Value returned from code is returned as result. Worker is terminated when it uses more CPU time than allowed
+ * (measured as active time of its event loop) or when it runs longer than wall time limit.
+ */
+if (isMainThread) {
+    // how often CPU time of worker is checked, in ms
+    const CPU_CHECK_INTERVAL = 50;
+
+    const sandbox = {};
+
+    /**
+     * Run code in sandbox
+     * @param {string} code - javascript code, body of async function
+     * @param {object} params - action data
+     * @param {object} limits - resource limits
+     * @param {number} limits.cpuTime - CPU time limit in ms
+     * @param {number} limits.memory - heap size limit in MB
+     * @param {number} limits.timeout - wall time limit in ms
+     * @returns {Promise<object>} never rejects, {passed, result, params, logs, error, stats}, stats contain cpu_time, wall_time, heap_used, requests and timed_out
+     */
+    sandbox.run = function(code, params, limits) {
+        return new Promise((resolve) => {
+            const started = Date.now();
+            let finished = false;
+            let worker = null;
+            let cpuTimer = null;
+            let wallTimer = null;
+            let lastReport = {logs: [], requests: 0, heap_used: 0};
+
+            /**
+             * Stop worker and resolve with outcome
+             * @param {object} outcome - {passed, result, params, error, timed_out}
+             */
+            const finish = (outcome) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                clearInterval(cpuTimer);
+                clearTimeout(wallTimer);
+                let cpuTime = 0;
+                try {
+                    cpuTime = Math.round(worker.performance.eventLoopUtilization().active);
+                }
+                catch (e) {
+                    // worker is already gone
+                }
+                worker.terminate().catch(() => {});
+                resolve({
+                    passed: outcome.passed,
+                    result: outcome.result,
+                    params: outcome.params,
+                    error: outcome.error,
+                    logs: lastReport.logs,
+                    stats: {
+                        cpu_time: cpuTime,
+                        wall_time: Date.now() - started,
+                        heap_used: lastReport.heap_used,
+                        requests: lastReport.requests,
+                        timed_out: !!outcome.timed_out,
+                    },
+                });
+            };
+
+            try {
+                worker = new Worker(__filename, {
+                    workerData: {code, params, cpuTime: limits.cpuTime},
+                    env: {},
+                    stdout: true,
+                    stderr: true,
+                    resourceLimits: {
+                        maxOldGenerationSizeMb: limits.memory,
+                        maxYoungGenerationSizeMb: Math.max(1, Math.min(16, Math.floor(limits.memory / 4))),
+                    },
+                });
+            }
+            catch (e) {
+                resolve({passed: false, error: e, logs: [], stats: {cpu_time: 0, wall_time: 0, heap_used: 0, requests: 0, timed_out: false}});
+                return;
+            }
+            worker.on('message', (m) => {
+                lastReport = {logs: m.logs, requests: m.requests, heap_used: m.heap_used};
+                if (m.type === 'done') {
+                    finish({passed: true, result: m.result, params: m.params});
+                }
+                else if (m.type === 'error') {
+                    const error = new Error(m.message);
+                    error.stack = m.stack;
+                    finish({passed: false, error, timed_out: m.timed_out});
+                }
+            });
+            worker.on('error', (e) => {
+                if (e.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+                    e = new Error(`Custom code exceeded memory limit of ${limits.memory} MB`);
+                }
+                finish({passed: false, error: e});
+            });
+            worker.on('exit', (exitCode) => {
+                finish({passed: false, error: new Error(`Custom code worker exited with code ${exitCode}`)});
+            });
+            cpuTimer = setInterval(() => {
+                if (worker.performance.eventLoopUtilization().active > limits.cpuTime) {
+                    finish({passed: false, timed_out: true, error: new Error(`Custom code exceeded CPU time limit of ${limits.cpuTime} ms`)});
+                }
+            }, CPU_CHECK_INTERVAL);
+            wallTimer = setTimeout(() => {
+                finish({passed: false, timed_out: true, error: new Error(`Custom code did not finish in ${limits.timeout} ms`)});
+            }, limits.timeout);
+        });
+    };
+
+    module.exports = sandbox;
+}
+else {
+    const vm = require('vm');
+    const v8 = require('v8');
+    const request = require('request');
+
+    // limit of collected log lines and length of each line
+    const LOGS_LIMIT = 100;
+    const LOG_LINE_LIMIT = 1000;
+    const FETCH_TIMEOUT = 10000;
+
+    /**
+     * Code creating restricted API inside of vm context. It gets bridge function and JSON encoded input, keeps the bridge
+     * in closure and defines globals built from context's own intrinsics, so that no function or object of worker realm
+     * is reachable from custom code. Bridge is called with operation name and JSON string and returns nothing,
+     * results of async operations come back through deliver function with primitive arguments only.
+     */
+    const BOOTSTRAP = `(function(bridge, input) {
+        "use strict";
+        const parse = JSON.parse;
+        const stringify = JSON.stringify;
+        const Err = Error;
+        const Prom = Promise;
+        const assign = Object.assign;
+        const freeze = (obj) => {
+            if (obj && typeof obj === "object") {
+                Object.values(obj).forEach(freeze);
+                Object.freeze(obj);
+            }
+            return obj;
+        };
+        const call = (op, data) => {
+            try {
+                bridge(op, stringify(data));
+            }
+            catch (e) {
+                throw new Err("Sandbox call failed: " + op);
+            }
+        };
+        const fail = (e) => {
+            call("error", {message: e && e.message !== undefined ? e.message + "" : e + "", stack: e && e.stack !== undefined ? e.stack + "" : ""});
+        };
+        const pending = {};
+        const timers = {};
+        let nextId = 1;
+
+        const http = (options, callback) => {
+            const id = nextId++;
+            pending[id] = callback;
+            call("http", assign({}, options, {id}));
+        };
+        const fetch = (url, options) => {
+            options = options || {};
+            return new Prom((resolve, reject) => {
+                http({
+                    uri: url + "",
+                    method: options.method,
+                    headers: options.headers,
+                    body: options.body && typeof options.body === "object" ? stringify(options.body) : options.body,
+                    timeout: options.timeout,
+                }, (res) => {
+                    if (res.error) {
+                        return reject(new Err(res.error));
+                    }
+                    resolve({status: res.status, headers: res.headers, body: res.body, json: () => parse(res.body)});
+                });
+            });
+        };
+        const requestOptions = (uri, options, callback) => {
+            if (typeof options === "function") {
+                callback = options;
+                options = {};
+            }
+            options = uri && typeof uri === "object" ? assign({}, uri, options) : assign({}, options, {uri});
+            return [options, callback];
+        };
+        const request = (uri, options, callback) => {
+            [options, callback] = requestOptions(uri, options, callback);
+            http({
+                uri: (options.uri || options.url) + "",
+                method: options.method,
+                headers: options.headers,
+                qs: options.qs,
+                body: options.body,
+                json: options.json,
+                form: options.form,
+                timeout: options.timeout,
+            }, (res) => {
+                if (typeof callback !== "function") {
+                    return;
+                }
+                if (res.error) {
+                    return callback(new Err(res.error));
+                }
+                callback(null, {statusCode: res.status, headers: res.headers, body: res.body}, res.body);
+            });
+        };
+        ["get", "post", "put", "patch", "head", "delete"].forEach((method) => {
+            request[method] = (uri, options, callback) => {
+                [options, callback] = requestOptions(uri, options, callback);
+                request(assign(options, {method: method.toUpperCase()}), callback);
+            };
+        });
+        request.del = request.delete;
+
+        const logger = (level) => (...args) => {
+            call("log", {level, line: args.map(a => typeof a === "string" ? a : stringify(a)).join(" ")});
+        };
+        const log = {info: logger("info"), warn: logger("warn"), error: logger("error")};
+        const setTimeout = (fn, delay, ...args) => {
+            const id = nextId++;
+            timers[id] = () => fn(...args);
+            call("setTimeout", {id, delay: Number(delay) || 0});
+            return id;
+        };
+        const clearTimeout = (id) => {
+            if (timers[id]) {
+                delete timers[id];
+                call("clearTimeout", {id});
+            }
+        };
+
+        const data = parse(input);
+        assign(globalThis, {
+            params: data.params,
+            payload: freeze(parse(input).params || {}),
+            fetch,
+            request,
+            log,
+            console: {log: log.info, info: log.info, warn: log.warn, error: log.error},
+            setTimeout,
+            clearTimeout,
+        });
+
+        return {
+            deliver: (type, id, json) => {
+                try {
+                    if (type === "timer") {
+                        const fn = timers[id];
+                        delete timers[id];
+                        if (fn) {
+                            fn();
+                        }
+                    }
+                    else {
+                        const callback = pending[id];
+                        delete pending[id];
+                        if (callback) {
+                            callback(parse(json));
+                        }
+                    }
+                }
+                catch (e) {
+                    fail(e);
+                }
+            },
+            watch: (promise) => {
+                promise.then((result) => {
+                    try {
+                        call("done", {result: result === undefined ? null : result, params: globalThis.params || {}});
+                    }
+                    catch (e) {
+                        fail(e);
+                    }
+                }, fail);
+            },
+        };
+    })`;
+
+    const logs = [];
+    const timers = new Map();
+    let requests = 0;
+    let sandboxed = null;
+
+    /**
+     * Post message to parent with current stats
+     * @param {object} message - message
+     */
+    const report = (message) => {
+        parentPort.postMessage(Object.assign(message, {logs, requests, heap_used: v8.getHeapStatistics().used_heap_size}));
+    };
+
+    /**
+     * Pass result of async operation back to sandboxed code
+     * @param {string} type - "timer" or "http"
+     * @param {number} id - id of operation
+     * @param {string} json - JSON encoded result
+     */
+    const deliver = (type, id, json) => {
+        try {
+            sandboxed.deliver(type, id, json);
+        }
+        catch (e) {
+            report({type: "error", message: "Custom code failed to handle " + type + " result"});
+        }
+    };
+
+    /**
+     * Handle call from sandboxed code. Only strings are accepted and nothing is returned, so that
+     * no value of worker realm gets into vm context.
+     * @param {string} op - operation name
+     * @param {string} data - JSON encoded arguments
+     */
+    const bridge = (op, data) => {
+        if (typeof op !== "string" || typeof data !== "string") {
+            return;
+        }
+        try {
+            const args = JSON.parse(data);
+            const id = Number(args.id);
+            switch (op) {
+            case "log":
+                if (logs.length < LOGS_LIMIT) {
+                    logs.push(`[${args.level}] ${(args.line + "").substr(0, LOG_LINE_LIMIT)}`);
+                }
+                break;
+            case "http":
+                requests++;
+                request({
+                    uri: args.uri + "",
+                    method: (args.method || "GET").toUpperCase(),
+                    headers: args.headers,
+                    qs: args.qs,
+                    body: args.body,
+                    json: args.json,
+                    form: args.form,
+                    timeout: Math.min(args.timeout || FETCH_TIMEOUT, FETCH_TIMEOUT),
+                }, (err, res, body) => {
+                    deliver("http", id, JSON.stringify(err ? {error: err.message} : {status: res.statusCode, headers: res.headers, body: body}));
+                });
+                break;
+            case "setTimeout":
+                timers.set(id, setTimeout(() => {
+                    timers.delete(id);
+                    deliver("timer", id, "null");
+                }, args.delay));
+                break;
+            case "clearTimeout":
+                clearTimeout(timers.get(id));
+                timers.delete(id);
+                break;
+            case "done":
+                report({type: "done", result: args.result, params: args.params});
+                break;
+            case "error":
+                report({type: "error", message: args.message + "", stack: args.stack + ""});
+                break;
+            }
+        }
+        catch (e) {
+            // invalid calls of sandboxed code are ignored
+        }
+    };
+
+    // context is created from object without prototype, so that global object has nothing from worker realm
+    const context = vm.createContext(Object.create(null), {codeGeneration: {strings: false, wasm: false}});
+
+    try {
+        sandboxed = vm.runInContext(BOOTSTRAP, context)(bridge, JSON.stringify({params: workerData.params || {}}));
+        sandboxed.watch(vm.runInContext(`(async () => {\n${workerData.code}\n})()`, context, {
+            filename: "custom_code.js",
+            lineOffset: -1,
+            timeout: workerData.cpuTime,
+        }));
+    }
+    catch (e) {
+        if (e && e.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+            report({type: "error", message: `Custom code exceeded CPU time limit of ${workerData.cpuTime} ms`, stack: e.stack, timed_out: true});
+        }
+        else {
+            report({type: "error", message: e && e.message + "", stack: e && e.stack + ""});
+        }
+    }
+}
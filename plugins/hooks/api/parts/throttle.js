@@ -0,0 +1,271 @@
+const crypto = require("crypto");
+const plugins = require('../../../pluginManager.js');
+const common = require('../../../../api/utils/common.js');
+const utils = require('../utils.js');
+const log = common.log("hooks:throttle");
+
+const COLLECTION = "hooks_throttle";
+// longest window for rate limit, de-duplication and batching, in seconds
+const MAX_WINDOW = 7 * 24 * 60 * 60;
+// batches are flushed by job running every minute, so shorter windows make no sense
+const MIN_BATCH_WINDOW = 60;
+// batches of deleted or disabled hooks are kept this long after window end, in ms
+const BATCH_EXPIRE = 24 * 60 * 60 * 1000;
+
+/**
+ * Throttling of hook executions shared between all API processes. Settings are stored in
+ * trigger.configuration.throttling:
+ *  - limit, window: execute at most limit times per window seconds
+ *  - dedupKey, dedupWindow: execute once per rendered key per dedupWindow seconds, e.g. "{{user.did}}"
+ *  - batchWindow: collect matches for batchWindow seconds and execute once with aggregated payload
+ * Windows are aligned to epoch, state is kept in hooks_throttle collection with TTL index on expire_at
+ */
+const throttle = {};
+
+throttle.COLLECTION = COLLECTION;
+throttle.MAX_WINDOW = MAX_WINDOW;
+throttle.MIN_BATCH_WINDOW = MIN_BATCH_WINDOW;
+
+/**
+ * Get throttling settings of hook
+ * @param {object} rule - hook record
+ * @returns {object|null} settings or null if hook executions are not throttled
+ */
+throttle.getSettings = function(rule) {
+    const settings = rule && rule.trigger && rule.trigger.configuration && rule.trigger.configuration.throttling;
+    if (!settings || !(settings.limit || settings.dedupKey || settings.batchWindow)) {
+        return null;
+    }
+    return settings;
+};
+
+/**
+ * Check if value is a window length in seconds
+ * @param {any} value - value to check
+ * @param {number} min - minimal length
+ * @returns {boolean} true if valid
+ */
+function isWindow(value, min) {
+    return Number.isInteger(value) && value >= min && value <= MAX_WINDOW;
+}
+
+/**
+ * Validate throttling settings of hook
+ * @param {object} hookConfig - hook config
+ * @returns {string|null} error message or null if valid or not throttled
+ */
+throttle.validate = function(hookConfig) {
+    const settings = throttle.getSettings(hookConfig);
+    if (!settings) {
+        return null;
+    }
+    if (hookConfig.trigger.type !== "IncomingDataTrigger") {
+        return "Throttling is only supported for incoming data triggers";
+    }
+    if (settings.limit) {
+        if (!Number.isInteger(settings.limit) || settings.limit < 1) {
+            return "Invalid throttling limit";
+        }
+        if (!isWindow(settings.window, 1)) {
+            return `Invalid throttling window, should be from 1 to ${MAX_WINDOW} seconds`;
+        }
+        if (settings.batchWindow) {
+            return "Throttling limit can not be used together with batch mode";
+        }
+    }
+    if (settings.dedupKey) {
+        if (typeof settings.dedupKey !== "string") {
+            return "Invalid de-duplication key";
+        }
+        if (!isWindow(settings.dedupWindow, 1)) {
+            return `Invalid de-duplication window, should be from 1 to ${MAX_WINDOW} seconds`;
+        }
+    }
+    if (settings.batchWindow && !isWindow(settings.batchWindow, MIN_BATCH_WINDOW)) {
+        return `Invalid batch window, should be from ${MIN_BATCH_WINDOW} to ${MAX_WINDOW} seconds`;
+    }
+    return null;
+};
+
+/**
+ * Get start of window containing time
+ * @param {number} now - timestamp in ms
+ * @param {number} window - window length in seconds
+ * @returns {number} window start timestamp in ms
+ */
+function getWindowStart(now, window) {
+    return Math.floor(now / (window * 1000)) * window * 1000;
+}
+
+/**
+ * Increment throttling counters of hook
+ * @param {string} hookId - hook id
+ * @param {object} inc - counters to increment, without throttle_stats prefix
+ * @returns {Promise} update promise
+ */
+function incrementStats(hookId, inc) {
+    const update = {};
+    for (let key in inc) {
+        update["throttle_stats." + key] = inc[key];
+    }
+    return common.db.collection("hooks").updateOne({_id: common.db.ObjectID(hookId + "")}, {$inc: update});
+}
+
+/**
+ * Check if matched data was already seen in current de-duplication window
+ * @param {object} rule - hook record
+ * @param {object} settings - throttling settings
+ * @param {object} params - matched data
+ * @param {number} now - timestamp in ms
+ * @returns {Promise<boolean>} true if data is duplicate
+ */
+async function isDuplicate(rule, settings, params, now) {
+    const key = utils.parseStringTemplate(settings.dedupKey, params);
+    const start = getWindowStart(now, settings.dedupWindow);
+    const hash = crypto.createHash("sha1").update(key).digest("hex");
+    try {
+        await common.db.collection(COLLECTION).insertOne({
+            _id: `dedup_${rule._id}_${hash}_${start}`,
+            type: "dedup",
+            hookId: rule._id + "",
+            expire_at: new Date(start + settings.dedupWindow * 1000),
+        });
+        return false;
+    }
+    catch (e) {
+        if (e.code === 11000) {
+            return true;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Check if hook was already executed limit times in current window
+ * @param {object} rule - hook record
+ * @param {object} settings - throttling settings
+ * @param {number} now - timestamp in ms
+ * @returns {Promise<boolean>} true if limit is exceeded
+ */
+async function isRateLimited(rule, settings, now) {
+    const start = getWindowStart(now, settings.window);
+    const result = await common.db.collection(COLLECTION).findOneAndUpdate(
+        {_id: `rate_${rule._id}_${start}`},
+        {
+            $inc: {count: 1},
+            $setOnInsert: {type: "rate", hookId: rule._id + "", expire_at: new Date(start + settings.window * 1000)}
+        },
+        {upsert: true, returnDocument: "after"}
+    );
+    return result.value.count > settings.limit;
+}
+
+/**
+ * Add matched data to current batch of hook
+ * @param {object} rule - hook record
+ * @param {object} settings - throttling settings
+ * @param {object} params - matched data
+ * @param {number} now - timestamp in ms
+ * @returns {Promise} update promise
+ */
+function addToBatch(rule, settings, params, now) {
+    const start = getWindowStart(now, settings.batchWindow);
+    const end = start + settings.batchWindow * 1000;
+    return common.db.collection(COLLECTION).updateOne(
+        {_id: `batch_${rule._id}_${start}`},
+        {
+            $inc: {count: 1},
+            $push: {items: {$each: [params], $slice: plugins.getConfig("hooks").batchItemsLimit}},
+            $setOnInsert: {type: "batch", hookId: rule._id + "", window_start: start, window_end: end, expire_at: new Date(end + BATCH_EXPIRE)}
+        },
+        {upsert: true}
+    );
+}
+
+/**
+ * Decide what to do with data matched by hook trigger, recording throttling counters of hook
+ * @param {object} rule - hook record
+ * @param {object} params - matched data passed to pipeline
+ * @returns {Promise<string>} "execute" if pipeline should run now, "deduplicated" or "rate_limited" if execution is suppressed, "batched" if data was added to batch
+ */
+throttle.check = async function(rule, params) {
+    const settings = throttle.getSettings(rule);
+    if (!settings) {
+        return "execute";
+    }
+    const now = Date.now();
+    let outcome = "execute";
+    if (settings.dedupKey && await isDuplicate(rule, settings, params, now)) {
+        outcome = "deduplicated";
+    }
+    else if (settings.batchWindow) {
+        await addToBatch(rule, settings, params, now);
+        outcome = "batched";
+    }
+    else if (settings.limit && await isRateLimited(rule, settings, now)) {
+        outcome = "rate_limited";
+    }
+    if (outcome === "deduplicated" || outcome === "rate_limited") {
+        await incrementStats(rule._id, {suppressed: 1, [outcome]: 1});
+    }
+    else if (outcome === "batched") {
+        await incrementStats(rule._id, {batched: 1});
+    }
+    log.d("[hooks throttle]", rule._id, outcome);
+    return outcome;
+};
+
+/**
+ * Take batches of hooks which windows have ended
+ * @param {Array} rules - hook records to flush batches of
+ * @returns {Promise<Array>} array of {rule, params} to pass to pipeline, params.batch contains count, window_start, window_end and items
+ */
+throttle.flushBatches = async function(rules) {
+    const hooks = {};
+    rules.forEach((r) => {
+        const settings = throttle.getSettings(r);
+        if (settings && settings.batchWindow) {
+            hooks[r._id + ""] = r;
+        }
+    });
+    if (!Object.keys(hooks).length) {
+        return [];
+    }
+    const due = await common.db.collection(COLLECTION).find(
+        {type: "batch", hookId: {$in: Object.keys(hooks)}, window_end: {$lte: Date.now()}},
+        {projection: {_id: 1}}
+    ).toArray();
+    const result = [];
+    for (let i = 0; i < due.length; i++) {
+        // several processes can flush at the same time, only one of them gets the batch
+        const taken = await common.db.collection(COLLECTION).findOneAndDelete({_id: due[i]._id});
+        const batch = taken && taken.value;
+        if (!batch) {
+            continue;
+        }
+        await incrementStats(batch.hookId, {batches: 1});
+        result.push({
+            rule: hooks[batch.hookId],
+            params: {
+                batch: {
+                    count: batch.count,
+                    window_start: batch.window_start,
+                    window_end: batch.window_end,
+                    items: batch.items,
+                },
+            },
+        });
+    }
+    return result;
+};
+
+/**
+ * Remove throttling state of hook
+ * @param {string} hookId - hook id
+ * @returns {Promise} delete promise
+ */
+throttle.removeHookState = function(hookId) {
+    return common.db.collection(COLLECTION).deleteMany({hookId: hookId + ""});
+};
+
+module.exports = throttle;
@@ -2,6 +2,7 @@
 const plugins = require('../../../../pluginManager.js');
 const common = require('../../../../../api/utils/common.js');
 const utils = require('../../utils.js');
+const throttle = require('../throttle.js');
 const log = common.log('hooks:incoming_data_trigger');
 
 /**
@@ -110,6 +111,17 @@ class IncomingDataTrigger {
                 }
             });
         });
+        plugins.register("/hooks/batch", () => {
+            throttle.flushBatches(this._rules).then((batches) => {
+                batches.forEach((data) => {
+                    utils.updateRuleTriggerTime(data.rule._id);
+                    this.pipeline(data);
+                });
+            }).catch((err) => {
+                log.e("[hooks batch] failed to flush batches", err);
+            });
+            return true;
+        });
     }
 
     /**
@@ -285,6 +297,16 @@ class IncomingDataTrigger {
                     return false;
                 });
                 if (events.length > 0) {
+                    try {
+                        const outcome = await throttle.check(rule, {events, user});
+                        if (outcome !== "execute") {
+                            return;
+                        }
+                    }
+                    catch (err) {
+                        // do not lose executions because of throttling state failures
+                        log.e("[IncomingDataTrigger] throttling check failed", err);
+                    }
                     try {
                         utils.updateRuleTriggerTime(rule._id);
                     }
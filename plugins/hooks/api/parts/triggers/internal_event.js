@@ -108,6 +108,7 @@ class InternalEventTrigger {
             });
             break;
         case "/crashes/new":
+        case "/crashes/regressed":
             if (rule.apps.indexOf(ob.data.app._id + '') > -1) {
                 utils.updateRuleTriggerTime(rule._id);
                 this.pipeline({
@@ -230,6 +231,7 @@ const InternalEvents = [
     "/systemlogs",
     "/master",
     "/crashes/new",
+    "/crashes/regressed",
     "/cohort/enter",
     "/cohort/exit",
     "/i/app_users/create",
@@ -3,8 +3,11 @@ const common = require('../../../../../api/utils/common.js');
 const utils = require('../../utils.js');
 const log = common.log("hooks:api:schedule");
 const JOB = require('../../../../../api/parts/jobs');
-const later = require('later');
-const moment = require('moment-timezone');
+const cron = require('../cron.js');
+
+// fire times missed because a job run was delayed are caught up for at most this long,
+// last check time is kept in memory only, so after restart just the last minute is checked
+const MAX_CATCH_UP = 60 * 60 * 1000;
 
 /**
  * Scheduled trigger
@@ -73,20 +76,23 @@ class ScheduledTrigger {
      */
     register() {
         plugins.register("/hooks/schedule", () => {
-            log.d("[hooks schedule triggered]");
+            const now = Date.now();
+            const lastCheck = Math.max(this._lastCheck || now - 60 * 1000, now - MAX_CATCH_UP);
+            this._lastCheck = now;
+            log.d("[hooks schedule triggered]", lastCheck, now);
             this._rules.forEach(r => {
-                var sched = later.parse.cron(r.trigger.configuration.cron);
-                var nextTime = later.schedule(sched).next(1);
-                const expectedTime = new moment(nextTime);
-                const serverTime = new moment(new Date()).tz(r.trigger.configuration.timezone2);
-                log.d("[hooks schedule check]", nextTime, expectedTime, serverTime, r);
-
-                if (expectedTime.year() === serverTime.year() &&
-                    expectedTime.month() === serverTime.month() &&
-                    expectedTime.date() === serverTime.date() &&
-                    expectedTime.hour() === serverTime.hour()) {
-                    this.process({rule: r});
-                    log.d("[hooks schedule check matched]", expectedTime, serverTime, r);
+                const {cron: expression, timezone2} = r.trigger.configuration;
+                try {
+                    // fire once if any fire time passed since last check
+                    const nextTime = cron.next(expression, timezone2 || "UTC", lastCheck, 1)[0];
+                    log.d("[hooks schedule check]", nextTime, r);
+                    if (nextTime && nextTime.getTime() <= now) {
+                        this.process({rule: r});
+                        log.d("[hooks schedule check matched]", nextTime, r);
+                    }
+                }
+                catch (e) {
+                    log.e("[hooks schedule] invalid schedule", r._id, expression, e.message);
                 }
             });
             return true;
@@ -97,7 +103,7 @@ class ScheduledTrigger {
 
 plugins.register("/master", function() {
     setTimeout(() => {
-        JOB.job('hooks:schedule', {type: 'ScheduledTrigger'}).replace().schedule("every 1 hour on the 1st min");
+        JOB.job('hooks:schedule', {type: 'ScheduledTrigger'}).replace().schedule("every 1 minute");
     }, 10000);
 });
 
@@ -17,7 +17,7 @@ utils.updateRuleTriggerTime = function updateRuleTriggerTime(hookID) {
     );
 };
 
-utils.addErrorRecord = function addErrorRecord(hookId, error, params, effectStep, _originalInput) {
+utils.addErrorRecord = function addErrorRecord(hookId, error, params, effectStep, _originalInput, stats) {
     if (!hookId) {
         return;
     }
@@ -28,7 +28,7 @@ utils.addErrorRecord = function addErrorRecord(hookId, error, params, effectStep
     const updateOperation = {
         $push: {
             error_logs: {
-                $each: [ {e: errorString, timestamp: new Date().getTime(), params, effectStep, _originalInput} ],
+                $each: [ {e: errorString, timestamp: new Date().getTime(), params, effectStep, _originalInput, stats} ],
                 $slice: -10
             }
         }
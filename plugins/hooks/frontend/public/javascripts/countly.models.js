@@ -6,6 +6,7 @@
     countlyAuth,
     _,
     moment,
+    CountlyHelpers,
  */
 
 (function(hooksPlugin, jQuery) {
@@ -112,6 +113,7 @@
             "EmailEffect": jQuery.i18n.map["hooks.EmailEffect"],
             "HTTPEffect": jQuery.i18n.map["hooks.HTTPEffect"],
             "CustomCodeEffect": jQuery.i18n.map["hooks.CustomCodeEffect"],
+            "ChatMessageEffect": jQuery.i18n.map["hooks.ChatMessageEffect"],
         };
         var effectList = "";
         var arrow = '<div class="is-effect-col-arrow"><svg width="11.25" height="12.75" viewBox="0 0 12 13" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M11.25 8.25L6.75 12.75L5.685 11.685L8.3775 9H0V0H1.5V7.5H8.3775L5.685 4.815L6.75 3.75L11.25 8.25Z" fill="#CDAD7A"/></svg></div>';
@@ -126,6 +128,9 @@
             if (effect.type === "CustomCodeEffect") {
                 effectList += '<div class="is-trigger-effect-desc">' + effect.configuration.code + '</div>';
             }
+            if (effect.type === "ChatMessageEffect") {
+                effectList += '<div class="is-trigger-effect-desc">' + effect.configuration.url + '</div>';
+            }
         });
 
         var triggerEffectDom = '<div class="is-trigger-col-tag">' + triggerText.toUpperCase() + '</div>';
@@ -222,7 +227,10 @@
                         "hook_config": JSON.stringify(record)
                     },
                     dataType: "json",
-                    success: function() {
+                    success: function(data) {
+                        if (data && data.next_fire_times && data.next_fire_times.length) {
+                            CountlyHelpers.notify({message: jQuery.i18n.prop("hooks.schedule-next-fire-times", data.next_fire_times.slice(0, 3).join(", "))});
+                        }
                         context.dispatch("countlyHooks/table/fetchAll", null, {root: true});
                         context.dispatch("countlyHooks/initializeDetail", record._id, {root: true});
                     }
@@ -242,8 +250,19 @@
                     }
                 });
             },
+            redeliver: function(context, id) {
+                return CV.$.ajax({
+                    type: "POST",
+                    url: countlyCommon.API_PARTS.data.w + "/hook/redeliver" + "?app_id=" + countlyCommon.ACTIVE_APP_ID,
+                    data: {
+                        "hookID": id
+                    },
+                    dataType: "json",
+                });
+            },
             testHook: function(context, hookConfig) {
                 delete hookConfig.error_logs;
+                delete hookConfig.delivery_logs;
                 var mockData = hooksPlugin.mockDataGenerator(hookConfig);
                 context.commit("resetTestResult");
                 return CV.$.ajax({
@@ -78,6 +78,7 @@
                     delete data.triggerEffectColumn;
                     delete data.triggerEffectDom;
                     delete data.error_logs;
+                    delete data.delivery_logs;
                     this.$store.dispatch("countlyHooks/resetTestResult");
                     this.$parent.$parent.openDrawer("home", data);
                 }
@@ -118,6 +119,7 @@
             {label: jQuery.i18n.map["hooks.EmailEffect"], value: 'EmailEffect'},
             {label: jQuery.i18n.map["hooks.CustomCodeEffect"], value: 'CustomCodeEffect'},
             {label: jQuery.i18n.map["hooks.HTTPEffect"], value: 'HTTPEffect'},
+            {label: jQuery.i18n.map["hooks.ChatMessageEffect"], value: 'ChatMessageEffect'},
         ]
     };
 
@@ -125,7 +127,13 @@
         template: '#hooks-effect-HTTPEffect',
         data: function() {
             return {
-                methodOptions: [{label: 'GET', value: 'get'}, {label: 'POST', value: 'post'}],
+                methodOptions: [
+                    {label: 'GET', value: 'get'},
+                    {label: 'POST', value: 'post'},
+                    {label: 'PUT', value: 'put'},
+                    {label: 'PATCH', value: 'patch'},
+                    {label: 'DELETE', value: 'delete'},
+                ],
             };
         },
         props: {
@@ -133,17 +141,53 @@
                 type: Object
             },
         },
+        computed: {
+            isRawBody: function() {
+                return ['put', 'patch', 'delete'].indexOf(this.value.method) > -1;
+            }
+        },
         mounted: function() {
             this.value.requestData = _.unescape(this.value.requestData);
+            if (!Array.isArray(this.value.headers)) {
+                this.$set(this.value, 'headers', []);
+            }
         },
         methods: {
             textChange: function(event) {
                 this.value.requestData = _.unescape(event.currentTarget.value);
+            },
+            addHeader: function() {
+                this.value.headers.push({key: '', value: ''});
+            },
+            removeHeader: function(index) {
+                this.value.headers.splice(index, 1);
             }
         }
     });
 
 
+    var ChatMessageEffect = countlyVue.views.BaseView.extend({
+        template: '#hooks-effect-ChatMessageEffect',
+        data: function() {
+            return {
+                formatOptions: [
+                    {label: jQuery.i18n.map["hooks.chat-format-slack"], value: 'slack'},
+                    {label: jQuery.i18n.map["hooks.chat-format-teams"], value: 'teams'},
+                    {label: jQuery.i18n.map["hooks.chat-format-generic"], value: 'generic'},
+                ],
+            };
+        },
+        props: {
+            value: {
+                type: Object
+            },
+        },
+        mounted: function() {
+            this.value.title = _.unescape(this.value.title);
+            this.value.text = _.unescape(this.value.text);
+        },
+    });
+
     var EmailEffect = countlyVue.views.BaseView.extend({
         template: '#hooks-effect-EmailEffect',
         data: function() {
@@ -195,6 +239,7 @@
             return {
                 selectedEffect: null,
                 effectsOption: EffectFactory.options,
+                conditionText: this.value.condition ? (typeof this.value.condition === "string" ? this.value.condition : JSON.stringify(this.value.condition)) : '',
             };
         },
         computed: {
@@ -208,6 +253,10 @@
             },
         },
         watch: {
+            conditionText: function(newValue) {
+                // sent as string and validated by server
+                this.$set(this.value, 'condition', newValue);
+            },
             effectType: function(newValue, oldValue) {
                 if (!oldValue && this.value.configuration) { // edit record
                     return;
@@ -220,7 +269,10 @@
                     this.value.configuration = {code: ''};
                     break;
                 case 'HTTPEffect':
-                    this.value.configuration = {url: '', method: '', requestData: ''};
+                    this.value.configuration = {url: '', method: '', requestData: '', headers: [], secret: ''};
+                    break;
+                case 'ChatMessageEffect':
+                    this.value.configuration = {url: '', format: 'slack', title: '', text: '', includePayload: true};
                     break;
                 default:
                     return;
@@ -232,6 +284,7 @@
             EmailEffect: EmailEffect,
             CustomCodeEffect: CustomCodeEffect,
             HTTPEffect: HTTPEffect,
+            ChatMessageEffect: ChatMessageEffect,
         },
         methods: {
             removeEffect: function() {
@@ -264,6 +317,9 @@
                     hiddenFields: [],
                     openSegmentTab: this.$props.value.filter ? true : false,
                     query: defaultFilter.dbFilter,
+                    throttling: this.throttlingToForm(this.$props.value.throttling),
+                    maxWindow: 7 * 24 * 60,
+                    dedupKeyPlaceholder: "{{user.did}}",
                 };
             }
             return result;
@@ -319,8 +375,59 @@
                     }
                 }
             },
+            'throttling': {
+                deep: true,
+                handler: function(newVal) {
+                    var configuration = Object.assign({}, this.$props.value);
+                    var throttling = this.throttlingFromForm(newVal);
+                    if (throttling) {
+                        configuration.throttling = throttling;
+                    }
+                    else {
+                        delete configuration.throttling;
+                    }
+                    this.$emit("input", configuration);
+                }
+            },
         },
         methods: {
+            throttlingToForm: function(throttling) {
+                throttling = throttling || {};
+                var mode = "none";
+                if (throttling.batchWindow) {
+                    mode = "batch";
+                }
+                else if (throttling.limit) {
+                    mode = "limit";
+                }
+                return {
+                    enabled: !!(throttling.limit || throttling.dedupKey || throttling.batchWindow),
+                    dedupKey: throttling.dedupKey || "",
+                    dedupWindow: throttling.dedupWindow ? Math.round(throttling.dedupWindow / 60) : 60,
+                    mode: mode,
+                    limit: throttling.limit || 10,
+                    window: throttling.window ? Math.round(throttling.window / 60) : 1,
+                    batchWindow: throttling.batchWindow ? Math.round(throttling.batchWindow / 60) : 5,
+                };
+            },
+            throttlingFromForm: function(form) {
+                if (!form.enabled) {
+                    return null;
+                }
+                var throttling = {};
+                if (form.dedupKey) {
+                    throttling.dedupKey = form.dedupKey;
+                    throttling.dedupWindow = form.dedupWindow * 60;
+                }
+                if (form.mode === "limit") {
+                    throttling.limit = form.limit;
+                    throttling.window = form.window * 60;
+                }
+                else if (form.mode === "batch") {
+                    throttling.batchWindow = form.batchWindow * 60;
+                }
+                return Object.keys(throttling).length ? throttling : null;
+            },
             eventChange: function() {
                 this.queryObj = {};
             },
@@ -382,6 +489,7 @@
                     {value: "/master", label: "/master"},
                     {value: "/systemlogs", label: "/systemlogs"},
                     {value: "/crashes/new", label: "/crashes/new"},
+                    {value: "/crashes/regressed", label: "/crashes/regressed"},
                     {value: "/hooks/trigger", label: "/hooks/trigger"},
                 ],
                 cohortOptions: [],
@@ -477,6 +585,7 @@
                     {value: 'month', label: 'Every Month'},
                     {value: 'week', label: 'Every Week'},
                     {value: 'day', label: 'Every Day'},
+                    {value: 'cron', label: jQuery.i18n.map["hooks.schedule-custom-cron"]},
                 ],
                 periodDaysOptions: Array.from(Array(31).keys()).map(function(item, idx) {
                     return {value: idx + 1, label: idx + 1};
@@ -516,6 +625,8 @@
                 case "day":
                     cron = ["0", period3, "*", "*", "*"];
                     break;
+                case "cron":
+                    return this.value.cron;
                 default:
                     this.value.cron = null;
                     return null;
@@ -773,6 +884,19 @@
         }
     });
 
+    var DetailDeliveriesTableView = countlyVue.views.BaseView.extend({
+        template: '#hooks-detail-deliveries-table-view',
+        computed: {
+            tableRows: function() {
+                var hookDetail = this.$store.getters["countlyHooks/hookDetail"];
+                return (hookDetail.delivery_logs || []).slice().reverse().map(function(row) {
+                    row.timestamp_string = moment(row.timestamp).format('ddd, DD MMM YYYY, HH:mm:ss');
+                    return row;
+                });
+            },
+        },
+    });
+
     var HooksDetailComponent = countlyVue.views.BaseView.extend({
         template: "#hooks-detail-view",
         mixins: [
@@ -781,6 +905,7 @@
         ],
         components: {
             "error-table-view": DetailErrorsTableView,
+            "delivery-table-view": DetailDeliveriesTableView,
             "drawer": HookDrawer,
         },
         data: function() {
@@ -804,6 +929,7 @@
                     delete data.triggerEffectColumn;
                     delete data.triggerEffectDom;
                     delete data.error_logs;
+                    delete data.delivery_logs;
                     this.$store.dispatch("countlyHooks/resetTestResult");
                     this.openDrawer("detail", data);
                 }
@@ -819,6 +945,17 @@
                     }, [jQuery.i18n.map['common.no-dont-delete'], jQuery.i18n.map['common.delete']], {title: jQuery.i18n.map['hooks.delete-confirm-title']});
                 }
             },
+            redeliver: function() {
+                var self = this;
+                this.$store.dispatch("countlyHooks/redeliver", this.hookDetail._id).then(function(result) {
+                    CountlyHelpers.notify({
+                        type: result && result.failed ? "warning" : "success",
+                        title: self.i18n("hooks.redeliver"),
+                        message: self.i18n("hooks.redeliver-result", result && result.delivered || 0, result && result.failed || 0),
+                    });
+                    self.$store.dispatch("countlyHooks/initializeDetail", self.hookDetail._id);
+                });
+            },
         },
         beforeCreate: function() {
             this.$store.dispatch("countlyHooks/initializeDetail", this.$route.params.id, {root: true});
@@ -860,6 +997,7 @@
             },
             "/hooks/templates/vue-hooks-detail.html",
             "/hooks/templates/vue-hooks-detail-error-table.html",
+            "/hooks/templates/vue-hooks-detail-delivery-table.html",
             "/hooks/templates/vue-triggers.html",
             "/hooks/templates/vue-effects.html",
             "/drill/templates/query.builder.v2.html",
@@ -885,5 +1023,8 @@
     if (app.configurationsView) {
         app.configurationsView.registerLabel("hooks", "hooks.plugin-title");
         app.configurationsView.registerLabel("hooks.batchSize", "hooks.batch-size");
+        app.configurationsView.registerLabel("hooks.httpRetryMaxAttempts", "hooks.http-retry-max-attempts");
+        app.configurationsView.registerLabel("hooks.httpRetryBaseDelay", "hooks.http-retry-base-delay");
+        app.configurationsView.registerLabel("hooks.httpRetryBatchSize", "hooks.http-retry-batch-size");
     }
 })();
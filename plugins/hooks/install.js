@@ -0,0 +1,21 @@
+var pluginManager = require('../pluginManager.js');
+
+console.log("Installing hooks plugin");
+
+pluginManager.dbConnection().then((db) => {
+    var cnt = 0;
+    /**
+     * Close connection when all indexes are created
+     */
+    function done() {
+        cnt++;
+        if (cnt === 4) {
+            console.log("Hooks plugin installation finished");
+            db.close();
+        }
+    }
+    db.collection('hooks_retry_queue').ensureIndex({"next_attempt": 1}, {background: true}, done);
+    db.collection('hooks_dead_letter').ensureIndex({"hookId": 1, "dead_at": -1}, {background: true}, done);
+    db.collection('hooks_throttle').ensureIndex({"expire_at": 1}, {expireAfterSeconds: 0, background: true}, done);
+    db.collection('hooks_throttle').ensureIndex({"type": 1, "hookId": 1, "window_end": 1}, {background: true}, done);
+});
@@ -5,6 +5,7 @@ var moment = require('moment-timezone');
 var testUtils = require("../../test/testUtils");
 var pluginManager = require("../../plugins/pluginManager.js");
 var Promise = require("bluebird");
+var http = require("http");
 request = request(testUtils.url);
 
 
@@ -155,6 +156,680 @@ describe('Testing Hooks', function() {
             });
         });
 
+        describe('HTTP delivery retries', function() {
+            const deliveryPath = "0b8e6a2c-7d1f-4b5e-9a43-3c2f1e6d8a71";
+            const received = [];
+            let mockServer = null;
+            let deliveryHookId = null;
+
+            before(function(done) {
+                mockServer = http.createServer(function(req, res) {
+                    received.push(req.method);
+                    res.writeHead(503);
+                    res.end("receiver down");
+                }).listen(0, done);
+            });
+
+            after(function(done) {
+                mockServer.close(done);
+            });
+
+            it('should create hook with failing HTTP action', function(done) {
+                const APP_ID = testUtils.get("APP_ID");
+                const hookConfig = Object.assign({}, newHookConfig, {
+                    apps: [APP_ID],
+                    trigger: {"type": "APIEndPointTrigger", "configuration": {"path": deliveryPath, "method": "get"}},
+                    effects: [{"type": "HTTPEffect", "configuration": {"url": "http://localhost:" + mockServer.address().port + "/hook", "method": "post", "requestData": "{\"a\": \"1\"}"}}],
+                });
+                request.post(getRequestURL('/i/hook/save'))
+                    .send({hook_config: JSON.stringify(hookConfig)})
+                    .expect(200)
+                    .end(function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        deliveryHookId = res.body;
+                        setTimeout(done, 4000);
+                    });
+            });
+
+            it('should record failed attempt and queue it for retry', function(done) {
+                request.get('/o/hooks/' + deliveryPath + '?payload=' + JSON.stringify({a: 1}))
+                    .expect(200)
+                    .end(function(err) {
+                        if (err) {
+                            return done(err);
+                        }
+                        setTimeout(function() {
+                            getHookRecord(deliveryHookId, function(err2, res2) {
+                                if (err2) {
+                                    return done(err2);
+                                }
+                                received.should.containEql("POST");
+                                const logs = res2.body.hooksList[0].delivery_logs;
+                                logs.should.have.lengthOf(1);
+                                logs[0].should.have.property('statusCode', 503);
+                                logs[0].should.have.property('attempt', 1);
+                                logs[0].should.have.property('status', 'retrying');
+                                logs[0].should.have.property('body', 'receiver down');
+                                done();
+                            });
+                        }, 3000);
+                    });
+            });
+
+            it('should list no dead-lettered deliveries before retries are exhausted', function(done) {
+                request.get(getRequestURL('/o/hook/dead_letter') + '&hookID=' + deliveryHookId)
+                    .expect(200)
+                    .end(function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        res.body.should.be.an.Array().and.have.lengthOf(0);
+                        done();
+                    });
+            });
+
+            it('should redeliver nothing when dead letter log is empty', function(done) {
+                request.post(getRequestURL('/i/hook/redeliver'))
+                    .send({hookID: deliveryHookId})
+                    .expect(200)
+                    .end(function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        res.body.should.have.property('delivered', 0);
+                        res.body.should.have.property('failed', 0);
+                        done();
+                    });
+            });
+
+            it('should not redeliver for hook which is not found', function(done) {
+                request.post(getRequestURL('/i/hook/redeliver'))
+                    .send({hookID: "000000000000000000000000"})
+                    .expect(404)
+                    .end(done);
+            });
+
+            it('should delete hook with queued deliveries', function(done) {
+                request.post(getRequestURL('/i/hook/delete'))
+                    .send({hookID: deliveryHookId})
+                    .expect(200)
+                    .end(done);
+            });
+        });
+
+        describe('HTTP action headers and signing', function() {
+            const received = [];
+            let mockServer = null;
+
+            before(function(done) {
+                mockServer = http.createServer(function(req, res) {
+                    let body = "";
+                    req.on("data", function(chunk) {
+                        body += chunk;
+                    });
+                    req.on("end", function() {
+                        received.push({method: req.method, headers: req.headers, body: body});
+                        res.writeHead(200);
+                        res.end("ok");
+                    });
+                }).listen(0, done);
+            });
+
+            after(function(done) {
+                mockServer.close(done);
+            });
+
+            it('should send signed PUT request with templated headers and raw JSON body', function(done) {
+                const APP_ID = testUtils.get("APP_ID");
+                const hookConfig = Object.assign({}, newHookConfig, {
+                    apps: [APP_ID],
+                    effects: [{
+                        "type": "HTTPEffect",
+                        "configuration": {
+                            "url": "http://localhost:" + mockServer.address().port + "/hook",
+                            "method": "put",
+                            "requestData": "{\"nested\": {\"a\": \"{{qstring.paramA}}\"}, \"list\": [1, 2]}",
+                            "headers": [{"key": "X-Custom", "value": "value-{{qstring.paramA}}"}],
+                            "secret": "s3cret"
+                        }
+                    }],
+                });
+                request.get(getRequestURL('/i/hook/test') + "&hook_config=" + encodeURIComponent(JSON.stringify(hookConfig)) + "&mock_data=" + JSON.stringify(mockData))
+                    .expect(200)
+                    .end(function(err) {
+                        if (err) {
+                            return done(err);
+                        }
+                        received.should.have.lengthOf(1);
+                        const req = received[0];
+                        req.should.have.property('method', 'PUT');
+                        JSON.parse(req.body).should.eql({nested: {a: "abc"}, list: [1, 2]});
+                        req.headers.should.have.property('x-custom', 'value-abc');
+                        req.headers.should.have.property('content-type', 'application/json');
+                        const timestamp = req.headers['x-countly-timestamp'];
+                        should.exist(timestamp);
+                        const signature = crypto.createHmac("sha256", "s3cret").update(timestamp + "." + req.body).digest("hex");
+                        req.headers.should.have.property('x-countly-signature', signature);
+                        done();
+                    });
+            });
+
+            describe('Stored signing secret', function() {
+                let secretHookId = null;
+                let listedHook = null;
+
+                it('should create hook with signing secret', function(done) {
+                    const APP_ID = testUtils.get("APP_ID");
+                    const hookConfig = Object.assign({}, newHookConfig, {
+                        apps: [APP_ID],
+                        effects: [{
+                            "type": "HTTPEffect",
+                            "configuration": {
+                                "url": "http://localhost:" + mockServer.address().port + "/hook",
+                                "method": "post",
+                                "requestData": "a={{qstring.paramA}}",
+                                "secret": "s3cret"
+                            }
+                        }],
+                    });
+                    request.post(getRequestURL('/i/hook/save'))
+                        .send({hook_config: JSON.stringify(hookConfig)})
+                        .expect(200)
+                        .end(function(err, res) {
+                            if (err) {
+                                return done(err);
+                            }
+                            secretHookId = res.body;
+                            done();
+                        });
+                });
+
+                it('should not return secret in hook list', function(done) {
+                    getHookRecord(secretHookId, function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        listedHook = res.body.hooksList[0];
+                        const configuration = listedHook.effects[0].configuration;
+                        configuration.should.not.have.property('secret');
+                        configuration.should.have.property('has_secret', true);
+                        JSON.stringify(res.body).should.not.containEql("s3cret");
+                        done();
+                    });
+                });
+
+                it('should keep stored secret when saving hook from list', function(done) {
+                    const hookConfig = Object.assign({}, newHookConfig, {
+                        _id: secretHookId,
+                        apps: listedHook.apps,
+                        effects: listedHook.effects,
+                    });
+                    request.post(getRequestURL('/i/hook/save'))
+                        .send({hook_config: JSON.stringify(hookConfig)})
+                        .expect(200)
+                        .end(function(err, res) {
+                            if (err) {
+                                return done(err);
+                            }
+                            res.body.effects[0].configuration.should.not.have.property('secret');
+                            res.body.effects[0].configuration.should.have.property('has_secret', true);
+                            testUtils.db.collection("hooks").findOne({_id: testUtils.db.ObjectID(secretHookId)}, function(findErr, hook) {
+                                if (findErr) {
+                                    return done(findErr);
+                                }
+                                hook.effects[0].configuration.should.have.property('secret', 's3cret');
+                                hook.effects[0].configuration.should.not.have.property('has_secret');
+                                done();
+                            });
+                        });
+                });
+
+                it('should sign test request of saved hook with stored secret', function(done) {
+                    received.length = 0;
+                    const hookConfig = Object.assign({}, newHookConfig, {
+                        _id: secretHookId,
+                        apps: listedHook.apps,
+                        effects: listedHook.effects,
+                    });
+                    request.get(getRequestURL('/i/hook/test') + "&hook_config=" + encodeURIComponent(JSON.stringify(hookConfig)) + "&mock_data=" + JSON.stringify(mockData))
+                        .expect(200)
+                        .end(function(err) {
+                            if (err) {
+                                return done(err);
+                            }
+                            received.should.have.lengthOf(1);
+                            const req = received[0];
+                            const signature = crypto.createHmac("sha256", "s3cret").update(req.headers['x-countly-timestamp'] + "." + req.body).digest("hex");
+                            req.headers.should.have.property('x-countly-signature', signature);
+                            done();
+                        });
+                });
+
+                it('should remove secret when saving hook without it', function(done) {
+                    const configuration = Object.assign({}, listedHook.effects[0].configuration);
+                    delete configuration.has_secret;
+                    const hookConfig = Object.assign({}, newHookConfig, {
+                        _id: secretHookId,
+                        apps: listedHook.apps,
+                        effects: [{"type": "HTTPEffect", "configuration": configuration}],
+                    });
+                    request.post(getRequestURL('/i/hook/save'))
+                        .send({hook_config: JSON.stringify(hookConfig)})
+                        .expect(200)
+                        .end(function(err) {
+                            if (err) {
+                                return done(err);
+                            }
+                            testUtils.db.collection("hooks").findOne({_id: testUtils.db.ObjectID(secretHookId)}, function(findErr, hook) {
+                                if (findErr) {
+                                    return done(findErr);
+                                }
+                                should.not.exist(hook.effects[0].configuration.secret);
+                                done();
+                            });
+                        });
+                });
+
+                it('should delete hook with signing secret', function(done) {
+                    request.post(getRequestURL('/i/hook/delete'))
+                        .send({hookID: secretHookId})
+                        .expect(200)
+                        .end(done);
+                });
+            });
+        });
+
+        describe('Chat message action', function() {
+            const received = [];
+            let mockServer = null;
+
+            before(function(done) {
+                mockServer = http.createServer(function(req, res) {
+                    let body = "";
+                    req.on("data", function(chunk) {
+                        body += chunk;
+                    });
+                    req.on("end", function() {
+                        received.push({method: req.method, headers: req.headers, body: body});
+                        res.writeHead(200);
+                        res.end("ok");
+                    });
+                }).listen(0, done);
+            });
+
+            after(function(done) {
+                mockServer.close(done);
+            });
+
+            it('should post templated Slack message with trigger data', function(done) {
+                const APP_ID = testUtils.get("APP_ID");
+                const hookConfig = Object.assign({}, newHookConfig, {
+                    apps: [APP_ID],
+                    effects: [{
+                        "type": "ChatMessageEffect",
+                        "configuration": {
+                            "url": "http://localhost:" + mockServer.address().port + "/chat",
+                            "format": "slack",
+                            "title": "Hook fired for {{qstring.paramA}}",
+                            "text": "paramB is {{qstring.paramB}}",
+                            "includePayload": true
+                        }
+                    }],
+                });
+                request.get(getRequestURL('/i/hook/test') + "&hook_config=" + encodeURIComponent(JSON.stringify(hookConfig)) + "&mock_data=" + JSON.stringify(mockData))
+                    .expect(200)
+                    .end(function(err) {
+                        if (err) {
+                            return done(err);
+                        }
+                        received.should.have.lengthOf(1);
+                        received[0].should.have.property('method', 'POST');
+                        received[0].headers.should.have.property('content-type', 'application/json');
+                        const payload = JSON.parse(received[0].body);
+                        payload.should.have.property('text', 'Hook fired for abc');
+                        payload.blocks[0].should.eql({type: "header", text: {type: "plain_text", text: "Hook fired for abc"}});
+                        payload.blocks[1].should.eql({type: "section", text: {type: "mrkdwn", text: "paramB is 123"}});
+                        payload.blocks.some(b => b.fields && b.fields.some(f => f.text.indexOf("*qstring*") === 0)).should.be.true();
+                        done();
+                    });
+            });
+        });
+
+        describe('Scheduled hooks', function() {
+            let scheduledHookId = null;
+
+            /**
+             * Get config of scheduled hook
+             * @param {string} cron - cron expression
+             * @param {string} timezone - timezone
+             * @returns {object} hook config
+             */
+            function getScheduledHookConfig(cron, timezone) {
+                return Object.assign({}, newHookConfig, {
+                    apps: [testUtils.get("APP_ID")],
+                    trigger: {"type": "ScheduledTrigger", "configuration": {"period1": "cron", "cron": cron, "timezone2": timezone}},
+                    effects: [{"type": "CustomCodeEffect", "configuration": {"code": "params.a=1"}}],
+                });
+            }
+
+            it('should fail to save hook with invalid cron expression', function(done) {
+                request.post(getRequestURL('/i/hook/save'))
+                    .send({hook_config: JSON.stringify(getScheduledHookConfig("61 * * * *", "America/New_York"))})
+                    .expect(400)
+                    .end(function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        res.body.should.have.property('result', 'Invalid cron expression: Invalid minute value "61"');
+                        done();
+                    });
+            });
+
+            it('should fail to save hook with invalid timezone', function(done) {
+                request.post(getRequestURL('/i/hook/save'))
+                    .send({hook_config: JSON.stringify(getScheduledHookConfig("0 9 * * 1-5", "Mars/Olympus_Mons"))})
+                    .expect(400)
+                    .end(function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        res.body.should.have.property('result', 'Invalid timezone: Mars/Olympus_Mons');
+                        done();
+                    });
+            });
+
+            it('should return next fire times in hook timezone', function(done) {
+                request.post(getRequestURL('/i/hook/save') + '&preview_count=3')
+                    .send({hook_config: JSON.stringify(getScheduledHookConfig("0 9 * * 1-5", "America/New_York"))})
+                    .expect(200)
+                    .end(function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        res.body.should.have.property('_id');
+                        scheduledHookId = res.body._id;
+                        res.body.should.have.property('next_fire_times').with.lengthOf(3);
+                        res.body.next_fire_times.forEach(function(time) {
+                            const local = moment.parseZone(time);
+                            local.hour().should.equal(9);
+                            local.minute().should.equal(0);
+                            [0, 6].should.not.containEql(local.day());
+                            moment(time).tz("America/New_York").format("HH:mm").should.equal("09:00");
+                        });
+                        done();
+                    });
+            });
+
+            it('should delete scheduled hook', function(done) {
+                request.post(getRequestURL('/i/hook/delete'))
+                    .send({hookID: scheduledHookId})
+                    .expect(200)
+                    .end(function(err) {
+                        if (err) {
+                            return done(err);
+                        }
+                        done();
+                    });
+            });
+        });
+
+        describe('Throttled incoming data hooks', function() {
+            let throttledHookId = null;
+
+            /**
+             * Get config of incoming data hook with throttling
+             * @param {object} throttling - throttling settings
+             * @returns {object} hook config
+             */
+            function getThrottledHookConfig(throttling) {
+                const APP_ID = testUtils.get("APP_ID");
+                return Object.assign({}, newHookConfig, {
+                    apps: [APP_ID],
+                    trigger: {"type": "IncomingDataTrigger", "configuration": {"event": [APP_ID + "***throttle_test"], "filter": JSON.stringify({dbFilter: {}}), "throttling": throttling}},
+                    effects: [{"type": "CustomCodeEffect", "configuration": {"code": "params.a=1"}}],
+                });
+            }
+
+            /**
+             * Send event from device
+             * @param {string} deviceId - device id
+             * @param {function} callback - callback
+             */
+            function sendEvent(deviceId, callback) {
+                request.get('/i?device_id=' + deviceId + '&app_key=' + testUtils.get("APP_KEY") + '&begin_session=1&events=' + JSON.stringify([{key: "throttle_test", count: 1}]))
+                    .expect(200)
+                    .end(callback);
+            }
+
+            it('should fail to save hook with rate limit without window', function(done) {
+                request.post(getRequestURL('/i/hook/save'))
+                    .send({hook_config: JSON.stringify(getThrottledHookConfig({limit: 10}))})
+                    .expect(400)
+                    .end(function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        res.body.should.have.property('result', 'Invalid throttling window, should be from 1 to 604800 seconds');
+                        done();
+                    });
+            });
+
+            it('should fail to save hook with too short batch window', function(done) {
+                request.post(getRequestURL('/i/hook/save'))
+                    .send({hook_config: JSON.stringify(getThrottledHookConfig({batchWindow: 10}))})
+                    .expect(400)
+                    .end(function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        res.body.should.have.property('result', 'Invalid batch window, should be from 60 to 604800 seconds');
+                        done();
+                    });
+            });
+
+            it('should create hook executed once per device per hour', function(done) {
+                request.post(getRequestURL('/i/hook/save'))
+                    .send({hook_config: JSON.stringify(getThrottledHookConfig({dedupKey: "{{user.did}}", dedupWindow: 3600}))})
+                    .expect(200)
+                    .end(function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        throttledHookId = res.body;
+                        setTimeout(done, 4000);
+                    });
+            });
+
+            it('should suppress repeated executions for the same device', function(done) {
+                const deviceId = "throttle_" + Date.now();
+                sendEvent(deviceId, function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    sendEvent(deviceId, function(err2) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        setTimeout(function() {
+                            getHookRecord(throttledHookId, function(err3, res) {
+                                if (err3) {
+                                    return done(err3);
+                                }
+                                const hook = res.body.hooksList[0];
+                                hook.should.have.property('triggerCount', 1);
+                                hook.should.have.property('throttle_stats');
+                                hook.throttle_stats.should.have.property('suppressed', 1);
+                                hook.throttle_stats.should.have.property('deduplicated', 1);
+                                done();
+                            });
+                        }, 2000);
+                    });
+                });
+            });
+
+            it('should delete throttled hook', function(done) {
+                request.post(getRequestURL('/i/hook/delete'))
+                    .send({hookID: throttledHookId})
+                    .expect(200)
+                    .end(function(err) {
+                        if (err) {
+                            return done(err);
+                        }
+                        done();
+                    });
+            });
+        });
+
+        describe('Conditional actions', function() {
+            it('should fail to save hook with invalid action condition', function(done) {
+                const APP_ID = testUtils.get("APP_ID");
+                const hookConfig = Object.assign({}, newHookConfig, {apps: [APP_ID]});
+                hookConfig.effects = [{"type": "CustomCodeEffect", "configuration": {"code": "params.a=1"}, "condition": {"qstring.paramA": {"$unknown": 1}}}];
+                request.post(getRequestURL('/i/hook/save'))
+                    .send({hook_config: JSON.stringify(hookConfig)})
+                    .expect(400)
+                    .end(function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        res.body.should.have.property('result', 'Invalid condition for action 1: Unknown operator $unknown for qstring.paramA');
+                        done();
+                    });
+            });
+
+            it('should dry-run branches and pass action results to next actions', function(done) {
+                const APP_ID = testUtils.get("APP_ID");
+                const hookConfig = Object.assign({}, newHookConfig, {apps: [APP_ID]});
+                hookConfig.effects = [
+                    {"type": "CustomCodeEffect", "configuration": {"code": "params.x = 1"}, "condition": {"qstring.paramA": "abc"}},
+                    {"type": "CustomCodeEffect", "configuration": {"code": "params.y = 2"}, "condition": JSON.stringify({"qstring.paramB": {"$gt": 200}})},
+                    {"type": "CustomCodeEffect", "configuration": {"code": "params.z = 3"}, "condition": {"_steps.0.output.passed": true, "_steps.1.skipped": true}},
+                ];
+                request.get(getRequestURL('/i/hook/test') + "&hook_config=" + encodeURIComponent(JSON.stringify(hookConfig)) + "&mock_data=" + JSON.stringify(mockData))
+                    .expect(200)
+                    .end(function(err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+                        res.body.should.have.property('result').with.lengthOf(4);
+                        res.body.result[1].params.should.have.property('x', 1);
+                        res.body.result[2].should.have.property('skipped', true);
+                        res.body.result[2].params.should.not.have.property('y');
+                        res.body.result[3].params.should.have.property('z', 3);
+                        res.body.result[3].params._steps[2].should.have.property('output', {passed: true});
+                        done();
+                    });
+            });
+        });
+
+        describe('Sandboxed custom code', function() {
+            /**
+             * Dry-run hook with custom code action
+             * @param {string} code - custom code
+             * @param {function} callback - callback with error and response
+             */
+            function testCustomCode(code, callback) {
+                const hookConfig = Object.assign({}, newHookConfig, {apps: [testUtils.get("APP_ID")]});
+                hookConfig.effects = [{"type": "CustomCodeEffect", "configuration": {"code": code}}];
+                request.get(getRequestURL('/i/hook/test') + "&hook_config=" + encodeURIComponent(JSON.stringify(hookConfig)) + "&mock_data=" + JSON.stringify(mockData))
+                    .expect(200)
+                    .end(callback);
+            }
+
+            it('should pass params changes to next actions and collect logs', function(done) {
+                testCustomCode("params.copy = payload.qstring.paramA; log.info('copied', params.copy);", function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    const step = res.body.result[1];
+                    step.output.should.have.property('passed', true);
+                    step.params.should.have.property('copy', 'abc');
+                    step.execution.logs.should.eql(['[info] copied abc']);
+                    step.execution.stats.should.have.property('timed_out', false);
+                    step.execution.stats.should.have.property('cpu_time');
+                    done();
+                });
+            });
+
+            it('should not allow changing trigger payload', function(done) {
+                testCustomCode("'use strict'; payload.qstring.paramA = 'changed';", function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    const step = res.body.result[1];
+                    step.output.should.have.property('passed', false);
+                    step.params.qstring.should.have.property('paramA', 'abc');
+                    done();
+                });
+            });
+
+            it('should not expose API process internals', function(done) {
+                testCustomCode("params.types = [typeof process, typeof require, typeof common].join();", function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.result[1].params.should.have.property('types', 'undefined,undefined,undefined');
+                    done();
+                });
+            });
+
+            it('should not expose worker realm through constructor chains', function(done) {
+                const code = [
+                    "const attempts = [() => fetch.constructor, () => request.constructor, () => log.info.constructor, () => setTimeout.constructor, () => params.constructor.constructor, () => this.constructor.constructor];",
+                    "try { await fetch('http://127.0.0.1:1/'); } catch (e) { attempts.push(() => e.constructor.constructor); }",
+                    "params.escapes = attempts.map((a) => { try { return typeof a()('return process')(); } catch (e) { return 'blocked'; } });",
+                ].join("\n");
+                testCustomCode(code, function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    const step = res.body.result[1];
+                    step.output.should.have.property('passed', true);
+                    step.params.escapes.should.eql(['blocked', 'blocked', 'blocked', 'blocked', 'blocked', 'blocked', 'blocked']);
+                    done();
+                });
+            });
+
+            it('should support request callback API of older hooks', function(done) {
+                const server = http.createServer(function(req, res) {
+                    let body = "";
+                    req.on("data", function(chunk) {
+                        body += chunk;
+                    });
+                    req.on("end", function() {
+                        res.writeHead(201, {"Content-Type": "application/json"});
+                        res.end(JSON.stringify({method: req.method, url: req.url, body: body}));
+                    });
+                }).listen(0, function() {
+                    const url = "http://localhost:" + server.address().port + "/old";
+                    const code = "await new Promise((resolve) => request({uri: '" + url + "', method: 'POST', qs: {a: 1}, json: {b: 2}}, (err, response, body) => { params.response = [err, response.statusCode, body]; resolve(); }));";
+                    testCustomCode(code, function(err, res) {
+                        server.close();
+                        if (err) {
+                            return done(err);
+                        }
+                        res.body.result[1].params.response.should.eql([null, 201, {method: "POST", url: "/old?a=1", body: "{\"b\":2}"}]);
+                        done();
+                    });
+                });
+            });
+
+            it('should stop code exceeding CPU time limit', function(done) {
+                testCustomCode("while (true) {}", function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    const step = res.body.result[1];
+                    step.output.should.have.property('passed', false);
+                    step.execution.stats.should.have.property('timed_out', true);
+                    step.logs[0].should.containEql('CPU time limit');
+                    done();
+                });
+            });
+        });
+
         describe('Delete Hook', function() {
             it('should able to delete hook', function(done) {
                 request.post(getRequestURL('/i/hook/delete'))
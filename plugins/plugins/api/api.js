@@ -206,6 +206,13 @@ var plugin = {},
                     console.log("Error parsing configs", params.qstring.configs);
                 }
             }
+            //let plugins reject invalid values of their configs before anything is stored
+            var errors = [];
+            plugins.dispatch("/configs/validate", {params: params, configs: data, errors: errors});
+            if (errors.length) {
+                common.returnMessage(params, 400, errors.join("\n"));
+                return;
+            }
             if (Object.keys(data).length > 0) {
                 if (data.frontend && typeof data.frontend.session_timeout !== "undefined") {
                     var updateArr = {"ttl": 0, "ends": 0};
@@ -260,6 +267,13 @@ var plugin = {},
                     console.log("Error parsing configs", params.qstring.configs);
                 }
             }
+            //let plugins reject invalid values of their configs before anything is stored
+            var errors = [];
+            plugins.dispatch("/configs/validate", {params: params, configs: data, errors: errors});
+            if (errors.length) {
+                common.returnMessage(params, 400, errors.join("\n"));
+                return;
+            }
             if (Object.keys(data).length > 0) {
                 if (data.frontend && typeof data.frontend.session_timeout !== "undefined") {
                     var updateArr = {"ttl": 0, "ends": 0};
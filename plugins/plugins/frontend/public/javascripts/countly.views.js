@@ -1035,6 +1035,9 @@
         if (countlyGlobal.plugins.includes("logger")) {
             showInAppManagment.logger = {"state": true, "limit": true};
         }
+        if (countlyGlobal.plugins.includes("crashes")) {
+            showInAppManagment.crashes = {"grouping_strategy": true, "grouping_ignore_frames": true, "grouping_in_app_frames": true, "grouping_top_frames": true, "grouping_normalize_numbers": true, "grouping_normalize_addresses": true, "issue_tracker_type": true, "issue_tracker_url": true, "issue_tracker_project": true, "issue_tracker_token": true, "issue_tracker_webhook_secret": true};
+        }
 
         app.route('/manage/plugins', 'plugins', function() {
             if (countlyGlobal.COUNTLY_CONTAINER === 'frontend') {
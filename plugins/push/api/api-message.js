@@ -1,4 +1,4 @@
-const { Message, Result, Creds, State, Status, platforms, Audience, ValidationError, TriggerKind, PlainTrigger, MEDIA_MIME_ALL, Filter, Trigger, Content, Info, PLATFORMS_TITLES } = require('./send'),
+const { Message, Result, Creds, State, Status, platforms, Audience, ValidationError, TriggerKind, PlainTrigger, MEDIA_MIME_ALL, Filter, Trigger, Content, Info, Variants, PLATFORMS_TITLES } = require('./send'),
     { DEFAULTS } = require('./send/data/const'),
     common = require('../../../api/utils/common'),
     log = common.log('push:api:message'),
@@ -38,6 +38,13 @@ async function validate(args, draft = false) {
                 nonempty: true,
                 'min-length': 1,
             },
+            fallbacks: {
+                type: 'Object',
+                custom: Message.validateFallbacks
+            },
+            variants: {
+                type: Variants.scheme,
+            },
             info: {
                 type: Info.scheme,
             }
@@ -61,10 +68,28 @@ async function validate(args, draft = false) {
         }
     }
 
+    let plain = msg.triggerPlain();
+    if (plain && plain.window !== undefined && (!plain.optimal || !PlainTrigger.validate({window: plain.window}, {window: PlainTrigger.scheme.window}).result)) {
+        throw new ValidationError('Delivery window must be set only along with send time optimization and be between 1 hour and 7 days');
+    }
+
+    if (msg.variants) {
+        if (!msg.triggerPlain() || msg.triggerAutoOrApi()) {
+            throw new ValidationError('Variants are only supported for one time messages');
+        }
+        // winner can only be picked by push:winner job
+        msg.variants.winner = undefined;
+        msg.variants.picked = undefined;
+    }
+
     let app = await common.db.collection('apps').findOne(msg.app);
     if (app) {
         msg.info.appName = app.name;
 
+        if (!msg.fallbacks) {
+            msg.fallbacks = Message.parseFallbacks(common.plugins.getConfig('push', app.plugins, true).locale_fallbacks);
+        }
+
         if (!args.demo && !(args.args && args.args.demo)) {
             for (let p of msg.platforms) {
                 let id = common.dot(app, `plugins.push.${p}._id`);
@@ -122,6 +147,11 @@ async function validate(args, draft = false) {
         // state & status cannot be changed by api
         msg.status = existing.status;
         msg.state = existing.state;
+
+        if (msg.variants && existing.variants) {
+            msg.variants.winner = existing.variants.winner;
+            msg.variants.picked = existing.variants.picked;
+        }
     }
 
     return msg;
@@ -166,6 +196,7 @@ module.exports.test = async params => {
 
     msg._id = common.db.ObjectID();
     msg.triggers = [new PlainTrigger({start: new Date()})];
+    msg.variants = undefined; // test users get message contents, A/B testing split makes no sense for them
     msg.state = State.Streamable;
     msg.status = Status.Scheduled;
     await msg.save();
@@ -1,6 +1,8 @@
 const common = require('../../../api/utils/common'),
     log = common.log('push:api:push'),
     Sender = require('./send/sender'),
+    optimal = require('./send/optimal'),
+    caps = require('./send/caps'),
     { extract, field, allAppUserFields, platforms, PLATFORM, ValidationError, Creds, DBMAP } = require('./send');
 
 module.exports.onTokenSession = async(dbAppUser, params) => {
@@ -55,6 +57,12 @@ module.exports.onSessionUser = ({params, dbAppUser}) => {
 
         platfs = platfs.filter((p, i) => platfs.indexOf(p) === i);
 
+        // remember hours user is active at for send time optimization
+        let hour = optimal.activityHour(params, dbAppUser);
+        if (hour !== undefined) {
+            common.db.collection(`push_${params.app_id}`).updateOne({_id: dbAppUser.uid}, {$inc: {[`${optimal.FIELD}.${hour}`]: 1}}, () => {}); // don't wait
+        }
+
         let updateUsersZero = {},
             updateUsersMonth = {},
             dbDateIds = common.getDateIds(params),
@@ -201,6 +209,20 @@ module.exports.onAppPluginsUpdate = async({params, app, config}) => {
         await common.db.collection('apps').updateOne({_id: app._id}, update);
     }
 
+    if (config.caps !== undefined) {
+        let rules = caps.normalize(config.caps),
+            update = {};
+        if (rules) {
+            update.$set = {'plugins.push.caps': rules};
+            pushcfg.caps = rules;
+        }
+        else {
+            update.$unset = {'plugins.push.caps': 1};
+            delete pushcfg.caps;
+        }
+        await common.db.collection('apps').updateOne({_id: app._id}, update);
+    }
+
     if (config.test !== undefined) {
         let uids = [], cohorts = [];
         if (config.test && config.test.uids) {
@@ -288,6 +310,12 @@ module.exports.onMerge = ({app_id, oldUser, newUser}) => {
                         update.$push = {msgs: {$each: msgs}};
                     }
                 }
+                if (ou[optimal.FIELD]) {
+                    update.$inc = {};
+                    for (let h in ou[optimal.FIELD]) {
+                        update.$inc[`${optimal.FIELD}.${h}`] = ou[optimal.FIELD][h];
+                    }
+                }
             }
             else if (ou && Object.keys(ou).length > 1 && !nu) {
                 log.d('No new uid, setting old');
@@ -13,7 +13,7 @@ async function reset(ob) {
         plugins.getPluginsApis().push.cache.purgeAll(),
         common.db.collection('messages').deleteMany({app: aid}).catch(() => {}),
         common.db.collection('push').deleteMany({a: aid}).catch(() => {}),
-        common.db.collection('jobs').deleteMany({name: 'push:schedule', 'data.aid': aid}).catch(() => {}),
+        common.db.collection('jobs').deleteMany({name: {$in: ['push:schedule', 'push:winner']}, 'data.aid': aid}).catch(() => {}),
         common.db.collection(`push_${aid}`).drop().catch(() => {}),
         common.db.collection('apps').findOne({_id: aid}).catch(() => {}).then(app => {
             if (app && app.plugins && app.plugins.push) {
@@ -41,7 +41,7 @@ async function clear(ob) {
         common.db.collection('messages').deleteMany({app: aid}).catch(() => {}),
         common.db.collection(`push_${aid}`).drop().catch(() => {}),
         common.db.collection('push').deleteMany({a: aid}).catch(() => {}),
-        common.db.collection('jobs').deleteMany({name: 'push:schedule', 'data.aid': aid}).catch(() => {}),
+        common.db.collection('jobs').deleteMany({name: {$in: ['push:schedule', 'push:winner']}, 'data.aid': aid}).catch(() => {}),
     ]);
 }
 
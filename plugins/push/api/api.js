@@ -63,7 +63,8 @@ plugins.setConfigs(FEATURE_NAME, {
     pool_pushes: 400, // object mode streams high water mark
     pool_bytes: 10000, // bytes mode streams high water mark
     pool_concurrency: 5, // max number of same type connections
-    pool_pools: 10 // max number of connections in total
+    pool_pools: 10, // max number of connections in total
+    locale_fallbacks: '' // default locale fallback chains of new messages, one per line: "pt-BR: pt, en"
 });
 
 plugins.internalEvents.push('[CLY]_push_sent');
@@ -200,6 +201,15 @@ plugins.register('/i', async ob => {
                     else {
                         delete event.segmentation.p;
                     }
+
+                    let loc = `result.locales.${msg.resultLocale({la, lo: params.app_user.lo}, p).key}.actioned`;
+                    upd.$inc[loc] = (upd.$inc[loc] || 0) + count;
+
+                    let variant = msg.variantFor(params.app_user.uid);
+                    if (variant && variant.index !== undefined) {
+                        let vk = `result.variants.${variant.index}.actioned`;
+                        upd.$inc[vk] = (upd.$inc[vk] || 0) + count;
+                    }
                 }
 
                 await Promise.all(Object.keys(updates).map(mid => common.db.collection('messages').updateOne({_id: common.db.ObjectID(mid)}, updates[mid])));
@@ -359,7 +369,7 @@ plugins.register('/i/app_users/export', ({app_id, uids, export_commands, dbargs,
  * @apiDefine PushMessageBody
  * 
  * @apiBody {ObjectID} app Application ID
- * @apiBody {String[]} platforms Array of platforms to send to
+ * @apiBody {String[]} platforms Array of platforms to send to: "i" (iOS), "a" (Android), "w" (Web Push, requires VAPID credentials in app push configuration)
  * @apiBody {String="draft"} [status] Message status, only set to draft when creating or editing a draft message, don't set otherwise
  * @apiBody {Object} filter={} User profile filter to limit recipients of this message
  * @apiBody {String} [filter.user] JSON with app_usersAPPID collection filter
@@ -371,6 +381,8 @@ plugins.register('/i/app_users/export', ({app_id, uids, export_commands, dbargs,
  * @apiBody {Date} triggers.start Campaign start date (epoch or ISO date string)
  * @apiBody {Number} [triggers.sctz] [only for plain trigger] Send in users' timezones switch, a number representing message creator offset timezone in minutes (GMT+3 is -180)
  * @apiBody {Boolean} [triggers.delayed] [only for plain trigger] Delay audience selection to 5 minutes prior to start date
+ * @apiBody {Boolean} [triggers.optimal] [only for plain trigger] Send time optimization: deliver to each user at the hour they're most likely to be active, based on their session history (app-wide times of day data for users without history); overrides triggers.sctz
+ * @apiBody {Number} [triggers.window] [only for plain trigger with optimal] Delivery window in milliseconds starting from triggers.start, 1 hour to 7 days, 24 hours by default
  * @apiBody {Date} [triggers.end] [only for event, cohort & api triggers] Campaign end date (epoch or ISO date string)
  * @apiBody {Boolean} [triggers.actuals] [only for event, cohort triggers] Use event / cohort date instead of date of event arrival to the server date / cohort recalculation date
  * @apiBody {Number} [triggers.time] [only for event, cohort triggers] Time in ms since 00:00 in case event or cohort message is to be sent in users' timezones
@@ -401,6 +413,13 @@ plugins.register('/i/app_users/export', ({app_id, uids, export_commands, dbargs,
  * @apiBody {String} [contents.buttons.pers] Button title personalization object (see contents.messagePers for explanation)
  * @apiBody {String} [contents.buttons.url] Button URL
  * @apiBody {Object} [contents.specific] Platform-specific content map, currently supported keys are "subtitle" for iOS & "large_icon" for Android
+ * @apiBody {Object} [fallbacks] Locale fallback chains, a map of locale to array of locales to try when there are no contents for it, i.e. {"pt-BR": ["pt", "en"]}. Regional locales without a chain fall back to their language, default content is used when nothing in the chain has contents. Defaults to "locale_fallbacks" plugin setting.
+ * @apiBody {Object} [variants] [only for plain trigger] A/B testing variants: a test group of the audience gets one of the variants, the winner by action rate is sent to the rest of the audience after a wait period
+ * @apiBody {Number} variants.test Percentage of the audience in the test group (1 - 99)
+ * @apiBody {Number} variants.wait Milliseconds to wait after sending to the test group before picking the winner (1 minute or more)
+ * @apiBody {Object[]} variants.list Array of 2 - 5 variants
+ * @apiBody {String} [variants.list.name] Variant name
+ * @apiBody {Object[]} variants.list.contents Variant contents, same format as message contents, override message contents for users who get this variant
  */
 
 /**
@@ -421,6 +440,8 @@ plugins.register('/i/app_users/export', ({app_id, uids, export_commands, dbargs,
  * @apiSuccess {Date} triggers.start Campaign start date (epoch or ISO date string)
  * @apiSuccess {Number} [triggers.sctz] [only for plain trigger] Send in users' timezones switch, a number representing message creator offset timezone in minutes (GMT+3 is -180)
  * @apiSuccess {Boolean} [triggers.delayed] [only for plain trigger] Delay audience selection to 5 minutes prior to start date
+ * @apiSuccess {Boolean} [triggers.optimal] [only for plain trigger] Send time optimization: deliver to each user at the hour they're most likely to be active, based on their session history (app-wide times of day data for users without history); overrides triggers.sctz
+ * @apiSuccess {Number} [triggers.window] [only for plain trigger with optimal] Delivery window in milliseconds starting from triggers.start, 1 hour to 7 days, 24 hours by default
  * @apiSuccess {Date} [triggers.end] [only for event, cohort & api triggers] Campaign end date (epoch or ISO date string)
  * @apiSuccess {Boolean} [triggers.actuals] [only for event, cohort triggers] Use event / cohort date instead of date of event arrival to the server date / cohort recalculation date
  * @apiSuccess {Number} [triggers.time] [only for event, cohort triggers] Time in ms since 00:00 in case event or cohort message is to be sent in users' timezones
@@ -451,16 +472,26 @@ plugins.register('/i/app_users/export', ({app_id, uids, export_commands, dbargs,
  * @apiSuccess {String} [contents.buttons.pers] Button title personalization object (see contents.messagePers for explanation)
  * @apiSuccess {String} [contents.buttons.url] Button URL
  * @apiSuccess {Object} [contents.specific] Platform-specific content map, currently supported keys are "subtitle" for iOS & "large_icon" for Android
+ * @apiSuccess {Object} [fallbacks] Locale fallback chains, a map of locale to array of locales to try when there are no contents for it
+ * @apiSuccess {Object} [variants] A/B testing variants
+ * @apiSuccess {Number} variants.test Percentage of the audience in the test group
+ * @apiSuccess {Number} variants.wait Milliseconds to wait after sending to the test group before picking the winner
+ * @apiSuccess {Object[]} variants.list Array of variants with name & contents
+ * @apiSuccess {Number} [variants.winner] Index of the winning variant, set once the winner is picked
+ * @apiSuccess {Date} [variants.picked] Date when the winner was picked
  * @apiSuccess {Object} result Notification sending result
  * @apiSuccess {Object} [result.total] Total number of push notifications
  * @apiSuccess {Object} [result.processed] Number notifications processed so far
  * @apiSuccess {Object} [result.sent] Number notifications sent successfully
  * @apiSuccess {Object} [result.actioned] Number notifications with positive user reactions (notification taps & button clicks)
  * @apiSuccess {Object} [result.errored] Number notifications which weren't sent due to various errors
+ * @apiSuccess {Object} [result.errors] Map of error key to number of notifications which weren't sent due to this error, "capped" key counts notifications skipped due to app frequency caps or quiet hours
  * @apiSuccess {Object[]} [result.lastErrors] Array of last 10 errors 
  * @apiSuccess {Object[]} [result.lastRuns] Array of last 10 sending runs
  * @apiSuccess {Date} [result.next] Next sending date
  * @apiSuccess {Object} [result.subs] Sub results - a map of subresult key to Result object. Subresults are used to store platform and locale specific results.
+ * @apiSuccess {Object} [result.locales] Results per locale of contents sent - a map of contents locale ("default" for default contents) to Result object with total, sent, actioned & errored counts, as well as "fallback" - number of users who got these contents because their locale had no contents of its own
+ * @apiSuccess {Object} [result.variants] Results per A/B testing variant - a map of variant index to Result object with total, sent, actioned & errored counts
  * @apiSuccess {Object} info Info object - extra information about the message
  * @apiSuccess {String} [info.title] Message title
  * @apiSuccess {String} [info.appName] Application name
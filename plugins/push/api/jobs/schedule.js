@@ -2,6 +2,7 @@
 
 const { Message, Audience, State, Status } = require('../send/index.js'),
     J = require('../../../../api/parts/jobs/job.js'),
+    JOBS = require('../../../../api/parts/jobs'),
     log = require('../../../../api/utils/log.js')('job:push:schedule:' + process.pid);
 
 /** 
@@ -68,6 +69,14 @@ class ScheduleJob extends J.Job {
             let trigger = this.message.triggerPlain(),
                 result = await this.audience.push(trigger).setStart(this.data.start).run(); // this.data.start is supposed to be undefined for now
 
+            // A/B testing: only test group is pushed above, the rest of the audience gets the winner after the wait period
+            let variants = this.message.variants;
+            if (result.total && variants && variants.winner === undefined) {
+                let date = Math.max(trigger.start.getTime(), Date.now()) + variants.wait;
+                await JOBS.job('push:winner', {mid: this.message._id, aid: this.message.app}).replace().once(date);
+                log.i('Scheduled winner selection for message %s on %s', this.message.id, new Date(date));
+            }
+
             if (result.total === 0) {
                 update = {
                     $set: {
@@ -82,6 +91,18 @@ class ScheduleJob extends J.Job {
                     }
                 };
             }
+            else if (result.total === result.processed) {
+                update = {
+                    $set: {
+                        'state': State.Created | State.Done | State.Error,
+                        status: Status.Failed,
+                        'result.error': 'All users are capped by frequency caps or quiet hours'
+                    },
+                    $unset: {
+                        'result.next': 1
+                    }
+                };
+            }
         }
 
         if (update) {
@@ -1,6 +1,8 @@
 const { DoFinish } = require('./do_finish'),
     { Message, State, Status, Creds, pools, FRAME, PushError, SendError, ERROR, MAX_RUNS } = require('../../send'),
-    { FRAME_NAME } = require('../../send/proto');
+    { FRAME_NAME } = require('../../send/proto'),
+    caps = require('../../send/caps'),
+    MAX_CAPS_HISTORY = 10000;
 
 /**
  * Stream responsible for handling sending results:
@@ -22,6 +24,8 @@ class Connector extends DoFinish {
         this.state = state;
         this.limit = state.cfg.pool.pushes * 10;
         this.connects = [];
+        this.capsHistory = {}; // {aid:uid: {dates: [ms], mids: [mid]}} notification dates of users & messages let through in this run
+        this.uncapped = new WeakSet(); // pushes which passed caps check
         this.resetErrors();
     }
 
@@ -34,6 +38,7 @@ class Connector extends DoFinish {
         this.noProxyConnection = new SendError('NoProxyConnection', ERROR.CONNECTION_PROXY);
         this.expiredCreds = new SendError('ExpiredCreds', ERROR.CONNECTION_PROVIDER);
         this.tooLateToSend = new SendError('TooLateToSend', ERROR.DATA_COUNTLY);
+        this.capped = new SendError(caps.REASON, ERROR.DATA_COUNTLY);
         this.noMessage = {}; // {mid: [push, push, push, ...]}
         this.noMessageBytes = 0;
     }
@@ -175,6 +180,18 @@ class Connector extends DoFinish {
                 this.do_flush(callback, true);
                 return;
             }
+            else if (caps.ofApp(app) && !this.uncapped.has(push)) {
+                this.checkCaps(caps.ofApp(app), push).then(capped => {
+                    if (capped) {
+                        this.capped.addAffected(push._id, 1);
+                        this.do_flush(callback, true);
+                    }
+                    else {
+                        this.uncapped.add(push);
+                        this.do_transform(push, encoding, callback);
+                    }
+                }, callback);
+            }
             else {
                 let creds = app.creds[push.p],
                     pid = pools.id(creds.hash, push.p, push.f);
@@ -212,6 +229,44 @@ class Connector extends DoFinish {
         }
     }
 
+    /**
+     * Check app-wide frequency caps & quiet hours right before sending a push
+     * 
+     * @param {object} rules app caps object
+     * @param {object} push push object
+     * @returns {Promise<boolean>} resolves to true if push must not be sent
+     */
+    async checkCaps(rules, push) {
+        let now = Date.now();
+        if (push.z !== undefined && push.z !== null && caps.isQuiet(rules, push.z * 60000, now)) {
+            return true;
+        }
+        if (!rules.day && !rules.week) {
+            return false;
+        }
+
+        let key = push.a + ':' + push.u,
+            history = this.capsHistory[key];
+        if (!history) {
+            if (Object.keys(this.capsHistory).length >= MAX_CAPS_HISTORY) {
+                this.capsHistory = {};
+            }
+            let doc = await this.db.collection(`push_${push.a}`).findOne({_id: push.u}, {projection: {msgs: 1}});
+            history = this.capsHistory[key] = {dates: caps.history(doc), mids: []};
+        }
+
+        // other tokens of the same user for the same message don't count as separate notifications
+        if (history.mids.indexOf(push.m.toString()) !== -1) {
+            return false;
+        }
+        if (caps.isCapped(rules, history.dates, now)) {
+            return true;
+        }
+        history.dates.push(now);
+        history.mids.push(push.m.toString());
+        return false;
+    }
+
     /**
      * Actual flush logic (it's not allowed to call _flush() directly)
      * 
@@ -219,7 +274,7 @@ class Connector extends DoFinish {
      * @param {boolean} ifNeeded true if we only need to flush `discarded` when it's length is over `limit`
      */
     do_flush(callback, ifNeeded) {
-        let total = this.noMessageBytes + this.noApp.affectedBytes + this.noCreds.affectedBytes + this.noProxyConnection.affectedBytes + this.expiredCreds.affectedBytes + this.tooLateToSend.affectedBytes;
+        let total = this.noMessageBytes + this.noApp.affectedBytes + this.noCreds.affectedBytes + this.noProxyConnection.affectedBytes + this.expiredCreds.affectedBytes + this.tooLateToSend.affectedBytes + this.capped.affectedBytes;
         this.log.d('in connector do_flush, total', total);
 
         if (ifNeeded && !this.flushed && (!total || total < this.limit)) {
@@ -301,6 +356,10 @@ class Connector extends DoFinish {
             this.push({frame: FRAME.RESULTS | FRAME.ERROR, payload: this.tooLateToSend});
         }
 
+        if (this.capped.hasAffected) {
+            this.push({frame: FRAME.RESULTS | FRAME.ERROR, payload: this.capped});
+        }
+
         this.resetErrors();
 
         callback();
@@ -1,6 +1,7 @@
 const { FRAME, FRAME_NAME } = require('../../send/proto'),
     { DoFinish } = require('./do_finish'),
-    { ERROR, TriggerKind, State, Status, PushError, Result } = require('../../send/data');
+    { ERROR, TriggerKind, State, Status, PushError, Result } = require('../../send/data'),
+    caps = require('../../send/caps');
 
 /**
  * Stream responsible for handling sending results:
@@ -118,7 +119,7 @@ class Resultor extends DoFinish {
                         if (id < 0) {
                             return;
                         }
-                        let {p, m, pr} = this.data.pushes[id],
+                        let {p, m, pr, v} = this.data.pushes[id],
                             msg = this.data.message(m),
                             result,
                             rp, rl;
@@ -150,6 +151,18 @@ class Resultor extends DoFinish {
                             rl.processed++;
                         }
 
+                        if (msg) {
+                            let rloc = result.locale(msg.resultLocale(pr, p).key);
+                            rloc.recordError(results.message, 1);
+                            rloc.processed++;
+                        }
+
+                        if (msg && v !== undefined && v !== null) {
+                            let rv = result.variant(v);
+                            rv.recordError(results.message, 1);
+                            rv.processed++;
+                        }
+
                         delete this.data.pushes[id];
                         this.toDelete.push(id);
                         this.data.decSending(m);
@@ -207,6 +220,18 @@ class Resultor extends DoFinish {
                         rl.processed++;
                     }
 
+                    if (m) {
+                        let rloc = result.locale(m.resultLocale(p.pr, p.p).key);
+                        rloc.sent++;
+                        rloc.processed++;
+                    }
+
+                    if (m && p.v !== undefined && p.v !== null) {
+                        let rv = result.variant(p.v);
+                        rv.sent++;
+                        rv.processed++;
+                    }
+
                     this.toDelete.push(id);
                     delete this.data.pushes[id];
 
@@ -241,7 +266,7 @@ class Resultor extends DoFinish {
                         return;
                     }
                     this.log.d('Error %d %s for %s', results.type, results.name, id);
-                    let {m, p, pr} = this.data.pushes[id],
+                    let {m, p, pr, v} = this.data.pushes[id],
                         result, rp, rl;
                     mids[m] = (mids[m] || 0) + 1;
                     delete this.data.pushes[id];
@@ -267,6 +292,14 @@ class Resultor extends DoFinish {
                         rp.processed++;
                         rl.processed++;
                     }
+
+                    if (m) {
+                        result.locale(m.resultLocale(pr, p).key).processed++;
+                    }
+
+                    if (m && v !== undefined && v !== null) {
+                        result.variant(v).processed++;
+                    }
                 });
 
                 this.count += arr.length;
@@ -322,7 +355,8 @@ class Resultor extends DoFinish {
                 this.log.d('message %s is done processing', m.id);
                 let state, status, error;
                 if (m.triggerAutoOrApi()) {
-                    if (m.result.total === m.result.errored) {
+                    // notifications skipped by frequency caps / quiet hours don't mean automated message is broken
+                    if (m.result.total === m.result.errored && (m.result.errors[caps.REASON] || 0) < m.result.total) {
                         state = State.Created | State.Error | State.Done;
                         status = Status.Stopped;
                         error = 'Failed to send all notifications';
@@ -338,6 +372,11 @@ class Resultor extends DoFinish {
                         status = Status.Failed;
                         error = 'Failed to send all notifications';
                     }
+                    else if (m.result.total === m.result.processed && m.variants && m.variants.winner === undefined) {
+                        // A/B test group is done, the rest of the audience is waiting for the winner
+                        state = m.state & ~State.Streaming;
+                        status = Status.Scheduled;
+                    }
                     else if (m.result.total === m.result.processed) {
                         state = State.Created | State.Done;
                         status = Status.Sent;
@@ -0,0 +1,118 @@
+/* jshint ignore:start */
+
+const { Message, Audience, State, Status, PlainTrigger } = require('../send/index.js'),
+    J = require('../../../../api/parts/jobs/job.js'),
+    log = require('../../../../api/utils/log.js')('job:push:winner:' + process.pid);
+
+/**
+ * A/B testing winner selection job: picks the variant with the best action rate and sends it to the rest of the audience
+ */
+class WinnerJob extends J.Job {
+    /**
+     * Constructor
+     *
+     * @param {string} name - job name
+     * @param {object} data - job data
+     */
+    constructor(name, data) {
+        super(name, data);
+        log.d('initializing WinnerJob with %j & %j', name, data);
+    }
+
+    /** prepares job
+     * @param {object} manager - not used
+     * @param {object} db - db connection
+     */
+    async prepare() {
+        log.d('Loading message %s', this.data.mid);
+        this.message = await Message.findOne(this.data.mid);
+        if (this.message) {
+            this.audience = new Audience(log, this.message);
+            await this.audience.getApp();
+        }
+        log.d('Loaded message %s', this.message && this.message._id);
+    }
+
+    /** _timeoutCancelled()
+     * @returns {boolean} true(always)
+     */
+    _timeoutCancelled() {
+        return true;
+    }
+
+    /** run
+     * @param {object} db - data base connection
+     * @param {function} done - callback function
+     */
+    async run(db, done) {
+        let error;
+
+        if (!this.message) {
+            error = 'Message not found';
+        }
+        else if (this.message.is(State.Deleted)) {
+            error = 'Message deleted';
+        }
+        else if (this.message.status === Status.Stopped) {
+            error = 'Message is stopped';
+        }
+        else if (!this.message.variants) {
+            error = 'No variants in the message';
+        }
+        else if (this.message.variants.winner !== undefined) {
+            error = 'Winner is already picked';
+        }
+        else {
+            let variants = this.message.variants,
+                winner = variants.choose(this.message.result),
+                res = await this.message.updateAtomically({_id: this.message._id, state: this.message.state}, {
+                    $set: {
+                        state: State.Created | State.Streamable,
+                        status: Status.Scheduled,
+                        'variants.winner': winner,
+                        'variants.picked': new Date()
+                    }
+                });
+            if (!res) {
+                error = 'Failed to update message';
+            }
+            else {
+                variants.winner = winner;
+                variants.picked = new Date();
+                log.i('Picked variant %d as a winner of message %s', winner, this.message.id);
+
+                // the rest of the audience gets the winner right away (or at their best time), no matter which time the original trigger specified
+                let plain = this.message.triggerPlain(),
+                    trigger = new PlainTrigger({start: new Date(), optimal: plain.optimal, window: plain.window}),
+                    result = await this.audience.push(trigger).run();
+
+                if (result.total === 0) {
+                    let update = {
+                        $set: {
+                            state: State.Created | State.Done,
+                            status: this.message.result.sent ? Status.Sent : Status.Failed
+                        }
+                    };
+                    if (!this.message.result.sent) {
+                        update.$set.state |= State.Error;
+                        update.$set['result.error'] = 'No audience';
+                    }
+                    if (!(await this.message.update(update))) {
+                        error = 'Failed to update message';
+                    }
+                }
+                log.i('Sending winner of message %s to %d users', this.message.id, result.total);
+            }
+        }
+
+        if (error) {
+            log.w('Cannot pick winner of message %s: %s', this.data.mid, error);
+            done(error);
+        }
+        else {
+            done();
+        }
+    }
+}
+
+module.exports = WinnerJob;
@@ -6,6 +6,8 @@ const common = require('../../../../api/utils/common'),
     { PLATFORM } = require('./platforms'),
     { Push } = require('./data/message'),
     { fields, TK } = require('./platforms'),
+    optimal = require('./optimal'),
+    caps = require('./caps'),
     momenttz = require('moment-timezone'),
 
     /**
@@ -371,7 +373,28 @@ class Mapper {
         this.f = f;
         this.pf = p + f;
         this.topUserFields = [];
-        Message.userFieldsFor(message.contents, true).forEach(k => this.topUserFields.push(k.indexOf('.') === -1 ? k : k.substr(0, k.indexOf('.')))); // make sure we have 'custom', not 'custom.x'
+        Message.userFieldsFor(message.contents.concat(message.variants ? message.variants.allContents : []), true).forEach(k => this.topUserFields.push(k.indexOf('.') === -1 ? k : k.substr(0, k.indexOf('.')))); // make sure we have 'custom', not 'custom.x'
+    }
+
+    /**
+     * Get user timezone offset falling back to app timezone offset
+     * 
+     * @param {object} user app_user object
+     * @returns {number} offset in minutes
+     */
+    userOffset(user) {
+        return user.tz === undefined || user.tz === null ? this.offset || 0 : user.tz || 0;
+    }
+
+    /**
+     * Set app-wide activity histogram used for send time optimization of users without history
+     * 
+     * @param {object} hours activity histogram {hour: count}
+     * @returns {Mapper} this instance for method chaining
+     */
+    setHours(hours) {
+        this.hours = hours;
+        return this;
     }
 
     /**
@@ -431,6 +454,11 @@ class PlainApiMapper extends Mapper {
      */
     map(user, date, c) {
         let d = date.getTime();
+        if (this.trigger.optimal) {
+            let utz = this.userOffset(user) * 60000,
+                hours = optimal.userHours(user, user[TK][0], utz) || this.hours;
+            return super.map(user, optimal.optimalTime(hours, utz, Math.max(d, Date.now()), d + (this.trigger.window || DEFAULTS.optimal_window)), c);
+        }
         if (this.trigger.tz) {
             let utz = (user.tz === undefined || user.tz === null ? this.offset || 0 : user.tz || 0) * 60000;
             d = date.getTime() - this.trigger.sctz * 60000 - utz;
@@ -558,7 +586,18 @@ class PusherPopper {
             await this.audience.addFilter(steps, this.audience.message.filter);
         }
 
-        let userFields = Message.userFieldsFor(this.audience.message.contents.concat(this.contents || []), true);
+        let variants = this.audience.message.variants,
+            userFields = Message.userFieldsFor(this.audience.message.contents.concat(this.contents || [], variants ? variants.allContents : []), true);
+
+        // timezone & last session are needed to pick the best time for a user
+        if (this.trigger.optimal) {
+            userFields.push('tz', 'ls');
+        }
+
+        // timezone is needed for quiet hours
+        if (caps.ofApp(this.audience.app)) {
+            userFields.push('tz');
+        }
 
         // Decrease amount of data we process here
         await this.audience.addProjection(steps, userFields);
@@ -653,7 +692,7 @@ class Pusher extends PusherPopper {
     /**
      * Insert records into db
      * 
-     * @returns {Result} result instance with total & next set (along with platform & locale specific result subs)
+     * @returns {Result} result instance with total & next set (along with platform, locale & variant specific results)
      */
     async run() {
         this.audience.log.f('d', log => log('pushing ' + (this.uids ? '%d uids' : 'filter %j') + ' into %s date %s variables %j', this.uids ? this.uids.length : this.filter, this.audience.message._id, this.date ? this.date : '', this.variables ? this.variables : '-')) ||
@@ -666,23 +705,42 @@ class Pusher extends PusherPopper {
             start = this.start || this.trigger.start,
             result = new Result(),
             updates = {},
-            virtuals = {};
+            virtuals = {},
+            rules = caps.ofApp(this.audience.app);
+
+        if (this.trigger.optimal) {
+            let hours = await optimal.appHours(this.audience.app);
+            Object.values(this.mappers).forEach(mapper => mapper.setHours(hours));
+        }
 
         for await (let user of stream) {
             let push = user[TK][0],
-                la = user.la || 'default';
+                la = user.la || 'default',
+                contents = this.contents,
+                variant = this.audience.message.variantFor(user.uid);
             if (!push) {
                 continue;
             }
+            if (variant) {
+                // test group gets variants right away, the rest of the audience gets the winner once it's picked
+                if (variant.index === undefined || variant.test === (this.audience.message.variants.winner !== undefined)) {
+                    continue;
+                }
+                contents = (contents || []).concat(variant.contents);
+            }
+            let dates = rules ? caps.history(push) : undefined;
             for (let pf in push[TK]) {
                 if (!(pf in this.mappers)) {
                     continue;
                 }
 
-                let note = this.mappers[pf].map(user, start, this.contents);
+                let note = this.mappers[pf].map(user, start, contents);
                 if (!note) {
                     continue;
                 }
+                if (variant) {
+                    note.v = variant.index;
+                }
                 for (let k in (this.variables || {})) {
                     note.pr[k] = this.variables[k];
                 }
@@ -691,6 +749,34 @@ class Pusher extends PusherPopper {
                     d = note._id.getTimestamp().getTime(),
                     rp = result.sub(p, undefined, PLATFORM[p].parent);
 
+                // app-wide frequency caps & quiet hours: postpone till the end of quiet hours, skip if user got enough notifications
+                if (rules) {
+                    let utz = this.mappers[pf].userOffset(user),
+                        date = caps.afterQuiet(rules, utz * 60000, d);
+                    if ((this.trigger.end && this.trigger.end.getTime() < date) || caps.isCapped(rules, dates, date)) {
+                        result.total++;
+                        result.processed++;
+                        result.recordError(caps.REASON, 1);
+                        rp.total++;
+                        rp.processed++;
+                        rp.recordError(caps.REASON, 1);
+                        updates['result.total'] = result.total;
+                        updates['result.processed'] = result.processed;
+                        updates['result.errored'] = result.errored;
+                        updates[`result.errors.${caps.REASON}`] = result.errors[caps.REASON];
+                        updates[`result.subs.${p}.total`] = rp.total;
+                        updates[`result.subs.${p}.processed`] = rp.processed;
+                        updates[`result.subs.${p}.errored`] = rp.errored;
+                        updates[`result.subs.${p}.errors.${caps.REASON}`] = rp.errors[caps.REASON];
+                        continue;
+                    }
+                    if (date !== d) {
+                        d = date;
+                        note._id = dbext.oidWithDate(d);
+                    }
+                    note.z = utz;
+                }
+
                 result.total++;
                 updates['result.total'] = result.total;
                 if (!result.next || d < result.next.getTime()) {
@@ -717,6 +803,22 @@ class Pusher extends PusherPopper {
                     updates[`result.subs.${PLATFORM[p].parent}.subs.${la}.total`] = rpl.total;
                 }
 
+                // per contents locale results, counting users who got them as a fallback for their own locale
+                let loc = this.audience.message.resultLocale(note.pr, p),
+                    rloc = result.locale(loc.key);
+                rloc.total++;
+                updates[`result.locales.${loc.key}.total`] = rloc.total;
+                if (loc.fallback) {
+                    rloc.fallback++;
+                    updates[`result.locales.${loc.key}.fallback`] = rloc.fallback;
+                }
+
+                if (variant) {
+                    let rv = result.variant(variant.index);
+                    rv.total++;
+                    updates[`result.variants.${variant.index}.total`] = rv.total;
+                }
+
                 note.h = util.hash(note.pr, note.c ? util.hash(note.c) : undefined);
 
                 if (batch.pushSync(note)) {
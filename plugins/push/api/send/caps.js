@@ -0,0 +1,117 @@
+/**
+ * Frequency capping & quiet hours: app-wide rules limiting the number of notifications a user gets across all messages
+ *
+ * Rules are stored in app.plugins.push.caps: {day: 3, week: 10, quiet: {start: 22, end: 8}}, where quiet hours are in user's local time
+ */
+const HOUR = 60 * 60000,
+    DAY = 24 * HOUR,
+    WEEK = 7 * DAY,
+    REASON = 'capped'; // error key under which skipped notifications are counted in message results
+
+/**
+ * Validate & normalize caps configuration
+ *
+ * @param {object} cfg caps configuration
+ * @returns {object|undefined} normalized caps object or undefined if there are no rules
+ */
+function normalize(cfg) {
+    if (!cfg || typeof cfg !== 'object') {
+        return;
+    }
+    let ret = {},
+        day = parseInt(cfg.day, 10),
+        week = parseInt(cfg.week, 10),
+        quiet = cfg.quiet || {},
+        start = parseInt(quiet.start, 10),
+        end = parseInt(quiet.end, 10);
+    if (day > 0) {
+        ret.day = day;
+    }
+    if (week > 0) {
+        ret.week = week;
+    }
+    if (start >= 0 && start <= 23 && end >= 0 && end <= 23 && start !== end) {
+        ret.quiet = {start, end};
+    }
+    return Object.keys(ret).length ? ret : undefined;
+}
+
+/**
+ * Get caps of an app
+ *
+ * @param {object} app app object
+ * @returns {object|undefined} caps object if app has any rules
+ */
+function ofApp(app) {
+    return app && app.plugins && app.plugins.push && app.plugins.push.caps || undefined;
+}
+
+/**
+ * Check whether given date is within quiet hours of the user
+ *
+ * @param {object} caps caps object
+ * @param {number} utz user timezone offset in ms
+ * @param {number} date ms timestamp
+ * @returns {boolean} true if date is in quiet hours
+ */
+function isQuiet(caps, utz, date) {
+    if (!caps || !caps.quiet) {
+        return false;
+    }
+    let hour = new Date(date + utz).getUTCHours(),
+        {start, end} = caps.quiet;
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * Move date out of quiet hours
+ *
+ * @param {object} caps caps object
+ * @param {number} utz user timezone offset in ms
+ * @param {number} date ms timestamp
+ * @returns {number} date if it's not in quiet hours, end of quiet hours otherwise
+ */
+function afterQuiet(caps, utz, date) {
+    if (!isQuiet(caps, utz, date)) {
+        return date;
+    }
+    let local = new Date(date + utz),
+        end = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), caps.quiet.end) - utz;
+    return end > date ? end : end + DAY;
+}
+
+/**
+ * Get array of dates user received notifications at
+ *
+ * @param {object} push push_APPID document of the user
+ * @returns {number[]} array of ms timestamps
+ */
+function history(push) {
+    return Object.values(push && push.msgs || {}).flat().filter(d => typeof d === 'number');
+}
+
+/**
+ * Check whether user reached frequency caps
+ *
+ * @param {object} caps caps object
+ * @param {number[]} dates array of ms timestamps user received notifications at
+ * @param {number} date ms timestamp of the notification to check
+ * @returns {boolean} true if the notification cannot be sent
+ */
+function isCapped(caps, dates, date) {
+    if (!caps || (!caps.day && !caps.week)) {
+        return false;
+    }
+    let day = 0, week = 0;
+    for (let d of dates) {
+        if (d > date - DAY && d <= date) {
+            day++;
+        }
+        if (d > date - WEEK && d <= date) {
+            week++;
+        }
+    }
+    return (caps.day && day >= caps.day) || (caps.week && week >= caps.week) || false;
+}
+
+module.exports = { REASON, normalize, ofApp, isQuiet, afterQuiet, history, isCapped };
@@ -6,6 +6,7 @@ const { S, State, Status, STATUSES, TriggerKind, MEDIA_MIME_ALL, MEDIA_MIME_IOS,
     { Filter } = require('./filter'),
     { Content } = require('./content'),
     { Result, MAX_ERRORS, MAX_RUNS } = require('./result'),
+    { Variants } = require('./variants'),
     { Message } = require('./message'),
     { Template } = require('./template'),
     dbext = require('./db');
@@ -29,6 +30,7 @@ module.exports = {
     Filter,
     Content,
     Info,
+    Variants,
 
     Result,
     MAX_ERRORS,
@@ -5,7 +5,9 @@ const { State, Status, STATUSES, Mongoable, DEFAULTS, S, S_REGEXP } = require('.
     { Trigger, PlainTrigger, TriggerKind } = require('./trigger'),
     { Result } = require('./result'),
     { Info } = require('./info'),
-    db = require('./db');
+    { Variants } = require('./variants'),
+    db = require('./db'),
+    MAX_FALLBACKS = 10;
 
 
 /**
@@ -24,6 +26,8 @@ class Message extends Mongoable {
      * @param {object|Filter}       data.filter     user selection filter
      * @param {object[]|Trigger[]}  data.triggers   triggers of this message
      * @param {object|Content[]}    data.contents   message contents array: {la: undefined, p: undefined} is required, any other overrides default one in the order they specified in the array
+     * @param {object}              data.fallbacks  locale fallback chains: {'pt-br': ['pt', 'en']}, user gets content of the first locale in the chain which has one, default content otherwise
+     * @param {object|Variants}     data.variants   A/B testing variants of contents, see Variants
      * @param {object|Result}       data.result     sending result
      * @param {object|Info}         data.info       info object
      */
@@ -60,6 +64,15 @@ class Message extends Mongoable {
                 nonempty: true,
                 'min-length': 1,
             },
+            fallbacks: {
+                type: 'Object',
+                required: false,
+                custom: Message.validateFallbacks
+            },
+            variants: {
+                type: Variants.scheme,
+                required: false,
+            },
             result: {
                 type: Result.scheme,
             },
@@ -69,6 +82,26 @@ class Message extends Mongoable {
         };
     }
 
+    /**
+     * Validate locale fallbacks object {'pt-br': ['pt', 'en']}
+     * 
+     * @param {object} obj fallbacks object to validate
+     * @returns {string|undefined} string error if validation failed
+     */
+    static validateFallbacks(obj) {
+        if (obj === undefined) {
+            return;
+        }
+        for (let k in obj) {
+            if (!Message.normalizeLocale(k)) {
+                return 'Fallback locale must be a non empty string';
+            }
+            if (!Array.isArray(obj[k]) || obj[k].filter(l => !Message.normalizeLocale(l)).length) {
+                return 'Fallback chain must be an array of locale strings';
+            }
+        }
+    }
+
     /**
      * Set data doing any decoding / transformations along the way
      * 
@@ -89,11 +122,17 @@ class Message extends Mongoable {
         if (!(this._data.result instanceof Result)) {
             this._data.result = new Result(this._data.result);
         }
+        if (this._data.variants && !(this._data.variants instanceof Variants)) {
+            this._data.variants = new Variants(this._data.variants);
+        }
         if (!(this._data.info instanceof Info)) {
             this._data.info = new Info(this._data.info);
         }
         this._data.triggers = (this._data.triggers || []).map(Trigger.from);
         this._data.contents = (this._data.contents || []).map(Content.from);
+        if (this._data.fallbacks) {
+            this.fallbacks = this._data.fallbacks;
+        }
     }
 
     /**
@@ -365,7 +404,123 @@ class Message extends Mongoable {
      * @returns {Content[]} array of contents which are applicable for this p/l case
      */
     static filterContents(contents, p, la) {
-        return (contents || []).filter(c => (!p || (!c.p || c.p === p)) && (!la || (!c.la || c.la === la)));
+        la = Message.normalizeLocale(la);
+        return (contents || []).filter(c => (!p || (!c.p || c.p === p)) && (!la || (!c.la || Message.normalizeLocale(c.la) === la)));
+    }
+
+    /**
+     * Getter for fallbacks
+     * 
+     * @returns {object|undefined} locale fallback chains ({'pt-br': ['pt', 'en']})
+     */
+    get fallbacks() {
+        return this._data.fallbacks;
+    }
+
+    /**
+     * Setter for fallbacks, normalizes locales along the way
+     * 
+     * @param {object|undefined} fallbacks locale fallback chains ({'pt-BR': ['pt', 'en']})
+     */
+    set fallbacks(fallbacks) {
+        if (fallbacks && typeof fallbacks === 'object' && Object.keys(fallbacks).length) {
+            let ret = {};
+            for (let k in fallbacks) {
+                let la = Message.normalizeLocale(k);
+                if (la && Array.isArray(fallbacks[k])) {
+                    ret[la] = fallbacks[k].map(Message.normalizeLocale).filter(l => l && l !== la);
+                }
+            }
+            this._data.fallbacks = ret;
+        }
+        else {
+            delete this._data.fallbacks;
+        }
+    }
+
+    /**
+     * Normalize locale so that user locales ("pt_BR") could be matched against content locales ("pt-BR", "pt-br")
+     * 
+     * @param {string} la locale or language key
+     * @returns {string|undefined} lowercase locale with dash as separator or undefined for empty locale
+     */
+    static normalizeLocale(la) {
+        if (typeof la !== 'string' || !la.trim()) {
+            return undefined;
+        }
+        return la.trim().toLowerCase().replace(/_/g, '-');
+    }
+
+    /**
+     * Parse fallbacks from plugin configuration string, one chain per line: "pt-BR: pt, en" or "pt-BR > pt > en"
+     * 
+     * @param {string} str configuration string
+     * @returns {object|undefined} fallbacks object or undefined if there are no chains in the string
+     */
+    static parseFallbacks(str) {
+        let ret = {};
+        (typeof str === 'string' ? str : '').split(/[\n;]/).forEach(line => {
+            let idx = line.indexOf(':'),
+                parts = idx === -1 ? line.split('>') : [line.substr(0, idx)].concat(line.substr(idx + 1).split(/[,>]/)),
+                la = Message.normalizeLocale(parts[0]),
+                chain = parts.slice(1).map(Message.normalizeLocale).filter(l => l);
+            if (la && chain.length) {
+                ret[la] = chain;
+            }
+        });
+        return Object.keys(ret).length ? ret : undefined;
+    }
+
+    /**
+     * Get ordered list of locales to look content up for, starting from user's locale: explicit fallbacks of a locale go first,
+     * regional locale without explicit fallbacks falls back to its language ("pt-br" -> "pt")
+     * 
+     * @param {object} pr personalization object of a push with user's la (language) and lo (locale)
+     * @returns {string[]} array of normalized locales
+     */
+    localeChain(pr) {
+        let fallbacks = this._data.fallbacks || {},
+            queue = [pr && pr.lo, pr && pr.la],
+            chain = [];
+        while (queue.length && chain.length < MAX_FALLBACKS) {
+            let la = Message.normalizeLocale(queue.shift());
+            if (!la || chain.indexOf(la) !== -1) {
+                continue;
+            }
+            chain.push(la);
+            queue.unshift(...(fallbacks[la] || (la.indexOf('-') !== -1 ? [la.substr(0, la.indexOf('-'))] : [])));
+        }
+        return chain;
+    }
+
+    /**
+     * Find locale of contents to be sent to the user
+     * 
+     * @param {object} pr personalization object of a push with user's la (language) and lo (locale)
+     * @param {string} p platform key
+     * @param {Content[]|object[]} extra additional contents (overrides) to look locales up in
+     * @returns {string|undefined} normalized locale of contents or undefined if default content is to be sent
+     */
+    contentLocale(pr, p, extra) {
+        let available = (this._data.contents || []).concat(extra || [])
+                .filter(c => c.la && (!p || !c.p || c.p === p))
+                .map(c => Message.normalizeLocale(c.la)),
+            chain = this.localeChain(pr);
+        return chain.filter(la => available.indexOf(la) !== -1)[0];
+    }
+
+    /**
+     * Get result locale key for a push: locale of contents sent or "default", along with a flag whether the contents
+     * were sent as a fallback (user's own locale has no contents)
+     * 
+     * @param {object} pr personalization object of a push with user's la (language) and lo (locale)
+     * @param {string} p platform key
+     * @returns {object} {key, fallback}
+     */
+    resultLocale(pr, p) {
+        let chain = this.localeChain(pr),
+            la = this.contentLocale(pr, p);
+        return {key: la || 'default', fallback: chain.length > 0 && chain[0] !== la};
     }
 
     /**
@@ -433,6 +588,10 @@ class Message extends Mongoable {
             keys.push('la');
         }
         // }
+        // full locale is needed for fallback chains ("pt_BR" -> "pt" -> "en")
+        if (keys.indexOf('lo') === -1) {
+            keys.push('lo');
+        }
         keys = keys.filter((k, i) => keys.indexOf(k) === i);
         return keys;
     }
@@ -457,6 +616,46 @@ class Message extends Mongoable {
         return key.replace(new RegExp(S_REGEXP, 'g'), '.');
     }
 
+    /**
+     * Getter for variants
+     * 
+     * @returns {Variants|undefined} A/B testing variants if the message has them
+     */
+    get variants() {
+        return this._data.variants;
+    }
+
+    /**
+     * Setter for variants
+     * 
+     * @param {Variants|undefined} variants A/B testing variants
+     */
+    set variants(variants) {
+        if (variants instanceof Variants) {
+            this._data.variants = variants;
+        }
+        else {
+            delete this._data.variants;
+        }
+    }
+
+    /**
+     * Get variant of a user along with variant contents (overrides of message contents)
+     * 
+     * @param {string} uid app user uid
+     * @returns {object|undefined} {test, index, contents} or undefined if message has no variants
+     */
+    variantFor(uid) {
+        if (!this._data.variants) {
+            return;
+        }
+        let variant = this._data.variants.pick(this.id, uid);
+        if (variant.index !== undefined) {
+            variant.contents = this._data.variants.contents(variant.index);
+        }
+        return variant;
+    }
+
     /**
      * Getter for result
      * 
@@ -631,7 +830,13 @@ class Message extends Mongoable {
                         'result.processed': 0,
                         'result.total': 0,
                         'result.errors': {},
-                        'result.subs': {}
+                        'result.subs': {},
+                        'result.locales': {},
+                        'result.variants': {}
+                    },
+                    $unset: {
+                        'variants.winner': 1,
+                        'variants.picked': 1
                     }
                 });
             }
@@ -669,6 +874,7 @@ class Message extends Mongoable {
         }
 
         await JOBS.cancel('push:schedule', {mid: this._id, aid: this.app});
+        await JOBS.cancel('push:winner', {mid: this._id, aid: this.app});
 
         await this.updateAtomically({_id: this._id, state: this.state}, {$set: {state: State.Created | State.Done | State.Cleared, status: Status.Stopped}});
 
@@ -24,6 +24,9 @@ class Result extends Validatable {
      * @param {object[]}                data.lastRuns       last 10 sending runs
      * @param {Date}                    data.next           next run if any
      * @param {object}                  data.subs           sub results ({key: Result})
+     * @param {object}                  data.locales        results per locale of contents sent, "default" for default contents ({la: Result})
+     * @param {number}                  data.fallback       [only for locale results] number of notifications sent with these contents because user locale had no own contents
+     * @param {object}                  data.variants       results per A/B testing variant ({index: Result})
      */
     constructor(data) {
         super(data);
@@ -39,6 +42,18 @@ class Result extends Validatable {
             this._data.subs = {};
             Object.keys(subs || {}).forEach(key => this._data.subs[key] = Result.from(subs[key]));
         }
+
+        if (this._data.locales) {
+            let locales = this._data.locales;
+            this._data.locales = {};
+            Object.keys(locales || {}).forEach(key => this._data.locales[key] = Result.from(locales[key]));
+        }
+
+        if (this._data.variants) {
+            let variants = this._data.variants;
+            this._data.variants = {};
+            Object.keys(variants || {}).forEach(key => this._data.variants[key] = Result.from(variants[key]));
+        }
     }
 
     /**
@@ -58,6 +73,9 @@ class Result extends Validatable {
             lastRuns: {type: 'Object[]', required: false},
             next: {type: 'Date', required: false},
             subs: {type: 'Object', required: false},
+            locales: {type: 'Object', required: false},
+            fallback: {type: 'Number', required: false},
+            variants: {type: 'Object', required: false},
         };
     }
 
@@ -388,6 +406,79 @@ class Result extends Validatable {
         return this._data.subs[key];
     }
 
+    /**
+     * Getter for locales
+     * 
+     * @returns {object|undefined} locales object ({la: Result})
+     */
+    get locales() {
+        return this._data.locales;
+    }
+
+    /**
+     * Utility method for getting locale Result
+     * 
+     * @param {string} key locale key of contents sent ("default" for default contents)
+     * @returns {Result} current Result for given locale, adds result object if it doesn't exist
+     */
+    locale(key) {
+        if (!this._data.locales) {
+            this._data.locales = {};
+        }
+        if (!this._data.locales[key]) {
+            this._data.locales[key] = new Result();
+        }
+        return this._data.locales[key];
+    }
+
+    /**
+     * Getter for fallback
+     * 
+     * @returns {number} number of notifications sent with these contents as a fallback for user locale
+     */
+    get fallback() {
+        return this._data.fallback || 0;
+    }
+
+    /**
+     * Setter for fallback
+     * 
+     * @param {number|undefined} fallback number of notifications sent with these contents as a fallback for user locale
+     */
+    set fallback(fallback) {
+        if (fallback !== null && fallback !== undefined) {
+            this._data.fallback = fallback;
+        }
+        else {
+            delete this._data.fallback;
+        }
+    }
+
+    /**
+     * Getter for variants
+     * 
+     * @returns {object|undefined} variants object ({index: Result})
+     */
+    get variants() {
+        return this._data.variants;
+    }
+
+    /**
+     * Utility method for getting A/B testing variant Result
+     * 
+     * @param {number} index variant index
+     * @returns {Result} current Result for given variant, adds result object if it doesn't exist
+     */
+    variant(index) {
+        if (!this._data.variants) {
+            this._data.variants = {};
+        }
+        if (!this._data.variants[index]) {
+            this._data.variants[index] = new Result();
+        }
+        return this._data.variants[index];
+    }
+
     /**
      * Backwards-compatibility conversion of Note to Result
      * 
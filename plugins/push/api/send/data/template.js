@@ -23,8 +23,9 @@ class Template {
         this.platform = platform;
         this.stringifyPayload = stringifyPayload;
 
-        this.titles = {}; // {lang: function(data)} personalization functions for titles 
-        this.messages = {}; // {lang: function(data)} personalization functions for messages
+        this.titles = {}; // {lang: Map(title: function(data))} personalization functions for titles 
+        this.messages = {}; // {lang: Map(message: function(data))} personalization functions for messages
+        this.locales = {}; // {lo|la: lang} contents locale resolved through fallback chain for user locale & language
 
         // this.cache = new LRU({max: 100, maxAge: 60 * 1000, updateAgeOnGet: true});
         this.cache = new LRU();
@@ -34,17 +35,25 @@ class Template {
     /**
      * Compile personalized string caching all the things
      * 
-     * @param {Object} persCache personalization function cache
+     * @param {Object} persCache personalization function cache ({lang: Map(str: function)})
      * @param {string} str string to personalize
      * @param {object} pers personalization object ({la, ...})
      * @param {object|undefined} p personalization object ({la, ...})
+     * @param {string|undefined} la locale of contents the string is taken from
      * @returns {string} personalized string
      */
-    str(persCache, str, pers, p) {
-        if (!((p.la || '') in persCache)) {
-            persCache[p.la] = personalize(str, pers);
+    str(persCache, str, pers, p, la) {
+        la = la || '';
+        if (!(la in persCache)) {
+            persCache[la] = new Map();
         }
-        return persCache[p.la](p);
+        // A/B variants & push overrides can have different strings for the same locale
+        let compiled = persCache[la].get(str);
+        if (!compiled) {
+            compiled = personalize(str, pers);
+            persCache[la].set(str, compiled);
+        }
+        return compiled(p);
     }
 
     /**
@@ -53,10 +62,11 @@ class Template {
      * @param {string} str string to personalize
      * @param {object} pers personalization object ({la, ...})
      * @param {object|undefined} p personalization object ({la, ...})
+     * @param {string|undefined} la locale of contents the message is taken from
      * @returns {string} personalized message
      */
-    message(str, pers, p) {
-        return this.str(this.messages, str, pers, p);
+    message(str, pers, p, la) {
+        return this.str(this.messages, str, pers, p, la);
     }
 
     /**
@@ -65,10 +75,28 @@ class Template {
      * @param {string} str string to personalize
      * @param {object} pers personalization object ({la, ...})
      * @param {object|undefined} p personalization object ({la, ...})
+     * @param {string|undefined} la locale of contents the title is taken from
      * @returns {string} personalized title
      */
-    title(str, pers, p) {
-        return this.str(this.titles, str, pers, p);
+    title(str, pers, p, la) {
+        return this.str(this.titles, str, pers, p, la);
+    }
+
+    /**
+     * Find locale of contents to use for a push going through message fallback chains
+     * 
+     * @param {object} push push object
+     * @returns {string|undefined} normalized contents locale or undefined for default contents
+     */
+    locale(push) {
+        if (push.c && push.c.length) {
+            return this.msg.contentLocale(push.pr, this.platform.key, push.c);
+        }
+        let key = (push.pr.lo || '') + '|' + (push.pr.la || '');
+        if (!(key in this.locales)) {
+            this.locales[key] = this.msg.contentLocale(push.pr, this.platform.key);
+        }
+        return this.locales[key];
     }
 
     /**
@@ -79,12 +107,14 @@ class Template {
      */
     compile(push) {
         // check if we have payload for this hash code
-        let la = push.pr.la,
-            result = this.cache.find(push.h || 0);
+        let result = this.cache.find(push.h || 0);
         if (result) {
             return result;
         }
 
+        // user locale falls back to other locales (pt-br -> pt -> en) when there are no contents for it
+        let la = this.locale(push);
+
         // get localized JSON string (without overrides or personalization) for this language
         result = this.defaults[la];
         if (result) {
@@ -95,7 +125,7 @@ class Template {
             this.result = this.platform.empty(this.msg);
             for (let i = 0; i < this.contents.length; i++) {
                 let content = this.contents[i];
-                if ((!content.p || content.p === this.platform.key) && (!content.la || content.la === la)) {
+                if ((!content.p || content.p === this.platform.key) && (!content.la || Message.normalizeLocale(content.la) === la)) {
                     this.appl(this.platform.fields, content, push.pr);
                     if (content.title && !content.titlePers) {
                         this.platform.map.title(this, content.title);
@@ -133,13 +163,13 @@ class Template {
         // we also don't want to apply content items multiple times overriding each other
         for (let i = this.contents.length + overrides.length - 1; i >= 0; i--) {
             let c = i >= this.contents.length ? overrides[i - this.contents.length] : this.contents[i];
-            if (c.la && c.la !== la) {
+            if (c.la && Message.normalizeLocale(c.la) !== la) {
                 continue;
             }
 
             if (title === undefined) {
                 if (c.titlePers) {
-                    title = this.title(c.title, c.titlePersDeup, push.pr);
+                    title = this.title(c.title, c.titlePersDeup, push.pr, la);
                 }
                 else {
                     title = c.title;
@@ -147,7 +177,7 @@ class Template {
             }
             if (message === undefined) {
                 if (c.messagePers) {
-                    message = this.message(c.message, c.messagePersDeup, push.pr);
+                    message = this.message(c.message, c.messagePersDeup, push.pr, la);
                 }
                 else {
                     message = c.message;
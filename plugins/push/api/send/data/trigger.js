@@ -165,6 +165,8 @@ class PlainTrigger extends Trigger {
      * @param {boolean}             data.tz     in case tz = true, sctz is scheduler's timezone offset in minutes (GMT +3 is "-180")
      * @param {number}              data.sctz   scheduler's timezone offset in minutes (GMT +3 is "-180")
      * @param {boolean}             delayed     true if audience calculation should be done right before sending the message
+     * @param {boolean}             data.optimal    true if each user should get the message at the hour they're most likely to be active (send time optimization)
+     * @param {number}              data.window     [only for optimal] delivery window length in ms starting from the start date, 24 hours by default
      */
     constructor(data) {
         data.kind = TriggerKind.Plain;
@@ -180,6 +182,8 @@ class PlainTrigger extends Trigger {
             tz: {type: 'Boolean', required: false},
             sctz: {type: 'Number', required: false},
             delayed: {type: 'Boolean', required: false},
+            optimal: {type: 'Boolean', required: false},
+            window: {type: 'Number', required: false, min: 60 * 60000, max: 7 * 24 * 60 * 60000},
         });
     }
 
@@ -240,6 +244,52 @@ class PlainTrigger extends Trigger {
             delete this._data.delayed;
         }
     }
+
+    /**
+     * Getter for optimal
+     * 
+     * @returns {boolean|undefined} true if send time optimization is on
+     */
+    get optimal() {
+        return this._data.optimal;
+    }
+
+    /**
+     * Set optimal property
+     * 
+     * @param {boolean|undefined}  optimal  true if each user should get the message at their most active hour
+     */
+    set optimal(optimal) {
+        if (typeof optimal === 'boolean') {
+            this._data.optimal = optimal;
+        }
+        else {
+            delete this._data.optimal;
+        }
+    }
+
+    /**
+     * Getter for window
+     * 
+     * @returns {number|undefined} delivery window length in ms for send time optimization
+     */
+    get window() {
+        return this._data.window;
+    }
+
+    /**
+     * Set window property
+     * 
+     * @param {number|undefined}  window  delivery window length in ms
+     */
+    set window(window) {
+        if (typeof window === 'number') {
+            this._data.window = window;
+        }
+        else {
+            delete this._data.window;
+        }
+    }
 }
 
 /**
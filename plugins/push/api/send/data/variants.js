@@ -0,0 +1,217 @@
+'use strict';
+
+const crypto = require('crypto'),
+    { Validatable, toDate } = require('./const'),
+    { Content } = require('./content'),
+    MIN_VARIANTS = 2,
+    MAX_VARIANTS = 5;
+
+/**
+ * A/B testing configuration of a message: a test group of the audience gets one of 2-5 content variants,
+ * after a wait period variant with the best action rate (the winner) is sent to the rest of the audience
+ */
+class Variants extends Validatable {
+    /**
+     * Constructor
+     * 
+     * @param {object}      data            variants data
+     * @param {number}      data.test       percentage of the audience to send variants to (1-99)
+     * @param {number}      data.wait       ms to wait after sending to test group before picking the winner
+     * @param {object[]}    data.list       variants array: [{name: 'A', contents: [Content.json]}], variant contents override message contents
+     * @param {number}      data.winner     index of the winning variant, set when the winner is picked
+     * @param {Date}        data.picked     date when the winner was picked
+     */
+    constructor(data) {
+        super(data);
+    }
+
+    /**
+     * Validation scheme for common.validateArgs
+     */
+    static get scheme() {
+        return {
+            test: { type: 'Number', required: true, min: 1, max: 99 },
+            wait: { type: 'Number', required: true, min: 60000 },
+            list: {
+                type: {
+                    name: { type: 'String', required: false },
+                    contents: { type: Content.scheme, array: true, required: true, 'min-length': 1 },
+                },
+                array: true,
+                required: true,
+                'min-length': MIN_VARIANTS,
+                'max-length': MAX_VARIANTS,
+            },
+            winner: { type: 'Number', required: false },
+            picked: { type: 'Date', required: false },
+        };
+    }
+
+    /**
+     * Set data doing any decoding / transformations along the way
+     * 
+     * @param {object} data data to set
+     */
+    setData(data) {
+        super.setData(data);
+        this._data.list = (this._data.list || []).map(v => {
+            let variant = {contents: (v.contents || []).map(c => c instanceof Content ? c.json : c)};
+            if (v.name) {
+                variant.name = v.name;
+            }
+            return variant;
+        });
+    }
+
+    /**
+     * Getter for test
+     * 
+     * @returns {number} percentage of the audience to send variants to
+     */
+    get test() {
+        return this._data.test;
+    }
+
+    /**
+     * Setter for test
+     * 
+     * @param {number} test percentage of the audience to send variants to
+     */
+    set test(test) {
+        if (test !== null && test !== undefined) {
+            this._data.test = test;
+        }
+        else {
+            delete this._data.test;
+        }
+    }
+
+    /**
+     * Getter for wait
+     * 
+     * @returns {number} ms to wait before picking the winner
+     */
+    get wait() {
+        return this._data.wait;
+    }
+
+    /**
+     * Setter for wait
+     * 
+     * @param {number} wait ms to wait before picking the winner
+     */
+    set wait(wait) {
+        if (wait !== null && wait !== undefined) {
+            this._data.wait = wait;
+        }
+        else {
+            delete this._data.wait;
+        }
+    }
+
+    /**
+     * Getter for list
+     * 
+     * @returns {object[]} variants array ([{name, contents}])
+     */
+    get list() {
+        return this._data.list;
+    }
+
+    /**
+     * Getter for winner
+     * 
+     * @returns {number|undefined} index of the winning variant
+     */
+    get winner() {
+        return this._data.winner;
+    }
+
+    /**
+     * Setter for winner
+     * 
+     * @param {number|undefined} winner index of the winning variant
+     */
+    set winner(winner) {
+        if (winner !== null && winner !== undefined) {
+            this._data.winner = winner;
+        }
+        else {
+            delete this._data.winner;
+        }
+    }
+
+    /**
+     * Getter for picked
+     * 
+     * @returns {Date|undefined} date when the winner was picked
+     */
+    get picked() {
+        return this._data.picked;
+    }
+
+    /**
+     * Setter for picked
+     * 
+     * @param {Date|number|undefined} picked date when the winner was picked
+     */
+    set picked(picked) {
+        if (picked !== null && picked !== undefined) {
+            this._data.picked = toDate(picked);
+        }
+        else {
+            delete this._data.picked;
+        }
+    }
+
+    /**
+     * Get contents (overrides of message contents) of a variant
+     * 
+     * @param {number} index variant index
+     * @returns {object[]} array of Content.json
+     */
+    contents(index) {
+        return (this._data.list[index] || {}).contents || [];
+    }
+
+    /**
+     * Get contents of all variants, handy for user fields lookup
+     * 
+     * @returns {object[]} array of Content.json
+     */
+    get allContents() {
+        return this._data.list.map(v => v.contents).flat();
+    }
+
+    /**
+     * Deterministically put user into one of the groups of a message: test group gets one of the variants,
+     * the rest of the audience gets the winner once it's picked
+     * 
+     * @param {string} mid message id
+     * @param {string} uid app user uid
+     * @returns {object} {test: true if user is in test group, index: variant index or undefined if the winner is not picked yet}
+     */
+    pick(mid, uid) {
+        let hash = crypto.createHash('md5').update(mid + ':' + uid).digest().readUInt32BE(0);
+        if (hash % 100 < this._data.test) {
+            return {test: true, index: Math.floor(hash / 100) % this._data.list.length};
+        }
+        return {test: false, index: this._data.winner};
+    }
+
+    /**
+     * Pick the winner by action rate (actioned / sent) of variant results, first variant wins in case of a tie
+     * 
+     * @param {Result} result message result with variant results
+     * @returns {number} index of the winning variant
+     */
+    choose(result) {
+        let rates = this._data.list.map((v, i) => {
+            let r = result.variants && result.variants[i];
+            return r && r.sent ? r.actioned / r.sent : 0;
+        });
+        return rates.indexOf(Math.max(...rates));
+    }
+}
+
+module.exports = { Variants, MIN_VARIANTS, MAX_VARIANTS };
@@ -0,0 +1,94 @@
+/**
+ * Send time optimization: picking the hour each user is most likely to be active at
+ */
+const common = require('../../../../api/utils/common'),
+    HOUR = 60 * 60000,
+    FIELD = 'hrs'; // push_APPID field with user activity histogram: {hour: number of sessions started at that hour in user's timezone}
+
+/**
+ * Get hour of the day user started session at in user's local time
+ *
+ * @param {object} params request params
+ * @param {object} dbAppUser app user document
+ * @returns {number|undefined} hour (0 - 23) or undefined if it cannot be determined
+ */
+function activityHour(params, dbAppUser) {
+    let hour = parseInt(params.qstring.hour, 10);
+    if (!isNaN(hour) && hour >= 0 && hour <= 23) {
+        return hour;
+    }
+    if (dbAppUser && typeof dbAppUser.tz === 'number' && params.time && params.time.mstimestamp) {
+        return new Date(params.time.mstimestamp + dbAppUser.tz * 60000).getUTCHours();
+    }
+}
+
+/**
+ * Get activity histogram of a user
+ *
+ * @param {object} user app_user object along with push_APPID document in it
+ * @param {object} push push_APPID document of the user
+ * @param {number} utz user timezone offset in ms
+ * @returns {object|undefined} histogram {hour: count} or undefined if user has no history
+ */
+function userHours(user, push, utz) {
+    if (push && push[FIELD] && Object.keys(push[FIELD]).length) {
+        return push[FIELD];
+    }
+    if (user.ls) {
+        return {[new Date(user.ls * 1000 + utz).getUTCHours()]: 1};
+    }
+}
+
+/**
+ * Get app-wide activity histogram from times of day plugin session data for last 3 months
+ *
+ * @param {object} app app object
+ * @returns {object} histogram {hour: count}, empty object if times of day has no data
+ */
+async function appHours(app) {
+    let months = [0, 1, 2].map(i => {
+            let d = new Date();
+            d.setUTCDate(1);
+            d.setUTCMonth(d.getUTCMonth() - i);
+            return '[CLY]_session_' + d.getUTCFullYear() + ':' + (d.getUTCMonth() + 1);
+        }),
+        hours = {};
+    try {
+        let docs = await common.db.collection('timesofday' + app._id).find({_id: {$in: months}}).toArray();
+        docs.forEach(doc => {
+            for (let dow in doc.d || {}) {
+                for (let h in doc.d[dow]) {
+                    hours[h] = (hours[h] || 0) + (doc.d[dow][h].count || 0);
+                }
+            }
+        });
+    }
+    catch (e) {
+        common.log('push:optimal').w('Cannot load times of day data for app %s', app._id, e);
+    }
+    return hours;
+}
+
+/**
+ * Pick the time within delivery window which falls on the most active hour of the user
+ *
+ * @param {object} hours activity histogram {hour: count}
+ * @param {number} utz user timezone offset in ms
+ * @param {number} from delivery window start, ms timestamp
+ * @param {number} to delivery window end, ms timestamp
+ * @returns {number} ms timestamp to send notification at, window start if histogram is empty or window is over
+ */
+function optimalTime(hours, utz, from, to) {
+    let best = from,
+        score = -1;
+    for (let t = from; t <= to; t = Math.floor(t / HOUR) * HOUR + HOUR) {
+        let s = (hours || {})[new Date(t + utz).getUTCHours()] || 0;
+        if (s > score) {
+            best = t;
+            score = s;
+        }
+    }
+    return best;
+}
+
+module.exports = { FIELD, activityHour, userHours, appHours, optimalTime };
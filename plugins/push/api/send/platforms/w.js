@@ -0,0 +1,639 @@
+const { ConnectionError, ERROR, SendError } = require('../data/error'),
+    logger = require('../../../../../api/utils/log'),
+    { Splitter } = require('./utils/splitter'),
+    { util } = require('../std'),
+    { Creds } = require('../data/creds'),
+    { threadId } = require('worker_threads'),
+    crypto = require('crypto'),
+    http = require('http'),
+    https = require('https'),
+    FORGE = require('node-forge');
+
+
+/**
+ * Platform key
+ */
+const key = 'w';
+
+/**
+ * Default time to live of a notification in push service queue, seconds (4 weeks)
+ */
+const DEFAULT_TTL = 28 * 24 * 3600;
+
+/**
+ * VAPID JWT lifetime, seconds (push services reject tokens valid for more than 24 hours)
+ */
+const JWT_TTL = 12 * 3600;
+
+/**
+ * Record size of encrypted payload, RFC 8188; web push payload always fits into a single record
+ */
+const RECORD_SIZE = 4096;
+
+/**
+ * Encode buffer into base64url string
+ *
+ * @param {Buffer} buf buffer to encode
+ * @returns {string} base64url string
+ */
+function b64(buf) {
+    return buf.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Decode base64url (or base64) string into buffer
+ *
+ * @param {string} str string to decode
+ * @returns {Buffer} decoded buffer
+ */
+function unb64(str) {
+    return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Parse subscription object (PushSubscription.toJSON() in a browser) into a token string
+ *
+ * @param {object|string} sub subscription object or its JSON string
+ * @param {boolean} secure require https endpoint (SDK requests), false allows plain http endpoints (local push service mocks)
+ * @returns {string|undefined} token (normalized subscription JSON string) or undefined if subscription is invalid
+ */
+function subscription(sub, secure = true) {
+    if (typeof sub === 'string') {
+        try {
+            sub = JSON.parse(sub);
+        }
+        catch (e) {
+            return;
+        }
+    }
+    if (!sub || typeof sub.endpoint !== 'string' || !sub.keys || typeof sub.keys.p256dh !== 'string' || typeof sub.keys.auth !== 'string') {
+        return;
+    }
+    try {
+        let url = new URL(sub.endpoint);
+        if (url.protocol !== 'https:' && (secure || url.protocol !== 'http:')) {
+            return;
+        }
+    }
+    catch (e) {
+        return;
+    }
+    if (unb64(sub.keys.p256dh).length !== 65 || unb64(sub.keys.auth).length !== 16) {
+        return;
+    }
+    return JSON.stringify({endpoint: sub.endpoint, keys: {p256dh: sub.keys.p256dh, auth: sub.keys.auth}});
+}
+
+/**
+ * Extract token & field from token_session request
+ *
+ * Web SDK sends PushSubscription JSON ({endpoint, keys: {p256dh, auth}}) in web_token param
+ *
+ * @param {object} qstring request params
+ * @returns {string[]|undefined} array of [platform, field, token] if qstring has platform-specific token data, undefined otherwise
+ */
+function extractor(qstring) {
+    if (qstring.web_token !== undefined) {
+        return [key, FIELDS['0'], qstring.web_token === 'BLACKLISTED' ? '' : subscription(qstring.web_token) || ''];
+    }
+}
+
+/**
+ * Make an estimated guess about request platform
+ *
+ * @param {string} userAgent user-agent header
+ * @returns {string} platform key if it looks like request made by this platform
+ */
+function guess(userAgent) {
+    return userAgent.includes('Mozilla') && !/Android|iPhone|iPad|iPod|Huawei|TestUserAgent/.test(userAgent) && key;
+}
+
+/**
+ * HMAC-SHA-256 shorthand, HKDF steps of RFC 8291 are single HMAC calls since all outputs are no longer than 32 bytes
+ *
+ * @param {Buffer} k key
+ * @param {Buffer} data data
+ * @returns {Buffer} HMAC digest
+ */
+function hmac(k, data) {
+    return crypto.createHmac('sha256', k).update(data).digest();
+}
+
+/**
+ * Encrypt payload for a subscription as per RFC 8291 (Message Encryption for Web Push) using aes128gcm content coding (RFC 8188)
+ *
+ * @param {Buffer|string} payload payload to encrypt
+ * @param {string} p256dh user agent public key from subscription, base64url
+ * @param {string} auth user agent authentication secret from subscription, base64url
+ * @param {Buffer} salt 16 random bytes, generated if not passed
+ * @param {ECDH} ecdh application server ECDH key pair, new one is generated if not passed
+ * @returns {Buffer} request body: aes128gcm header followed by encrypted payload
+ */
+function encrypt(payload, p256dh, auth, salt = crypto.randomBytes(16), ecdh) {
+    if (!ecdh) {
+        ecdh = crypto.createECDH('prime256v1');
+        ecdh.generateKeys();
+    }
+
+    let uaPublic = unb64(p256dh),
+        asPublic = ecdh.getPublicKey(),
+        secret = ecdh.computeSecret(uaPublic),
+        prkKey = hmac(unb64(auth), secret),
+        ikm = hmac(prkKey, Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic, Buffer.from([1])])),
+        prk = hmac(salt, ikm),
+        cek = hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).slice(0, 16),
+        nonce = hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).slice(0, 12),
+        cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce),
+        header = Buffer.alloc(21);
+
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(asPublic.length, 20);
+
+    return Buffer.concat([header, asPublic, cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Connection implementation for Web Push: a separate request is made for each subscription endpoint
+ */
+class WebPush extends Splitter {
+    /**
+     * Standard constructor
+     * @param {string} log logger name
+     * @param {string} type type of connection: wp
+     * @param {Credentials} creds VAPID credentials
+     * @param {Object[]} messages initial array of messages to send
+     * @param {Object} options standard stream options
+     * @param {number} options.pool.pushes number of notifications which can be processed concurrently, this parameter is strictly set to 500
+     * @param {string} options.proxy.host proxy host
+     * @param {string} options.proxy.port proxy port
+     * @param {string} options.proxy.user proxy user
+     * @param {string} options.proxy.pass proxy pass
+     * @param {string} options.proxy.auth proxy require https correctness
+     */
+    constructor(log, type, creds, messages, options) {
+        super(log, type, creds, messages, options);
+
+        this.log = logger(log).sub(`${threadId}-w`);
+        this.jwts = {}; // {audience: {token, expires}}
+        this.log.i('Initialized');
+    }
+
+    /**
+     * Get VAPID authorization header value for a push service origin, caching JWTs until they're close to expiry
+     *
+     * @param {string} audience push service origin
+     * @returns {string} Authorization header value
+     */
+    vapid(audience) {
+        let now = Math.floor(Date.now() / 1000),
+            jwt = this.jwts[audience];
+        if (!jwt || jwt.expires - now < 3600) {
+            let unsigned = b64(Buffer.from(JSON.stringify({typ: 'JWT', alg: 'ES256'}))) + '.' + b64(Buffer.from(JSON.stringify({
+                    aud: audience,
+                    exp: now + JWT_TTL,
+                    sub: this.creds._data.subject
+                }))),
+                signature = crypto.sign('sha256', Buffer.from(unsigned), {key: this.creds.privateKey, dsaEncoding: 'ieee-p1363'});
+            jwt = this.jwts[audience] = {token: unsigned + '.' + b64(signature), expires: now + JWT_TTL};
+        }
+        return `vapid t=${jwt.token}, k=${this.creds._data.publicKey}`;
+    }
+
+    /**
+     * Send encrypted notification to a single subscription
+     *
+     * @param {object} sub subscription object ({endpoint, keys: {p256dh, auth}})
+     * @param {object} content compiled notification ({data, ttl, topic})
+     * @returns {Promise} which resolves to status code or rejects with [0, error]
+     */
+    sendOne(sub, content) {
+        return new Promise((resolve, reject) => {
+            let url = new URL(sub.endpoint),
+                body = encrypt(JSON.stringify(content.data), sub.keys.p256dh, sub.keys.auth),
+                headers = {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Encoding': 'aes128gcm',
+                    'Content-Length': body.length,
+                    'TTL': content.ttl || DEFAULT_TTL,
+                    'Authorization': this.vapid(url.origin),
+                };
+            if (content.topic) {
+                headers.Topic = content.topic;
+            }
+
+            let req = (url.protocol === 'http:' ? http : https).request({
+                agent: url.protocol === 'http:' ? undefined : this.agent,
+                hostname: url.hostname,
+                port: url.port || undefined,
+                path: url.pathname + url.search,
+                method: 'POST',
+                headers,
+            }, res => {
+                res.resume();
+                res.on('end', () => resolve(res.statusCode));
+            });
+            req.on('error', error => reject([0, error]));
+            req.end(body);
+        });
+    }
+
+    /**
+     * Compile & send messages
+     *
+     * @param {Object[]} data pushes to send, no more than 500 per function call as enforced by stream writableHighWaterMark
+     * @param {integer} length number of bytes in data
+     * @returns {Promise} sending promise
+     */
+    send(data, length) {
+        let left = data,
+            max = this._options.connection && this._options.connection.retries || 3,
+            one = Math.floor(length / data.length),
+            sizes = {}; // {push id: bytes}, remainder of integer division goes to the last push
+
+        data.forEach((push, i) => {
+            sizes[push._id] = i === data.length - 1 ? length - one * i : one;
+        });
+
+        return this.with_retries(data, length, async(_pushes, _bytes, attempt) => {
+            let pushes = left,
+                content = this.template(pushes[0].m).compile(pushes[0]),
+                oks = [],
+                retry = [],
+                errors = {},
+                /**
+                 * Get an error for given code & message, create it if it doesn't exist yet
+                 *
+                 * @param {number} code error code
+                 * @param {string} message error message
+                 * @returns {SendError} error instance
+                 */
+                error = (code, message) => {
+                    let err = code + message;
+                    if (!(err in errors)) {
+                        errors[err] = new SendError(message, code);
+                    }
+                    return errors[err];
+                };
+
+            this.log.d('%d-th attempt for %d pushes', attempt, pushes.length);
+
+            await Promise.all(pushes.map(async push => {
+                let sub;
+                try {
+                    sub = JSON.parse(push.t);
+                }
+                catch (e) {
+                    this.log.d('Token %s is not a subscription', push.t);
+                    error(ERROR.DATA_TOKEN_INVALID, 'InvalidSubscription').addAffected(push._id, sizes[push._id]);
+                    return;
+                }
+
+                try {
+                    let code = await this.sendOne(sub, content);
+                    if (code >= 200 && code < 300) {
+                        oks.push(push._id);
+                    }
+                    else if (code === 404 || code === 410) {
+                        this.log.d('Subscription %s expired (%d)', sub.endpoint, code);
+                        error(ERROR.DATA_TOKEN_EXPIRED, 'ExpiredSubscription').addAffected(push._id, sizes[push._id]);
+                    }
+                    else if (code === 403) {
+                        // subscription was created with another VAPID public key
+                        this.log.d('Subscription %s is invalid (%d)', sub.endpoint, code);
+                        error(ERROR.DATA_TOKEN_INVALID, 'MismatchVapidKey').addAffected(push._id, sizes[push._id]);
+                    }
+                    else if (code === 401) {
+                        error(ERROR.WRONG_CREDENTIALS, 'Unauthorized').addAffected(push._id, sizes[push._id]);
+                    }
+                    else if (code === 413) {
+                        error(ERROR.DATA_COUNTLY, 'PayloadTooLarge').addAffected(push._id, sizes[push._id]);
+                    }
+                    else if (code === 429 || code >= 500) {
+                        retry.push([push, 'Web Push Unavailable: ' + code]);
+                    }
+                    else {
+                        error(ERROR.DATA_PROVIDER, 'BadResponse' + code).addAffected(push._id, sizes[push._id]);
+                    }
+                }
+                catch ([code, err]) {
+                    this.log.w('Web Push error %d / %j', code, err);
+                    retry.push([push, 'Web Push ' + (err && err.code || 'connection error')]);
+                }
+            }));
+
+            // on last attempt report the rest as errors instead of failing the connection: each endpoint is a separate push service host
+            if (retry.length && attempt >= max) {
+                retry.forEach(([push, message]) => error(ERROR.CONNECTION_PROVIDER, message).addAffected(push._id, sizes[push._id]));
+                retry = [];
+            }
+
+            for (let k in errors) {
+                this.send_push_error(errors[k]);
+            }
+            if (oks.length) {
+                this.send_results(oks, oks.reduce((sum, id) => sum + sizes[id], 0));
+            }
+
+            if (retry.length) {
+                left = retry.map(([push]) => push);
+                throw new ConnectionError(retry[0][1], ERROR.CONNECTION_PROVIDER);
+            }
+        });
+    }
+
+    /**
+     * VAPID credentials cannot be checked with a push service without a subscription, check that the key pair is valid instead
+     *
+     * @returns {Promise} resolving to a boolean of whether credentials are valid
+     */
+    connect() {
+        return Promise.resolve(!this.creds.validate());
+    }
+}
+
+/**
+ * Create new empty payload for the note object given
+ *
+ * @param {Message} msg Message object
+ * @returns {object} empty payload object
+ */
+function empty(msg) {
+    return {data: {'c.i': msg.id}};
+}
+
+/**
+ * Finish data object after setting all the properties
+ *
+ * @param {object} obj platform-specific object to finalize
+ * @return {object} resulting object
+ */
+function finish(obj) {
+    if (!obj.data.title && !obj.data.message) {
+        obj.data['c.s'] = 'true';
+    }
+    return obj;
+}
+
+/**
+ * Non-personalizable fields of Note which can be sent for Web
+ * !NOTE! order matters!
+ */
+const fields = [
+    'badge',
+    'expiration',
+    'collapseKey',
+    'url',
+    'media',
+];
+
+/**
+ * Mapping of Content properties to Web Push payload props
+ */
+const map = {
+    /**
+     * Sends badge
+     * @param {Template} t template
+     * @param {number} badge badge (0..N)
+     */
+    badge: function(t, badge) {
+        t.result.data.badge = badge;
+    },
+
+    /**
+     * Sends buttons (notification actions)
+     *
+     * @param {Template} t template
+     * @param {number} buttons buttons (1..2)
+     */
+    buttons: function(t, buttons) {
+        if (buttons) {
+            t.result.data['c.b'] = buttons.map(b => ({t: b.title, l: b.url}));
+        }
+    },
+
+    /**
+     * Set title string
+     *
+     * @param {Template} t template
+     * @param {String} title title string
+     */
+    title: function(t, title) {
+        t.result.data.title = title;
+    },
+
+    /**
+     * Set message string
+     *
+     * @param {Template} t template
+     * @param {String} message message string
+     */
+    message: function(t, message) {
+        t.result.data.message = message;
+    },
+
+    /**
+     * Send TTL header
+     *
+     * @param {Template} t template
+     * @param {number} expiration ms for a push to expire in push service queue
+     */
+    expiration: function(t, expiration) {
+        if (expiration) {
+            t.result.ttl = Math.floor(expiration / 1000);
+        }
+    },
+
+    /**
+     * Send Topic header which replaces pending notifications with the same topic, RFC 8030
+     *
+     * @param {Template} t template
+     * @param {string} ck collapseKey of the Content
+     */
+    collapseKey: function(t, ck) {
+        if (ck) {
+            t.result.topic = ck.replace(/[^A-Za-z0-9_-]/g, '').substr(0, 32);
+        }
+    },
+
+    /**
+     * Send notification-tap url
+     *
+     * @param {Template} t template
+     * @param {string} url on-tap url
+     */
+    url: function(t, url) {
+        t.result.data['c.l'] = url;
+    },
+
+    /**
+     * Send image along with the message
+     *
+     * @param {Template} t template
+     * @param {string} media attached media url
+     */
+    media: function(t, media) {
+        t.result.data['c.m'] = media;
+    },
+
+    /**
+     * Sends custom data along with the message
+     *
+     * @param {Template} t template
+     * @param {Object} data data to be sent
+     */
+    data: function(t, data) {
+        Object.assign(t.result.data, util.flattenObject(data));
+    },
+
+    /**
+     * Sends user props along with the message
+     *
+     * @param {Template} t template
+     * @param {[string]} extras extra user props to be sent
+     * @param {Object} data personalization
+     */
+    extras: function(t, extras, data) {
+        for (let i = 0; i < extras.length; i++) {
+            let k = extras[i];
+            if (data[k] !== null && data[k] !== undefined) {
+                t.result.data['c.e.' + k] = data[k];
+            }
+        }
+    },
+
+    /**
+     * Sends platform specific fields
+     *
+     * @param {Template} t template
+     * @param {object} specific platform specific props to be sent
+     */
+    specific: function(t, specific) {
+        if (specific) {
+            if (specific.icon) {
+                t.result.data['c.ic'] = specific.icon;
+            }
+        }
+    },
+};
+
+/**
+ * Token types for Web Push
+ */
+const FIELDS = {
+    '0': 'p', // prod
+};
+
+/**
+ * Token types for Web Push
+ */
+const FIELDS_TITLES = {
+    '0': 'Web Push Subscription',
+};
+
+/**
+ * Credential types for Web Push
+ */
+const CREDS = {
+    'vapid': class VAPIDCreds extends Creds {
+        /**
+         * Validation scheme of this class
+         *
+         * @returns {object} validateArgs scheme
+         */
+        static get scheme() {
+            return Object.assign(super.scheme, {
+                publicKey: { required: true, type: 'String', 'min-length': 86, 'max-length': 88},
+                privateKey: { required: true, type: 'String', 'min-length': 42, 'max-length': 44},
+                subject: { required: true, type: 'String', 'min-length': 8},
+                hash: { required: false, type: 'String' },
+            });
+        }
+
+        /**
+         * Check credentials for correctness, throw PushError otherwise
+         *
+         * @throws PushError in case the check fails
+         * @returns {undefined}
+         */
+        validate() {
+            let res = super.validate();
+            if (res) {
+                return res;
+            }
+            if (!/^(mailto:|https:\/\/)/.test(this._data.subject)) {
+                return ['VAPID subject must be a mailto: or https: URL'];
+            }
+            try {
+                let ecdh = crypto.createECDH('prime256v1');
+                ecdh.setPrivateKey(unb64(this._data.privateKey));
+                if (!ecdh.getPublicKey().equals(unb64(this._data.publicKey))) {
+                    return ['VAPID public key doesn\'t match private key'];
+                }
+            }
+            catch (e) {
+                return ['Invalid VAPID private key'];
+            }
+            this._data.hash = FORGE.md.sha256.create().update(this._data.privateKey).digest().toHex();
+        }
+
+        /**
+         * Private key object for signing VAPID JWTs
+         *
+         * @returns {KeyObject} private key
+         */
+        get privateKey() {
+            if (!this._privateKey) {
+                let pub = unb64(this._data.publicKey);
+                this._privateKey = crypto.createPrivateKey({
+                    format: 'jwk',
+                    key: {
+                        kty: 'EC',
+                        crv: 'P-256',
+                        d: b64(unb64(this._data.privateKey)),
+                        x: b64(pub.slice(1, 33)),
+                        y: b64(pub.slice(33, 65)),
+                    }
+                });
+            }
+            return this._privateKey;
+        }
+
+        /**
+         * "View" json, that is some truncated/simplified version of credentials that is "ok" to display.
+         * Public key is left as is since it's needed by Web SDK to subscribe (applicationServerKey).
+         *
+         * @returns {object} json without sensitive information
+         */
+        get view() {
+            return {
+                _id: this._id,
+                type: this._data.type,
+                publicKey: this._data.publicKey,
+                privateKey: `VAPID private key "${this._data.privateKey.substr(0, 5)} ... ${this._data.privateKey.substr(this._data.privateKey.length - 5)}"`,
+                subject: this._data.subject,
+                hash: this._data.hash,
+            };
+        }
+    },
+
+};
+
+module.exports = {
+    key,
+    title: 'Web',
+    extractor,
+    guess,
+    FIELDS,
+    FIELDS_TITLES,
+    CREDS,
+
+    empty,
+    finish,
+    fields,
+    map,
+    connection: WebPush,
+
+    subscription,
+    encrypt,
+};
@@ -1595,11 +1595,20 @@
                     emptyModel[PlatformEnum.HUAWEI] = null;
                     emptyModel.rate = '';
                     emptyModel.period = '';
+                    emptyModel.capsDay = '';
+                    emptyModel.capsWeek = '';
+                    emptyModel.quietStart = '';
+                    emptyModel.quietEnd = '';
                     return emptyModel;
                 }
+                var caps = dto.caps || {};
                 var model = {
                     rate: dto.rate && dto.rate.rate || '',
-                    period: dto.rate && dto.rate.period || ''
+                    period: dto.rate && dto.rate.period || '',
+                    capsDay: caps.day || '',
+                    capsWeek: caps.week || '',
+                    quietStart: caps.quiet ? caps.quiet.start : '',
+                    quietEnd: caps.quiet ? caps.quiet.end : ''
                 };
                 model[PlatformEnum.IOS] = this.mapIOSAppLevelConfig(dto);
                 model[PlatformEnum.ANDROID] = this.mapAndroidAppLevelConfig(dto);
@@ -2099,8 +2108,22 @@
                 dto[PlatformDtoEnum.IOS] = this.mapIOSAppLevelConfig(model);
                 dto[PlatformDtoEnum.ANDROID] = this.mapAndroidAppLevelConfig(model);
                 dto[PlatformDtoEnum.HUAWEI] = this.mapHuaweiAppLevelConfig(model);
+                dto.caps = this.mapCapsAppLevelConfig(model);
                 return dto;
             },
+            mapCapsAppLevelConfig: function(model) {
+                var result = {
+                    day: model.capsDay,
+                    week: model.capsWeek
+                };
+                if (model.quietStart !== '' && model.quietEnd !== '') {
+                    result.quiet = {
+                        start: model.quietStart,
+                        end: model.quietEnd
+                    };
+                }
+                return result;
+            },
             mapTestUsersEditedModelToDto: function(editedModel) {
                 var testUsersDto = {};
                 if (editedModel.userIds && editedModel.userIds.length) {
@@ -1991,8 +1991,13 @@
     //Push plugin application level configuration view
     var initialAppLevelConfig = {
         rate: "",
-        period: ""
+        period: "",
+        capsDay: "",
+        capsWeek: "",
+        quietStart: "",
+        quietEnd: ""
     };
+    var CAPS_PROPERTIES = ['capsDay', 'capsWeek', 'quietStart', 'quietEnd'];
     initialAppLevelConfig[countlyPushNotification.service.PlatformEnum.IOS] = {
         _id: "",
         keyId: "",
@@ -2034,7 +2039,7 @@
                 iosAuthConfigType: countlyPushNotification.service.IOSAuthConfigTypeEnum.P8,
                 iosAuthConfigTypeOptions: countlyPushNotification.service.iosAuthConfigTypeOptions,
                 viewModel: JSON.parse(JSON.stringify(initialAppLevelConfig)),
-                modelUnderEdit: Object.assign({}, { rate: "", period: ""}),
+                modelUnderEdit: Object.assign({}, { rate: "", period: "", capsDay: "", capsWeek: "", quietStart: "", quietEnd: ""}),
                 uploadedIOSKeyFilename: '',
                 isHuaweiConfigTouched: false,
                 isIOSConfigTouched: false,
@@ -2085,7 +2090,7 @@
             },
             resetConfig: function() {
                 this.setViewModel(initialAppLevelConfig);
-                this.setModel({rate: "", period: ""});
+                this.setModel({rate: "", period: "", capsDay: "", capsWeek: "", quietStart: "", quietEnd: ""});
                 this.$refs.keyFileUploader.clearFiles();
                 this.isHuaweiConfigTouched = false;
                 this.isIOSConfigTouched = false;
@@ -2148,6 +2153,9 @@
                     var appConfigPlatformDto = countlyPushNotification.mapper.outgoing.mapAppLevelConfigByPlatform(this.modelUnderEdit, platform);
                     this.$emit('change', 'push' + '.' + platformDto, appConfigPlatformDto);
                 }
+                else if (CAPS_PROPERTIES.indexOf(property) !== -1) {
+                    this.$emit('change', 'push' + '.' + 'caps', countlyPushNotification.mapper.outgoing.mapCapsAppLevelConfig(this.modelUnderEdit));
+                }
                 else {
                     this.$emit('change', 'push' + '.' + 'rate' + '.' + property, this.modelUnderEdit[property]);
                 }
@@ -2282,6 +2290,9 @@
                 });
                 this.viewModel.period = newModel.period;
                 this.viewModel.rate = newModel.rate;
+                CAPS_PROPERTIES.forEach(function(property) {
+                    self.viewModel[property] = newModel[property];
+                });
             },
             reconcilate: function() {
                 var appPluginConfigDto = countlyGlobal.apps[this.selectedAppId].plugins;
@@ -2837,5 +2848,6 @@
         app.configurationsView.registerLabel("push.proxypass", "push-notification.proxy-password");
         app.configurationsView.registerLabel("push.proxyport", "push-notification.proxy-port");
         app.configurationsView.registerLabel("push.proxyuser", "push-notification.proxy-user");
+        app.configurationsView.registerInput("push.locale_fallbacks", {input: "el-input", attrs: {type: "textarea", rows: 5, placeholder: "pt-BR: pt, en"}});
     }
 }());
\ No newline at end of file
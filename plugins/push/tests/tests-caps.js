@@ -0,0 +1,48 @@
+const should = require('should'),
+    caps = require('../api/send/caps');
+
+describe('PUSH FREQUENCY CAPS', () => {
+    const HOUR = 60 * 60000,
+        DAY = 24 * HOUR,
+        now = Date.UTC(2022, 0, 10, 9, 15); // 09:15 UTC
+
+    it('normalizes caps configuration', () => {
+        should.deepEqual(caps.normalize({day: '3', week: 10, quiet: {start: '22', end: '8'}}), {day: 3, week: 10, quiet: {start: 22, end: 8}});
+        should.deepEqual(caps.normalize({day: 0, week: '', quiet: {start: 22, end: 24}}), undefined);
+        should.deepEqual(caps.normalize({day: 2, quiet: {start: 5, end: 5}}), {day: 2});
+        should.equal(caps.normalize(null), undefined);
+        should.equal(caps.normalize('x'), undefined);
+    });
+
+    it('handles quiet hours', () => {
+        let rules = {quiet: {start: 22, end: 8}},
+            day = {quiet: {start: 12, end: 14}};
+
+        // 09:15 UTC is 12:15 in GMT+3
+        should.equal(caps.isQuiet(rules, 0, now), false);
+        should.equal(caps.isQuiet(rules, -10 * HOUR, now), true); // 23:15 previous day
+        should.equal(caps.isQuiet(day, 3 * HOUR, now), true);
+        should.equal(caps.isQuiet(day, 0, now), false);
+        should.equal(caps.isQuiet({day: 1}, 0, now), false);
+
+        should.equal(caps.afterQuiet(rules, 0, now), now);
+        // 23:15 local -> 08:00 local of the next day = 18:00 UTC
+        should.equal(caps.afterQuiet(rules, -10 * HOUR, now), Date.UTC(2022, 0, 10, 18));
+        // 02:15 local -> 08:00 local of the same day = 15:00 UTC
+        should.equal(caps.afterQuiet(rules, -7 * HOUR, now), Date.UTC(2022, 0, 10, 15));
+        should.equal(caps.afterQuiet(day, 3 * HOUR, now), Date.UTC(2022, 0, 10, 11));
+    });
+
+    it('applies rolling day & week caps', () => {
+        let dates = caps.history({msgs: {a: [now - HOUR], b: [now - 2 * DAY, now - 3 * DAY], c: ['x']}});
+        should.deepEqual(dates.sort(), [now - 3 * DAY, now - 2 * DAY, now - HOUR].sort());
+
+        should.equal(caps.isCapped({day: 1}, dates, now), true);
+        should.equal(caps.isCapped({day: 2}, dates, now), false);
+        should.equal(caps.isCapped({week: 3}, dates, now), true);
+        should.equal(caps.isCapped({week: 4}, dates, now), false);
+        should.equal(caps.isCapped({day: 1}, dates, now + DAY), false);
+        should.equal(caps.isCapped({quiet: {start: 1, end: 2}}, dates, now), false);
+        should.equal(caps.isCapped({day: 1}, [], now), false);
+    });
+});
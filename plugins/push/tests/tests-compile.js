@@ -21,6 +21,104 @@ describe('PUSH COMPILE', () => {
             should.deepEqual(template.compile(p8), r8, 'extras case passes');
         }
     });
+
+    it('compiles templates through locale fallback chains', () => {
+        let msg = new Message(Object.assign({}, data.messages.m1, {
+                contents: data.messages.m1.contents.concat([
+                    {la: 'pt', message: 'message/pt'},
+                    {la: 'es-MX', message: 'message/es-mx'},
+                ]),
+                fallbacks: {'pt-BR': ['pt', 'en'], 'fr': ['en']}
+            })),
+            template = new Template(msg, PLATFORM.i),
+            push = (pr, h) => ({_id: h, a: msg.app, m: msg._id, u: 'u' + h, t: 't' + h, p: 'i', f: 'p', h, pr});
+
+        should.deepEqual(msg.localeChain({la: 'pt', lo: 'pt_BR'}), ['pt-br', 'pt', 'en']);
+        should.deepEqual(msg.localeChain({la: 'es', lo: 'es_AR'}), ['es-ar', 'es']);
+        should.deepEqual(msg.resultLocale({la: 'pt', lo: 'pt_BR'}, 'i'), {key: 'pt', fallback: true});
+        should.deepEqual(msg.resultLocale({la: 'pt', lo: 'pt'}, 'i'), {key: 'pt', fallback: false});
+        should.deepEqual(msg.resultLocale({la: 'es', lo: 'es_MX'}, 'i'), {key: 'es-mx', fallback: false});
+        should.deepEqual(msg.resultLocale({la: 'de', lo: 'de_DE'}, 'i'), {key: 'default', fallback: true});
+        should.deepEqual(msg.resultLocale({}, 'i'), {key: 'default', fallback: false});
+
+        should.equal(template.compile(push({la: 'pt', lo: 'pt_BR'}, 1)).aps.alert.body, 'message/pt', 'regional locale falls back to language');
+        should.equal(template.compile(push({la: 'fr', lo: 'fr_FR'}, 2)).aps.alert.body, 'message/en', 'language falls back through chain');
+        should.equal(template.compile(push({la: 'es', lo: 'es_MX'}, 3)).aps.alert.body, 'message/es-mx', 'regional contents are used');
+        should.equal(template.compile(push({la: 'de', lo: 'de_DE'}, 4)).aps.alert.body, 'message/default', 'default contents are used at the end of chain');
+        should.deepEqual(Message.parseFallbacks('pt-BR: pt, en\nfr > en\n\nbroken'), {'pt-br': ['pt', 'en'], 'fr': ['en']});
+    });
+
+    it('splits audience between A/B variants and compiles variant contents', () => {
+        let msg = new Message(Object.assign({}, data.messages.m1, {
+                variants: {
+                    test: 20,
+                    wait: 3600000,
+                    list: [{name: 'A', contents: [{message: 'message/a'}]}, {name: 'B', contents: [{message: 'message/b'}]}]
+                }
+            })),
+            template = new Template(msg, PLATFORM.i),
+            counts = [0, 0],
+            rest = 0;
+
+        for (let i = 0; i < 10000; i++) {
+            let variant = msg.variantFor('uid' + i);
+            should.deepEqual(variant, msg.variantFor('uid' + i), 'variant is picked deterministically');
+            if (variant.test) {
+                counts[variant.index]++;
+            }
+            else {
+                should.equal(variant.index, undefined, 'rest of the audience waits for the winner');
+                rest++;
+            }
+        }
+        should.ok(Math.abs(counts[0] + counts[1] - 2000) < 200, 'test group size is close to test percentage');
+        should.ok(Math.abs(counts[0] - counts[1]) < 200, 'test group is split evenly');
+        should.ok(rest > 7800);
+
+        should.equal(template.compile({_id: 1, h: 1, p: 'i', pr: {}, c: msg.variants.contents(0)}).aps.alert.body, 'message/a');
+        should.equal(template.compile({_id: 2, h: 2, p: 'i', pr: {}, c: msg.variants.contents(1)}).aps.alert.body, 'message/b');
+
+        msg.result.variant(0).sent = 100;
+        msg.result.variant(0).actioned = 5;
+        msg.result.variant(1).sent = 50;
+        msg.result.variant(1).actioned = 5;
+        should.equal(msg.variants.choose(msg.result), 1, 'variant with better action rate wins');
+        msg.variants.winner = 1;
+        should.deepEqual(msg.json.variants.winner, 1);
+        should.equal(msg.result.json.variants[1].actioned, 5);
+
+        for (let i = 0; i < 100; i++) {
+            let variant = msg.variantFor('uid' + i);
+            should.equal(variant.index, variant.test ? variant.index : 1, 'rest of the audience gets the winner');
+        }
+    });
+
+    it('compiles personalized contents of each A/B variant separately', () => {
+        let msg = new Message(Object.assign({}, data.messages.m1, {
+                variants: {
+                    test: 100,
+                    wait: 3600000,
+                    list: [
+                        {name: 'A', contents: [{message: 'Hi |, see A', messagePers: {'3': {f: 'you', c: true, k: 'name'}}, title: 'A for |', titlePers: {'6': {f: 'all', c: false, k: 'name'}}}]},
+                        {name: 'B', contents: [{message: 'Hey |, see B', messagePers: {'4': {f: 'you', c: true, k: 'name'}}, title: 'B for |', titlePers: {'6': {f: 'all', c: false, k: 'name'}}}]}
+                    ]
+                }
+            })),
+            template = new Template(msg, PLATFORM.i),
+            push = (h, pr, index) => ({_id: h, h, p: 'i', pr, c: msg.variants.contents(index)});
+
+        for (let i = 0; i < 10; i++) {
+            let a = template.compile(push(1, {name: 'john'}, 0)).aps.alert,
+                b = template.compile(push(2, {name: 'jane'}, 1)).aps.alert,
+                noname = template.compile(push(3, {}, 1)).aps.alert;
+            should.equal(a.body, 'Hi John, see A');
+            should.equal(a.title, 'A for john');
+            should.equal(b.body, 'Hey Jane, see B', 'second variant is not compiled from first variant cache');
+            should.equal(b.title, 'B for jane', 'second variant title is not compiled from first variant cache');
+            should.equal(noname.body, 'Hey you, see B');
+            should.equal(noname.title, 'B for all');
+        }
+    });
 });
 
 // describe('compilation bench', () => {
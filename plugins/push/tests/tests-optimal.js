@@ -0,0 +1,29 @@
+const should = require('should'),
+    optimal = require('../api/send/optimal');
+
+describe('PUSH SEND TIME OPTIMIZATION', () => {
+    const HOUR = 60 * 60000,
+        start = Date.UTC(2022, 0, 10, 9, 15); // 09:15 UTC
+
+    it('picks most active hour within delivery window', () => {
+        // user in GMT+3 is mostly active at 20:00 local = 17:00 UTC
+        should.equal(optimal.optimalTime({'20': 10, '10': 3}, 3 * HOUR, start, start + 24 * HOUR), Date.UTC(2022, 0, 10, 17));
+        // 20:00 local is out of 4-hour window, 10:00 local = 07:00 UTC of the next day is out too, so 09:15 - 13:15 is all zeroes
+        should.equal(optimal.optimalTime({'20': 10, '10': 3}, 3 * HOUR, start, start + 4 * HOUR), start);
+        // current hour is the best one - sending right away
+        should.equal(optimal.optimalTime({'12': 10}, 3 * HOUR, start, start + 24 * HOUR), start);
+        // no history
+        should.equal(optimal.optimalTime(undefined, 0, start, start + 24 * HOUR), start);
+        should.equal(optimal.optimalTime({'1': 1}, 0, start, start - HOUR), start);
+    });
+
+    it('gets user activity hours', () => {
+        should.equal(optimal.activityHour({qstring: {hour: '7'}}, {tz: 180}), 7);
+        should.equal(optimal.activityHour({qstring: {hour: 'x'}, time: {mstimestamp: start}}, {tz: 180}), 12);
+        should.equal(optimal.activityHour({qstring: {}, time: {mstimestamp: start}}, {}), undefined);
+
+        should.deepEqual(optimal.userHours({ls: start / 1000}, {hrs: {'3': 1}}, 0), {'3': 1});
+        should.deepEqual(optimal.userHours({ls: start / 1000}, {}, 3 * HOUR), {'12': 1});
+        should.equal(optimal.userHours({}, {}, 0), undefined);
+    });
+});
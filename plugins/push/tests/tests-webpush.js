@@ -0,0 +1,132 @@
+const should = require('should'),
+    crypto = require('crypto'),
+    http = require('http'),
+    { Message, Template, PLATFORM, ERROR } = require('../api/send'),
+    { FRAME } = require('../api/send/proto'),
+    W = require('../api/send/platforms/w');
+
+const b64 = buf => buf.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_'),
+    unb64 = str => Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+/**
+ * Decrypt aes128gcm body the way a browser does it, RFC 8291
+ *
+ * @param {Buffer} body request body
+ * @param {ECDH} ua user agent key pair
+ * @param {Buffer} auth user agent auth secret
+ * @returns {string} decrypted payload
+ */
+function decrypt(body, ua, auth) {
+    let salt = body.slice(0, 16),
+        idlen = body.readUInt8(20),
+        asPublic = body.slice(21, 21 + idlen),
+        hmac = (k, data) => crypto.createHmac('sha256', k).update(data).digest(),
+        prkKey = hmac(auth, ua.computeSecret(asPublic)),
+        ikm = hmac(prkKey, Buffer.concat([Buffer.from('WebPush: info\0'), ua.getPublicKey(), asPublic, Buffer.from([1])])),
+        prk = hmac(salt, ikm),
+        decipher = crypto.createDecipheriv('aes-128-gcm', hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).slice(0, 16), hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).slice(0, 12)),
+        data = body.slice(21 + idlen);
+    decipher.setAuthTag(data.slice(data.length - 16));
+    let plain = Buffer.concat([decipher.update(data.slice(0, data.length - 16)), decipher.final()]);
+    return plain.slice(0, plain.lastIndexOf(2)).toString();
+}
+
+describe('PUSH WEB PUSH', () => {
+    let server = crypto.createECDH('prime256v1'),
+        ua = crypto.createECDH('prime256v1'),
+        auth = crypto.randomBytes(16);
+    server.generateKeys();
+    ua.generateKeys();
+
+    let creds = new W.CREDS.vapid({type: 'vapid', publicKey: b64(server.getPublicKey()), privateKey: b64(server.getPrivateKey()), subject: 'mailto:push@example.com'}),
+        sub = endpoint => W.subscription({endpoint, keys: {p256dh: b64(ua.getPublicKey()), auth: b64(auth)}}, false);
+
+    it('encrypts payload as per RFC 8291', () => {
+        // RFC 8291 Appendix A example
+        let as = crypto.createECDH('prime256v1');
+        as.setPrivateKey(unb64('yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw'));
+        should.equal(b64(W.encrypt('When I grow up, I want to be a watermelon', 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4', 'BTBZMqHH6r4Tts7J_aSIgg', unb64('DGv6ra1nlYgDCS1FRnbzlw'), as)),
+            'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN');
+
+        should.equal(decrypt(W.encrypt('{"a":1}', b64(ua.getPublicKey()), b64(auth)), ua, auth), '{"a":1}');
+    });
+
+    it('extracts subscriptions & validates credentials', () => {
+        let json = {endpoint: 'https://push.example.com/sub/1', keys: {p256dh: b64(ua.getPublicKey()), auth: b64(auth)}, expirationTime: null};
+
+        should.deepEqual(W.extractor({web_token: JSON.stringify(json)}), ['w', 'p', JSON.stringify({endpoint: json.endpoint, keys: json.keys})]);
+        should.deepEqual(W.extractor({web_token: json}), ['w', 'p', JSON.stringify({endpoint: json.endpoint, keys: json.keys})]);
+        should.deepEqual(W.extractor({web_token: 'BLACKLISTED'}), ['w', 'p', '']);
+        should.deepEqual(W.extractor({web_token: '{"endpoint": "http://push.example.com"}'}), ['w', 'p', '']);
+        should.equal(W.extractor({android_token: 'x'}), undefined);
+        should.equal(W.subscription(Object.assign({}, json, {endpoint: 'http://localhost/x'})), undefined);
+        should.equal(W.subscription({endpoint: json.endpoint, keys: {p256dh: 'x', auth: json.keys.auth}}), undefined);
+
+        should.equal(W.guess('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/100.0 Safari/537.36'), 'w');
+        should.equal(W.guess('Mozilla/5.0 (Linux; Android 12) AppleWebKit/537.36 Chrome/100.0 Mobile Safari/537.36'), false);
+
+        should.equal(creds.validate(), undefined);
+        should.ok(creds.hash);
+        should.equal(creds.view.publicKey, b64(server.getPublicKey()));
+        should.equal(creds.view.privateKey.indexOf(b64(server.getPrivateKey())), -1);
+
+        let other = crypto.createECDH('prime256v1');
+        other.generateKeys();
+        should.ok(new W.CREDS.vapid({type: 'vapid', publicKey: b64(other.getPublicKey()), privateKey: b64(server.getPrivateKey()), subject: 'mailto:push@example.com'}).validate());
+        should.ok(new W.CREDS.vapid({type: 'vapid', publicKey: b64(server.getPublicKey()), privateKey: b64(server.getPrivateKey()), subject: 'push@example.com'}).validate());
+    });
+
+    it('sends to push service mock', async() => {
+        let received = [],
+            mock = http.createServer((req, res) => {
+                let body = [];
+                req.on('data', d => body.push(d));
+                req.on('end', () => {
+                    received.push({url: req.url, headers: req.headers, body: Buffer.concat(body)});
+                    res.statusCode = {'/ok': 201, '/gone': 410, '/big': 413, '/mismatch': 403}[req.url] || 500;
+                    res.end();
+                });
+            });
+        await new Promise(res => mock.listen(0, '127.0.0.1', res));
+
+        let url = `http://127.0.0.1:${mock.address().port}`,
+            msg = Message.test(),
+            pushes = ['/ok', '/gone', '/big', '/mismatch', '/down'].map((path, i) => ({_id: 'p' + i, m: msg.id, p: 'w', f: 'p', pr: {}, t: sub(url + path)}));
+        msg.contents[0].title = 'title';
+        msg.contents[0].collapseKey = 'news';
+        msg.contents[0].expiration = 3600000;
+
+        should.deepEqual(new Template(msg, PLATFORM.w).compile(pushes[0]), {data: {'c.i': msg.id, title: 'title', message: 'test'}, ttl: 3600, topic: 'news'});
+
+        let connection = new W.connection('push:test', 'wp', creds, [msg], {pool: {pushes: 10}, connection: {retries: 2}}),
+            frames = [];
+        connection.on('data', dt => frames.push(dt));
+        await new Promise((res, rej) => connection.write({frame: FRAME.SEND, payload: pushes, length: 103}, err => err ? rej(err) : res()));
+        connection.destroy();
+        mock.close();
+
+        // /down is retried once
+        should.equal(received.length, 6);
+        let ok = received.filter(r => r.url === '/ok')[0];
+        should.equal(ok.headers['content-encoding'], 'aes128gcm');
+        should.equal(ok.headers.ttl, '3600');
+        should.equal(ok.headers.topic, 'news');
+        should.deepEqual(JSON.parse(decrypt(ok.body, ua, auth)), {'c.i': msg.id, title: 'title', message: 'test'});
+
+        // VAPID JWT is signed with server private key for push service origin
+        let [, t, k] = ok.headers.authorization.match(/^vapid t=([^,]+), k=(.+)$/),
+            [header, payload, signature] = t.split('.');
+        should.equal(k, creds._data.publicKey);
+        should.equal(JSON.parse(unb64(payload)).aud, url);
+        should.ok(crypto.verify('sha256', Buffer.from(header + '.' + payload), {key: crypto.createPublicKey(creds.privateKey), dsaEncoding: 'ieee-p1363'}, unb64(signature)));
+
+        let results = frames.filter(f => Array.isArray(f.p)),
+            errors = frames.filter(f => !Array.isArray(f.p)).map(f => f.p);
+        should.deepEqual(results.map(r => r.p).flat(), ['p0']);
+        should.deepEqual(errors.filter(e => e.type === ERROR.DATA_TOKEN_EXPIRED)[0].affected, ['p1']);
+        should.deepEqual(errors.filter(e => e.type === ERROR.DATA_COUNTLY)[0].affected, ['p2']);
+        should.deepEqual(errors.filter(e => e.type === ERROR.DATA_TOKEN_INVALID)[0].affected, ['p3']);
+        should.deepEqual(errors.filter(e => e.type === ERROR.CONNECTION_PROVIDER)[0].affected, ['p4']);
+        should.equal(frames.map(f => f.l).reduce((a, b) => a + b, 0), 103);
+    });
+});
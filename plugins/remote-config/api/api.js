@@ -3,6 +3,9 @@ var pluginOb = {},
     common = require('../../../api/utils/common.js'),
     log = common.log('remote-config:api'),
     remoteConfig = require('./parts/rc'),
+    versions = require('./parts/versions'),
+    rollouts = require('./parts/rollouts'),
+    experiments = require('./parts/experiments'),
     async = require('async'),
     {validateRead, validateCreate, validateUpdate, validateDelete} = require('../../../api/utils/rights.js');
 
@@ -18,6 +21,13 @@ plugins.setConfigs("remote-config", {
         ob.features.push(FEATURE_NAME);
     });
 
+    plugins.register("/master", function() {
+        setTimeout(function() {
+            require('../../../api/parts/jobs').job('remote-config:rollout').replace().schedule("every 1 hour");
+            require('../../../api/parts/jobs').job('remote-config:experiments').replace().schedule("every 1 hour");
+        }, 10000);
+    });
+
     plugins.register("/o/sdk", function(ob) {
         var params = ob.params;
         if (params.qstring.method !== "rc") {
@@ -125,25 +135,48 @@ plugins.setConfigs("remote-config", {
         return getRemoteConfig(params);
     });
 
+    /**
+     * Wrap function changing remote config to record baseline version of the app before its first change
+     * @param  {Function} handler - function changing remote config, called with params
+     * @returns {Function} wrapped function
+     */
+    function withBaseline(handler) {
+        return function(params) {
+            versions.baseline(params).catch(function(e) {
+                log.e("Error while recording remote config baseline for app %s", params.qstring.app_id, e);
+            }).then(function() {
+                handler(params);
+            });
+        };
+    }
+
     plugins.register("/i/remote-config", function(ob) {
         var params = ob.params,
             paths = ob.paths;
 
 
         switch (paths[3]) {
-        case 'add-parameter': validateCreate(params, FEATURE_NAME, addParameter);
+        case 'add-parameter': validateCreate(params, FEATURE_NAME, withBaseline(addParameter));
+            break;
+        case 'update-parameter': validateUpdate(params, FEATURE_NAME, withBaseline(updateParameter));
+            break;
+        case 'remove-parameter': validateDelete(params, FEATURE_NAME, withBaseline(removeParameter));
+            break;
+        case 'add-condition': validateUpdate(params, FEATURE_NAME, withBaseline(addCondition));
             break;
-        case 'update-parameter': validateUpdate(params, FEATURE_NAME, updateParameter);
+        case 'update-condition': validateUpdate(params, FEATURE_NAME, withBaseline(updateCondition));
             break;
-        case 'remove-parameter': validateDelete(params, FEATURE_NAME, removeParameter);
+        case 'remove-condition': validateDelete(params, FEATURE_NAME, withBaseline(removeCondition));
             break;
-        case 'add-condition': validateUpdate(params, FEATURE_NAME, addCondition);
+        case 'add-complete-config': validateCreate(params, FEATURE_NAME, withBaseline(addCompleteConfig));
             break;
-        case 'update-condition': validateUpdate(params, FEATURE_NAME, updateCondition);
+        case 'rollback': validateUpdate(params, FEATURE_NAME, rollbackConfig);
             break;
-        case 'remove-condition': validateDelete(params, FEATURE_NAME, removeCondition);
+        case 'pin-version': validateUpdate(params, FEATURE_NAME, pinVersion);
             break;
-        case 'add-complete-config': validateCreate(params, FEATURE_NAME, addCompleteConfig);
+        case 'rollout': validateUpdate(params, FEATURE_NAME, withBaseline(startRollout));
+            break;
+        case 'rollout-action': validateUpdate(params, FEATURE_NAME, withBaseline(rolloutAction));
             break;
         default: common.returnMessage(params, 404, 'Invalid endpoint');
             break;
@@ -242,6 +275,228 @@ plugins.setConfigs("remote-config", {
         }
     });
 
+    /**
+     * @api {get} /o?method=remote-config-history Get remote config history
+     * @apiName GetRemoteConfigHistory
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Get versions of remote config, newest first, with author, action and diff of each change, and devices pinned to versions. First version is the baseline (action rc_baseline, no author) with config as it was before the first change. Pass version to get full snapshot of that version.
+     *
+     * @apiQuery {String} app_id Application ID
+     * @apiQuery {Number} [version] Version number to return with snapshot of parameters and conditions
+     * @apiQuery {Number} [limit] Max number of versions to return, 100 by default
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * {
+            "versions": [
+                {
+                "_id": 2,
+                "ts": 1666180000000,
+                "author": {"_id": "5c3b064763c6920705d94e9b", "name": "John Doe"},
+                "action": "rc_parameter_edited",
+                "diff": {
+                    "parameters": {
+                        "added": [],
+                        "removed": [],
+                        "changed": [{"_id": "5c3b064763c6920705d94e9b", "key": "button_color", "fields": {"default_value": {"before": "#000", "after": "#FFF"}}}]
+                    },
+                    "conditions": {"added": [], "removed": [], "changed": []}
+                }
+                }
+            ],
+            "pins": [
+                {"_id": "qa-device-1", "v": 1, "ts": 1666180000000}
+            ]
+        }
+     */
+    plugins.register("/o", function(ob) {
+        var params = ob.params;
+
+        if (params.qstring.method === "remote-config-history") {
+            validateRead(params, FEATURE_NAME, function() {
+                var appId = params.qstring.app_id;
+
+                if (params.qstring.version) {
+                    versions.get(appId, parseInt(params.qstring.version, 10)).then(function(version) {
+                        if (!version) {
+                            return common.returnMessage(params, 404, 'Version not found');
+                        }
+                        common.returnOutput(params, version);
+                    }, function() {
+                        common.returnMessage(params, 500, 'Error while fetching remote config history.');
+                    });
+                    return;
+                }
+
+                Promise.all([
+                    versions.list(appId, parseInt(params.qstring.limit, 10) || 100),
+                    versions.pins(appId)
+                ]).then(function(result) {
+                    common.returnOutput(params, {versions: result[0], pins: result[1]});
+                }, function() {
+                    common.returnMessage(params, 500, 'Error while fetching remote config history.');
+                });
+            });
+
+            return true;
+        }
+    });
+
+    /**
+     * @api {get} /i/experiments/create Create A/B experiment
+     * @apiName CreateExperiment
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Create A/B experiment in draft status. Variants map remote config parameter keys to values, first variant is control.
+     * Once experiment is started, users are enrolled with /o/sdk?method=ab and get values of their variant from remote config.
+     * Goal is converted when enrolled user sends goal event or starts a new session after enrollment.
+     *
+     * @apiQuery {String} app_id Application id
+     * @apiQuery {Object} experiment JSON experiment definition: name, description, variants array of {name, values}, optional weights array of traffic split per variant (equal by default),
+     * traffic percentage of users to enroll (100 by default), goals array of {type: "event", event: event key} or {type: "session"}, confidence level in percents (95 by default)
+     *
+     * @apiParamExample {json} experiment:
+     * {
+     *   "name": "Checkout button",
+     *   "variants": [{"name": "Control", "values": {"button_color": "#000"}}, {"name": "Red", "values": {"button_color": "#f00"}}],
+     *   "traffic": 50,
+     *   "goals": [{"type": "event", "event": "purchase"}, {"type": "session"}]
+     * }
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * "62c5a1e7f1a7e3c2d0b8f9a1"
+     */
+    /**
+     * @api {get} /i/experiments/update Update A/B experiment
+     * @apiName UpdateExperiment
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Update experiment definition. Only name and description can be changed once experiment has been started.
+     *
+     * @apiQuery {String} app_id Application id
+     * @apiQuery {String} experiment_id Experiment id
+     * @apiQuery {Object} experiment JSON experiment definition, same as for create
+     */
+    /**
+     * @api {get} /i/experiments/start Start A/B experiment
+     * @apiName StartExperiment
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Start draft experiment. Parameters of the experiment cannot be used by other running experiments.
+     *
+     * @apiQuery {String} app_id Application id
+     * @apiQuery {String} experiment_id Experiment id
+     */
+    /**
+     * @api {get} /i/experiments/stop Stop A/B experiment
+     * @apiName StopExperiment
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Stop running experiment and calculate its final results. Users get regular remote config values after that.
+     *
+     * @apiQuery {String} app_id Application id
+     * @apiQuery {String} experiment_id Experiment id
+     */
+    /**
+     * @api {get} /i/experiments/delete Delete A/B experiment
+     * @apiName DeleteExperiment
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Delete experiment with its variant assignment log
+     *
+     * @apiQuery {String} app_id Application id
+     * @apiQuery {String} experiment_id Experiment id
+     */
+    plugins.register("/i/experiments", function(ob) {
+        var params = ob.params,
+            paths = ob.paths;
+
+        switch (paths[3]) {
+        case 'create': validateCreate(params, FEATURE_NAME, createExperiment);
+            break;
+        case 'update': validateUpdate(params, FEATURE_NAME, updateExperiment);
+            break;
+        case 'start': validateUpdate(params, FEATURE_NAME, startExperiment);
+            break;
+        case 'stop': validateUpdate(params, FEATURE_NAME, stopExperiment);
+            break;
+        case 'delete': validateDelete(params, FEATURE_NAME, deleteExperiment);
+            break;
+        default: common.returnMessage(params, 404, 'Invalid endpoint');
+            break;
+        }
+        return true;
+    });
+
+    /**
+     * @api {get} /o/experiments Get A/B experiments
+     * @apiName GetExperiments
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Get experiments of the app or a single experiment with results. Results are calculated hourly while experiment is running:
+     * users and goal conversions per variant, and for each non-control variant absolute and relative uplift of conversion rate with confidence intervals,
+     * two-sided p-value of two proportion z-test, Bayesian probability to beat control, and sample ratio mismatch (chi-square test of users split against weights, mismatch if p < 0.001).
+     * Pass assignments=true to get variant assignment log of the experiment.
+     *
+     * @apiQuery {String} app_id Application id
+     * @apiQuery {String} [experiment_id] Experiment id
+     * @apiQuery {Boolean} [assignments] Return variant assignment log of the experiment, newest first
+     * @apiQuery {Number} [skip] Assignments to skip
+     * @apiQuery {Number} [limit] Max number of assignments to return, 100 by default
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * {
+     *   "_id": "62c5a1e7f1a7e3c2d0b8f9a1",
+     *   "name": "Checkout button",
+     *   "status": "running",
+     *   "variants": [{"name": "Control", "values": {"button_color": "#000"}}, {"name": "Red", "values": {"button_color": "#f00"}}],
+     *   "weights": [1, 1],
+     *   "traffic": 50,
+     *   "confidence": 95,
+     *   "goals": [{"type": "event", "event": "purchase"}],
+     *   "results": {
+     *     "ts": 1666180000000,
+     *     "users": 2000,
+     *     "srm": {"chi2": 0.2, "p_value": 0.65, "mismatch": false},
+     *     "variants": [
+     *       {"name": "Control", "users": 1010, "goals": [{"conversions": 101, "rate": 0.1}]},
+     *       {"name": "Red", "users": 990, "goals": [{"conversions": 129, "rate": 0.1303, "diff": 0.0303, "uplift": 0.303, "ci": [0.0021, 0.0585], "uplift_ci": [0.021, 0.585],
+     *         "p_value": 0.035, "significant": true, "probability_to_beat_control": 0.982}]}
+     *     ]
+     *   }
+     * }
+     */
+    plugins.register("/o/experiments", function(ob) {
+        var params = ob.params;
+
+        validateRead(params, FEATURE_NAME, function() {
+            var appId = params.qstring.app_id;
+
+            if (!params.qstring.experiment_id) {
+                common.outDb.collection(experiments.collection(appId)).find({}).sort({created: -1}).toArray(function(err, list) {
+                    if (err) {
+                        return common.returnMessage(params, 500, 'Error while fetching experiments.');
+                    }
+                    common.returnOutput(params, list);
+                });
+                return;
+            }
+
+            findExperiment(params, function(experiment) {
+                if (params.qstring.assignments !== "true" && params.qstring.assignments !== true) {
+                    return common.returnOutput(params, experiment);
+                }
+                common.outDb.collection(experiments.usersCollection(appId)).find({e: experiment._id + ""}).sort({ts: -1}).skip(parseInt(params.qstring.skip, 10) || 0).limit(parseInt(params.qstring.limit, 10) || 100).toArray(function(err, list) {
+                    if (err) {
+                        return common.returnMessage(params, 500, 'Error while fetching experiment assignments.');
+                    }
+                    common.returnOutput(params, list);
+                });
+            });
+        });
+        return true;
+    });
+
     plugins.register("/log", function(ob) {
         var params = ob.params;
         var insertData = ob.insertData;
@@ -273,16 +528,50 @@ plugins.setConfigs("remote-config", {
         }
     });
 
+    plugins.register("/i", function(ob) {
+        var params = ob.params;
+        if (!params.app_user || !params.app_user.rcx) {
+            return false;
+        }
+        experiments.track(params).catch(function(err) {
+            log.e("Error while tracking experiment goals", err);
+        });
+    });
+
+    plugins.register("/i/app_users/delete", async function(ob) {
+        var appId = ob.app_id;
+        var uids = ob.uids;
+        if (uids && uids.length) {
+            // By using await and no callback, error in db operation will be thrown
+            // This error will then be caught by app users api dispatch so that it can cancel app user deletion
+            await common.outDb.collection(experiments.usersCollection(appId)).deleteMany({uid: {$in: uids}});
+        }
+    });
+
+    plugins.register("/remote-config/experiments/invalidate", function(ob) {
+        experiments.invalidate(ob.app_id + "", true);
+    });
+
     plugins.register("/i/apps/delete", function(ob) {
         var appId = ob.appId;
         common.outDb.collection('remoteconfig_parameters' + appId).drop(function() {});
         common.outDb.collection('remoteconfig_conditions' + appId).drop(function() {});
+        common.outDb.collection(versions.collection(appId)).drop(function() {});
+        common.outDb.collection(versions.pinsCollection(appId)).drop(function() {});
+        common.outDb.collection(experiments.collection(appId)).drop(function() {});
+        common.outDb.collection(experiments.usersCollection(appId)).drop(function() {});
+        experiments.invalidate(appId + "");
     });
 
     plugins.register("/i/apps/reset", function(ob) {
         var appId = ob.appId;
         common.outDb.collection('remoteconfig_parameters' + appId).drop(function() {});
         common.outDb.collection('remoteconfig_conditions' + appId).drop(function() {});
+        common.outDb.collection(versions.collection(appId)).drop(function() {});
+        common.outDb.collection(versions.pinsCollection(appId)).drop(function() {});
+        common.outDb.collection(experiments.collection(appId)).drop(function() {});
+        common.outDb.collection(experiments.usersCollection(appId)).drop(function() {});
+        experiments.invalidate(appId + "");
     });
 
     /**
@@ -361,10 +650,11 @@ plugins.setConfigs("remote-config", {
                 }
                 return common.returnMessage(params, 500, message);
             }
-            if (params.internal) {
-                return true;
-            }
-            return common.returnMessage(params, 200);
+            versions.recordSafe(params, "rc_parameter_created", function() {
+                if (!params.internal) {
+                    common.returnMessage(params, 200);
+                }
+            });
         });
     }
 
@@ -539,7 +829,9 @@ plugins.setConfigs("remote-config", {
                     }
 
                     plugins.dispatch("/systemlogs", {params: params, action: "rc_rollout", data: {parameters: parameters, condition: condition}});
-                    return common.returnMessage(params, 200);
+                    versions.recordSafe(params, "rc_rollout", function() {
+                        common.returnMessage(params, 200);
+                    });
                 });
             });
         });
@@ -624,8 +916,10 @@ plugins.setConfigs("remote-config", {
                 }
             }
 
+            var pinned = null;
+
             async.series([
-                fetchParametersFromRCDB.bind(null, params),
+                fetchParameters,
                 fetchParametersFromAB.bind(null, params)
             ], function(err, result) {
                 if (err || !result) {
@@ -670,7 +964,7 @@ plugins.setConfigs("remote-config", {
                         }
                     };
 
-                    async.series([fetchConditions.bind(null, params)], function(er, res) {
+                    async.series([pinned ? fetchPinnedConditions.bind(null, paramConditionIds) : fetchConditions.bind(null, params)], function(er, res) {
                         if (er || !res) {
                             output[parameter.parameter_key] = parameterValue;
                             log.w("Error while fetching condition", parameter);
@@ -701,23 +995,11 @@ plugins.setConfigs("remote-config", {
                             var conditionObj = conditionInfo[0];
                             conditionObj.value = paramConditions[i].value;
 
-                            try {
-                                conditionObj.condition = JSON.parse(conditionObj.condition);
-                                plugins.dispatch("/drill/preprocess_query", {
-                                    query: conditionObj.condition
-                                });
-                            }
-                            catch (e) {
-                                log.w("Skipping condition", conditionObj);
+                            var conditionStatus = matchCondition(params, user, conditionObj);
+                            if (conditionStatus === null) {
                                 continue;
                             }
 
-                            var seed = conditionObj.seed_value || "";
-                            var deviceId = params.qstring.device_id || "";
-                            user.random_percentile = remoteConfig.randomPercentile(seed, deviceId);
-
-                            var conditionStatus = remoteConfig.processFilter(params, user, conditionObj.condition);
-
                             if (conditionStatus) {
                                 parameterValue = conditionObj.value;
                                 conditionCount = true;
@@ -749,12 +1031,47 @@ plugins.setConfigs("remote-config", {
                         common.returnMessage(params, 400, 'Error while fetching remote config data.');
                         return reject(true);
                     }
-                    updateParametersInDb(params, parametersCountArray);
+                    if (!pinned) {
+                        updateParametersInDb(params, parametersCountArray);
+                    }
                     common.returnOutput(params, output, true);
                     return resolve(true);
                 });
             });
 
+            /**
+             * Fetch parameters of the version pinned to the device, or current parameters if device is not pinned
+             * @param  {Function} callback - callback function
+             */
+            function fetchParameters(callback) {
+                versions.pinned(params.qstring.app_id, params.qstring.device_id).then(function(version) {
+                    if (!version) {
+                        return fetchParametersFromRCDB(params, callback);
+                    }
+                    pinned = version;
+                    var now = Date.now();
+                    callback(null, JSON.parse(JSON.stringify(version.parameters || [])).filter(function(p) {
+                        return (!p.status || p.status === "Running")
+                            && (!p.expiry_dttm || p.expiry_dttm > now)
+                            && (!keys.length || keys.indexOf(p.parameter_key) !== -1)
+                            && (!omitKeys.length || omitKeys.indexOf(p.parameter_key) === -1);
+                    }));
+                }, callback);
+            }
+
+            /**
+             * Fetch conditions from the pinned version, copies are returned as conditions are parsed in place
+             * @param  {Array} ids - condition ids
+             * @param  {Function} callback - callback function
+             */
+            function fetchPinnedConditions(ids, callback) {
+                ids = ids.map(function(id) {
+                    return id.toString();
+                });
+                callback(null, JSON.parse(JSON.stringify(pinned.conditions || [])).filter(function(c) {
+                    return ids.indexOf(c._id.toString()) !== -1;
+                }));
+            }
         });
     }
 
@@ -823,7 +1140,9 @@ plugins.setConfigs("remote-config", {
                 return common.returnMessage(params, 500, message);
             }
 
-            return common.returnMessage(params, 200);
+            versions.recordSafe(params, "rc_parameter_edited", function() {
+                common.returnMessage(params, 200);
+            });
         });
     }
 
@@ -941,7 +1260,9 @@ plugins.setConfigs("remote-config", {
                 common.outDb.collection(collectionName).remove({_id: common.outDb.ObjectID(parameterId)}, function(removeErr) {
                     if (!removeErr) {
                         plugins.dispatch("/systemlogs", {params: params, action: "rc_parameter_removed", data: parameter});
-                        return common.returnMessage(params, 200, 'Success');
+                        return versions.recordSafe(params, "rc_parameter_removed", function() {
+                            common.returnMessage(params, 200, 'Success');
+                        });
                     }
 
                     return common.returnMessage(params, 500, "Failed to remove parameter");
@@ -955,11 +1276,30 @@ plugins.setConfigs("remote-config", {
      * @apiName AddRcCondition
      * @apiGroup Remote Config
      * @apiPermission user
-     * @apiDescription Add remote config condition
+     * @apiDescription Add remote config condition. Condition query supports $in, $nin, $eq, $ne, $gt, $gte, $lt, $lte, $regex and $not filters,
+     * $exists, $contains and $all for array properties, $semver for semantic version comparison, $ago for time since date properties,
+     * and nested $or / $and groups of queries.
+     * A property counts as set for every value except null, so falsy values like 0, "" or false are compared with filters as well:
+     * i.e. {"custom.level": {"$lt": 5}} matches users with level 0, though before $eq, $ne and $exists were added such users were treated as if they had no level.
+     * Users without the property only match $nin, $ne and {"$exists": false} filters.
      *
      * @apiQuery {String} app_id Application id
      * @apiQuery {Object} condition Condition information
      *
+     * @apiParamExample {json} condition:
+     * {
+     *   "condition_name": "Loyal beta users",
+     *   "condition_color": 1,
+     *   "condition": {
+     *     "up.av": {"$semver": {"$gte": "2.1.0"}},
+     *     "$or": [
+     *       {"up.fs": {"$ago": {"$gt": 7, "unit": "days"}}},
+     *       {"custom.tags": {"$contains": "beta"}, "custom.referrer": {"$exists": true}}
+     *     ]
+     *   },
+     *   "condition_definition": "App version >= 2.1.0 and (first seen more than 7 days ago or beta tester)",
+     *   "seed_value": ""
+     * }
      */
     /**
      * Function to add condition
@@ -1000,6 +1340,8 @@ plugins.setConfigs("remote-config", {
         if (typeof condition.condition !== typeof '') {
             condition.condition = JSON.stringify(condition.condition);
         }
+        // rollouts are managed with rollout endpoints only
+        delete condition.rollout;
 
         var asyncTasks = [
             checkIfConditionExists.bind(null, appId, conditionName, null),
@@ -1019,10 +1361,11 @@ plugins.setConfigs("remote-config", {
             }
 
             var conditionId = result && result[1] || null;
-            if (params.internal) {
-                return conditionId;
-            }
-            return common.returnOutput(params, conditionId);
+            versions.recordSafe(params, "rc_condition_created", function() {
+                if (!params.internal) {
+                    common.returnOutput(params, conditionId);
+                }
+            });
         });
 
         /**
@@ -1174,6 +1517,7 @@ plugins.setConfigs("remote-config", {
         }
 
         condition.condition = JSON.stringify(condition.condition);
+        delete condition.rollout;
 
         var asyncTasks = [
             checkIfConditionExists.bind(null, appId, conditionName, conditionId),
@@ -1189,7 +1533,9 @@ plugins.setConfigs("remote-config", {
                 return common.returnMessage(params, 500, message);
             }
 
-            return common.returnMessage(params, 200);
+            versions.recordSafe(params, "rc_condition_edited", function() {
+                common.returnMessage(params, 200);
+            });
         });
 
         /**
@@ -1232,7 +1578,9 @@ plugins.setConfigs("remote-config", {
 
         async.parallel(asyncTasks, function(err) {
             if (!err) {
-                return common.returnMessage(params, 200, 'Success');
+                return versions.recordSafe(params, "rc_condition_removed", function() {
+                    common.returnMessage(params, 200, 'Success');
+                });
             }
 
             return common.returnMessage(params, 500, "Failed to remove condition");
@@ -1269,6 +1617,693 @@ plugins.setConfigs("remote-config", {
         }
     }
 
+    /**
+     * @api {get} /i/remote-config/rollback Roll back to a version
+     * @apiName RollbackRcVersion
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Restore parameters and conditions of a previous version. Rollback doesn't remove history, it creates a new version with the same configuration as the restored one.
+     *
+     * @apiQuery {String} app_id Application id
+     * @apiQuery {Number} version Version number to restore
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * {
+     *   "_id": 12,
+     *   "ts": 1666180000000,
+     *   "author": {"_id": "5c3b064763c6920705d94e9b", "name": "John Doe"},
+     *   "action": "rc_rollback",
+     *   "rollback_of": 9,
+     *   "diff": {"parameters": {"added": [], "removed": [], "changed": []}, "conditions": {"added": [], "removed": [], "changed": []}}
+     * }
+     */
+    /**
+     * Function to roll back remote config to a version
+     * @param  {Object} params - params object
+     */
+    function rollbackConfig(params) {
+        var version = parseInt(params.qstring.version, 10);
+
+        if (!(version > 0)) {
+            common.returnMessage(params, 400, 'Invalid version');
+            return;
+        }
+
+        versions.rollback(params, version).then(function(result) {
+            if (!result) {
+                return common.returnMessage(params, 404, 'Version not found');
+            }
+            plugins.dispatch("/systemlogs", {params: params, action: "rc_rollback", data: {version: version, new_version: result._id}});
+            delete result.parameters;
+            delete result.conditions;
+            common.returnOutput(params, result);
+        }, function(err) {
+            log.e("Failed to roll back remote config of app %s to version %d", params.qstring.app_id, version, err);
+            common.returnMessage(params, 500, 'Failed to roll back');
+        });
+    }
+
+    /**
+     * @api {get} /i/remote-config/pin-version Pin a version to devices
+     * @apiName PinRcVersion
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Pin a version of remote config to devices, i.e. QA devices. Pinned devices receive configuration of that version from SDK API instead of the current one. Pass empty version to unpin.
+     *
+     * @apiQuery {String} app_id Application id
+     * @apiQuery {String} device_id Device id or JSON array of device ids
+     * @apiQuery {Number} [version] Version number, devices are unpinned if empty
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * {
+     *   "result": "Success"
+     * }
+     */
+    /**
+     * Function to pin a version to devices
+     * @param  {Object} params - params object
+     */
+    function pinVersion(params) {
+        var appId = params.qstring.app_id,
+            deviceIds = params.qstring.device_id,
+            version = params.qstring.version ? parseInt(params.qstring.version, 10) : undefined;
+
+        if (typeof deviceIds === "string") {
+            try {
+                deviceIds = JSON.parse(deviceIds);
+            }
+            catch (SyntaxError) {
+                deviceIds = [deviceIds];
+            }
+        }
+        if (!Array.isArray(deviceIds)) {
+            deviceIds = deviceIds !== undefined && deviceIds !== null ? [deviceIds] : [];
+        }
+        deviceIds = deviceIds.map(function(id) {
+            return id + "";
+        }).filter(function(id) {
+            return id.length;
+        });
+
+        if (!deviceIds.length) {
+            common.returnMessage(params, 400, 'Missing device_id');
+            return;
+        }
+        if (version !== undefined && !(version > 0)) {
+            common.returnMessage(params, 400, 'Invalid version');
+            return;
+        }
+
+        (version ? versions.get(appId, version) : Promise.resolve(true)).then(function(exists) {
+            if (!exists) {
+                return common.returnMessage(params, 404, 'Version not found');
+            }
+            return Promise.all(deviceIds.map(function(id) {
+                return versions.pin(appId, id, version);
+            })).then(function() {
+                plugins.dispatch("/systemlogs", {params: params, action: version ? "rc_version_pinned" : "rc_version_unpinned", data: {version: version, devices: deviceIds}});
+                common.returnMessage(params, 200, 'Success');
+            });
+        }).catch(function(err) {
+            log.e("Failed to pin remote config version of app %s", appId, err);
+            common.returnMessage(params, 500, 'Failed to pin version');
+        });
+    }
+
+    /**
+     * @api {get} /i/remote-config/rollout Start staged rollout of a condition
+     * @apiName StartRcRollout
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Start staged percentage rollout of a condition. Only users within current stage percentage (calculated with condition seed value) match the condition.
+     * Rollout advances to the next stage once stage duration is over. If guardrail is set, rollout is paused or rolled back (no users match the condition)
+     * when guardrail metric per session during the stage degrades by more than threshold percents compared to 7 days before the rollout start.
+     * Guardrail metric is either fatal crashes or count of an event. Rollout condition without filters applies to all users.
+     * Metric is measured for the whole app, not only for users in the rollout, so its change is divided by the stage percentage before comparing with threshold,
+     * i.e. at 5% stage 1% increase of app crash rate is treated as 20% increase for users in the rollout. Such estimate amplifies noise too, use higher min_sessions for small stages.
+     * Guardrail is not checked while the stage has fewer than min_sessions sessions, rollout still advances once the stage is over.
+     *
+     * @apiQuery {String} app_id Application id
+     * @apiQuery {String} condition_id Id of the condition
+     * @apiQuery {Object} rollout JSON rollout configuration: stages array of {percent, hours} with growing percents, hours are not needed for the last stage,
+     * and optional guardrail {metric: "crashes" or "event", event: event key, threshold: percents, direction: "increase" (default) or "decrease", min_sessions: 100 by default, action: "rollback" (default) or "pause"}
+     *
+     * @apiParamExample {json} rollout:
+     * {
+     *   "stages": [{"percent": 1, "hours": 24}, {"percent": 5, "hours": 48}, {"percent": 25, "hours": 48}, {"percent": 100}],
+     *   "guardrail": {"metric": "crashes", "threshold": 20, "action": "rollback"}
+     * }
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * {
+     *   "stages": [{"percent": 1, "hours": 24}, {"percent": 5, "hours": 48}, {"percent": 25, "hours": 48}, {"percent": 100}],
+     *   "stage": 0,
+     *   "stage_start": 1666180000000,
+     *   "started": 1666180000000,
+     *   "status": "running",
+     *   "guardrail": {"metric": "crashes", "threshold": 20, "min_sessions": 100, "direction": "increase", "action": "rollback"},
+     *   "baseline": 0.0012,
+     *   "history": [{"ts": 1666180000000, "action": "rc_rollout_started", "stage": 0, "percent": 1, "status": "running", "value": 0.0012}]
+     * }
+     */
+    /**
+     * Function to start staged rollout of a condition
+     * @param  {Object} params - params object
+     */
+    function startRollout(params) {
+        var appId = params.qstring.app_id,
+            config = params.qstring.rollout;
+
+        if (typeof config === "string") {
+            try {
+                config = JSON.parse(config);
+            }
+            catch (SyntaxError) {
+                config = null;
+            }
+        }
+
+        var rollout = rollouts.validate(config);
+        if (rollout.error) {
+            common.returnMessage(params, 400, rollout.error);
+            return;
+        }
+
+        findCondition(params, function(condition) {
+            if (condition.rollout && (condition.rollout.status === rollouts.STATUS.RUNNING || condition.rollout.status === rollouts.STATUS.PAUSED)) {
+                return common.returnMessage(params, 400, 'Rollout is already in progress');
+            }
+
+            rollouts.start(params, params.app, condition, rollout).then(function(result) {
+                if (!result) {
+                    return common.returnMessage(params, 409, 'Condition has been changed, please try again');
+                }
+                plugins.dispatch("/systemlogs", {params: params, action: "rc_rollout_started", data: {condition_id: condition._id, condition_name: condition.condition_name, rollout: result}});
+                common.returnOutput(params, result);
+            }, function(err) {
+                log.e("Failed to start rollout of condition %s in app %s", condition._id, appId, err);
+                common.returnMessage(params, 500, 'Failed to start rollout');
+            });
+        });
+    }
+
+    /**
+     * @api {get} /i/remote-config/rollout-action Change staged rollout of a condition
+     * @apiName RcRolloutAction
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Pause, resume, advance to the next stage or roll back staged rollout of a condition. Resuming rolled back rollout starts it from the first stage.
+     *
+     * @apiQuery {String} app_id Application id
+     * @apiQuery {String} condition_id Id of the condition
+     * @apiQuery {String} action One of pause, resume, advance, rollback
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * {
+     *   "stages": [{"percent": 1, "hours": 24}, {"percent": 5, "hours": 48}, {"percent": 25, "hours": 48}, {"percent": 100}],
+     *   "stage": 1,
+     *   "stage_start": 1666266400000,
+     *   "started": 1666180000000,
+     *   "status": "paused",
+     *   "history": [...]
+     * }
+     */
+    /**
+     * Function to change staged rollout of a condition
+     * @param  {Object} params - params object
+     */
+    function rolloutAction(params) {
+        var action = params.qstring.action;
+
+        if (["pause", "resume", "advance", "rollback"].indexOf(action) === -1) {
+            common.returnMessage(params, 400, 'Invalid parameter: action');
+            return;
+        }
+
+        findCondition(params, function(condition) {
+            if (!condition.rollout) {
+                return common.returnMessage(params, 400, 'Condition has no rollout');
+            }
+
+            rollouts.act(params, condition, action).then(function(result) {
+                if (result.error) {
+                    return common.returnMessage(params, 400, result.error);
+                }
+                if (result.conflict) {
+                    return common.returnMessage(params, 409, 'Condition has been changed, please try again');
+                }
+                plugins.dispatch("/systemlogs", {params: params, action: "rc_rollout_" + action, data: {condition_id: condition._id, condition_name: condition.condition_name, rollout: result.rollout}});
+                common.returnOutput(params, result.rollout);
+            }, function(err) {
+                log.e("Failed to %s rollout of condition %s in app %s", action, condition._id, params.qstring.app_id, err);
+                common.returnMessage(params, 500, 'Failed to change rollout');
+            });
+        });
+    }
+
+    /**
+     * Find condition by condition_id passed in params, responds with an error if there's no such condition
+     * @param  {Object} params - params object
+     * @param  {Function} callback - called with condition document if condition exists
+     */
+    function findCondition(params, callback) {
+        var conditionId;
+        try {
+            conditionId = common.outDb.ObjectID(params.qstring.condition_id);
+        }
+        catch (e) {
+            common.returnMessage(params, 400, 'Invalid parameter: condition_id');
+            return;
+        }
+
+        common.outDb.collection("remoteconfig_conditions" + params.qstring.app_id).findOne({_id: conditionId}, function(err, condition) {
+            if (err) {
+                return common.returnMessage(params, 500, 'Failed to fetch condition');
+            }
+            if (!condition) {
+                return common.returnMessage(params, 404, 'Condition not found');
+            }
+            callback(condition);
+        });
+    }
+
+    /**
+     * Parse and validate experiment definition passed in params, responds with an error if it's invalid
+     * @param  {Object} params - params object
+     * @returns {Object|undefined} validated experiment fields
+     */
+    function parseExperiment(params) {
+        var data = params.qstring.experiment;
+        if (typeof data === "string") {
+            try {
+                data = JSON.parse(data);
+            }
+            catch (SyntaxError) {
+                data = null;
+            }
+        }
+        var experiment = experiments.validate(data);
+        if (experiment.error) {
+            common.returnMessage(params, 400, experiment.error);
+            return;
+        }
+        return experiment;
+    }
+
+    /**
+     * Find experiment by experiment_id passed in params, responds with an error if there's no such experiment
+     * @param  {Object} params - params object
+     * @param  {Function} callback - called with experiment document if experiment exists
+     */
+    function findExperiment(params, callback) {
+        var experimentId;
+        try {
+            experimentId = common.outDb.ObjectID(params.qstring.experiment_id);
+        }
+        catch (e) {
+            common.returnMessage(params, 400, 'Invalid parameter: experiment_id');
+            return;
+        }
+
+        common.outDb.collection(experiments.collection(params.qstring.app_id)).findOne({_id: experimentId}, function(err, experiment) {
+            if (err) {
+                return common.returnMessage(params, 500, 'Failed to fetch experiment');
+            }
+            if (!experiment) {
+                return common.returnMessage(params, 404, 'Experiment not found');
+            }
+            callback(experiment);
+        });
+    }
+
+    /**
+     * Function to create experiment
+     * @param  {Object} params - params object
+     */
+    function createExperiment(params) {
+        var experiment = parseExperiment(params);
+        if (!experiment) {
+            return;
+        }
+
+        experiment.status = experiments.STATUS.DRAFT;
+        experiment.created = Date.now();
+        experiment.creator = params.member._id + "";
+
+        common.outDb.collection(experiments.collection(params.qstring.app_id)).insertOne(experiment, function(err, result) {
+            if (err) {
+                return common.returnMessage(params, 500, 'Failed to create experiment');
+            }
+            plugins.dispatch("/systemlogs", {params: params, action: "rc_experiment_created", data: experiment});
+            common.returnOutput(params, result.insertedId);
+        });
+    }
+
+    /**
+     * Function to update experiment
+     * @param  {Object} params - params object
+     */
+    function updateExperiment(params) {
+        var update = parseExperiment(params);
+        if (!update) {
+            return;
+        }
+
+        findExperiment(params, function(experiment) {
+            if (experiment.status !== experiments.STATUS.DRAFT) {
+                update = {name: update.name, description: update.description};
+            }
+            common.outDb.collection(experiments.collection(params.qstring.app_id)).updateOne({_id: experiment._id, status: experiment.status}, {$set: update}, function(err, result) {
+                if (err || !result.modifiedCount && !result.matchedCount) {
+                    return common.returnMessage(params, 500, 'Failed to update experiment');
+                }
+                plugins.dispatch("/systemlogs", {params: params, action: "rc_experiment_edited", data: {before: experiment, update: update}});
+                common.returnMessage(params, 200, 'Success');
+            });
+        });
+    }
+
+    /**
+     * Function to start experiment
+     * @param  {Object} params - params object
+     */
+    function startExperiment(params) {
+        var appId = params.qstring.app_id,
+            collection = common.outDb.collection(experiments.collection(appId));
+
+        findExperiment(params, function(experiment) {
+            if (experiment.status !== experiments.STATUS.DRAFT) {
+                return common.returnMessage(params, 400, 'Only draft experiments can be started');
+            }
+
+            collection.find({status: experiments.STATUS.RUNNING}).toArray(function(err, list) {
+                if (err) {
+                    return common.returnMessage(params, 500, 'Failed to start experiment');
+                }
+                var keys = experiments.keys(experiment),
+                    conflicts = list.filter(function(other) {
+                        return experiments.keys(other).some(function(key) {
+                            return keys.indexOf(key) !== -1;
+                        });
+                    });
+                if (conflicts.length) {
+                    return common.returnMessage(params, 400, 'Parameters are already used by running experiment ' + conflicts[0].name);
+                }
+
+                collection.updateOne({_id: experiment._id, status: experiments.STATUS.DRAFT}, {$set: {status: experiments.STATUS.RUNNING, started: Date.now()}}, function(updateErr, result) {
+                    if (updateErr || !result.modifiedCount) {
+                        return common.returnMessage(params, 500, 'Failed to start experiment');
+                    }
+                    experiments.invalidate(appId);
+                    plugins.dispatch("/systemlogs", {params: params, action: "rc_experiment_started", data: {_id: experiment._id, name: experiment.name}});
+                    common.returnMessage(params, 200, 'Success');
+                });
+            });
+        });
+    }
+
+    /**
+     * Function to stop experiment
+     * @param  {Object} params - params object
+     */
+    function stopExperiment(params) {
+        var appId = params.qstring.app_id;
+
+        findExperiment(params, function(experiment) {
+            if (experiment.status !== experiments.STATUS.RUNNING) {
+                return common.returnMessage(params, 400, 'Experiment is not running');
+            }
+
+            common.outDb.collection(experiments.collection(appId)).updateOne({_id: experiment._id, status: experiments.STATUS.RUNNING}, {$set: {status: experiments.STATUS.STOPPED, stopped: Date.now()}}, function(err, result) {
+                if (err || !result.modifiedCount) {
+                    return common.returnMessage(params, 500, 'Failed to stop experiment');
+                }
+                experiments.invalidate(appId);
+                plugins.dispatch("/systemlogs", {params: params, action: "rc_experiment_stopped", data: {_id: experiment._id, name: experiment.name}});
+                experiments.analyse(appId, experiment).then(function(results) {
+                    common.returnOutput(params, results);
+                }, function(analyseErr) {
+                    log.e("Error while analysing experiment %s of app %s", experiment._id, appId, analyseErr);
+                    common.returnMessage(params, 200, 'Success');
+                });
+            });
+        });
+    }
+
+    /**
+     * Function to delete experiment
+     * @param  {Object} params - params object
+     */
+    function deleteExperiment(params) {
+        var appId = params.qstring.app_id;
+
+        findExperiment(params, function(experiment) {
+            experiments.remove(appId, experiment).then(function() {
+                plugins.dispatch("/systemlogs", {params: params, action: "rc_experiment_removed", data: {_id: experiment._id, name: experiment.name}});
+                common.returnMessage(params, 200, 'Success');
+            }, function(err) {
+                log.e("Error while removing experiment %s of app %s", experiment._id, appId, err);
+                common.returnMessage(params, 500, 'Failed to delete experiment');
+            });
+        });
+    }
+
+    /**
+     * Check whether user matches a condition
+     * @param  {Object} params - params object
+     * @param  {Object} user - user properties, random_percentile is set for the condition seed
+     * @param  {Object} conditionObj - condition document, JSON condition query is parsed in place
+     * @param  {Array} reasons - optional array to collect reasons why condition didn't match
+     * @returns {Boolean|null} true if user matches the condition, null if condition query is invalid
+     */
+    function matchCondition(params, user, conditionObj, reasons) {
+        if (typeof conditionObj.condition === "string") {
+            try {
+                conditionObj.condition = JSON.parse(conditionObj.condition);
+                plugins.dispatch("/drill/preprocess_query", {
+                    query: conditionObj.condition
+                });
+            }
+            catch (e) {
+                log.w("Skipping condition", conditionObj);
+                return null;
+            }
+        }
+        if (!conditionObj.condition || typeof conditionObj.condition !== "object") {
+            log.w("Skipping condition", conditionObj);
+            return null;
+        }
+
+        var seed = conditionObj.seed_value || "";
+        var deviceId = params.qstring.device_id || "";
+        user.random_percentile = remoteConfig.randomPercentile(seed, deviceId);
+
+        // rollout condition without filters applies to all users within rollout percentage
+        var status = conditionObj.rollout && !Object.keys(conditionObj.condition).length ? true : remoteConfig.processFilter(params, user, conditionObj.condition, reasons);
+        if (status && !rollouts.includes(conditionObj.rollout, user.random_percentile)) {
+            status = false;
+            if (reasons) {
+                reasons.push({property: "rollout", reason: "User is outside of rollout percentage", value: user.random_percentile, filter: {$lt: rollouts.percent(conditionObj.rollout)}});
+            }
+        }
+        return status;
+    }
+
+    /**
+     * @api {get} /o/remote-config/evaluate Preview remote config of a device or user profile
+     * @apiName EvaluateRemoteConfig
+     * @apiGroup Remote Config
+     * @apiPermission user
+     * @apiDescription Evaluate remote config the same way as for SDK request, without changing any data. Returns value of each parameter with its source:
+     * default value, matched condition, experiment variant or ab-testing plugin, and for each condition of the parameter whether it matched and why it didn't.
+     * Conditions after the matched one are not evaluated. Device pinned to a version is evaluated with that version.
+     * Metrics sent by SDK with the request are not known, pass them in user object if needed.
+     * Values of ab-testing plugin are requested the same way as for SDK remote config request, users are not enrolled in new tests.
+     *
+     * @apiQuery {String} app_id Application id
+     * @apiQuery {String} [device_id] Device id, user properties, cohorts, experiment assignments and random percentiles are taken from this device
+     * @apiQuery {Object} [user] JSON object of user properties like app user document, i.e. {"av": "2:1:0", "p": "Android", "custom": {"tier": "gold"}, "chr": {"cohort_id": {"in": "true"}}},
+     * overrides properties of device_id user. At least one of device_id and user is required.
+     *
+     * @apiSuccessExample {json} Success-Response:
+     * {
+     *   "device_id": "abc-123",
+     *   "user_found": true,
+     *   "pinned_version": null,
+     *   "parameters": {
+     *     "button_color": {
+     *       "value": "#FFF",
+     *       "source": "condition",
+     *       "condition": {"_id": "5c3f8d50a9c3f071cecc8b87", "name": "android"},
+     *       "conditions": [
+     *         {"_id": "5c3f8d50a9c3f071cecc8b88", "name": "ios", "value": "#F00", "matched": false, "random_percentile": 42.1,
+     *          "reasons": [{"property": "up.p", "reason": "Value does not match the filter", "value": "Android", "filter": {"$in": ["iOS"]}}]},
+     *         {"_id": "5c3f8d50a9c3f071cecc8b87", "name": "android", "value": "#FFF", "matched": true, "random_percentile": 12.5, "reasons": []}
+     *       ]
+     *     },
+     *     "onboarding": {"value": "short", "source": "experiment", "experiment": {"_id": "62c5a1e7f1a7e3c2d0b8f9a1", "name": "Onboarding", "variant": "Short"}, "conditions": []},
+     *     "paywall": {"value": "v2", "source": "ab_testing", "conditions": []},
+     *     "old_flag": {"value": null, "source": "default", "served": false, "reason": "Parameter is expired", "conditions": []}
+     *   }
+     * }
+     */
+    plugins.register("/o/remote-config", function(ob) {
+        var params = ob.params,
+            paths = ob.paths;
+
+        if (paths[3] !== "evaluate") {
+            return false;
+        }
+        validateRead(params, FEATURE_NAME, evaluateConfig);
+        return true;
+    });
+
+    /**
+     * Function to evaluate remote config for a device or user profile
+     * @param  {Object} params - params object
+     */
+    function evaluateConfig(params) {
+        var appId = params.qstring.app_id + "",
+            deviceId = params.qstring.device_id ? params.qstring.device_id + "" : "",
+            profile = params.qstring.user;
+
+        if (typeof profile === "string") {
+            try {
+                profile = JSON.parse(profile);
+            }
+            catch (SyntaxError) {
+                profile = null;
+            }
+            if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+                common.returnMessage(params, 400, 'Invalid parameter: user');
+                return;
+            }
+        }
+        if (!deviceId && !profile) {
+            common.returnMessage(params, 400, 'Missing parameter: device_id or user');
+            return;
+        }
+        params.qstring.device_id = deviceId;
+
+        (async function() {
+            var appUser = deviceId ? await common.db.collection("app_users" + appId).findOne({did: deviceId}) : null,
+                user = Object.assign({}, appUser || {}, profile || {}),
+                pinned = deviceId ? await versions.pinned(appId, deviceId) : null,
+                parameters = pinned ? pinned.parameters || [] : await common.outDb.collection("remoteconfig_parameters" + appId).find({}).toArray(),
+                conditions = pinned ? pinned.conditions || [] : await common.outDb.collection("remoteconfig_conditions" + appId).find({}).toArray(),
+                assigned = await experiments.assigned(appId, user),
+                abParameters = await fetchABTestingParameters(params, user),
+                overrides = {},
+                output = {},
+                now = Date.now();
+
+            // experiment values override ab-testing plugin ones like in SDK response
+            abParameters.forEach(function(p) {
+                overrides[p.parameter_key] = {value: p.value, source: "ab_testing", conditions: []};
+            });
+
+            assigned.forEach(function(a) {
+                var values = a.experiment.variants[a.v].values;
+                for (var key in values) {
+                    overrides[key] = {
+                        value: values[key],
+                        source: "experiment",
+                        experiment: {_id: a.experiment._id, name: a.experiment.name, variant: a.experiment.variants[a.v].name},
+                        conditions: []
+                    };
+                }
+            });
+
+            parameters.forEach(function(parameter) {
+                var key = parameter.parameter_key,
+                    entry = {value: parameter.default_value, source: "default", condition: null, conditions: []};
+
+                output[key] = entry;
+                if (parameter.status && parameter.status !== "Running") {
+                    entry.served = false;
+                    entry.reason = "Parameter is stopped";
+                    return;
+                }
+                if (parameter.expiry_dttm && parameter.expiry_dttm <= now) {
+                    entry.served = false;
+                    entry.reason = "Parameter is expired";
+                    return;
+                }
+                if (overrides[key]) {
+                    output[key] = overrides[key];
+                    return;
+                }
+
+                var matched = false;
+                (parameter.conditions || []).forEach(function(paramCondition) {
+                    var conditionObj = conditions.filter(function(c) {
+                            return c._id.toString() === paramCondition.condition_id.toString();
+                        })[0],
+                        result = {_id: paramCondition.condition_id, name: null, value: paramCondition.value, matched: false, reasons: []};
+
+                    entry.conditions.push(result);
+                    if (!conditionObj) {
+                        result.reasons.push({reason: "Condition does not exist"});
+                        return;
+                    }
+                    result.name = conditionObj.condition_name;
+                    if (matched) {
+                        result.evaluated = false;
+                        result.reasons.push({reason: "Previous condition matched"});
+                        return;
+                    }
+
+                    var status = matchCondition(params, user, conditionObj, result.reasons);
+                    result.random_percentile = user.random_percentile;
+                    if (status === null) {
+                        result.reasons.push({reason: "Condition query is invalid"});
+                    }
+                    else if (status) {
+                        matched = true;
+                        result.matched = true;
+                        entry.value = paramCondition.value;
+                        entry.source = "condition";
+                        entry.condition = {_id: conditionObj._id, name: conditionObj.condition_name};
+                    }
+                });
+            });
+
+            for (var key in overrides) {
+                if (!output[key]) {
+                    output[key] = overrides[key];
+                }
+            }
+
+            return {
+                device_id: deviceId || null,
+                user_found: !!appUser,
+                uid: appUser ? appUser.uid : undefined,
+                pinned_version: pinned ? pinned._id : null,
+                parameters: output
+            };
+        })().then(function(result) {
+            common.returnOutput(params, result);
+        }, function(err) {
+            log.e("Error while evaluating remote config of app %s", appId, err);
+            common.returnMessage(params, 500, 'Error while evaluating remote config.');
+        });
+    }
+
+    /**
+     * Function to fetch parameters of ab-testing plugin for evaluation
+     * @param  {Object} params - params object
+     * @param  {Object} user - evaluated user
+     * @returns {Promise<Object[]>} array of {parameter_key, value}
+     */
+    function fetchABTestingParameters(params, user) {
+        var abParams = Object.assign({}, params, {app_user: user, ab_parameters: undefined});
+        return new Promise(function(resolve) {
+            plugins.dispatch("/ab/parameters", {params: abParams}, function() {
+                resolve(abParams.ab_parameters || []);
+            });
+        });
+    }
+
     /**
      * Function to fetch parameter from collection
      * @param  {Object} params - params object
@@ -1296,7 +2331,12 @@ plugins.setConfigs("remote-config", {
     function fetchParametersFromAB(params, callback) {
         plugins.dispatch("/ab/parameters", { params: params }, function() {
             var abParameters = params.ab_parameters || [];
-            return callback(null, abParameters);
+            experiments.parameters(params, params.qstring.method === "ab").then(function(experimentParameters) {
+                callback(null, abParameters.concat(experimentParameters));
+            }, function(err) {
+                log.e("Error while fetching experiment parameters", err);
+                callback(null, abParameters);
+            });
         });
     }
 
@@ -0,0 +1,25 @@
+'use strict';
+const job = require('../../../../api/parts/jobs/job.js'),
+    experiments = require('../parts/experiments.js'),
+    log = require('../../../../api/utils/log.js')('remote-config:experiments');
+
+/**
+ * @class
+ * @classdesc Class ExperimentsJob calculates results of running A/B experiments
+ * @extends Job
+ */
+class ExperimentsJob extends job.Job {
+    /**
+    * run task
+    * @param {object} db - db object
+    * @param {function} done - callback function
+    */
+    run(db, done) {
+        experiments.analyseAll().then(() => done(), err => {
+            log.e("Analysing experiments failed", err);
+            done();
+        });
+    }
+}
+
+module.exports = ExperimentsJob;
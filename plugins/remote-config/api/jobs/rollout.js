@@ -0,0 +1,25 @@
+'use strict';
+const job = require('../../../../api/parts/jobs/job.js'),
+    rollouts = require('../parts/rollouts.js'),
+    log = require('../../../../api/utils/log.js')('remote-config:rollout');
+
+/**
+ * @class
+ * @classdesc Class RolloutJob advances staged remote config rollouts and checks their guardrail metrics
+ * @extends Job
+ */
+class RolloutJob extends job.Job {
+    /**
+    * run task
+    * @param {object} db - db object
+    * @param {function} done - callback function
+    */
+    run(db, done) {
+        rollouts.checkAll().then(() => done(), err => {
+            log.e("Checking remote config rollouts failed", err);
+            done();
+        });
+    }
+}
+
+module.exports = RolloutJob;
@@ -0,0 +1,436 @@
+/**
+* A/B experiments on top of remote config: variants map parameter keys to values, users are assigned to variants when SDK enrolls them
+* with /o/sdk?method=ab and then get variant values from remote config. Conversions to experiment goals (event or new session after enrollment)
+* are tracked in assignment log and analysed by remote-config:experiments job.
+* Assignment log is stored in remoteconfig_experiment_users collection, one document per user per experiment:
+* {_id: experiment id + "_" + uid, e: experiment id, uid, did: device id, v: variant index, ts: enrollment timestamp, g: {goal index: conversion timestamp}},
+* assigned variants are also cached in app user document as rcx: {experiment id: {v, ts}} to track goals without extra queries.
+* @module plugins/remote-config/api/parts/experiments
+*/
+var common = require('../../../../api/utils/common.js'),
+    remoteConfig = require('./rc'),
+    stats = require('./stats'),
+    log = common.log('remote-config:experiments');
+
+/** @lends module:plugins/remote-config/api/parts/experiments */
+var experiments = {};
+
+/**
+ * Experiment statuses
+ */
+experiments.STATUS = {
+    DRAFT: "draft",
+    RUNNING: "running",
+    STOPPED: "stopped"
+};
+
+var MAX_VARIANTS = 10,
+    MAX_GOALS = 10,
+    CACHE_TTL = 60000,
+    running = {}; // app id -> {ts, list} cache of running experiments used for SDK requests
+
+/**
+ * Get experiments collection name
+ * @param  {String} appId - app id
+ * @returns {String} collection name
+ */
+experiments.collection = function(appId) {
+    return "remoteconfig_experiments" + appId;
+};
+
+/**
+ * Get assignment log collection name
+ * @param  {String} appId - app id
+ * @returns {String} collection name
+ */
+experiments.usersCollection = function(appId) {
+    return "remoteconfig_experiment_users" + appId;
+};
+
+/**
+ * Validate experiment definition
+ * @param  {Object} data - experiment definition {name, description, variants: [{name, values: {parameter key: value}}], weights, traffic, goals: [{type: "event", event} | {type: "session"}], confidence}
+ * @returns {Object} object with error message or normalized experiment fields
+ */
+experiments.validate = function(data) {
+    if (!data || typeof data !== "object") {
+        return {error: "Invalid parameter: experiment"};
+    }
+    if (typeof data.name !== "string" || !data.name.trim()) {
+        return {error: "Invalid parameter: name"};
+    }
+    if (!Array.isArray(data.variants) || data.variants.length < 2 || data.variants.length > MAX_VARIANTS) {
+        return {error: "Invalid parameter: variants, experiment must have from 2 to " + MAX_VARIANTS + " variants, first one is control"};
+    }
+
+    var keys = null;
+    for (var i = 0; i < data.variants.length; i++) {
+        var variant = data.variants[i];
+        if (!variant || typeof variant.name !== "string" || !variant.name.trim() || !variant.values || typeof variant.values !== "object" || !Object.keys(variant.values).length) {
+            return {error: "Invalid parameter: variants, each variant must have name and parameter values"};
+        }
+        var variantKeys = Object.keys(variant.values).sort().join(",");
+        if (keys !== null && keys !== variantKeys) {
+            return {error: "Invalid parameter: variants, all variants must set the same parameters"};
+        }
+        keys = variantKeys;
+    }
+
+    var weights = data.weights;
+    if (weights === undefined || weights === null) {
+        weights = data.variants.map(function() {
+            return 1;
+        });
+    }
+    if (!Array.isArray(weights) || weights.length !== data.variants.length || weights.some(function(w) {
+        return !(parseFloat(w) > 0);
+    })) {
+        return {error: "Invalid parameter: weights"};
+    }
+
+    var traffic = data.traffic === undefined ? 100 : parseFloat(data.traffic);
+    if (!(traffic > 0 && traffic <= 100)) {
+        return {error: "Invalid parameter: traffic"};
+    }
+
+    var confidence = data.confidence === undefined ? 95 : parseFloat(data.confidence);
+    if (!(confidence >= 80 && confidence < 100)) {
+        return {error: "Invalid parameter: confidence"};
+    }
+
+    if (!Array.isArray(data.goals) || !data.goals.length || data.goals.length > MAX_GOALS) {
+        return {error: "Invalid parameter: goals"};
+    }
+    var goals = [];
+    for (var j = 0; j < data.goals.length; j++) {
+        var goal = data.goals[j] || {};
+        if (goal.type === "event" && typeof goal.event === "string" && goal.event) {
+            goals.push({type: "event", event: goal.event});
+        }
+        else if (goal.type === "session") {
+            goals.push({type: "session"});
+        }
+        else {
+            return {error: "Invalid parameter: goals, goal must be {type: \"event\", event} or {type: \"session\"}"};
+        }
+    }
+
+    return {
+        name: data.name.trim(),
+        description: typeof data.description === "string" ? data.description : "",
+        variants: data.variants.map(function(v) {
+            return {name: v.name.trim(), values: v.values};
+        }),
+        weights: weights.map(parseFloat),
+        traffic: traffic,
+        confidence: confidence,
+        goals: goals
+    };
+};
+
+/**
+ * Get parameter keys of experiment
+ * @param  {Object} experiment - experiment document
+ * @returns {String[]} parameter keys
+ */
+experiments.keys = function(experiment) {
+    return Object.keys(experiment.variants[0].values);
+};
+
+/**
+ * Get running experiments of an app, cached for a minute as it's called for SDK requests
+ * @param  {String} appId - app id
+ * @returns {Promise<Object[]>} running experiments
+ */
+experiments.running = async function(appId) {
+    var cached = running[appId];
+    if (cached && Date.now() - cached.ts < CACHE_TTL) {
+        return cached.list;
+    }
+    var list = await common.outDb.collection(experiments.collection(appId)).find({status: experiments.STATUS.RUNNING}, {projection: {results: 0}}).toArray();
+    running[appId] = {ts: Date.now(), list: list};
+    return list;
+};
+
+/**
+ * Drop running experiments cache of an app, called on experiment status changes.
+ * Cache is kept per API worker, so other workers are notified through master process unless local is true.
+ * @param  {String} appId - app id
+ * @param  {Boolean} local - true to drop cache of current process only
+ */
+experiments.invalidate = function(appId, local) {
+    delete running[appId];
+    if (!local && process.send) {
+        process.send({cmd: "dispatch", event: "/remote-config/experiments/invalidate", data: {app_id: appId}});
+    }
+};
+
+/**
+ * Pick variant for a device: device is included in experiment if it's within traffic percentage,
+ * variant is picked by weights with another percentile, both calculated with experiment id as seed, so the assignment is stable.
+ * @param  {Object} experiment - experiment document
+ * @param  {String} deviceId - device id
+ * @returns {Number} variant index or -1 if device is not included
+ */
+experiments.pick = function(experiment, deviceId) {
+    var id = experiment._id + "";
+    if (remoteConfig.randomPercentile(id, deviceId) >= experiment.traffic) {
+        return -1;
+    }
+    var total = experiment.weights.reduce(function(a, b) {
+            return a + b;
+        }, 0),
+        point = remoteConfig.randomPercentile(id + "_variant", deviceId) / 100 * total;
+    for (var i = 0; i < experiment.weights.length; i++) {
+        point -= experiment.weights[i];
+        if (point < 0) {
+            return i;
+        }
+    }
+    return experiment.weights.length - 1;
+};
+
+/**
+ * Filter experiments by keys & omit_keys of a remote config request
+ * @param  {Object[]} list - experiments
+ * @param  {Object} params - params object
+ * @returns {Object[]} experiments setting at least one of requested parameters
+ */
+function requested(list, params) {
+    var keys = [], omitKeys = [];
+    try {
+        keys = params.qstring.keys ? JSON.parse(params.qstring.keys) : [];
+        omitKeys = params.qstring.omit_keys ? JSON.parse(params.qstring.omit_keys) : [];
+    }
+    catch (SyntaxError) {
+        log.d("Parse keys failed: %j / %j", params.qstring.keys, params.qstring.omit_keys);
+    }
+    return list.filter(function(experiment) {
+        return experiments.keys(experiment).some(function(key) {
+            return (!keys.length || keys.indexOf(key) !== -1) && omitKeys.indexOf(key) === -1;
+        });
+    });
+}
+
+/**
+ * Get parameter values of experiment variants for SDK request. Assigns user to variants of running experiments setting requested parameters if enroll is true,
+ * otherwise returns values only for experiments user has already been enrolled in.
+ * @param  {Object} params - params object with app_user
+ * @param  {Boolean} enroll - true to enroll user
+ * @returns {Promise<Object[]>} array of {parameter_key, value}
+ */
+experiments.parameters = async function(params, enroll) {
+    var appId = params.app_id + "",
+        user = params.app_user || {},
+        assigned = user.rcx || {},
+        ret = [],
+        update = {};
+
+    if (!user.uid) {
+        return ret;
+    }
+
+    var list = requested(await experiments.running(appId), params);
+    for (var i = 0; i < list.length; i++) {
+        var experiment = list[i],
+            id = experiment._id + "",
+            v = assigned[id] ? assigned[id].v : -1;
+
+        if (v === -1 && enroll) {
+            v = experiments.pick(experiment, params.qstring.device_id + "");
+            if (v !== -1) {
+                var ts = Date.now(),
+                    result = await common.outDb.collection(experiments.usersCollection(appId)).findOneAndUpdate(
+                        {_id: id + "_" + user.uid},
+                        {$setOnInsert: {e: id, uid: user.uid, did: params.qstring.device_id + "", v: v, ts: ts}},
+                        {upsert: true, returnDocument: "after"}
+                    );
+                // keep the first assignment if user was enrolled from another device
+                if (result && result.value) {
+                    v = result.value.v;
+                    ts = result.value.ts;
+                }
+                update["rcx." + id] = {v: v, ts: ts};
+            }
+        }
+
+        if (v !== -1 && experiment.variants[v]) {
+            for (var key in experiment.variants[v].values) {
+                ret.push({parameter_key: key, value: experiment.variants[v].values[key]});
+            }
+        }
+    }
+
+    if (Object.keys(update).length) {
+        common.updateAppUser(params, {$set: update});
+    }
+    return ret;
+};
+
+/**
+ * Get running experiments user is enrolled in
+ * @param  {String} appId - app id
+ * @param  {Object} user - app user document
+ * @returns {Promise<Object[]>} array of {experiment, v: variant index}
+ */
+experiments.assigned = async function(appId, user) {
+    var assigned = user && user.rcx;
+    if (!assigned) {
+        return [];
+    }
+    return (await experiments.running(appId + "")).filter(function(experiment) {
+        var a = assigned[experiment._id + ""];
+        return a && experiment.variants[a.v];
+    }).map(function(experiment) {
+        return {experiment: experiment, v: assigned[experiment._id + ""].v};
+    });
+};
+
+/**
+ * Record goal conversions of enrolled user from SDK request
+ * @param  {Object} params - params object with app_user
+ * @returns {Promise} resolves when done
+ */
+experiments.track = async function(params) {
+    var appId = params.app_id + "",
+        user = params.app_user || {},
+        assigned = user.rcx,
+        events = Array.isArray(params.qstring.events) ? params.qstring.events : [],
+        now = params.time && params.time.mstimestamp || Date.now();
+
+    if (!assigned || !user.uid || (!events.length && !params.qstring.begin_session)) {
+        return;
+    }
+
+    var list = (await experiments.running(appId)).filter(function(experiment) {
+        return assigned[experiment._id + ""];
+    });
+
+    for (var i = 0; i < list.length; i++) {
+        var experiment = list[i],
+            enrolled = assigned[experiment._id + ""].ts,
+            conversions = {};
+
+        experiment.goals.forEach(function(goal, g) {
+            if (goal.type === "session" && params.qstring.begin_session && now > enrolled) {
+                conversions["g." + g] = now;
+            }
+            else if (goal.type === "event") {
+                events.forEach(function(event) {
+                    var ts = event.timestamp ? parseInt(event.timestamp, 10) : now;
+                    if (event.key === goal.event && ts >= enrolled && (!conversions["g." + g] || ts < conversions["g." + g])) {
+                        conversions["g." + g] = ts;
+                    }
+                });
+            }
+        });
+
+        if (Object.keys(conversions).length) {
+            await common.outDb.collection(experiments.usersCollection(appId)).updateOne({_id: experiment._id + "_" + user.uid}, {$min: conversions});
+        }
+    }
+};
+
+/**
+ * Calculate experiment results from assignment log
+ * @param  {String} appId - app id
+ * @param  {Object} experiment - experiment document
+ * @returns {Promise<Object>} results object {ts, users, srm, variants: [{name, users, goals: [{conversions, rate, diff, uplift, ci, uplift_ci, p_value, significant, probability_to_beat_control}]}]}
+ */
+experiments.analyse = async function(appId, experiment) {
+    var id = experiment._id + "",
+        group = {_id: "$v", users: {$sum: 1}};
+
+    experiment.goals.forEach(function(goal, g) {
+        group["g" + g] = {$sum: {$cond: [{$gt: ["$g." + g, null]}, 1, 0]}};
+    });
+
+    var rows = await common.outDb.collection(experiments.usersCollection(appId)).aggregate([
+            {$match: {e: id}},
+            {$group: group}
+        ]).toArray(),
+        data = experiment.variants.map(function(variant, v) {
+            var row = rows.filter(function(r) {
+                return r._id === v;
+            })[0] || {users: 0};
+            return {
+                name: variant.name,
+                users: row.users,
+                goals: experiment.goals.map(function(goal, g) {
+                    return {users: row.users, conversions: row["g" + g] || 0};
+                })
+            };
+        });
+
+    var results = {
+        ts: Date.now(),
+        users: data.reduce(function(sum, d) {
+            return sum + d.users;
+        }, 0),
+        srm: stats.srm(data.map(function(d) {
+            return d.users;
+        }), experiment.weights),
+        variants: data.map(function(d, v) {
+            return {
+                name: d.name,
+                users: d.users,
+                goals: d.goals.map(function(goal, g) {
+                    var control = data[0].goals[g],
+                        ret = {conversions: goal.conversions, rate: goal.users ? goal.conversions / goal.users : 0};
+                    if (v) {
+                        var comparison = stats.proportions(control, goal, experiment.confidence);
+                        ret.diff = comparison.diff;
+                        ret.uplift = comparison.uplift;
+                        ret.ci = comparison.ci;
+                        ret.uplift_ci = comparison.uplift_ci;
+                        ret.p_value = comparison.p_value;
+                        ret.significant = comparison.significant;
+                        ret.probability_to_beat_control = control.users && goal.users ? stats.probabilityToBeat(control, goal) : null;
+                    }
+                    return ret;
+                })
+            };
+        })
+    };
+
+    await common.outDb.collection(experiments.collection(appId)).updateOne({_id: experiment._id}, {$set: {results: results}});
+    return results;
+};
+
+/**
+ * Calculate results of all running experiments of all apps
+ * @returns {Promise} resolves when done
+ */
+experiments.analyseAll = async function() {
+    var apps = await common.db.collection("apps").find({}, {projection: {_id: 1}}).toArray();
+    for (var i = 0; i < apps.length; i++) {
+        var appId = apps[i]._id + "",
+            list = await common.outDb.collection(experiments.collection(appId)).find({status: experiments.STATUS.RUNNING}, {projection: {results: 0}}).toArray();
+        for (var j = 0; j < list.length; j++) {
+            try {
+                await experiments.analyse(appId, list[j]);
+            }
+            catch (e) {
+                log.e("Error while analysing experiment %s of app %s", list[j]._id, appId, e);
+            }
+        }
+    }
+};
+
+/**
+ * Remove experiment with its assignment log and assignments cached in app users
+ * @param  {String} appId - app id
+ * @param  {Object} experiment - experiment document
+ * @returns {Promise} resolves when done
+ */
+experiments.remove = async function(appId, experiment) {
+    var id = experiment._id + "",
+        unset = {};
+    unset["rcx." + id] = "";
+    await common.outDb.collection(experiments.collection(appId)).deleteOne({_id: experiment._id});
+    await common.outDb.collection(experiments.usersCollection(appId)).deleteMany({e: id});
+    await common.db.collection("app_users" + appId).updateMany({["rcx." + id]: {$exists: true}}, {$unset: unset});
+    experiments.invalidate(appId);
+};
+
+module.exports = experiments;
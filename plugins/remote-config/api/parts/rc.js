@@ -3,25 +3,59 @@
 * @module plugins/remote-config/api/parts/data/rc
 */
 var prng = require('../../../../api/utils/random-sfc32.js');
+var common = require('../../../../api/utils/common.js');
 var globalSeed = "Countly_is_awesome";
 
+/**
+ * Operators which can match users without the property
+ */
+var MISSING_OPERATORS = ["$nin", "$ne", "$exists"];
+
+/**
+ * Time units supported by $ago operator in ms
+ */
+var AGO_UNITS = {
+    minutes: 60000,
+    hours: 3600000,
+    days: 86400000,
+    weeks: 604800000
+};
+
 /** @lends module:plugins/remote-config/api/parts/data/rc */
 var remoteConfig = {};
 
 /**
- * Function to process condition filter
+ * Function to process condition filter.
+ * Besides property filters, query can contain nested boolean groups: {"$or": [query, query]} matches if any of the queries matches,
+ * {"$and": [query, query]} matches if all of them match, groups can be nested, i.e. OR of AND-groups.
+ * Property is considered set unless it's undefined or null, so 0, "" and false values are matched against filters, not treated as missing.
  * @param  {Object} params - params object
  * @param  {Object} user - user
  * @param  {Object} query - query
+ * @param  {Array} reasons - optional array to collect reasons of failed filters {property, reason, value, filter, queries}, used for evaluation preview
  * @returns {Boolean} query status
  */
-remoteConfig.processFilter = function(params, user, query) {
-    var queryStatus = false, isCohort = false, hasValue = false;
+remoteConfig.processFilter = function(params, user, query, reasons) {
+    var queryStatus = false, isCohort = false, hasValue = false, status;
 
-    if (Object.keys(query).length) {
+    if (!Object.keys(query).length) {
+        explain(reasons, {reason: "Condition has no filters"});
+    }
+    else {
         queryStatus = true;
 
         for (var prop in query) {
+            if (prop === "$or" || prop === "$and") {
+                hasValue = true;
+                var details = reasons ? [] : undefined;
+                status = processGroup(params, user, query[prop], prop === "$or", details);
+                queryStatus = queryStatus && status;
+                if (!status) {
+                    explain(reasons, {property: prop, reason: prop === "$or" ? "None of the queries matched" : "Not all of the queries matched", queries: details});
+                }
+                continue;
+            }
+
             var parts = prop.split(".");
             var value;
 
@@ -30,28 +64,39 @@ remoteConfig.processFilter = function(params, user, query) {
                 if (p === "up") {
                     p = parts[1];
                 }
-                if (user[p]) {
+                if (user[p] !== undefined && user[p] !== null) {
                     value = user[p];
                 }
             }
-            else if (user[parts[0]] && user[parts[0]][parts[1]]) {
+            else if (user[parts[0]] && user[parts[0]][parts[1]] !== undefined && user[parts[0]][parts[1]] !== null) {
                 value = user[parts[0]][parts[1]];
             }
 
             if (parts[0] !== "chr") {
                 if (typeof (value) !== "undefined") {
                     hasValue = true;
-                    queryStatus = queryStatus && processPropertyValues(value, query, prop);
+                    status = processPropertyValues(value, query, prop);
+                    queryStatus = queryStatus && status;
+                    if (!status) {
+                        explain(reasons, {property: prop, reason: "Value does not match the filter", value: value, filter: query[prop]});
+                    }
                 }
                 else {
                     //If the type of the user prop is undefined, set query status to false, since data is not available
-                    //In such cases only process if $nin is present otherwise we show the default value to the user
-                    if (query[prop].$nin) {
+                    //In such cases only process if $nin, $ne or $exists is present otherwise we show the default value to the user
+                    if (query[prop] && typeof query[prop] === "object" && MISSING_OPERATORS.some(function(op) {
+                        return op in query[prop];
+                    })) {
                         hasValue = true;
-                        queryStatus = queryStatus && processPropertyValues(value, query, prop);
+                        status = processPropertyValues(value, query, prop);
+                        queryStatus = queryStatus && status;
+                        if (!status) {
+                            explain(reasons, {property: prop, reason: "User has no value for the property", filter: query[prop]});
+                        }
                     }
                     else {
                         queryStatus = false;
+                        explain(reasons, {property: prop, reason: "User has no value for the property", filter: query[prop]});
                     }
                 }
             }
@@ -62,7 +107,11 @@ remoteConfig.processFilter = function(params, user, query) {
         }
 
         if (isCohort) {
-            queryStatus = queryStatus && processCohortValues(user, query);
+            status = processCohortValues(user, query);
+            queryStatus = queryStatus && status;
+            if (!status) {
+                explain(reasons, {property: "chr", reason: "Cohort membership does not match", value: user.chr || {}});
+            }
         }
 
         if (!hasValue) {
@@ -74,6 +123,17 @@ remoteConfig.processFilter = function(params, user, query) {
     return queryStatus;
 };
 
+/**
+ * Add reason of failed filter if reasons are collected
+ * @param  {Array} reasons - reasons array or undefined if reasons are not collected
+ * @param  {Object} reason - reason object
+ */
+function explain(reasons, reason) {
+    if (reasons) {
+        reasons.push(reason);
+    }
+}
+
 /**
  * Function to calculate random percentile
  * @param  {String} seed - seed value
@@ -88,24 +148,135 @@ remoteConfig.randomPercentile = function(seed, user) {
 };
 
 /**
- * Function to process query property value
+ * Function to process boolean group of queries
+ * @param  {Object} params - params object
+ * @param  {Object} user - user
+ * @param  {Array} queries - queries of the group
+ * @param  {Boolean} any - true for OR group, false for AND group
+ * @param  {Array} details - optional array to collect reasons of each failed query of the group
+ * @returns {Boolean} group status
+ */
+function processGroup(params, user, queries, any, details) {
+    if (!Array.isArray(queries) || !queries.length) {
+        return false;
+    }
+    var check = function(q) {
+        var reasons = details ? [] : undefined,
+            status = !!q && typeof q === "object" && remoteConfig.processFilter(params, user, q, reasons);
+        if (!status && details) {
+            details.push(reasons);
+        }
+        return status;
+    };
+    return any ? queries.some(check) : queries.every(check);
+}
+
+/**
+ * Check value against comparison operators
+ * @param  {Function} compare - function comparing value to operand, returns negative, zero or positive number
+ * @param  {Object} ops - comparison operators object like {$gte: 1, $lt: 5}
+ * @returns {Boolean} true if there's at least one comparison and all comparisons are satisfied
+ */
+function compareAll(compare, ops) {
+    if (!ops || typeof ops !== "object") {
+        return false;
+    }
+    var status = true,
+        checked = false;
+    for (var op in ops) {
+        checked = checked || ["$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$in"].indexOf(op) !== -1;
+        switch (op) {
+        case "$eq": status = status && compare(ops.$eq) === 0; break;
+        case "$ne": status = status && compare(ops.$ne) !== 0; break;
+        case "$gt": status = status && compare(ops.$gt) > 0; break;
+        case "$gte": status = status && compare(ops.$gte) >= 0; break;
+        case "$lt": status = status && compare(ops.$lt) < 0; break;
+        case "$lte": status = status && compare(ops.$lte) <= 0; break;
+        case "$in": status = status && Array.isArray(ops.$in) && ops.$in.some(function(v) {
+            return compare(v) === 0;
+        }); break;
+        }
+    }
+    return checked && status;
+}
+
+/**
+ * Compare app versions semantically, dots and colons (escaped dots) are both accepted as delimiters
+ * @param  {String} v1 - first version
+ * @param  {String} v2 - second version
+ * @returns {Number} 0 if versions are equal, 1 if first one is higher, -1 if second one is higher
+ */
+function compareVersions(v1, v2) {
+    return common.versionCompare((v1 + "").replace(/^\$/, "").replace(/\./g, ":"), (v2 + "").replace(/^\$/, "").replace(/\./g, ":"));
+}
+
+/**
+ * Get time elapsed since a date
+ * @param  {Number|String} value - timestamp in seconds or ms, or date string
+ * @returns {Number|undefined} ms elapsed or undefined if value is not a date
+ */
+function elapsed(value) {
+    var ts = typeof value === "number" ? value : (/^\d+$/.test(value + "") ? parseInt(value, 10) : Date.parse(value));
+    if (isNaN(ts)) {
+        return;
+    }
+    // user properties like fs & ls are in seconds
+    if (ts < 100000000000) {
+        ts *= 1000;
+    }
+    return Date.now() - ts;
+}
+
+/**
+ * Function to process query property value.
+ * Supported operators:
+ * $in, $nin - value (or any element of array value) is / is not in list;
+ * $eq, $ne, $gt, $gte, $lt, $lte - comparisons;
+ * $regex, $not - regular expressions;
+ * $exists - true if property is set, false if it is not;
+ * $contains, $all - array property contains the value / all of the values;
+ * $semver - semantic version comparison with comparison operators, i.e. {"up.av": {"$semver": {"$gte": "1.2.0", "$lt": "2.0.0"}}};
+ * $ago - time since date property in minutes, hours, days (default) or weeks, i.e. first seen more than 7 days ago is {"up.fs": {"$ago": {"$gt": 7, "unit": "days"}}}.
  * @param  {String} value - query propery value
  * @param  {Object} query - filter
  * @param  {String} prop - query property
  * @returns {Boolean} property value status
  */
 function processPropertyValues(value, query, prop) {
-    var status = true;
+    var status = true,
+        values = Array.isArray(value) ? value : [value];
     for (var filterType in query[prop]) {
+        var operand = query[prop][filterType];
         switch (filterType) {
-        case "$in": status = status && query[prop].$in.indexOf(value) > -1; break;
-        case "$nin": status = status && query[prop].$nin.indexOf(value) === -1; break;
-        case "$gt": status = status && value > query[prop].$gt; break;
-        case "$gte": status = status && value >= query[prop].$gte; break;
-        case "$lt": status = status && value < query[prop].$lt; break;
-        case "$lte": status = status && value <= query[prop].$lte; break;
-        case "$regex": status = status && query[prop].$regex.test(value); break;
-        case "$not": status = status && !query[prop].$not.test(value); break;
+        case "$in": status = status && Array.isArray(operand) && values.some(function(v) {
+            return operand.indexOf(v) > -1;
+        }); break;
+        case "$nin": status = status && Array.isArray(operand) && (typeof value === "undefined" || !values.some(function(v) {
+            return operand.indexOf(v) > -1;
+        })); break;
+        case "$eq": status = status && values.indexOf(operand) > -1; break;
+        case "$ne": status = status && (typeof value === "undefined" || values.indexOf(operand) === -1); break;
+        case "$gt": status = status && value > operand; break;
+        case "$gte": status = status && value >= operand; break;
+        case "$lt": status = status && value < operand; break;
+        case "$lte": status = status && value <= operand; break;
+        case "$regex": status = status && operand.test(value); break;
+        case "$not": status = status && !operand.test(value); break;
+        case "$exists": status = status && (typeof value !== "undefined") === !!operand; break;
+        case "$contains": status = status && Array.isArray(value) && value.indexOf(operand) > -1; break;
+        case "$all": status = status && Array.isArray(value) && Array.isArray(operand) && operand.every(function(v) {
+            return value.indexOf(v) > -1;
+        }); break;
+        case "$semver": status = status && typeof value !== "undefined" && !Array.isArray(value) && compareAll(function(v) {
+            return compareVersions(value, v);
+        }, operand); break;
+        case "$ago":
+            var since = typeof value === "undefined" ? undefined : elapsed(value),
+                unit = AGO_UNITS[operand && operand.unit || "days"];
+            status = status && typeof since !== "undefined" && !!unit && compareAll(function(v) {
+                return since / unit - v;
+            }, operand);
+            break;
         }
     }
 
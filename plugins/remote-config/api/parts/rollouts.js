@@ -0,0 +1,434 @@
+/**
+* Staged percentage rollouts of remote config conditions.
+* Rollout is stored in condition document as "rollout" property: it limits users matching the condition to a percentile of all users
+* (calculated with condition seed, the same way as random_percentile property) and advances through stages by remote-config:rollout job.
+* Each stage can be guarded by a metric (fatal crashes or event count per session) which pauses or rolls back the rollout
+* once it degrades compared to the baseline measured during 7 days before the rollout start.
+* Metrics are taken from daily aggregated data of the whole app in app's timezone, so users outside of the rollout are measured too.
+* To account for that, change of the metric is attributed to users in the rollout: it is divided by the share of users in current stage
+* before comparing with the threshold. This assumes users in the rollout have their share of sessions and the metric of other users is stable,
+* so at small stages noise is amplified as much as the real change, and min_sessions should be raised for guardrails of such stages.
+* @module plugins/remote-config/api/parts/rollouts
+*/
+var common = require('../../../../api/utils/common.js'),
+    crypto = require('crypto'),
+    moment = require('moment-timezone'),
+    versions = require('./versions'),
+    log = common.log('remote-config:rollouts');
+
+/** @lends module:plugins/remote-config/api/parts/rollouts */
+var rollouts = {};
+
+/**
+ * Rollout statuses
+ */
+rollouts.STATUS = {
+    RUNNING: "running",
+    PAUSED: "paused",
+    ROLLED_BACK: "rolled_back",
+    COMPLETED: "completed"
+};
+
+/**
+ * Supported guardrail metrics
+ */
+rollouts.METRICS = ["crashes", "event"];
+
+var MAX_STAGES = 10,
+    BASELINE_DAYS = 7,
+    DEFAULT_MIN_SESSIONS = 100,
+    HOUR = 60 * 60 * 1000;
+
+/**
+ * Validate rollout configuration
+ * @param  {Object} config - rollout configuration {stages: [{percent, hours}], guardrail: {metric, event, direction, threshold, min_sessions, action}}
+ * @returns {Object} object with error message or normalized configuration {stages, guardrail}
+ */
+rollouts.validate = function(config) {
+    if (!config || typeof config !== "object" || !Array.isArray(config.stages) || config.stages.length < 2 || config.stages.length > MAX_STAGES) {
+        return {error: "Invalid parameter: stages, rollout must have from 2 to " + MAX_STAGES + " stages"};
+    }
+
+    var stages = [];
+    for (var i = 0; i < config.stages.length; i++) {
+        var stage = config.stages[i] || {},
+            percent = parseFloat(stage.percent),
+            hours = parseFloat(stage.hours),
+            last = i === config.stages.length - 1;
+
+        if (!(percent > 0 && percent <= 100) || (stages.length && percent <= stages[stages.length - 1].percent)) {
+            return {error: "Invalid parameter: stages, percents must grow from 0 to 100"};
+        }
+        if (!last && !(hours > 0)) {
+            return {error: "Invalid parameter: stages, each stage except the last one must have duration in hours"};
+        }
+        stages.push(last ? {percent: percent} : {percent: percent, hours: hours});
+    }
+
+    var ret = {stages: stages};
+    if (config.guardrail) {
+        var g = config.guardrail,
+            threshold = parseFloat(g.threshold),
+            minSessions = g.min_sessions === undefined ? DEFAULT_MIN_SESSIONS : parseInt(g.min_sessions, 10);
+
+        if (rollouts.METRICS.indexOf(g.metric) === -1) {
+            return {error: "Invalid parameter: guardrail.metric"};
+        }
+        if (g.metric === "event" && (typeof g.event !== "string" || !g.event)) {
+            return {error: "Invalid parameter: guardrail.event"};
+        }
+        if (!(threshold > 0)) {
+            return {error: "Invalid parameter: guardrail.threshold"};
+        }
+        if (!(minSessions >= 0)) {
+            return {error: "Invalid parameter: guardrail.min_sessions"};
+        }
+        if (g.direction && ["increase", "decrease"].indexOf(g.direction) === -1) {
+            return {error: "Invalid parameter: guardrail.direction"};
+        }
+        if (g.action && ["pause", "rollback"].indexOf(g.action) === -1) {
+            return {error: "Invalid parameter: guardrail.action"};
+        }
+        ret.guardrail = {
+            metric: g.metric,
+            threshold: threshold,
+            min_sessions: minSessions,
+            direction: g.direction || "increase",
+            action: g.action || "rollback"
+        };
+        if (g.metric === "event") {
+            ret.guardrail.event = g.event;
+        }
+    }
+    return ret;
+};
+
+/**
+ * Get current percentage of users rollout applies to
+ * @param  {Object} rollout - rollout object from condition document
+ * @returns {Number} percent from 0 to 100
+ */
+rollouts.percent = function(rollout) {
+    if (!rollout || !Array.isArray(rollout.stages) || !rollout.stages.length) {
+        return 100;
+    }
+    if (rollout.status === rollouts.STATUS.ROLLED_BACK) {
+        return 0;
+    }
+    var stage = rollout.stages[Math.min(rollout.stage || 0, rollout.stages.length - 1)];
+    return stage.percent;
+};
+
+/**
+ * Check whether user with given percentile is included in rollout
+ * @param  {Object} rollout - rollout object from condition document, undefined if condition has no rollout
+ * @param  {Number} percentile - user random percentile for the condition seed
+ * @returns {Boolean} true if user is included
+ */
+rollouts.includes = function(rollout, percentile) {
+    return !rollout || percentile < rollouts.percent(rollout);
+};
+
+/**
+ * Sum daily values of monthly documents in a period
+ * @param  {Object[]} docs - monthly documents with "d" object of days
+ * @param  {Function} monthOf - function returning "YYYY:M" month of a document or null to skip the document
+ * @param  {String[]} props - properties to sum
+ * @param  {moment} from - period start in app timezone
+ * @param  {moment} to - period end in app timezone
+ * @returns {Number} sum
+ */
+function sumDays(docs, monthOf, props, from, to) {
+    var byMonth = {},
+        sum = 0;
+    docs.forEach(function(doc) {
+        var m = monthOf(doc);
+        if (m && doc.d) {
+            byMonth[m] = byMonth[m] || [];
+            byMonth[m].push(doc.d);
+        }
+    });
+    for (var day = from.clone().startOf("day"); !day.isAfter(to); day.add(1, "day")) {
+        (byMonth[day.format("YYYY:M")] || []).forEach(function(d) {
+            props.forEach(function(p) {
+                sum += d[day.date()] && d[day.date()][p] || 0;
+            });
+        });
+    }
+    return sum;
+}
+
+/**
+ * Get months in "YYYY:M" format of a period
+ * @param  {moment} from - period start
+ * @param  {moment} to - period end
+ * @returns {String[]} months
+ */
+function monthsOf(from, to) {
+    var ret = [];
+    for (var m = from.clone().startOf("month"); !m.isAfter(to); m.add(1, "month")) {
+        ret.push(m.format("YYYY:M"));
+    }
+    return ret;
+}
+
+/**
+ * Measure guardrail metric of an app as count per session for a period
+ * @param  {Object} app - app document
+ * @param  {Object} guardrail - guardrail object
+ * @param  {Number} fromTs - period start timestamp in ms
+ * @param  {Number} toTs - period end timestamp in ms
+ * @returns {Promise<Object>} {count, sessions, value}, value is null if there were no sessions
+ */
+rollouts.measure = async function(app, guardrail, fromTs, toTs) {
+    var appId = app._id + "",
+        tz = app.timezone || "UTC",
+        from = moment(fromTs).tz(tz),
+        to = moment(toTs).tz(tz),
+        months = monthsOf(from, to),
+        count, sessions;
+
+    /**
+     * Get ids of monthly documents of the period
+     * @param  {String} prefix - id prefix
+     * @param  {Boolean} splitted - true to include documents splitted by device id hash, like in users and events collections
+     * @returns {String[]} document ids
+     */
+    var ids = function(prefix, splitted) {
+        var ret = [];
+        months.forEach(function(m) {
+            ret.push(prefix + m);
+            if (splitted) {
+                common.base64.forEach(function(b) {
+                    ret.push(prefix + m + "_" + b);
+                });
+            }
+        });
+        return ret;
+    };
+
+    /**
+     * Get month of a document from its id like "prefix_YYYY:M" or "prefix_YYYY:M_postfix"
+     * @param  {Object} doc - monthly document
+     * @returns {String} month in "YYYY:M" format
+     */
+    var monthOfDoc = function(doc) {
+        return (doc._id + "").split("_")[1];
+    };
+
+    if (guardrail.metric === "crashes") {
+        var crashes = await common.db.collection("crashdata").find({_id: {$in: ids(appId + "_")}}).toArray();
+        count = sumDays(crashes, monthOfDoc, ["crf"], from, to);
+        sessions = sumDays(crashes, monthOfDoc, ["cr_s"], from, to);
+    }
+    else {
+        var collection = "events" + crypto.createHash('sha1').update(guardrail.event + appId).digest('hex'),
+            events = await common.db.collection(collection).find({_id: {$in: ids("no-segment_", true)}}).toArray(),
+            users = await common.db.collection("users").find({_id: {$in: ids(appId + "_", true)}}).toArray();
+        count = sumDays(events, monthOfDoc, ["c"], from, to);
+        sessions = sumDays(users, monthOfDoc, ["t"], from, to);
+    }
+
+    return {count: count, sessions: sessions, value: sessions ? count / sessions : null};
+};
+
+/**
+ * Check whether metric degraded beyond guardrail threshold
+ * @param  {Object} guardrail - guardrail object
+ * @param  {Number|null} baseline - baseline value of the whole app
+ * @param  {Number} value - current value of the whole app
+ * @param  {Number} percent - percentage of users in the rollout, 100 by default
+ * @returns {Boolean} true if degraded
+ */
+rollouts.degraded = function(guardrail, baseline, value, percent) {
+    if (typeof baseline !== "number" || typeof value !== "number") {
+        return false;
+    }
+    if (baseline === 0) {
+        // any crash or event is an infinite relative increase
+        return guardrail.direction === "increase" && value > 0;
+    }
+    // app-wide change is diluted by users outside of the rollout
+    var share = (percent > 0 && percent < 100 ? percent : 100) / 100,
+        change = (value - baseline) / baseline * 100 / share;
+    return guardrail.direction === "increase" ? change > guardrail.threshold : -change > guardrail.threshold;
+};
+
+/**
+ * Update rollout of a condition if it wasn't changed concurrently and record new remote config version
+ * @param  {Object} params - params object with app_id in qstring
+ * @param  {Object} condition - condition document
+ * @param  {Object} rollout - new rollout object, history entry is appended to its history
+ * @param  {String} action - action name for history & versions
+ * @param  {Object} extra - extra fields for history entry
+ * @returns {Promise<Object|null>} updated rollout or null if condition was changed concurrently
+ */
+async function update(params, condition, rollout, action, extra) {
+    var filter = {_id: condition._id};
+    if (condition.rollout) {
+        filter["rollout.status"] = condition.rollout.status;
+        filter["rollout.stage"] = condition.rollout.stage;
+    }
+    else {
+        filter.rollout = {$exists: false};
+    }
+
+    rollout.history = (rollout.history || []).concat([Object.assign({
+        ts: Date.now(),
+        action: action,
+        stage: rollout.stage,
+        percent: rollouts.percent(rollout),
+        status: rollout.status
+    }, extra || {})]);
+
+    var result = await common.outDb.collection("remoteconfig_conditions" + params.qstring.app_id).updateOne(filter, {$set: {rollout: rollout}});
+    if (!result.modifiedCount) {
+        return null;
+    }
+    await versions.record(params, action).catch(function(e) {
+        log.e("Error while recording remote config version for app %s", params.qstring.app_id, e);
+    });
+    return rollout;
+}
+
+/**
+ * Start staged rollout of a condition
+ * @param  {Object} params - params object with app_id in qstring
+ * @param  {Object} app - app document
+ * @param  {Object} condition - condition document
+ * @param  {Object} config - validated rollout configuration
+ * @returns {Promise<Object|null>} rollout object or null if condition was changed concurrently
+ */
+rollouts.start = async function(params, app, condition, config) {
+    var now = Date.now(),
+        rollout = {
+            stages: config.stages,
+            stage: 0,
+            stage_start: now,
+            started: now,
+            status: rollouts.STATUS.RUNNING
+        };
+    if (config.guardrail) {
+        rollout.guardrail = config.guardrail;
+        var baseline = await rollouts.measure(app, config.guardrail, now - BASELINE_DAYS * 24 * HOUR, now - 24 * HOUR);
+        rollout.baseline = baseline.value;
+    }
+    return update(params, condition, rollout, "rc_rollout_started", {value: rollout.baseline});
+};
+
+/**
+ * Apply manual action to a rollout
+ * @param  {Object} params - params object with app_id in qstring
+ * @param  {Object} condition - condition document with rollout
+ * @param  {String} action - one of pause, resume, advance, rollback
+ * @returns {Promise<Object>} {rollout} with updated rollout object, {error} if action is not allowed or {conflict: true} if condition was changed concurrently
+ */
+rollouts.act = async function(params, condition, action) {
+    var rollout = Object.assign({}, condition.rollout),
+        S = rollouts.STATUS;
+
+    switch (action) {
+    case "pause":
+        if (rollout.status !== S.RUNNING) {
+            return {error: "Rollout is not running"};
+        }
+        rollout.status = S.PAUSED;
+        break;
+    case "resume":
+        if (rollout.status !== S.PAUSED && rollout.status !== S.ROLLED_BACK) {
+            return {error: "Rollout is not paused or rolled back"};
+        }
+        if (rollout.status === S.ROLLED_BACK) {
+            rollout.stage = 0;
+        }
+        rollout.status = S.RUNNING;
+        rollout.stage_start = Date.now();
+        break;
+    case "advance":
+        if (rollout.status !== S.RUNNING && rollout.status !== S.PAUSED) {
+            return {error: "Rollout is not running or paused"};
+        }
+        next(rollout);
+        break;
+    case "rollback":
+        if (rollout.status === S.ROLLED_BACK) {
+            return {error: "Rollout is already rolled back"};
+        }
+        rollout.status = S.ROLLED_BACK;
+        break;
+    default:
+        return {error: "Invalid parameter: action"};
+    }
+
+    rollout = await update(params, condition, rollout, "rc_rollout_" + action, params.member ? {member: params.member._id + ""} : undefined);
+    return rollout ? {rollout: rollout} : {conflict: true};
+};
+
+/**
+ * Move rollout to the next stage
+ * @param  {Object} rollout - rollout object to modify
+ */
+function next(rollout) {
+    if (rollout.stage < rollout.stages.length - 1) {
+        rollout.stage++;
+        rollout.stage_start = Date.now();
+        rollout.status = rollouts.STATUS.RUNNING;
+    }
+    if (rollout.stage === rollout.stages.length - 1) {
+        rollout.status = rollouts.STATUS.COMPLETED;
+    }
+}
+
+/**
+ * Check running rollout of a condition: pause or roll it back if guardrail metric degraded, advance to the next stage once current one is over
+ * @param  {Object} app - app document
+ * @param  {Object} condition - condition document with running rollout
+ * @returns {Promise<String|undefined>} action taken if any
+ */
+rollouts.check = async function(app, condition) {
+    var params = {qstring: {app_id: app._id + ""}},
+        rollout = Object.assign({}, condition.rollout),
+        stage = rollout.stages[rollout.stage],
+        now = Date.now(),
+        measured;
+
+    if (rollout.guardrail) {
+        measured = await rollouts.measure(app, rollout.guardrail, rollout.stage_start, now);
+        // without enough data guardrail is not checked, but rollout still advances
+        if (measured.sessions < rollout.guardrail.min_sessions) {
+            log.d("Not enough sessions (%d) to check guardrail of rollout of condition %s in app %s", measured.sessions, condition._id, app._id);
+        }
+        else if (rollouts.degraded(rollout.guardrail, rollout.baseline, measured.value, rollouts.percent(rollout))) {
+            var action = rollout.guardrail.action === "pause" ? "pause" : "rollback";
+            rollout.status = action === "pause" ? rollouts.STATUS.PAUSED : rollouts.STATUS.ROLLED_BACK;
+            log.i("Guardrail metric of rollout of condition %s in app %s degraded from %j to %j, %s", condition._id, app._id, rollout.baseline, measured.value, action);
+            return await update(params, condition, rollout, "rc_rollout_guardrail_" + action, {value: measured.value, baseline: rollout.baseline}) ? action : undefined;
+        }
+    }
+
+    if (stage.hours && now - rollout.stage_start >= stage.hours * HOUR) {
+        next(rollout);
+        return await update(params, condition, rollout, "rc_rollout_advanced", measured ? {value: measured.value} : undefined) ? "advance" : undefined;
+    }
+};
+
+/**
+ * Check all running rollouts of all apps
+ * @returns {Promise} resolves when done
+ */
+rollouts.checkAll = async function() {
+    var apps = await common.db.collection("apps").find({}, {projection: {_id: 1, timezone: 1}}).toArray();
+    for (var i = 0; i < apps.length; i++) {
+        var conditions = await common.outDb.collection("remoteconfig_conditions" + apps[i]._id).find({"rollout.status": rollouts.STATUS.RUNNING}).toArray();
+        for (var j = 0; j < conditions.length; j++) {
+            try {
+                await rollouts.check(apps[i], conditions[j]);
+            }
+            catch (e) {
+                log.e("Error while checking rollout of condition %s in app %s", conditions[j]._id, apps[i]._id, e);
+            }
+        }
+    }
+};
+
+module.exports = rollouts;
@@ -0,0 +1,209 @@
+/**
+* Statistics for A/B experiments: two proportion z-test with confidence intervals, Bayesian probability to beat control and sample ratio mismatch check
+* @module plugins/remote-config/api/parts/stats
+*/
+
+/** @lends module:plugins/remote-config/api/parts/stats */
+var stats = {};
+
+/**
+ * P-value below which sample ratio mismatch is reported
+ */
+stats.SRM_P_VALUE = 0.001;
+
+/**
+ * Standard normal cumulative distribution function (Abramowitz & Stegun 7.1.26, absolute error < 1.5e-7)
+ * @param  {Number} z - z score
+ * @returns {Number} probability
+ */
+stats.normalCdf = function(z) {
+    var x = Math.abs(z) / Math.SQRT2,
+        t = 1 / (1 + 0.3275911 * x),
+        erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Standard normal quantile function (Acklam's algorithm, relative error < 1.2e-9)
+ * @param  {Number} p - probability, 0 < p < 1
+ * @returns {Number} z score
+ */
+stats.normalQuantile = function(p) {
+    var a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00],
+        b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01],
+        c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00],
+        d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00],
+        low = 0.02425,
+        q, r;
+
+    if (p < low) {
+        q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -stats.normalQuantile(1 - p);
+    }
+    q = p - 0.5;
+    r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Natural logarithm of gamma function (Lanczos approximation)
+ * @param  {Number} x - argument, x > 0
+ * @returns {Number} ln(Γ(x))
+ */
+function lnGamma(x) {
+    var g = [76.18009172947146, -86.50532032941678, 24.01409824083091, -1.231739572450155, 1.208650973866179e-3, -5.395239384953e-6],
+        y = x,
+        tmp = x + 5.5,
+        ser = 1.00000000019;
+    tmp -= (x + 0.5) * Math.log(tmp);
+    for (var i = 0; i < g.length; i++) {
+        ser += g[i] / ++y;
+    }
+    return -tmp + Math.log(Math.sqrt(2 * Math.PI) * ser / x);
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x)
+ * @param  {Number} a - shape, a > 0
+ * @param  {Number} x - argument, x >= 0
+ * @returns {Number} Q(a, x)
+ */
+function gammaQ(a, x) {
+    var i, del, sum, an, b, c, d, h;
+    if (x <= 0) {
+        return 1;
+    }
+    if (x < a + 1) {
+        // series representation of P(a, x)
+        del = sum = 1 / a;
+        for (i = 1; i < 1000 && Math.abs(del) > Math.abs(sum) * 1e-14; i++) {
+            del *= x / (a + i);
+            sum += del;
+        }
+        return 1 - sum * Math.exp(-x + a * Math.log(x) - lnGamma(a));
+    }
+    // continued fraction representation of Q(a, x), modified Lentz's method
+    b = x + 1 - a;
+    c = 1 / 1e-300;
+    d = 1 / b;
+    h = d;
+    for (i = 1; i < 1000; i++) {
+        an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        d = Math.abs(d) < 1e-300 ? 1e-300 : d;
+        c = b + an / c;
+        c = Math.abs(c) < 1e-300 ? 1e-300 : c;
+        d = 1 / d;
+        del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < 1e-14) {
+            break;
+        }
+    }
+    return Math.exp(-x + a * Math.log(x) - lnGamma(a)) * h;
+}
+
+/**
+ * Chi-square survival function, probability of getting statistic at least as extreme
+ * @param  {Number} x - chi-square statistic
+ * @param  {Number} df - degrees of freedom
+ * @returns {Number} p-value
+ */
+stats.chiSquareSf = function(x, df) {
+    return gammaQ(df / 2, x / 2);
+};
+
+/**
+ * Compare conversion rate of a variant to control with two proportion z-test
+ * @param  {Object} control - control {users, conversions}
+ * @param  {Object} variant - variant {users, conversions}
+ * @param  {Number} confidence - confidence level in percents, i.e. 95
+ * @returns {Object} {rate, diff, uplift, ci: [low, high] of absolute difference, uplift_ci: [low, high] of relative uplift, z, p_value, significant}, rates & differences are fractions
+ */
+stats.proportions = function(control, variant, confidence) {
+    var n1 = control.users, n2 = variant.users,
+        p1 = n1 ? control.conversions / n1 : 0,
+        p2 = n2 ? variant.conversions / n2 : 0,
+        diff = p2 - p1,
+        ret = {rate: p2, diff: diff, uplift: p1 ? diff / p1 : null, ci: null, uplift_ci: null, z: null, p_value: null, significant: false};
+
+    if (!n1 || !n2) {
+        return ret;
+    }
+
+    var pooled = (control.conversions + variant.conversions) / (n1 + n2),
+        sePooled = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2)),
+        se = Math.sqrt(p1 * (1 - p1) / n1 + p2 * (1 - p2) / n2),
+        alpha = 1 - confidence / 100,
+        zc = stats.normalQuantile(1 - alpha / 2);
+
+    ret.ci = [diff - zc * se, diff + zc * se];
+    if (p1) {
+        ret.uplift_ci = [ret.ci[0] / p1, ret.ci[1] / p1];
+    }
+    if (sePooled) {
+        ret.z = diff / sePooled;
+        ret.p_value = 2 * (1 - stats.normalCdf(Math.abs(ret.z)));
+        ret.significant = ret.p_value < alpha;
+    }
+    else {
+        ret.p_value = 1;
+    }
+    return ret;
+};
+
+/**
+ * Bayesian probability of variant conversion rate being higher than control's one.
+ * Uses Beta(1 + conversions, 1 + failures) posteriors and normal approximation of their difference.
+ * @param  {Object} control - control {users, conversions}
+ * @param  {Object} variant - variant {users, conversions}
+ * @returns {Number} probability from 0 to 1
+ */
+stats.probabilityToBeat = function(control, variant) {
+    /**
+     * Mean & variance of Beta posterior
+     * @param  {Object} d - {users, conversions}
+     * @returns {Number[]} [mean, variance]
+     */
+    var beta = function(d) {
+        var a = 1 + d.conversions,
+            b = 1 + d.users - d.conversions;
+        return [a / (a + b), a * b / ((a + b) * (a + b) * (a + b + 1))];
+    };
+    var c = beta(control), v = beta(variant);
+    return stats.normalCdf((v[0] - c[0]) / Math.sqrt(c[1] + v[1]));
+};
+
+/**
+ * Sample ratio mismatch check: chi-square goodness of fit test of users count per variant against expected traffic split
+ * @param  {Number[]} observed - users count per variant
+ * @param  {Number[]} weights - expected traffic weights per variant
+ * @returns {Object} {chi2, p_value, mismatch}
+ */
+stats.srm = function(observed, weights) {
+    var total = observed.reduce(function(a, b) {
+            return a + b;
+        }, 0),
+        weightsTotal = weights.reduce(function(a, b) {
+            return a + b;
+        }, 0),
+        chi2 = 0;
+
+    if (!total || observed.length < 2) {
+        return {chi2: 0, p_value: 1, mismatch: false};
+    }
+
+    observed.forEach(function(o, i) {
+        var expected = total * weights[i] / weightsTotal;
+        chi2 += expected ? (o - expected) * (o - expected) / expected : 0;
+    });
+
+    var p = stats.chiSquareSf(chi2, observed.length - 1);
+    return {chi2: chi2, p_value: p, mismatch: p < stats.SRM_P_VALUE};
+};
+
+module.exports = stats;
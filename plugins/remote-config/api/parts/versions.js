@@ -0,0 +1,330 @@
+/**
+* Remote config versioning: immutable snapshots of parameters & conditions with diffs, rollback and per-device version pinning
+* @module plugins/remote-config/api/parts/versions
+*/
+var common = require('../../../../api/utils/common.js'),
+    log = common.log('remote-config:versions');
+
+/** @lends module:plugins/remote-config/api/parts/versions */
+var versions = {};
+
+/**
+ * Fields which change on every SDK request (counters) and therefore are not part of a version
+ */
+var VOLATILE_FIELDS = ["c"];
+
+/**
+ * Get versions collection name
+ * @param  {String} appId - app id
+ * @returns {String} collection name
+ */
+versions.collection = function(appId) {
+    return "remoteconfig_versions" + appId;
+};
+
+/**
+ * Get pins collection name
+ * @param  {String} appId - app id
+ * @returns {String} collection name
+ */
+versions.pinsCollection = function(appId) {
+    return "remoteconfig_pins" + appId;
+};
+
+/**
+ * Remove volatile fields from parameter or condition document
+ * @param  {Object} doc - parameter or condition document
+ * @returns {Object} document copy without counters
+ */
+function clean(doc) {
+    var ret = {};
+    for (var k in doc) {
+        if (VOLATILE_FIELDS.indexOf(k) === -1) {
+            ret[k] = doc[k];
+        }
+    }
+    if (Array.isArray(ret.conditions)) {
+        ret.conditions = ret.conditions.map(clean);
+    }
+    return ret;
+}
+
+/**
+ * Load current parameters & conditions of an app
+ * @param  {String} appId - app id
+ * @returns {Promise<Object>} snapshot object {parameters, conditions}
+ */
+versions.snapshot = async function(appId) {
+    var parameters = await common.outDb.collection("remoteconfig_parameters" + appId).find({}).toArray(),
+        conditions = await common.outDb.collection("remoteconfig_conditions" + appId).find({}).toArray();
+    return {
+        parameters: parameters.map(clean),
+        conditions: conditions.map(clean)
+    };
+};
+
+/**
+ * Calculate structured diff between two lists of documents
+ * @param  {Object[]} before - documents before the change
+ * @param  {Object[]} after - documents after the change
+ * @param  {Function} keyOf - function returning a document key to show in the diff
+ * @returns {Object} diff object {added: [{key, value}], removed: [{key, value}], changed: [{key, fields: {field: {before, after}}}]}
+ */
+function diffList(before, after, keyOf) {
+    var ret = {added: [], removed: [], changed: []},
+        old = {};
+
+    before.forEach(function(doc) {
+        old[doc._id.toString()] = doc;
+    });
+
+    after.forEach(function(doc) {
+        var id = doc._id.toString(),
+            prev = old[id];
+        if (!prev) {
+            ret.added.push({_id: id, key: keyOf(doc), value: doc});
+            return;
+        }
+        delete old[id];
+
+        var fields = {};
+        Object.keys(prev).concat(Object.keys(doc)).forEach(function(f) {
+            if (f !== "_id" && !(f in fields) && JSON.stringify(prev[f]) !== JSON.stringify(doc[f])) {
+                fields[f] = {before: prev[f], after: doc[f]};
+            }
+        });
+        if (Object.keys(fields).length) {
+            ret.changed.push({_id: id, key: keyOf(doc), fields: fields});
+        }
+    });
+
+    for (var id in old) {
+        ret.removed.push({_id: id, key: keyOf(old[id]), value: old[id]});
+    }
+
+    return ret;
+}
+
+/**
+ * Calculate structured diff between two snapshots
+ * @param  {Object} before - snapshot before the change, {parameters, conditions}
+ * @param  {Object} after - snapshot after the change, {parameters, conditions}
+ * @returns {Object} diff object {parameters: diff, conditions: diff}
+ */
+versions.diff = function(before, after) {
+    return {
+        parameters: diffList(before.parameters || [], after.parameters || [], function(p) {
+            return p.parameter_key;
+        }),
+        conditions: diffList(before.conditions || [], after.conditions || [], function(c) {
+            return c.condition_name;
+        })
+    };
+};
+
+/**
+ * Check whether diff has any changes
+ * @param  {Object} diff - diff object
+ * @returns {Boolean} true if there's at least one change
+ */
+function isEmpty(diff) {
+    return ["parameters", "conditions"].every(function(k) {
+        return !diff[k].added.length && !diff[k].removed.length && !diff[k].changed.length;
+    });
+}
+
+/**
+ * Create new version from current state of remote config of the app. Versions are never updated, each change inserts a new one.
+ * @param  {Object} params - params object
+ * @param  {String} action - action which caused the change (systemlogs action name)
+ * @param  {Object} extra - extra fields to store in the version, i.e. {rollback_of: 3}
+ * @returns {Promise<Object|undefined>} version document or undefined if nothing changed
+ */
+versions.record = async function(params, action, extra) {
+    var appId = params.qstring.app_id,
+        collection = common.outDb.collection(versions.collection(appId)),
+        after = await versions.snapshot(appId);
+
+    for (var attempt = 0; attempt < 10; attempt++) {
+        var last = await collection.find({}).sort({_id: -1}).limit(1).toArray(),
+            prev = last[0],
+            diff = versions.diff(prev || {}, after);
+
+        if (prev && isEmpty(diff)) {
+            return;
+        }
+
+        var version = Object.assign({
+            _id: prev ? prev._id + 1 : 1,
+            ts: Date.now(),
+            author: params.member ? {_id: params.member._id + "", name: params.member.full_name || params.member.username} : null,
+            action: action,
+            diff: diff,
+            parameters: after.parameters,
+            conditions: after.conditions
+        }, extra || {});
+
+        try {
+            await collection.insertOne(version);
+            return version;
+        }
+        catch (e) {
+            // another change got the same version number, retry with the next one
+            if (e.code !== 11000) {
+                throw e;
+            }
+        }
+    }
+    throw new Error("Failed to create remote config version");
+};
+
+/**
+ * Record current state as the first version if app has no versions yet. Called before changes, so that config which existed
+ * before versioning was enabled (or before the first change) can be restored.
+ * @param  {Object} params - params object
+ * @returns {Promise} resolves when done
+ */
+versions.baseline = async function(params) {
+    var appId = params.qstring.app_id,
+        collection = common.outDb.collection(versions.collection(appId));
+
+    if (await collection.findOne({}, {projection: {_id: 1}})) {
+        return;
+    }
+
+    var current = await versions.snapshot(appId);
+    try {
+        await collection.insertOne({
+            _id: 1,
+            ts: Date.now(),
+            author: null,
+            action: "rc_baseline",
+            diff: versions.diff({}, current),
+            parameters: current.parameters,
+            conditions: current.conditions
+        });
+    }
+    catch (e) {
+        // concurrent change already recorded the baseline
+        if (e.code !== 11000) {
+            throw e;
+        }
+    }
+};
+
+/**
+ * Create new version without failing the request if versioning fails
+ * @param  {Object} params - params object
+ * @param  {String} action - action which caused the change
+ * @param  {Function} callback - callback function called once version is recorded
+ */
+versions.recordSafe = function(params, action, callback) {
+    versions.record(params, action).then(function() {
+        callback();
+    }, function(e) {
+        log.e("Error while recording remote config version for app %s", params.qstring.app_id, e);
+        callback();
+    });
+};
+
+/**
+ * List versions of the app, newest first, without snapshots
+ * @param  {String} appId - app id
+ * @param  {Number} limit - max number of versions to return
+ * @returns {Promise<Object[]>} array of versions
+ */
+versions.list = function(appId, limit) {
+    return common.outDb.collection(versions.collection(appId)).find({}, {projection: {parameters: 0, conditions: 0}}).sort({_id: -1}).limit(limit || 100).toArray();
+};
+
+/**
+ * Get a version of the app
+ * @param  {String} appId - app id
+ * @param  {Number} version - version number
+ * @returns {Promise<Object|null>} version document with snapshot
+ */
+versions.get = function(appId, version) {
+    return common.outDb.collection(versions.collection(appId)).findOne({_id: version});
+};
+
+/**
+ * Restore parameters & conditions from a version. Snapshots are written to staging collections first and then swapped in
+ * with renames, so readers never see a half-restored collection and a failure while copying leaves current config untouched.
+ * Then a new version pointing to the restored one is recorded.
+ * @param  {Object} params - params object
+ * @param  {Number} version - version number to restore
+ * @returns {Promise<Object|null>} new version document or null if there's no such version
+ */
+versions.rollback = async function(params, version) {
+    var appId = params.qstring.app_id,
+        target = await versions.get(appId, version);
+
+    if (!target) {
+        return null;
+    }
+
+    var restore = [
+        {name: "remoteconfig_conditions" + appId, docs: target.conditions || []},
+        {name: "remoteconfig_parameters" + appId, docs: target.parameters || []}
+    ];
+
+    for (let i = 0; i < restore.length; i++) {
+        let staging = restore[i].name + "_rollback";
+        await common.outDb.collection(staging).drop();
+        if (restore[i].docs.length) {
+            await common.outDb.collection(staging).insertMany(restore[i].docs);
+        }
+        else {
+            await common.outDb.createCollection(staging);
+        }
+    }
+    // conditions first, parameters referencing restored conditions shouldn't be visible before them
+    for (let i = 0; i < restore.length; i++) {
+        await common.outDb.collection(restore[i].name + "_rollback").rename(restore[i].name, {dropTarget: true});
+    }
+
+    return await versions.record(params, "rc_rollback", {rollback_of: version}) || {rollback_of: version};
+};
+
+/**
+ * Pin a version to a device, pinned devices get config of that version from SDK API instead of the current one
+ * @param  {String} appId - app id
+ * @param  {String} deviceId - device id
+ * @param  {Number|undefined} version - version number or undefined to unpin
+ * @returns {Promise} resolves when done
+ */
+versions.pin = function(appId, deviceId, version) {
+    var collection = common.outDb.collection(versions.pinsCollection(appId));
+    if (version) {
+        return collection.updateOne({_id: deviceId}, {$set: {v: version, ts: Date.now()}}, {upsert: true});
+    }
+    return collection.deleteOne({_id: deviceId});
+};
+
+/**
+ * Get pinned version of remote config for a device
+ * @param  {String} appId - app id
+ * @param  {String} deviceId - device id
+ * @returns {Promise<Object|null>} version document with snapshot or null if device is not pinned
+ */
+versions.pinned = async function(appId, deviceId) {
+    if (!deviceId) {
+        return null;
+    }
+    var pin = await common.outDb.collection(versions.pinsCollection(appId)).findOne({_id: deviceId + ""});
+    if (!pin) {
+        return null;
+    }
+    return await versions.get(appId, pin.v);
+};
+
+/**
+ * List pinned devices
+ * @param  {String} appId - app id
+ * @returns {Promise<Object[]>} array of pins {_id: device id, v, ts}
+ */
+versions.pins = function(appId) {
+    return common.outDb.collection(versions.pinsCollection(appId)).find({}).toArray();
+};
+
+module.exports = versions;
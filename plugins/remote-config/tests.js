@@ -0,0 +1,1634 @@
+var request = require('supertest');
+var should = require('should');
+var testUtils = require("../../test/testUtils");
+var common = require("../../api/utils/common.js");
+var remoteConfig = require("./api/parts/rc.js");
+var rollouts = require("./api/parts/rollouts.js");
+var stats = require("./api/parts/stats.js");
+var versions = require("./api/parts/versions.js");
+var crypto = require("crypto");
+request = request(testUtils.url);
+
+var APP_KEY = "";
+var API_KEY_ADMIN = "";
+var APP_ID = "";
+
+/**
+ * Get url of write or read endpoint with credentials of test app
+ * @param  {String} path - endpoint path
+ * @returns {String} url
+ */
+function getRequestURL(path) {
+    return path + (path.indexOf("?") === -1 ? "?" : "&") + "api_key=" + API_KEY_ADMIN + "&app_id=" + APP_ID;
+}
+
+/**
+ * Fetch remote config for a device through SDK API
+ * @param  {String} deviceId - device id
+ * @param  {Function} callback - called with error and remote config values
+ */
+function fetchConfig(deviceId, callback) {
+    request.get('/o/sdk?method=rc&app_key=' + APP_KEY + '&device_id=' + deviceId)
+        .expect(200)
+        .end(function(err, res) {
+            callback(err, res && res.body);
+        });
+}
+
+/**
+ * Find parameter or condition of test app by its key
+ * @param  {Function} callback - called with error and {parameters, conditions}
+ */
+function fetchRemoteConfig(callback) {
+    request.get(getRequestURL('/o?method=remote-config'))
+        .expect(200)
+        .end(function(err, res) {
+            callback(err, res && res.body);
+        });
+}
+
+describe('Testing Remote Config', function() {
+    before(function() {
+        APP_KEY = testUtils.get("APP_KEY");
+        API_KEY_ADMIN = testUtils.get("API_KEY_ADMIN");
+        APP_ID = testUtils.get("APP_ID");
+    });
+
+    describe('Versions', function() {
+        var PINNED_DEVICE = "rc_versions_pinned",
+            OTHER_DEVICE = "rc_versions_other",
+            initialVersion = 0,
+            conditionId,
+            parameterId,
+            createdVersion,
+            editedVersion;
+
+        it('should create users for pinned and other device', function(done) {
+            request.get('/i?app_key=' + APP_KEY + '&device_id=' + PINNED_DEVICE + '&begin_session=1')
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    request.get('/i?app_key=' + APP_KEY + '&device_id=' + OTHER_DEVICE + '&begin_session=1')
+                        .expect(200)
+                        .end(function(err2) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            setTimeout(done, 100 * testUtils.testScalingFactor);
+                        });
+                });
+        });
+
+        it('should get current history', function(done) {
+            request.get(getRequestURL('/o?method=remote-config-history'))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("versions").which.is.an.Array();
+                    res.body.should.have.property("pins").which.is.an.Array();
+                    initialVersion = res.body.versions.length ? res.body.versions[0]._id : 0;
+                    done();
+                });
+        });
+
+        it('should add condition', function(done) {
+            var condition = {condition_name: "RC versions test", condition_color: 1, condition: {"did": {"$in": [PINNED_DEVICE]}}, seed_value: ""};
+            request.get(getRequestURL('/i/remote-config/add-condition') + '&condition=' + encodeURIComponent(JSON.stringify(condition)))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    conditionId = res.body;
+                    conditionId.should.be.a.String();
+                    done();
+                });
+        });
+
+        it('should add parameter', function(done) {
+            var parameter = {parameter_key: "rc_versions_color", default_value: "red", description: "-", conditions: []};
+            request.get(getRequestURL('/i/remote-config/add-parameter') + '&parameter=' + encodeURIComponent(JSON.stringify(parameter)))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    fetchRemoteConfig(function(err2, config) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        var found = config.parameters.filter(function(p) {
+                            return p.parameter_key === "rc_versions_color";
+                        });
+                        found.should.have.lengthOf(1);
+                        parameterId = found[0]._id;
+                        done();
+                    });
+                });
+        });
+
+        it('should edit parameter', function(done) {
+            var parameter = {parameter_key: "rc_versions_color", default_value: "blue", description: "-", conditions: [{condition_id: conditionId, value: "green"}]};
+            request.get(getRequestURL('/i/remote-config/update-parameter') + '&parameter_id=' + parameterId + '&parameter=' + encodeURIComponent(JSON.stringify(parameter)))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    done();
+                });
+        });
+
+        it('should record version with diff for each change', function(done) {
+            request.get(getRequestURL('/o?method=remote-config-history'))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var list = res.body.versions.filter(function(v) {
+                        return v._id > initialVersion;
+                    });
+                    list.map(function(v) {
+                        return v.action;
+                    }).should.eql(initialVersion ? ["rc_parameter_edited", "rc_parameter_created", "rc_condition_created"] : ["rc_parameter_edited", "rc_parameter_created", "rc_condition_created", "rc_baseline"]);
+
+                    var edited = list[0];
+                    edited.should.not.have.property("parameters");
+                    edited.diff.parameters.added.should.have.lengthOf(0);
+                    edited.diff.parameters.removed.should.have.lengthOf(0);
+                    edited.diff.parameters.changed.should.have.lengthOf(1);
+                    edited.diff.parameters.changed[0].should.have.property("key", "rc_versions_color");
+                    edited.diff.parameters.changed[0].fields.should.have.property("default_value", {before: "red", after: "blue"});
+                    edited.diff.parameters.changed[0].fields.conditions.after.should.eql([{condition_id: conditionId, value: "green"}]);
+                    edited.diff.conditions.changed.should.have.lengthOf(0);
+                    edited.author.should.have.property("_id");
+
+                    var created = list[1];
+                    created.diff.parameters.added.should.have.lengthOf(1);
+                    created.diff.parameters.added[0].should.have.property("key", "rc_versions_color");
+                    created.diff.parameters.added[0].value.should.have.property("default_value", "red");
+
+                    list[2].diff.conditions.added.should.have.lengthOf(1);
+                    list[2].diff.conditions.added[0].should.have.property("key", "RC versions test");
+
+                    editedVersion = edited._id;
+                    createdVersion = created._id;
+                    done();
+                });
+        });
+
+        it('should get snapshot of a version', function(done) {
+            request.get(getRequestURL('/o?method=remote-config-history&version=' + createdVersion))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var parameter = res.body.parameters.filter(function(p) {
+                        return p.parameter_key === "rc_versions_color";
+                    })[0];
+                    parameter.should.have.property("default_value", "red");
+                    parameter.conditions.should.have.lengthOf(0);
+                    res.body.conditions.map(function(c) {
+                        return c._id;
+                    }).should.containEql(conditionId);
+                    done();
+                });
+        });
+
+        it('should fail to get missing version', function(done) {
+            request.get(getRequestURL('/o?method=remote-config-history&version=999999'))
+                .expect(404)
+                .end(done);
+        });
+
+        it('should serve current config to devices', function(done) {
+            fetchConfig(PINNED_DEVICE, function(err, config) {
+                if (err) {
+                    return done(err);
+                }
+                config.should.have.property("rc_versions_color", "green");
+                fetchConfig(OTHER_DEVICE, function(err2, config2) {
+                    if (err2) {
+                        return done(err2);
+                    }
+                    config2.should.have.property("rc_versions_color", "blue");
+                    done();
+                });
+            });
+        });
+
+        it('should fail to pin missing version', function(done) {
+            request.get(getRequestURL('/i/remote-config/pin-version') + '&device_id=' + PINNED_DEVICE + '&version=999999')
+                .expect(404)
+                .end(done);
+        });
+
+        it('should pin version to device', function(done) {
+            request.get(getRequestURL('/i/remote-config/pin-version') + '&device_id=' + encodeURIComponent(JSON.stringify([PINNED_DEVICE])) + '&version=' + createdVersion)
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    request.get(getRequestURL('/o?method=remote-config-history'))
+                        .expect(200)
+                        .end(function(err2, res) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            var pin = res.body.pins.filter(function(p) {
+                                return p._id === PINNED_DEVICE;
+                            })[0];
+                            pin.should.have.property("v", createdVersion);
+                            done();
+                        });
+                });
+        });
+
+        it('should serve pinned version to pinned device only', function(done) {
+            fetchConfig(PINNED_DEVICE, function(err, config) {
+                if (err) {
+                    return done(err);
+                }
+                config.should.have.property("rc_versions_color", "red");
+                fetchConfig(OTHER_DEVICE, function(err2, config2) {
+                    if (err2) {
+                        return done(err2);
+                    }
+                    config2.should.have.property("rc_versions_color", "blue");
+                    done();
+                });
+            });
+        });
+
+        it('should not count SDK requests of pinned device', function(done) {
+            fetchRemoteConfig(function(err, before) {
+                if (err) {
+                    return done(err);
+                }
+                var countOf = function(config) {
+                    return config.parameters.filter(function(p) {
+                        return p.parameter_key === "rc_versions_color";
+                    })[0].c;
+                };
+                fetchConfig(PINNED_DEVICE, function(err2) {
+                    if (err2) {
+                        return done(err2);
+                    }
+                    fetchRemoteConfig(function(err3, after) {
+                        if (err3) {
+                            return done(err3);
+                        }
+                        should.equal(countOf(after), countOf(before));
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should roll back to a version', function(done) {
+            request.get(getRequestURL('/i/remote-config/rollback') + '&version=' + createdVersion)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("action", "rc_rollback");
+                    res.body.should.have.property("rollback_of", createdVersion);
+                    res.body.should.have.property("_id").above(editedVersion);
+                    res.body.should.not.have.property("parameters");
+                    res.body.diff.parameters.changed[0].should.have.property("key", "rc_versions_color");
+                    res.body.diff.parameters.changed[0].fields.should.have.property("default_value", {before: "blue", after: "red"});
+                    fetchRemoteConfig(function(err2, config) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        var parameter = config.parameters.filter(function(p) {
+                            return p.parameter_key === "rc_versions_color";
+                        })[0];
+                        parameter.should.have.property("_id", parameterId);
+                        parameter.should.have.property("default_value", "red");
+                        parameter.conditions.should.have.lengthOf(0);
+                        config.conditions.map(function(c) {
+                            return c._id;
+                        }).should.containEql(conditionId);
+                        done();
+                    });
+                });
+        });
+
+        it('should remove condition', function(done) {
+            request.get(getRequestURL('/i/remote-config/remove-condition') + '&condition_id=' + conditionId)
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    fetchRemoteConfig(function(err2, config) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        config.conditions.map(function(c) {
+                            return c._id;
+                        }).should.not.containEql(conditionId);
+                        done();
+                    });
+                });
+        });
+
+        it('should restore removed condition and parameter conditions on rollback', function(done) {
+            request.get(getRequestURL('/i/remote-config/rollback') + '&version=' + editedVersion)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("rollback_of", editedVersion);
+                    res.body.diff.conditions.added.should.have.lengthOf(1);
+                    res.body.diff.conditions.added[0].should.have.property("_id", conditionId);
+                    fetchRemoteConfig(function(err2, config) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        var parameter = config.parameters.filter(function(p) {
+                                return p.parameter_key === "rc_versions_color";
+                            })[0],
+                            condition = config.conditions.filter(function(c) {
+                                return c._id === conditionId;
+                            })[0];
+                        parameter.should.have.property("default_value", "blue");
+                        parameter.conditions.should.eql([{condition_id: conditionId, value: "green"}]);
+                        condition.should.have.property("condition_name", "RC versions test");
+                        JSON.parse(condition.condition).should.eql({"did": {"$in": [PINNED_DEVICE]}});
+                        done();
+                    });
+                });
+        });
+
+        it('should fail to roll back to missing version', function(done) {
+            request.get(getRequestURL('/i/remote-config/rollback') + '&version=999999')
+                .expect(404)
+                .end(done);
+        });
+
+        it('should unpin device', function(done) {
+            request.get(getRequestURL('/i/remote-config/pin-version') + '&device_id=' + PINNED_DEVICE)
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    fetchConfig(PINNED_DEVICE, function(err2, config) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        config.should.have.property("rc_versions_color", "green");
+                        done();
+                    });
+                });
+        });
+
+        after(function(done) {
+            request.get(getRequestURL('/i/remote-config/remove-parameter') + '&parameter_id=' + parameterId)
+                .end(function() {
+                    request.get(getRequestURL('/i/remote-config/remove-condition') + '&condition_id=' + conditionId)
+                        .end(function() {
+                            done();
+                        });
+                });
+        });
+    });
+
+    describe('Staged rollouts', function() {
+        var DEVICE = "rc_rollout_device",
+            HOUR = 60 * 60 * 1000,
+            conditionId,
+            parameterId,
+            outDb;
+
+        /**
+         * Call rollout endpoint of test condition
+         * @param  {String} path - endpoint path
+         * @param  {String} query - additional query string
+         * @param  {Number} status - expected status code
+         * @param  {Function} callback - called with error and response body
+         */
+        var rolloutRequest = function(path, query, status, callback) {
+            request.get(getRequestURL('/i/remote-config/' + path) + '&condition_id=' + conditionId + query)
+                .expect(status)
+                .end(function(err, res) {
+                    callback(err, res && res.body);
+                });
+        };
+
+        /**
+         * Load test condition directly from database
+         * @returns {Promise<Object>} condition document
+         */
+        var loadCondition = function() {
+            return testUtils.db.collection("remoteconfig_conditions" + APP_ID).findOne({_id: testUtils.db.ObjectID(conditionId)});
+        };
+
+        /**
+         * Run rollout check of test condition like remote-config:rollout job does, with given guardrail measurement
+         * @param  {Object} measured - measurement {count, sessions, value} to return instead of app data
+         * @returns {Promise<String|undefined>} action taken by check
+         */
+        var check = async function(measured) {
+            var measure = rollouts.measure;
+            rollouts.measure = function() {
+                return Promise.resolve(measured);
+            };
+            try {
+                return await rollouts.check({_id: APP_ID, timezone: "UTC"}, await loadCondition());
+            }
+            finally {
+                rollouts.measure = measure;
+            }
+        };
+
+        before(function() {
+            // rollout check runs in jobs, here it's called directly with test db connection
+            outDb = common.outDb;
+            common.outDb = testUtils.db;
+        });
+
+        after(function(done) {
+            common.outDb = outDb;
+            request.get(getRequestURL('/i/remote-config/remove-parameter') + '&parameter_id=' + parameterId)
+                .end(function() {
+                    request.get(getRequestURL('/i/remote-config/remove-condition') + '&condition_id=' + conditionId)
+                        .end(function() {
+                            done();
+                        });
+                });
+        });
+
+        it('should validate rollout configuration', function() {
+            rollouts.validate(null).should.have.property("error");
+            rollouts.validate({stages: [{percent: 100}]}).error.should.startWith("Invalid parameter: stages");
+            rollouts.validate({stages: [{percent: 10, hours: 1}, {percent: 5}]}).error.should.eql("Invalid parameter: stages, percents must grow from 0 to 100");
+            rollouts.validate({stages: [{percent: 10, hours: 1}, {percent: 120}]}).error.should.eql("Invalid parameter: stages, percents must grow from 0 to 100");
+            rollouts.validate({stages: [{percent: 10}, {percent: 100}]}).error.should.eql("Invalid parameter: stages, each stage except the last one must have duration in hours");
+            rollouts.validate({stages: [{percent: 10, hours: 1}, {percent: 100}], guardrail: {metric: "sessions", threshold: 10}}).error.should.eql("Invalid parameter: guardrail.metric");
+            rollouts.validate({stages: [{percent: 10, hours: 1}, {percent: 100}], guardrail: {metric: "event", threshold: 10}}).error.should.eql("Invalid parameter: guardrail.event");
+            rollouts.validate({stages: [{percent: 10, hours: 1}, {percent: 100}], guardrail: {metric: "crashes", threshold: 0}}).error.should.eql("Invalid parameter: guardrail.threshold");
+            rollouts.validate({stages: [{percent: 10, hours: 1}, {percent: 100}], guardrail: {metric: "crashes", threshold: 10, direction: "up"}}).error.should.eql("Invalid parameter: guardrail.direction");
+            rollouts.validate({stages: [{percent: 10, hours: 1}, {percent: 100}], guardrail: {metric: "crashes", threshold: 10, action: "stop"}}).error.should.eql("Invalid parameter: guardrail.action");
+
+            rollouts.validate({stages: [{percent: "10", hours: "24"}, {percent: 100, hours: 5}], guardrail: {metric: "event", event: "purchase", threshold: "15", direction: "decrease", extra: true}}).should.eql({
+                stages: [{percent: 10, hours: 24}, {percent: 100}],
+                guardrail: {metric: "event", event: "purchase", threshold: 15, min_sessions: 100, direction: "decrease", action: "rollback"}
+            });
+        });
+
+        it('should calculate rollout percentage', function() {
+            var stages = [{percent: 1, hours: 1}, {percent: 20, hours: 1}, {percent: 100}];
+            rollouts.percent(undefined).should.eql(100);
+            rollouts.percent({stages: stages, stage: 0, status: "running"}).should.eql(1);
+            rollouts.percent({stages: stages, stage: 1, status: "paused"}).should.eql(20);
+            rollouts.percent({stages: stages, stage: 5, status: "completed"}).should.eql(100);
+            rollouts.percent({stages: stages, stage: 1, status: "rolled_back"}).should.eql(0);
+        });
+
+        it('should include users within rollout percentage', function() {
+            var rollout = {stages: [{percent: 20, hours: 1}, {percent: 100}], stage: 0, status: "running"};
+            rollouts.includes(undefined, 99.9).should.be.true();
+            rollouts.includes(rollout, 19.99).should.be.true();
+            rollouts.includes(rollout, 20).should.be.false();
+            rollouts.includes(Object.assign({}, rollout, {status: "rolled_back"}), 0).should.be.false();
+        });
+
+        it('should detect degraded metric', function() {
+            var increase = {threshold: 20, direction: "increase"},
+                decrease = {threshold: 20, direction: "decrease"};
+            rollouts.degraded(increase, null, 1).should.be.false();
+            rollouts.degraded(increase, 0.1, null).should.be.false();
+            rollouts.degraded(increase, 0, 0.1).should.be.true();
+            rollouts.degraded(increase, 0, 0).should.be.false();
+            rollouts.degraded(decrease, 0, 0.1).should.be.false();
+            rollouts.degraded(increase, 0.1, 0.125).should.be.true();
+            rollouts.degraded(increase, 0.1, 0.115).should.be.false();
+            rollouts.degraded(increase, 0.1, 0.08).should.be.false();
+            rollouts.degraded(decrease, 0.1, 0.075).should.be.true();
+            rollouts.degraded(decrease, 0.1, 0.125).should.be.false();
+        });
+
+        it('should scale app-wide change by rollout percentage', function() {
+            var increase = {threshold: 20, direction: "increase"};
+            // 5% increase of whole app at 10% stage is 50% increase for users in the rollout
+            rollouts.degraded(increase, 0.1, 0.105, 10).should.be.true();
+            rollouts.degraded(increase, 0.1, 0.105, 50).should.be.false();
+            rollouts.degraded(increase, 0.1, 0.1015, 10).should.be.false();
+            rollouts.degraded(increase, 0.1, 0.115, 100).should.be.false();
+            rollouts.degraded({threshold: 20, direction: "decrease"}, 0.1, 0.097, 10).should.be.true();
+        });
+
+        it('should add condition and parameter for rollout', function(done) {
+            var condition = {condition_name: "RC rollout test", condition_color: 1, condition: {}, seed_value: ""};
+            request.get(getRequestURL('/i/remote-config/add-condition') + '&condition=' + encodeURIComponent(JSON.stringify(condition)))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    conditionId = res.body;
+                    var parameter = {parameter_key: "rc_rollout_flag", default_value: "off", description: "-", conditions: [{condition_id: conditionId, value: "on"}]};
+                    request.get(getRequestURL('/i/remote-config/add-parameter') + '&parameter=' + encodeURIComponent(JSON.stringify(parameter)))
+                        .expect(200)
+                        .end(function(err2) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            fetchRemoteConfig(function(err3, config) {
+                                if (err3) {
+                                    return done(err3);
+                                }
+                                parameterId = config.parameters.filter(function(p) {
+                                    return p.parameter_key === "rc_rollout_flag";
+                                })[0]._id;
+                                done();
+                            });
+                        });
+                });
+        });
+
+        it('should not match condition without filters before rollout', function(done) {
+            fetchConfig(DEVICE, function(err, config) {
+                if (err) {
+                    return done(err);
+                }
+                config.should.have.property("rc_rollout_flag", "off");
+                done();
+            });
+        });
+
+        it('should fail to start invalid rollout', function(done) {
+            rolloutRequest('rollout', '&rollout=' + encodeURIComponent(JSON.stringify({stages: [{percent: 100}]})), 400, function(err, body) {
+                if (err) {
+                    return done(err);
+                }
+                body.result.should.startWith("Invalid parameter: stages");
+                done();
+            });
+        });
+
+        it('should fail to start rollout of missing condition', function(done) {
+            request.get(getRequestURL('/i/remote-config/rollout') + '&condition_id=000000000000000000000000&rollout=' + encodeURIComponent(JSON.stringify({stages: [{percent: 1, hours: 1}, {percent: 100}]})))
+                .expect(404)
+                .end(done);
+        });
+
+        it('should fail to change rollout of condition without rollout', function(done) {
+            rolloutRequest('rollout-action', '&action=pause', 400, function(err, body) {
+                if (err) {
+                    return done(err);
+                }
+                body.should.have.property("result", "Condition has no rollout");
+                done();
+            });
+        });
+
+        it('should start rollout', function(done) {
+            var config = {stages: [{percent: 1, hours: 24}, {percent: 50, hours: 24}, {percent: 100}], guardrail: {metric: "crashes", threshold: 20, min_sessions: 10}};
+            rolloutRequest('rollout', '&rollout=' + encodeURIComponent(JSON.stringify(config)), 200, function(err, rollout) {
+                if (err) {
+                    return done(err);
+                }
+                rollout.should.have.property("stage", 0);
+                rollout.should.have.property("status", "running");
+                rollout.stages.should.eql(config.stages);
+                rollout.guardrail.should.eql({metric: "crashes", threshold: 20, min_sessions: 10, direction: "increase", action: "rollback"});
+                rollout.should.have.property("baseline");
+                rollout.history.should.have.lengthOf(1);
+                rollout.history[0].should.have.property("action", "rc_rollout_started");
+                rollout.history[0].should.have.property("percent", 1);
+                done();
+            });
+        });
+
+        it('should fail to start rollout twice', function(done) {
+            rolloutRequest('rollout', '&rollout=' + encodeURIComponent(JSON.stringify({stages: [{percent: 1, hours: 1}, {percent: 100}]})), 400, function(err, body) {
+                if (err) {
+                    return done(err);
+                }
+                body.should.have.property("result", "Rollout is already in progress");
+                done();
+            });
+        });
+
+        it('should fail with invalid action', function(done) {
+            rolloutRequest('rollout-action', '&action=restart', 400, done);
+        });
+
+        it('should pause and resume rollout', function(done) {
+            rolloutRequest('rollout-action', '&action=pause', 200, function(err, rollout) {
+                if (err) {
+                    return done(err);
+                }
+                rollout.should.have.property("status", "paused");
+                rollout.history[rollout.history.length - 1].should.have.property("action", "rc_rollout_pause");
+                rolloutRequest('rollout-action', '&action=pause', 400, function(err2, body) {
+                    if (err2) {
+                        return done(err2);
+                    }
+                    body.should.have.property("result", "Rollout is not running");
+                    rolloutRequest('rollout-action', '&action=resume', 200, function(err3, resumed) {
+                        if (err3) {
+                            return done(err3);
+                        }
+                        resumed.should.have.property("status", "running");
+                        resumed.should.have.property("stage", 0);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should advance rollout', function(done) {
+            rolloutRequest('rollout-action', '&action=advance', 200, function(err, rollout) {
+                if (err) {
+                    return done(err);
+                }
+                rollout.should.have.property("stage", 1);
+                rollout.should.have.property("status", "running");
+                rollout.history[rollout.history.length - 1].should.have.property("percent", 50);
+                done();
+            });
+        });
+
+        it('should not check guardrail without enough sessions', async function() {
+            await testUtils.db.collection("remoteconfig_conditions" + APP_ID).updateOne({_id: testUtils.db.ObjectID(conditionId)}, {$set: {"rollout.baseline": 0.01}});
+            should.not.exist(await check({count: 5, sessions: 5, value: 1}));
+            (await loadCondition()).rollout.should.have.property("status", "running");
+        });
+
+        it('should keep rollout running when degradation of users in rollout is within threshold', async function() {
+            // 5% increase of whole app at 50% stage is 10% increase for users in rollout
+            should.not.exist(await check({count: 105, sessions: 10000, value: 0.0105}));
+            var rollout = (await loadCondition()).rollout;
+            rollout.should.have.property("status", "running");
+            rollout.should.have.property("stage", 1);
+        });
+
+        it('should roll back rollout when guardrail metric degrades', async function() {
+            // 15% increase of whole app at 50% stage is 30% increase for users in rollout
+            (await check({count: 115, sessions: 10000, value: 0.0115})).should.eql("rollback");
+            var rollout = (await loadCondition()).rollout,
+                last = rollout.history[rollout.history.length - 1];
+            rollout.should.have.property("status", "rolled_back");
+            last.should.have.property("action", "rc_rollout_guardrail_rollback");
+            last.should.have.property("value", 0.0115);
+            last.should.have.property("baseline", 0.01);
+        });
+
+        it('should not serve condition value of rolled back rollout', function(done) {
+            fetchConfig(DEVICE, function(err, config) {
+                if (err) {
+                    return done(err);
+                }
+                config.should.have.property("rc_rollout_flag", "off");
+                rolloutRequest('rollout-action', '&action=rollback', 400, function(err2, body) {
+                    if (err2) {
+                        return done(err2);
+                    }
+                    body.should.have.property("result", "Rollout is already rolled back");
+                    done();
+                });
+            });
+        });
+
+        it('should resume rolled back rollout from the first stage', function(done) {
+            rolloutRequest('rollout-action', '&action=resume', 200, function(err, rollout) {
+                if (err) {
+                    return done(err);
+                }
+                rollout.should.have.property("status", "running");
+                rollout.should.have.property("stage", 0);
+                done();
+            });
+        });
+
+        it('should not advance rollout before stage is over', async function() {
+            should.not.exist(await check({count: 100, sessions: 10000, value: 0.01}));
+            (await loadCondition()).rollout.should.have.property("stage", 0);
+        });
+
+        it('should advance rollout once stage is over', async function() {
+            await testUtils.db.collection("remoteconfig_conditions" + APP_ID).updateOne({_id: testUtils.db.ObjectID(conditionId)}, {$set: {"rollout.stage_start": Date.now() - 25 * HOUR}});
+            (await check({count: 100, sessions: 10000, value: 0.01})).should.eql("advance");
+            var rollout = (await loadCondition()).rollout;
+            rollout.should.have.property("stage", 1);
+            rollout.should.have.property("status", "running");
+            rollout.history[rollout.history.length - 1].should.have.property("action", "rc_rollout_advanced");
+        });
+
+        it('should complete rollout at the last stage', function(done) {
+            rolloutRequest('rollout-action', '&action=advance', 200, function(err, rollout) {
+                if (err) {
+                    return done(err);
+                }
+                rollout.should.have.property("stage", 2);
+                rollout.should.have.property("status", "completed");
+                rolloutRequest('rollout-action', '&action=advance', 400, function(err2, body) {
+                    if (err2) {
+                        return done(err2);
+                    }
+                    body.should.have.property("result", "Rollout is not running or paused");
+                    done();
+                });
+            });
+        });
+
+        it('should serve condition value to all users of completed rollout', function(done) {
+            fetchConfig(DEVICE, function(err, config) {
+                if (err) {
+                    return done(err);
+                }
+                config.should.have.property("rc_rollout_flag", "on");
+                done();
+            });
+        });
+
+        it('should roll back completed rollout', function(done) {
+            rolloutRequest('rollout-action', '&action=rollback', 200, function(err, rollout) {
+                if (err) {
+                    return done(err);
+                }
+                rollout.should.have.property("status", "rolled_back");
+                fetchConfig(DEVICE, function(err2, config) {
+                    if (err2) {
+                        return done(err2);
+                    }
+                    config.should.have.property("rc_rollout_flag", "off");
+                    done();
+                });
+            });
+        });
+
+        it('should record versions for rollout changes', function(done) {
+            request.get(getRequestURL('/o?method=remote-config-history&limit=1'))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.versions[0].should.have.property("action", "rc_rollout_rollback");
+                    res.body.versions[0].diff.conditions.changed[0].should.have.property("_id", conditionId);
+                    done();
+                });
+        });
+    });
+
+    describe('Rollout guardrail metrics', function() {
+        var HOUR = 60 * 60 * 1000,
+            EVENT = "rc_guardrail_event",
+            appId,
+            app,
+            month,
+            day,
+            eventCollection,
+            db,
+            outDb;
+
+        /**
+         * Add condition with running rollout which stage is over, check it with seeded app data
+         * @param  {Object} guardrail - guardrail object
+         * @param  {Number} baseline - baseline value
+         * @returns {Promise<Object>} {action, rollout} with action taken by check and updated rollout
+         */
+        var checkRollout = async function(guardrail, baseline) {
+            var conditions = testUtils.db.collection("remoteconfig_conditions" + appId),
+                condition = {
+                    _id: testUtils.db.ObjectID(),
+                    condition_name: "RC guardrail test",
+                    condition: "{}",
+                    seed_value: "",
+                    rollout: {
+                        stages: [{percent: 50, hours: 24}, {percent: 75, hours: 24}, {percent: 100}],
+                        stage: 0,
+                        stage_start: Date.now() - 25 * HOUR,
+                        started: Date.now() - 25 * HOUR,
+                        status: "running",
+                        guardrail: Object.assign({direction: "increase", threshold: 20, min_sessions: 100, action: "rollback"}, guardrail),
+                        baseline: baseline,
+                        history: []
+                    }
+                };
+            await conditions.insertOne(condition);
+            var action = await rollouts.check(app, condition);
+            return {action: action, rollout: (await conditions.findOne({_id: condition._id})).rollout};
+        };
+
+        before(async function() {
+            // rollout check runs in jobs, here it's called directly with test db connection
+            db = common.db;
+            outDb = common.outDb;
+            common.db = common.outDb = testUtils.db;
+
+            appId = testUtils.db.ObjectID() + "";
+            app = {_id: appId, timezone: "UTC"};
+            var now = new Date();
+            month = now.getUTCFullYear() + ":" + (now.getUTCMonth() + 1);
+            day = now.getUTCDate();
+            eventCollection = "events" + crypto.createHash('sha1').update(EVENT + appId).digest('hex');
+
+            /**
+             * Build monthly document with data of the current day
+             * @param  {String} id - document id
+             * @param  {Object} data - metrics of the day
+             * @returns {Object} document
+             */
+            var monthly = function(id, data) {
+                var doc = {_id: id, m: month, a: appId, d: {}};
+                doc.d[day] = data;
+                return doc;
+            };
+
+            await testUtils.db.collection("crashdata").insertOne(monthly(appId + "_" + month, {crf: 12, cr_s: 1000}));
+            // session counts are splitted by device id hash
+            await testUtils.db.collection("users").insertMany([
+                monthly(appId + "_" + month + "_A", {t: 600}),
+                monthly(appId + "_" + month + "_b", {t: 400})
+            ]);
+            await testUtils.db.collection(eventCollection).insertMany([
+                monthly("no-segment_" + month, {c: 30}),
+                monthly("no-segment_" + month + "_c", {c: 20})
+            ]);
+        });
+
+        after(async function() {
+            common.db = db;
+            common.outDb = outDb;
+            await testUtils.db.collection("crashdata").deleteMany({_id: appId + "_" + month});
+            await testUtils.db.collection("users").deleteMany({_id: {$in: [appId + "_" + month + "_A", appId + "_" + month + "_b"]}});
+            await testUtils.db.collection(eventCollection).drop();
+            await testUtils.db.collection("remoteconfig_conditions" + appId).drop();
+            await testUtils.db.collection(versions.collection(appId)).drop();
+        });
+
+        it('should measure fatal crashes per session', async function() {
+            var measured = await rollouts.measure(app, {metric: "crashes"}, Date.now() - 25 * HOUR, Date.now());
+            measured.should.eql({count: 12, sessions: 1000, value: 0.012});
+        });
+
+        it('should measure event count per session from splitted documents', async function() {
+            var measured = await rollouts.measure(app, {metric: "event", event: EVENT}, Date.now() - 25 * HOUR, Date.now());
+            measured.should.eql({count: 50, sessions: 1000, value: 0.05});
+        });
+
+        it('should not count data outside of the period', async function() {
+            var measured = await rollouts.measure(app, {metric: "event", event: EVENT}, Date.now() - 60 * 24 * HOUR, Date.now() - 40 * 24 * HOUR);
+            measured.should.eql({count: 0, sessions: 0, value: null});
+        });
+
+        it('should advance rollout guarded by event when metric is stable', async function() {
+            var result = await checkRollout({metric: "event", event: EVENT}, 0.05);
+            result.action.should.eql("advance");
+            result.rollout.should.have.property("stage", 1);
+            result.rollout.should.have.property("status", "running");
+            result.rollout.history[0].should.have.property("value", 0.05);
+        });
+
+        it('should roll back rollout guarded by crashes when metric degrades', async function() {
+            // 20% increase of whole app at 50% stage is 40% increase for users in rollout
+            var result = await checkRollout({metric: "crashes"}, 0.01);
+            result.action.should.eql("rollback");
+            result.rollout.should.have.property("stage", 0);
+            result.rollout.should.have.property("status", "rolled_back");
+            result.rollout.history[0].should.have.property("action", "rc_rollout_guardrail_rollback");
+            result.rollout.history[0].should.have.property("value", 0.012);
+        });
+
+        it('should advance rollout without checking guardrail when there are not enough sessions', async function() {
+            var result = await checkRollout({metric: "crashes", min_sessions: 5000}, 0.001);
+            result.action.should.eql("advance");
+            result.rollout.should.have.property("stage", 1);
+            result.rollout.should.have.property("status", "running");
+        });
+    });
+
+    describe('Condition filters', function() {
+        var DAY = 86400000,
+            user = {
+                p: "iOS",
+                av: "2:10:0",
+                fs: Math.round((Date.now() - 10 * DAY) / 1000),
+                ls: Date.now() - 2 * 3600000,
+                custom: {
+                    plan: "pro",
+                    tags: ["beta", "gamer"],
+                    level: 0,
+                    nickname: "",
+                    verified: false,
+                    referrer: null,
+                    signup: new Date(Date.now() - 3 * DAY).toISOString()
+                }
+            };
+
+        /**
+         * Check if test user matches condition query
+         * @param  {Object} query - condition query
+         * @param  {Array} reasons - optional array to collect reasons
+         * @returns {Boolean} true if user matches
+         */
+        var matches = function(query, reasons) {
+            return remoteConfig.processFilter({}, user, query, reasons);
+        };
+
+        it('should compare values with $eq and $ne', function() {
+            matches({"custom.plan": {"$eq": "pro"}}).should.be.true();
+            matches({"custom.plan": {"$eq": "free"}}).should.be.false();
+            matches({"custom.plan": {"$ne": "free"}}).should.be.true();
+            matches({"custom.plan": {"$ne": "pro"}}).should.be.false();
+            matches({"custom.tags": {"$eq": "gamer"}}).should.be.true();
+            matches({"custom.tags": {"$ne": "gamer"}}).should.be.false();
+            matches({"custom.missing": {"$eq": "pro"}}).should.be.false();
+            matches({"custom.missing": {"$ne": "pro"}}).should.be.true();
+        });
+
+        it('should check property presence with $exists', function() {
+            matches({"custom.plan": {"$exists": true}}).should.be.true();
+            matches({"custom.plan": {"$exists": false}}).should.be.false();
+            matches({"custom.missing": {"$exists": true}}).should.be.false();
+            matches({"custom.missing": {"$exists": false}}).should.be.true();
+            matches({"custom.referrer": {"$exists": false}}).should.be.true();
+            matches({"up.missing": {"$exists": false}}).should.be.true();
+        });
+
+        it('should match array properties with $contains and $all', function() {
+            matches({"custom.tags": {"$contains": "beta"}}).should.be.true();
+            matches({"custom.tags": {"$contains": "pro"}}).should.be.false();
+            matches({"custom.plan": {"$contains": "pro"}}).should.be.false();
+            matches({"custom.tags": {"$all": ["gamer", "beta"]}}).should.be.true();
+            matches({"custom.tags": {"$all": ["beta", "pro"]}}).should.be.false();
+            matches({"custom.tags": {"$all": "beta"}}).should.be.false();
+            matches({"custom.tags": {"$in": ["pro", "gamer"]}}).should.be.true();
+            matches({"custom.tags": {"$nin": ["pro", "gamer"]}}).should.be.false();
+        });
+
+        it('should compare versions with $semver', function() {
+            matches({"up.av": {"$semver": {"$gte": "2.9.1"}}}).should.be.true();
+            matches({"up.av": {"$gte": "2:9:1"}}).should.be.false();
+            matches({"up.av": {"$semver": {"$gte": "2.0.0", "$lt": "3.0.0"}}}).should.be.true();
+            matches({"up.av": {"$semver": {"$gte": "2.10.1"}}}).should.be.false();
+            matches({"up.av": {"$semver": {"$eq": "2.10.0"}}}).should.be.true();
+            matches({"up.av": {"$semver": {"$in": ["1.0.0", "2:10:0"]}}}).should.be.true();
+            matches({"up.av": {"$semver": {}}}).should.be.false();
+            matches({"up.missing": {"$semver": {"$gte": "1.0.0"}}}).should.be.false();
+        });
+
+        it('should compare time since date with $ago', function() {
+            matches({"up.fs": {"$ago": {"$gt": 7}}}).should.be.true();
+            matches({"up.fs": {"$ago": {"$gt": 7, "unit": "days"}}}).should.be.true();
+            matches({"up.fs": {"$ago": {"$gt": 2, "unit": "weeks"}}}).should.be.false();
+            matches({"up.ls": {"$ago": {"$lt": 3, "unit": "hours"}}}).should.be.true();
+            matches({"up.ls": {"$ago": {"$gte": 150, "unit": "minutes"}}}).should.be.false();
+            matches({"custom.signup": {"$ago": {"$gte": 2, "$lt": 4}}}).should.be.true();
+            matches({"custom.plan": {"$ago": {"$gt": 0}}}).should.be.false();
+            matches({"up.fs": {"$ago": {"$gt": 0, "unit": "years"}}}).should.be.false();
+        });
+
+        it('should compare 0, empty string and false values instead of treating them as missing', function() {
+            matches({"custom.level": {"$lt": 5}}).should.be.true();
+            matches({"custom.level": {"$eq": 0}}).should.be.true();
+            matches({"custom.level": {"$exists": false}}).should.be.false();
+            matches({"custom.nickname": {"$in": [""]}}).should.be.true();
+            matches({"custom.nickname": {"$exists": true}}).should.be.true();
+            matches({"custom.verified": {"$eq": false}}).should.be.true();
+            matches({"custom.verified": {"$ne": false}}).should.be.false();
+            matches({"custom.verified": {"$nin": [false]}}).should.be.false();
+        });
+
+        it('should process nested $or and $and groups', function() {
+            var query = {
+                "$or": [
+                    {"$and": [{"up.p": {"$in": ["Android"]}}, {"up.av": {"$semver": {"$gte": "2.0.0"}}}]},
+                    {"custom.tags": {"$contains": "beta"}}
+                ]
+            };
+            matches(query).should.be.true();
+
+            query.$or[1] = {"custom.tags": {"$contains": "pro"}};
+            matches(query).should.be.false();
+
+            query.$or[0].$and[0] = {"up.p": {"$in": ["iOS"]}};
+            matches(query).should.be.true();
+
+            matches({"$and": [{"custom.plan": {"$eq": "pro"}}, {"$or": [{"custom.level": {"$gt": 0}}, {"custom.verified": {"$eq": false}}]}]}).should.be.true();
+            matches({"$and": [{"custom.plan": {"$eq": "pro"}}, {"$or": [{"custom.level": {"$gt": 0}}, {"custom.verified": {"$eq": true}}]}]}).should.be.false();
+            matches({"$or": []}).should.be.false();
+            matches({"custom.plan": {"$eq": "pro"}, "$or": [{"custom.level": {"$gt": 0}}]}).should.be.false();
+        });
+
+        it('should explain why nested groups do not match', function() {
+            var reasons = [];
+            matches({"$or": [{"$and": [{"up.p": {"$in": ["Android"]}}, {"custom.plan": {"$eq": "pro"}}]}, {"custom.missing": {"$in": ["x"]}}]}, reasons).should.be.false();
+            reasons.should.have.lengthOf(1);
+            reasons[0].should.have.property("property", "$or");
+            reasons[0].should.have.property("reason", "None of the queries matched");
+            reasons[0].queries.should.have.lengthOf(2);
+            reasons[0].queries[0][0].should.have.property("property", "$and");
+            reasons[0].queries[0][0].queries.should.eql([[{property: "up.p", reason: "Value does not match the filter", value: "iOS", filter: {"$in": ["Android"]}}]]);
+            reasons[0].queries[1].should.eql([{property: "custom.missing", reason: "User has no value for the property", filter: {"$in": ["x"]}}]);
+        });
+    });
+
+    describe('Experiment statistics', function() {
+        it('should compare proportions with two proportion z-test', function() {
+            var result = stats.proportions({users: 1000, conversions: 100}, {users: 1000, conversions: 130}, 95);
+            result.rate.should.be.approximately(0.13, 1e-9);
+            result.diff.should.be.approximately(0.03, 1e-9);
+            result.uplift.should.be.approximately(0.3, 1e-9);
+            result.z.should.be.approximately(2.10274, 1e-4);
+            result.p_value.should.be.approximately(0.035488, 1e-5);
+            result.significant.should.be.true();
+            result.ci[0].should.be.approximately(0.0020679, 1e-6);
+            result.ci[1].should.be.approximately(0.0579321, 1e-6);
+            result.uplift_ci[0].should.be.approximately(0.020679, 1e-5);
+            result.uplift_ci[1].should.be.approximately(0.579321, 1e-5);
+        });
+
+        it('should not report significance above confidence level', function() {
+            var result = stats.proportions({users: 1000, conversions: 100}, {users: 1000, conversions: 130}, 99);
+            result.p_value.should.be.approximately(0.035488, 1e-5);
+            result.significant.should.be.false();
+            result.ci[0].should.be.approximately(-0.0067090, 1e-6);
+            result.ci[1].should.be.approximately(0.0667090, 1e-6);
+
+            result = stats.proportions({users: 1000, conversions: 100}, {users: 1000, conversions: 110}, 95);
+            result.z.should.be.approximately(0.72942, 1e-4);
+            result.p_value.should.be.approximately(0.465744, 1e-5);
+            result.significant.should.be.false();
+        });
+
+        it('should handle variants without data', function() {
+            var result = stats.proportions({users: 1000, conversions: 100}, {users: 0, conversions: 0}, 95);
+            should.equal(result.p_value, null);
+            should.equal(result.ci, null);
+            result.significant.should.be.false();
+
+            result = stats.proportions({users: 100, conversions: 0}, {users: 100, conversions: 0}, 95);
+            should.equal(result.uplift, null);
+            result.p_value.should.eql(1);
+            result.significant.should.be.false();
+        });
+
+        it('should calculate probability to beat control', function() {
+            // exact P(B > A) for Beta(101, 901) and Beta(131, 871) posteriors is 0.98217
+            stats.probabilityToBeat({users: 1000, conversions: 100}, {users: 1000, conversions: 130}).should.be.approximately(0.98217, 1e-3);
+            stats.probabilityToBeat({users: 1000, conversions: 130}, {users: 1000, conversions: 100}).should.be.approximately(0.01783, 1e-3);
+            stats.probabilityToBeat({users: 1000, conversions: 100}, {users: 1000, conversions: 100}).should.be.approximately(0.5, 1e-9);
+        });
+
+        it('should detect sample ratio mismatch', function() {
+            stats.srm([1000, 1000], [1, 1]).should.eql({chi2: 0, p_value: 1, mismatch: false});
+            stats.srm([0, 0], [1, 1]).should.eql({chi2: 0, p_value: 1, mismatch: false});
+
+            var result = stats.srm([1000, 1100], [1, 1]);
+            result.chi2.should.be.approximately(4.761905, 1e-5);
+            result.p_value.should.be.approximately(0.029096, 1e-5);
+            result.mismatch.should.be.false();
+
+            result = stats.srm([1000, 1200], [1, 1]);
+            result.chi2.should.be.approximately(18.181818, 1e-5);
+            result.p_value.should.be.approximately(2.0079e-5, 1e-7);
+            result.mismatch.should.be.true();
+
+            result = stats.srm([100, 100, 130], [1, 1, 1]);
+            result.chi2.should.be.approximately(5.454545, 1e-5);
+            result.p_value.should.be.approximately(0.065397, 1e-5);
+
+            stats.srm([250, 250, 500], [1, 1, 2]).p_value.should.be.approximately(1, 1e-9);
+        });
+    });
+
+    describe('Experiments', function() {
+        var DEVICES = ["rc_exp_0", "rc_exp_1", "rc_exp_2", "rc_exp_3"],
+            experiment = {
+                name: "RC experiment test",
+                variants: [{name: "Control", values: {rc_exp_color: "black"}}, {name: "Red", values: {rc_exp_color: "red"}}],
+                goals: [{type: "event", event: "rc_exp_goal"}, {type: "session"}]
+            },
+            experimentId,
+            assignments = {};
+
+        /**
+         * Send SDK write request for a device
+         * @param  {String} deviceId - device id
+         * @param  {String} query - query string
+         * @returns {Promise} resolves when request is processed
+         */
+        var sdkWrite = function(deviceId, query) {
+            return new Promise(function(resolve, reject) {
+                request.get('/i?app_key=' + APP_KEY + '&device_id=' + deviceId + query)
+                    .expect(200)
+                    .end(function(err) {
+                        return err ? reject(err) : resolve();
+                    });
+            });
+        };
+
+        /**
+         * Fetch experiment of the test
+         * @param  {String} query - additional query string
+         * @param  {Function} callback - called with error and response body
+         */
+        var fetchExperiment = function(query, callback) {
+            request.get(getRequestURL('/o/experiments') + '&experiment_id=' + experimentId + query)
+                .expect(200)
+                .end(function(err, res) {
+                    callback(err, res && res.body);
+                });
+        };
+
+        it('should create users', async function() {
+            for (var i = 0; i < DEVICES.length; i++) {
+                await sdkWrite(DEVICES[i], '&begin_session=1');
+            }
+            await new Promise(function(resolve) {
+                setTimeout(resolve, 100 * testUtils.testScalingFactor);
+            });
+        });
+
+        it('should fail to create invalid experiment', function(done) {
+            request.get(getRequestURL('/i/experiments/create') + '&experiment=' + encodeURIComponent(JSON.stringify({name: "invalid", variants: [experiment.variants[0]], goals: experiment.goals})))
+                .expect(400)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.result.should.startWith("Invalid parameter: variants");
+                    done();
+                });
+        });
+
+        it('should create experiment', function(done) {
+            request.get(getRequestURL('/i/experiments/create') + '&experiment=' + encodeURIComponent(JSON.stringify(experiment)))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    experimentId = res.body;
+                    fetchExperiment('', function(err2, body) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        body.should.have.property("status", "draft");
+                        body.should.have.property("weights", [1, 1]);
+                        body.should.have.property("traffic", 100);
+                        body.should.have.property("confidence", 95);
+                        done();
+                    });
+                });
+        });
+
+        it('should not enroll users before experiment is started', function(done) {
+            request.get('/o/sdk?method=ab&app_key=' + APP_KEY + '&device_id=' + DEVICES[0] + '&keys=' + JSON.stringify(["rc_exp_color"]))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    fetchConfig(DEVICES[0], function(err2, config) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        config.should.not.have.property("rc_exp_color");
+                        done();
+                    });
+                });
+        });
+
+        it('should start experiment', function(done) {
+            request.get(getRequestURL('/i/experiments/start') + '&experiment_id=' + experimentId)
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    request.get(getRequestURL('/i/experiments/start') + '&experiment_id=' + experimentId)
+                        .expect(400)
+                        .end(function(err2, res) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            res.body.should.have.property("result", "Only draft experiments can be started");
+                            done();
+                        });
+                });
+        });
+
+        it('should not start another experiment with the same parameters', function(done) {
+            var other = Object.assign({}, experiment, {name: "RC experiment conflict"});
+            request.get(getRequestURL('/i/experiments/create') + '&experiment=' + encodeURIComponent(JSON.stringify(other)))
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var otherId = res.body;
+                    request.get(getRequestURL('/i/experiments/start') + '&experiment_id=' + otherId)
+                        .expect(400)
+                        .end(function(err2, res2) {
+                            if (err2) {
+                                return done(err2);
+                            }
+                            res2.body.should.have.property("result", "Parameters are already used by running experiment RC experiment test");
+                            request.get(getRequestURL('/i/experiments/delete') + '&experiment_id=' + otherId)
+                                .expect(200)
+                                .end(done);
+                        });
+                });
+        });
+
+        it('should require keys to enroll', function(done) {
+            request.get('/o/sdk?method=ab&app_key=' + APP_KEY + '&device_id=' + DEVICES[0])
+                .expect(400)
+                .end(done);
+        });
+
+        it('should enroll users', async function() {
+            for (var i = 0; i < DEVICES.length; i++) {
+                await new Promise(function(resolve, reject) {
+                    request.get('/o/sdk?method=ab&app_key=' + APP_KEY + '&device_id=' + DEVICES[i] + '&keys=' + JSON.stringify(["rc_exp_color"]))
+                        .expect(200)
+                        .end(function(err) {
+                            return err ? reject(err) : resolve();
+                        });
+                });
+            }
+            await new Promise(function(resolve) {
+                setTimeout(resolve, 100 * testUtils.testScalingFactor);
+            });
+        });
+
+        it('should log variant assignments', function(done) {
+            fetchExperiment('&assignments=true', function(err, list) {
+                if (err) {
+                    return done(err);
+                }
+                list.should.have.lengthOf(DEVICES.length);
+                list.forEach(function(a) {
+                    a.should.have.property("e", experimentId);
+                    [0, 1].should.containEql(a.v);
+                    assignments[a.did] = a.v;
+                });
+                Object.keys(assignments).sort().should.eql(DEVICES);
+                done();
+            });
+        });
+
+        it('should serve variant values to enrolled users', async function() {
+            for (var i = 0; i < DEVICES.length; i++) {
+                var config = await new Promise(function(resolve, reject) {
+                    fetchConfig(DEVICES[i], function(err, body) {
+                        return err ? reject(err) : resolve(body);
+                    });
+                });
+                config.should.have.property("rc_exp_color", experiment.variants[assignments[DEVICES[i]]].values.rc_exp_color);
+            }
+        });
+
+        it('should keep assignment when enrolling again', function(done) {
+            request.get('/o/sdk?method=ab&app_key=' + APP_KEY + '&device_id=' + DEVICES[0] + '&keys=' + JSON.stringify(["rc_exp_color"]))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    fetchExperiment('&assignments=true', function(err2, list) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        list.should.have.lengthOf(DEVICES.length);
+                        list.filter(function(a) {
+                            return a.did === DEVICES[0];
+                        })[0].should.have.property("v", assignments[DEVICES[0]]);
+                        done();
+                    });
+                });
+        });
+
+        it('should track goal conversions', async function() {
+            var events = encodeURIComponent(JSON.stringify([{key: "rc_exp_goal", count: 1}])),
+                other = encodeURIComponent(JSON.stringify([{key: "rc_exp_other", count: 1}]));
+            await sdkWrite(DEVICES[0], '&events=' + events);
+            await sdkWrite(DEVICES[1], '&events=' + events);
+            await sdkWrite(DEVICES[1], '&events=' + events);
+            await sdkWrite(DEVICES[2], '&events=' + other);
+            await sdkWrite(DEVICES[3], '&begin_session=1');
+            await new Promise(function(resolve) {
+                setTimeout(resolve, 100 * testUtils.testScalingFactor);
+            });
+        });
+
+        it('should analyse experiment when it is stopped', function(done) {
+            request.get(getRequestURL('/i/experiments/stop') + '&experiment_id=' + experimentId)
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var results = res.body,
+                        expected = [{users: 0, goal: 0, session: 0}, {users: 0, goal: 0, session: 0}];
+
+                    DEVICES.forEach(function(did, i) {
+                        var e = expected[assignments[did]];
+                        e.users++;
+                        e.goal += i < 2 ? 1 : 0;
+                        e.session += i === 3 ? 1 : 0;
+                    });
+
+                    results.should.have.property("users", DEVICES.length);
+                    results.srm.should.have.properties(["chi2", "p_value", "mismatch"]);
+                    results.variants.should.have.lengthOf(2);
+                    results.variants.forEach(function(variant, v) {
+                        variant.should.have.property("name", experiment.variants[v].name);
+                        variant.should.have.property("users", expected[v].users);
+                        variant.goals.should.have.lengthOf(2);
+                        variant.goals[0].should.have.property("conversions", expected[v].goal);
+                        variant.goals[1].should.have.property("conversions", expected[v].session);
+                    });
+                    results.variants[1].goals[0].should.have.properties(["diff", "uplift", "ci", "p_value", "significant", "probability_to_beat_control"]);
+                    results.variants[0].goals[0].should.not.have.property("p_value");
+
+                    fetchExperiment('', function(err2, body) {
+                        if (err2) {
+                            return done(err2);
+                        }
+                        body.should.have.property("status", "stopped");
+                        body.results.should.have.property("users", DEVICES.length);
+                        done();
+                    });
+                });
+        });
+
+        it('should not serve variant values after experiment is stopped', function(done) {
+            fetchConfig(DEVICES[0], function(err, config) {
+                if (err) {
+                    return done(err);
+                }
+                config.should.not.have.property("rc_exp_color");
+                done();
+            });
+        });
+
+        it('should delete experiment with assignments', function(done) {
+            request.get(getRequestURL('/i/experiments/delete') + '&experiment_id=' + experimentId)
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    request.get(getRequestURL('/o/experiments') + '&experiment_id=' + experimentId)
+                        .expect(404)
+                        .end(done);
+                });
+        });
+    });
+
+    describe('Evaluation', function() {
+        var GOLD_DEVICE = "rc_eval_gold",
+            SEED = "rc_eval",
+            conditions = {},
+            parameters = {};
+
+        /**
+         * Evaluate remote config
+         * @param  {String} query - query string with device_id and / or user
+         * @param  {Function} callback - called with error and evaluation result
+         */
+        var evaluate = function(query, callback) {
+            request.get(getRequestURL('/o/remote-config/evaluate') + query)
+                .expect(200)
+                .end(function(err, res) {
+                    callback(err, res && res.body);
+                });
+        };
+
+        /**
+         * Add condition and store its id
+         * @param  {String} name - condition name
+         * @param  {Object} query - condition query
+         * @returns {Promise} resolves when condition is added
+         */
+        var addCondition = function(name, query) {
+            var condition = {condition_name: name, condition_color: 1, condition: query, seed_value: SEED};
+            return new Promise(function(resolve, reject) {
+                request.get(getRequestURL('/i/remote-config/add-condition') + '&condition=' + encodeURIComponent(JSON.stringify(condition)))
+                    .expect(200)
+                    .end(function(err, res) {
+                        if (err) {
+                            return reject(err);
+                        }
+                        conditions[name] = res.body;
+                        resolve();
+                    });
+            });
+        };
+
+        /**
+         * Add parameter
+         * @param  {String} key - parameter key
+         * @param  {String} value - default value
+         * @param  {Array} list - array of [condition name, value]
+         * @returns {Promise} resolves when parameter is added
+         */
+        var addParameter = function(key, value, list) {
+            var parameterConditions = list.map(function(c) {
+                    return {condition_id: conditions[c[0]], value: c[1]};
+                }),
+                parameter = {parameter_key: key, default_value: value, description: "-", conditions: parameterConditions};
+            return new Promise(function(resolve, reject) {
+                request.get(getRequestURL('/i/remote-config/add-parameter') + '&parameter=' + encodeURIComponent(JSON.stringify(parameter)))
+                    .expect(200)
+                    .end(function(err) {
+                        return err ? reject(err) : resolve();
+                    });
+            });
+        };
+
+        /**
+         * Get request counters of test parameters and their conditions
+         * @returns {Promise<Object>} parameter key -> [parameter counter, condition counters]
+         */
+        var counters = function() {
+            return new Promise(function(resolve, reject) {
+                fetchRemoteConfig(function(err, config) {
+                    if (err) {
+                        return reject(err);
+                    }
+                    var ret = {};
+                    config.parameters.forEach(function(p) {
+                        if (p.parameter_key in parameters) {
+                            parameters[p.parameter_key] = p._id;
+                            ret[p.parameter_key] = [p.c, p.conditions.map(function(c) {
+                                return c.c;
+                            })];
+                        }
+                    });
+                    resolve(ret);
+                });
+            });
+        };
+
+        after(async function() {
+            for (var key in parameters) {
+                await request.get(getRequestURL('/i/remote-config/remove-parameter') + '&parameter_id=' + parameters[key]);
+            }
+            for (var name in conditions) {
+                await request.get(getRequestURL('/i/remote-config/remove-condition') + '&condition_id=' + conditions[name]);
+            }
+        });
+
+        it('should create user', function(done) {
+            request.get('/i?app_key=' + APP_KEY + '&device_id=' + GOLD_DEVICE + '&begin_session=1&user_details=' + encodeURIComponent(JSON.stringify({custom: {tier: "gold"}})))
+                .expect(200)
+                .end(function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    setTimeout(done, 100 * testUtils.testScalingFactor);
+                });
+        });
+
+        it('should add conditions and parameters', async function() {
+            await addCondition("RC eval rollout", {});
+            await addCondition("RC eval silver", {"custom.tier": {"$in": ["silver"]}});
+            await addCondition("RC eval gold", {"custom.tier": {"$in": ["gold"]}});
+            await addParameter("rc_eval_color", "grey", [["RC eval rollout", "rollout"], ["RC eval silver", "silver"], ["RC eval gold", "gold"]]);
+            await addParameter("rc_eval_size", "m", [["RC eval gold", "l"], ["RC eval silver", "s"]]);
+            parameters.rc_eval_color = null;
+            parameters.rc_eval_size = null;
+            await counters();
+        });
+
+        it('should start rollout of the first stage', function(done) {
+            var rollout = {stages: [{percent: 1, hours: 24}, {percent: 100}]};
+            request.get(getRequestURL('/i/remote-config/rollout') + '&condition_id=' + conditions["RC eval rollout"] + '&rollout=' + encodeURIComponent(JSON.stringify(rollout)))
+                .expect(200)
+                .end(done);
+        });
+
+        it('should require device_id or user', function(done) {
+            request.get(getRequestURL('/o/remote-config/evaluate'))
+                .expect(400)
+                .end(function(err, res) {
+                    if (err) {
+                        return done(err);
+                    }
+                    res.body.should.have.property("result", "Missing parameter: device_id or user");
+                    request.get(getRequestURL('/o/remote-config/evaluate') + '&user=' + encodeURIComponent("[1]"))
+                        .expect(400)
+                        .end(done);
+                });
+        });
+
+        it('should evaluate config of a device', function(done) {
+            evaluate('&device_id=' + GOLD_DEVICE, function(err, result) {
+                if (err) {
+                    return done(err);
+                }
+                result.should.have.property("device_id", GOLD_DEVICE);
+                result.should.have.property("user_found", true);
+                result.should.have.property("pinned_version", null);
+
+                var color = result.parameters.rc_eval_color,
+                    percentile = remoteConfig.randomPercentile(SEED, GOLD_DEVICE);
+                color.should.have.property("value", "gold");
+                color.should.have.property("source", "condition");
+                color.condition.should.eql({_id: conditions["RC eval gold"], name: "RC eval gold"});
+                color.conditions.should.have.lengthOf(3);
+
+                color.conditions[0].should.have.property("matched", false);
+                color.conditions[0].should.have.property("random_percentile", percentile);
+                color.conditions[0].reasons.should.eql([{property: "rollout", reason: "User is outside of rollout percentage", value: percentile, filter: {"$lt": 1}}]);
+
+                color.conditions[1].should.have.property("name", "RC eval silver");
+                color.conditions[1].should.have.property("matched", false);
+                color.conditions[1].reasons.should.eql([{property: "custom.tier", reason: "Value does not match the filter", value: "gold", filter: {"$in": ["silver"]}}]);
+
+                color.conditions[2].should.have.property("matched", true);
+                color.conditions[2].should.have.property("value", "gold");
+                color.conditions[2].reasons.should.eql([]);
+
+                var size = result.parameters.rc_eval_size;
+                size.should.have.property("value", "l");
+                size.conditions[1].should.have.property("evaluated", false);
+                size.conditions[1].reasons.should.eql([{reason: "Previous condition matched"}]);
+                done();
+            });
+        });
+
+        it('should evaluate config of a user profile', function(done) {
+            evaluate('&user=' + encodeURIComponent(JSON.stringify({custom: {tier: "silver"}})), function(err, result) {
+                if (err) {
+                    return done(err);
+                }
+                result.should.have.property("device_id", null);
+                result.should.have.property("user_found", false);
+                result.parameters.rc_eval_color.should.have.property("value", "silver");
+                result.parameters.rc_eval_color.condition.should.have.property("name", "RC eval silver");
+                result.parameters.rc_eval_size.should.have.property("value", "s");
+                result.parameters.rc_eval_size.conditions[0].reasons.should.eql([{property: "custom.tier", reason: "Value does not match the filter", value: "silver", filter: {"$in": ["gold"]}}]);
+
+                evaluate('&user=' + encodeURIComponent(JSON.stringify({custom: {tier: "bronze"}})), function(err2, result2) {
+                    if (err2) {
+                        return done(err2);
+                    }
+                    result2.parameters.rc_eval_color.should.have.property("value", "grey");
+                    result2.parameters.rc_eval_color.should.have.property("source", "default");
+                    should.equal(result2.parameters.rc_eval_color.condition, null);
+                    result2.parameters.rc_eval_color.conditions.forEach(function(c) {
+                        c.should.have.property("matched", false);
+                        c.reasons.should.not.be.empty();
+                    });
+                    done();
+                });
+            });
+        });
+
+        it('should override device properties with user profile', function(done) {
+            evaluate('&device_id=' + GOLD_DEVICE + '&user=' + encodeURIComponent(JSON.stringify({custom: {tier: "silver"}})), function(err, result) {
+                if (err) {
+                    return done(err);
+                }
+                result.should.have.property("user_found", true);
+                result.parameters.rc_eval_color.should.have.property("value", "silver");
+                result.parameters.rc_eval_size.should.have.property("value", "s");
+                done();
+            });
+        });
+
+        it('should not change request counters', async function() {
+            var before = await counters();
+            before.should.have.properties(["rc_eval_color", "rc_eval_size"]);
+            await new Promise(function(resolve, reject) {
+                evaluate('&device_id=' + GOLD_DEVICE, function(err) {
+                    return err ? reject(err) : resolve();
+                });
+            });
+            (await counters()).should.eql(before);
+
+            // counters are incremented by SDK requests
+            await new Promise(function(resolve, reject) {
+                fetchConfig(GOLD_DEVICE, function(err, config) {
+                    if (err) {
+                        return reject(err);
+                    }
+                    config.should.have.property("rc_eval_color", "gold");
+                    setTimeout(resolve, 100 * testUtils.testScalingFactor);
+                });
+            });
+            (await counters()).should.not.eql(before);
+        });
+    });
+});